@@ -1,20 +1,49 @@
 #!/usr/bin/env node
 /**
- * p5-repair.js — Fixes unbalanced parentheses and other syntax issues in P5.js <script> blocks 
- * using acorn-loose for detection and deepseek-chat for intelligent fixes
+ * p5-repair.js — Fixes unbalanced brackets and other syntax issues in P5.js <script> blocks 
+ * using acorn-loose for detection and a configurable LLM provider (see lib/llm.js) for intelligent fixes
  */
 const fs = require('fs');
 const path = require('path');
-const acornLoose = require('acorn-loose');
-const axios = require('axios');
-const puppeteer = require('puppeteer');
+const crypto = require('crypto');
+const acorn = require('acorn');
+const { createPatch, applyPatch, PatchError } = require('../lib/diff');
+const { findBracketIssues, getBracketEdits, applyBracketFixes } = require('../lib/brackets');
+const { EditSet, applyEdits, insertText, replaceText, deleteText, getLineRange } = require('../lib/edits');
+const { findSyntaxError, repairSyntax } = require('../lib/syntax-repair');
+const { findUndefinedIdentifiers } = require('../lib/scope-analysis');
+const { isBuiltinGlobal, isLibraryGlobal, identifyLibrary, getLibraryGlobals } = require('../lib/globals');
+const { DEFAULT_P5_VERSION, parseP5Version, getP5Catalog } = require('../lib/p5-api');
+const { findP5Misspellings } = require('../lib/p5-names');
+const { parseNotAFunction, proposeMethodFix, isAwaitAllowedAt } = require('../lib/introspection');
+const { typoDistance } = require('../lib/typos');
+const { inferInitialValue, planDeclaration } = require('../lib/declarations');
+const { tokenize, parseHtml, getAttribute, isInert, encodeAttributeValue } = require('../lib/html-parser');
+const { parseStylesheet, parseDeclarationList } = require('../lib/css-parser');
+const { applyCssFixes, repairCss, repairDeclarations } = require('../lib/css-repair');
+const { validateStructure, repairStructure } = require('../lib/html-structure');
+const { sanitizeLlmOutput, findPlaceholders } = require('../lib/llm-output');
+const { waitUntil } = require('@vercel/functions');
+const { createJobStore, isValidJobId } = require('../lib/job-store');
+const { createLlmClient } = require('../lib/llm');
+const { createCassette } = require('../lib/cassette');
+const { getSharedBrowserSession, VIRTUAL_ORIGIN, DOCUMENT_URL } = require('../lib/browser-session');
 
-// Placeholder API key - replace with your actual key
-const DEEPSEEK_API_KEY = process.env.DEEPSEEK_API_KEY;
-const DEEPSEEK_API_URL = "https://quiddit.ai/api/deepseek/chat/completions";
+// Created on first use so a bad LLM_CONFIG only fails the stages that need it
+let defaultLlmClient = null;
+// Record/replay cassette from REPAIR_CASSETTE_MODE / REPAIR_CASSETTE_DIR, created on first use
+let defaultCassette;
+
+// Asynchronous repair jobs, see REPAIR_JOB_STORE and lib/job-store.js. Created on first use
+// so a bad job store configuration only fails job requests.
+let jobStore = null;
+// Seconds a queued or running job may go without an update before it is reported failed. On
+// Vercel the invocation running it is stopped after maxDuration (see vercel.json), which
+// leaves nothing to mark the job finished.
+const JOB_MAX_DURATION = Number(process.env.REPAIR_JOB_MAX_DURATION) || 300;
 
 // At the very top, add error handling
-export default async function handler(req, res) {
+async function handler(req, res) {
     console.log('Function called with method:', req.method);
     console.log('Headers:', req.headers);
     
@@ -29,6 +58,16 @@ export default async function handler(req, res) {
       return res.status(200).end();
     }
     
+    // Job status and result polling: GET ?jobId=<id>[&view=result]
+    if (req.method === 'GET' && req.query && req.query.jobId) {
+      try {
+        return await respondWithJob(res, req.query.jobId, req.query.view);
+      } catch (error) {
+        console.error('Function error:', error);
+        return res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    }
+    
     if (req.method !== 'POST') {
       console.log('Invalid method:', req.method);
       return res.status(405).json({ error: 'Method not allowed' });
@@ -37,50 +76,96 @@ export default async function handler(req, res) {
     try {
       console.log('Request body:', req.body);
       
-      const { html, validationType } = req.body;
+      const { html, validationType, mode = 'repair', patch, fileName, offline = false } = req.body;
+      const repairOptions = { fileName, offline: offline === true };
+      const runAsync = req.body.async === true || Boolean(req.query && req.query.async === '1');
+      const stream = req.body.stream ||
+        ((req.headers && req.headers.accept || '').includes('text/event-stream') ? 'sse' : null);
       
       if (!html) {
         return res.status(400).json({ error: 'HTML content is required' });
       }
       
+      // Reapply a previously produced patch to the original document
+      if (mode === 'apply-patch') {
+        if (!patch) {
+          return res.status(400).json({ error: 'Patch is required' });
+        }
+        
+        try {
+          return res.status(200).json({ success: true, mode: mode, html: applyPatch(html, patch) });
+        } catch (error) {
+          if (error instanceof PatchError) {
+            return res.status(409).json({ error: 'Patch does not apply', details: error.message });
+          }
+          throw error;
+        }
+      }
+      
       if (!validationType) {
         return res.status(400).json({ error: 'Validation type is required' });
       }
       
       console.log('Validation type:', validationType);
-      
-      // For now, let's return a simple success response to test connectivity
+
+      if (validationType !== 'full' && !REPAIR_STAGES[validationType]) {
+        return res.status(400).json({
+          error: 'Invalid validation type',
+          validTypes: ['full', ...Object.keys(REPAIR_STAGES)]
+        });
+      }
+
+      if (mode !== 'repair' && mode !== 'diagnose') {
+        return res.status(400).json({ error: 'Invalid mode', validModes: ['repair', 'diagnose', 'apply-patch'] });
+      }
+
+      if (stream) {
+        if (stream !== 'sse' && stream !== 'ndjson') {
+          return res.status(400).json({ error: 'Invalid stream format', validFormats: ['sse', 'ndjson'] });
+        }
+        return streamRepair(res, stream, html, validationType, mode, repairOptions);
+      }
+
+      if (mode === 'diagnose') {
+        const diagnosis = validationType === 'full' ?
+          await diagnoseHtml(html) :
+          await diagnoseHtml(html, [validationType]);
+
+        return res.status(200).json({
+          success: true,
+          validationType: validationType,
+          mode: mode,
+          ...diagnosis
+        });
+      }
+
+      if (runAsync) {
+        const job = await enqueueRepairJob(html, validationType, repairOptions);
+        return res.status(202).json({
+          success: true,
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `/api/jobs/${job.id}`,
+          resultUrl: `/api/jobs/${job.id}/result`
+        });
+      }
+
+      const result = validationType === 'full' ?
+        await repairHtml(html, repairOptions) :
+        await runRepairStage(validationType, html, repairOptions);
+
       return res.status(200).json({
         success: true,
-        message: 'Function is working',
         validationType: validationType,
-        htmlLength: html.length,
-        errors: [],
-        fixCount: 0
+        html: result.fixedHtml,
+        fixCount: result.totalFixes,
+        stages: result.stages,
+        errors: result.errors,
+        unresolved: result.unresolved,
+        rollbacks: result.rollbacks,
+        blocking: result.blocking,
+        patch: result.patch
       });
-      
-      // Comment out the Puppeteer logic for now to isolate the issue
-      /*
-      let result = { errors: [], fixCount: 0 };
-      
-      switch (validationType) {
-        case 'undefined-variables':
-          const undefinedErrors = await detectUndefinedVariableErrors(html);
-          result = {
-            errors: undefinedErrors,
-            fixCount: undefinedErrors.length,
-            type: 'undefined-variables'
-          };
-          break;
-          
-        // ... other cases
-          
-        default:
-          return res.status(400).json({ error: 'Invalid validation type' });
-      }
-      
-      return res.status(200).json(result);
-      */
     } catch (error) {
       console.error('Function error:', error);
       console.error('Error stack:', error.stack);
@@ -92,39 +177,7 @@ export default async function handler(req, res) {
     }
   }
 
-function detectUnbalancedParentheses(source) {
-  // Skip detection for shader-heavy content
-  if (source.includes('ShaderMaterial') || 
-      source.includes('vertexShader') || 
-      source.includes('fragmentShader') ||
-      source.includes('gl_FragColor') ||
-      source.includes('uniform ') ||
-      source.includes('varying ')) {
-    console.log('Skipping parenthesis detection for shader content');
-    return []; // Return no issues for shader content
-  }
-  
-  const stack = [];
-  const positions = [];
-  for (let i = 0; i < source.length; i++) {
-    const char = source[i];
-    if (char === '(') {
-      stack.push(i);
-    } else if (char === ')') {
-      if (stack.length === 0) {
-        positions.push({ type: 'extra-close', index: i });
-      } else {
-        stack.pop();
-      }
-    }
-  }
-  for (const index of stack) {
-    positions.push({ type: 'missing-close', index });
-  }
-  return positions;
-}
-
-async function getSmartFixFromAI(script, issues) {
+async function getSmartFixFromAI(script, issues, options = {}) {
   if (!issues || issues.length === 0) return { fixed: script, fixCount: 0 };
   
   try {
@@ -132,33 +185,18 @@ async function getSmartFixFromAI(script, issues) {
     const scriptLines = script.split('\n');
     const contextBlocks = [];
     
-    // Group nearby issues into context blocks
-    const issueIndices = issues.map(issue => issue.index);
-    const lineIndices = new Map();
-    
-    // Map character indices to line numbers
-    let charCounter = 0;
-    scriptLines.forEach((line, lineIdx) => {
-      for (let i = 0; i < line.length + 1; i++) {
-        lineIndices.set(charCounter, lineIdx);
-        charCounter++;
-      }
-    });
-    
     // Create issue descriptions with line numbers
     const issueDescriptions = issues.map(issue => {
-      const lineIdx = lineIndices.get(issue.index) || 0;
-      const line = scriptLines[lineIdx] || '';
-      const column = issue.index - charCounter + line.length;
+      const { line: lineNumber, column } = getLocation(script, issue.index);
       
       return {
         type: issue.type,
-        lineNumber: lineIdx + 1,
-        column: column,
-        line: line,
-        description: issue.type === 'missing-close' ? 
-          'Missing closing parenthesis' : 
-          'Extra closing parenthesis'
+        lineNumber,
+        column,
+        line: scriptLines[lineNumber - 1] || '',
+        description: issue.message,
+        suggestion: describeBracketFix(script, issue.fix),
+        issue
       };
     });
     
@@ -179,12 +217,12 @@ async function getSmartFixFromAI(script, issues) {
 
     console.log("Here's the code context:  ", contextBlocks);
     
-    // Create prompt for DeepSeek
-    const prompt = `I have a JavaScript file with ${issues.length} parentheses issues. Please help me fix these issues WITHOUT rewriting the entire file - just apply targeted fixes.
+    // Create prompt for the AI
+    const prompt = `I have a JavaScript file with ${issues.length} bracket issues. Please help me fix these issues WITHOUT rewriting the entire file - just apply targeted fixes.
 
 Issues detected:
 ${issueDescriptions.map(issue => 
-  `- ${issue.type} at line ${issue.lineNumber}, column ${issue.column}: ${issue.description}`
+  `- ${issue.type} at line ${issue.lineNumber}, column ${issue.column}: ${issue.description}${issue.suggestion ? ` (likely fix: ${issue.suggestion})` : ''}`
 ).join('\n')}
 
 Here's the code context:
@@ -207,36 +245,19 @@ IMPORTANT INSTRUCTIONS:
   }
 ]
 4. If a line has multiple issues, provide one fix that addresses all of them in a single replacement
-5. Be precise about where to add or remove parentheses - consider the context carefully
+5. Be precise about where to add or remove brackets - consider the context carefully
 6. DO NOT include explanations in the JSON, only the fix objects in the array`;
 
-    console.log(`Asking DeepSeek AI for intelligent fix suggestions...`);
-
-    // Call DeepSeek API
-    const response = await axios.post('https://quiddit.ai/api/deepseek/chat/completions', {
-      model: 'deepseek-chat',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert JavaScript developer specializing in fixing syntax errors in P5.js code. You provide precise, targeted fixes for code issues without rewriting entire blocks of code.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: 1024,
-      temperature: 0.1
-    }, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${DEEPSEEK_API_KEY}`
-      }
+    console.log(`Asking AI for intelligent fix suggestions...`);
+    // Ask the configured LLM provider
+    const aiResponse = await requestCompletion(options, {
+      stage: 'parentheses',
+      purpose: `Fix ${issues.length} bracket issue(s)`,
+      system: 'You are an expert JavaScript developer specializing in fixing syntax errors in P5.js code. You provide precise, targeted fixes for code issues without rewriting entire blocks of code.',
+      prompt,
+      maxTokens: 1024
     });
 
-    // Parse the AI response
-    const aiResponse = response.data.choices[0].message.content;
-
     // Extract JSON array of fixes
     let fixesJson;
     try {
@@ -268,151 +289,410 @@ IMPORTANT INSTRUCTIONS:
     // Apply the fixes
     console.log(`Applying ${fixesJson.length} AI-suggested fixes...`);
     
-    let fixedScript = script;
-    let lines = fixedScript.split('\n');
+    // Every fix refers to the script as the AI saw it; one overlapping an earlier fix is skipped
+    const edits = new EditSet(script);
     let fixCount = 0;
     
     fixesJson.forEach(fix => {
-      const lineIndex = fix.lineNumber - 1;
+      const range = getLineRange(script, fix.lineNumber);
       
-      if (lineIndex >= 0 && lineIndex < lines.length) {
-        const originalLine = lines[lineIndex];
-        
-        if (originalLine.includes(fix.original)) {
-          // Simple string replacement if the original string is found exactly
-          lines[lineIndex] = originalLine.replace(fix.original, fix.fixed);
-          fixCount++;
-          console.log(`✓ Fixed line ${fix.lineNumber}: ${fix.explanation || 'Applied AI-suggested fix'}`);
-        } else {
-          // Try more flexible replacement using similar string matching
-          const similarity = calculateStringSimilarity(originalLine, fix.original);
-          
-          if (similarity > 0.7) { // If more than 70% similar
-            lines[lineIndex] = fix.fixed;
-            fixCount++;
-            console.log(`✓ Fixed line ${fix.lineNumber}: ${fix.explanation || 'Applied AI-suggested fix'} (fuzzy match)`);
-          } else {
-            console.log(`⚠ Couldn't apply fix to line ${fix.lineNumber}: Original string not found`);
-            
-            // Fallback: Try to apply fix based on the issue type for this line
-            const lineIssues = issueDescriptions.filter(issue => issue.lineNumber === fix.lineNumber);
-            
-            if (lineIssues.length > 0) {
-              const issue = lineIssues[0];
-              
-              if (issue.type === 'missing-close') {
-                // Add a closing parenthesis at the end of the line
-                if (!originalLine.trim().endsWith(';')) {
-                  lines[lineIndex] = originalLine + ')';
-                } else {
-                  lines[lineIndex] = originalLine.replace(';', ');');
-                }
-                fixCount++;
-                console.log(`✓ Fixed line ${fix.lineNumber}: Added missing closing parenthesis (fallback method)`);
-              } else if (issue.type === 'extra-close') {
-                // Remove last closing parenthesis
-                lines[lineIndex] = originalLine.replace(/\)([^)]*$)/, '$1');
-                fixCount++;
-                console.log(`✓ Fixed line ${fix.lineNumber}: Removed extra closing parenthesis (fallback method)`);
-              }
-            }
-          }
-        }
-      } else {
+      if (!range) {
         console.log(`⚠ Invalid line number in AI fix: ${fix.lineNumber}`);
+        return;
       }
+      
+      const originalLine = script.slice(range.start, range.end);
+      const column = typeof fix.original === 'string' && fix.original ? originalLine.indexOf(fix.original) : -1;
+      const description = `AI fix for line ${fix.lineNumber}`;
+      let lineEdits;
+      let explanation = fix.explanation || 'Applied AI-suggested fix';
+      
+      if (column !== -1) {
+        // Simple string replacement if the original string is found exactly
+        lineEdits = [replaceText(range.start + column, range.start + column + fix.original.length, fix.fixed, { description })];
+      } else if (calculateStringSimilarity(originalLine, fix.original || '') > 0.7) {
+        // More flexible replacement if more than 70% similar
+        lineEdits = [replaceText(range.start, range.end, fix.fixed, { description })];
+        explanation += ' (fuzzy match)';
+      } else {
+        console.log(`⚠ Couldn't apply fix to line ${fix.lineNumber}: Original string not found`);
+        
+        // Fallback: apply the balancer's own proposals for this line
+        lineEdits = getBracketEdits(issues.filter(issue => issue.fix && issue.fix.index >= range.start && issue.fix.index <= range.end));
+        if (lineEdits.length === 0) return;
+        explanation = `Applied ${lineEdits.length} proposed bracket fix(es) (fallback method)`;
+      }
+      
+      if (!edits.tryAdd(...lineEdits)) {
+        console.log(`⚠ Couldn't apply fix to line ${fix.lineNumber}: it overlaps an earlier fix`);
+        return;
+      }
+      fixCount += lineEdits.length;
+      console.log(`✓ Fixed line ${fix.lineNumber}: ${explanation}`);
     });
     
     return {
-      fixed: lines.join('\n'),
+      fixed: edits.apply(),
       fixCount: fixCount
     };
   } catch (error) {
     console.error('Error getting AI fixes:', error);
-    // Fall back to simple fixes if AI fails
-    return fixUnbalanced(script, false);
+    // Fall back to the balancer's proposals if AI fails
+    return fixUnbalancedByRules(script);
   }
 }
 
-// Simple fallback fix function
-function fixUnbalanced(script, verbose = true) {
-  let ast;
-  try {
-    ast = acornLoose.parse(script, { ecmaVersion: 'latest' });
-  } catch (e) {
-    // acorn-loose shouldn't throw — fallback only if something went truly wrong
-    if (verbose) console.error("Critical parsing failure:", e.message);
-    return { fixed: script, fixCount: 0 };
-  }
-  
-  const parenFixes = detectUnbalancedParentheses(script);
-  let fixedScript = script;
-  let offset = 0;
-  
-  for (const fix of parenFixes) {
-    if (fix.type === 'missing-close') {
-      fixedScript = fixedScript.slice(0, fix.index + 1 + offset) + ')' + fixedScript.slice(fix.index + 1 + offset);
-      offset += 1;
-    } else if (fix.type === 'extra-close') {
-      fixedScript = fixedScript.slice(0, fix.index + offset) + '/* removed extra ) */' + fixedScript.slice(fix.index + 1 + offset);
-      offset += '/* removed extra ) */'.length - 1;
-    }
-  }
+/**
+ * Describe a bracket balancer edit for the AI prompt
+ * @param {string} script - Script content
+ * @param {Object|null} fix - Proposed edit ({ index, remove, insert })
+ * @returns {string|null} - Description, or null when there is no proposal
+ */
+function describeBracketFix(script, fix) {
+  if (!fix) return null;
+  const { line, column } = getLocation(script, fix.index);
+  const insert = fix.insert.trim();
+  if (fix.remove === 0) return `insert '${insert}' at line ${line}, column ${column}`;
+  if (!insert) return `remove '${script[fix.index]}' at line ${line}, column ${column}`;
+  return `replace '${script[fix.index]}' with '${insert}' at line ${line}, column ${column}`;
+}
+
+/**
+ * Rule-based bracket fixes, used offline and whenever the AI cannot help. Applies the
+ * edits proposed by the token-aware balancer (see lib/brackets.js); brackets it cannot
+ * place with confidence, such as one left open after a trailing operator, are unresolved.
+ * @param {string} script - Script content
+ * @returns {Object} - Fixed script, fix count and unresolved issue messages
+ */
+function fixUnbalancedByRules(script) {
+  const issues = findBracketIssues(script);
+  const { fixed, fixCount, unresolved } = applyBracketFixes(script, issues);
   
-  if (verbose && parenFixes.length > 0) {
-    console.log(`Fixed ${parenFixes.length} parenthesis issue(s) using basic method`);
-  }
+  issues.filter(issue => issue.fix).forEach(issue => {
+    console.log(`✓ Fixed at line ${getLocation(script, issue.index).line}: ${issue.message}`);
+  });
   
-  return { fixed: fixedScript, fixCount: parenFixes.length };
+  return {
+    fixed,
+    fixCount,
+    unresolved: unresolved.map(issue => `${issue.message} at line ${getLocation(script, issue.index).line}`)
+  };
 }
 
-async function extractAndFixScripts(html, verbose = true) {
-  const scriptRegex = /<script[^>]*>([\s\S]*?)<\/script>/gi;
-  let match;
-  let result = html;
+async function extractAndFixScripts(html, verbose = true, options = {}) {
+  const edits = new EditSet(html);
   let totalFixes = 0;
-  const matches = [];
-  
-  // Collect all script matches first
-  while ((match = scriptRegex.exec(html)) !== null) {
-    matches.push({
-      fullMatch: match[0],
-      scriptContent: match[1],
-      index: match.index
-    });
-  }
+  const errors = [];
+  const unresolved = [];
+  const rollbacks = [];
   
-  // Process scripts in parallel
-  for (const match of matches) {
-    const scriptContent = match.scriptContent;
+  for (const script of extractScripts(html)) {
+    const scriptContent = script.content;
+    // Shaders, JSON and templates have their own syntax
+    if (!isJavaScriptType(getScriptType(script.fullMatch))) continue;
     
-    // Detect parenthesis issues
-    const issues = detectUnbalancedParentheses(scriptContent);
+    // Detect bracket issues
+    const issues = findBracketIssues(scriptContent);
     
     if (issues.length > 0) {
-      // Use DeepSeek AI for intelligent fixes
-      console.log(`Found ${issues.length} parenthesis issue(s) in script block`);
+      // Use AI for intelligent fixes
+      console.log(`Found ${issues.length} bracket issue(s) in script block`);
+      issues.forEach(issue => {
+        errors.push({ ...issue, scriptIndex: script.index });
+        emitEvent(options, { type: 'issue-detected', stage: 'parentheses', message: issue.message });
+      });
       
-      const { fixed, fixCount } = await getSmartFixFromAI(scriptContent, issues);
+      const { fixed, fixCount, unresolved: scriptUnresolved = [] } = options.offline ?
+        fixUnbalancedByRules(scriptContent) :
+        await getSmartFixFromAI(scriptContent, issues, options);
+      unresolved.push(...scriptUnresolved);
       
-      if (fixCount > 0) {
-        const fixedScriptTag = match.fullMatch.replace(scriptContent, fixed);
-        result = result.replace(match.fullMatch, fixedScriptTag);
+      let rollback = null;
+      if (fixCount > 0 && !options.offline) {
+        ({ rollback } = await verifyFix(options, {
+          stage: 'parentheses',
+          description: `AI fix for ${fixCount} bracket issue(s)`,
+          before: edits.apply(),
+          after: edits.preview([replaceElementContent(script, fixed)]),
+          countErrors: async (html) => countBracketIssues(html)
+        }));
+        if (rollback) rollbacks.push(rollback);
+      }
+      
+      if (fixCount > 0 && !rollback) {
+        edits.add(replaceElementContent(script, fixed));
         totalFixes += fixCount;
-      } else {
+        emitEvent(options, { type: 'fix-applied', stage: 'parentheses', message: `Fixed ${fixCount} bracket issue(s) in script block` });
+      } else if (!options.offline) {
         // Fallback to basic fixes if AI couldn't fix it
         console.log("AI couldn't fix the issues, falling back to basic fix method");
-        const basicFix = fixUnbalanced(scriptContent, verbose);
+        const basicFix = fixUnbalancedByRules(scriptContent);
+        unresolved.push(...basicFix.unresolved);
         if (basicFix.fixCount > 0) {
-          const fixedScriptTag = match.fullMatch.replace(scriptContent, basicFix.fixed);
-          result = result.replace(match.fullMatch, fixedScriptTag);
+          edits.add(replaceElementContent(script, basicFix.fixed));
           totalFixes += basicFix.fixCount;
+          emitEvent(options, { type: 'fix-applied', stage: 'parentheses', message: `Fixed ${basicFix.fixCount} bracket issue(s) using basic method` });
+        }
+      }
+    }
+  }
+  
+  return { fixedHtml: edits.apply(), totalFixes, errors, unresolved, rollbacks };
+}
+
+/**
+ * Count bracket issues across all inline JavaScript blocks
+ * @param {string} html - The HTML content to check
+ * @returns {number} - Number of unbalanced or mismatched brackets
+ */
+function countBracketIssues(html) {
+  return extractScripts(html)
+    .filter(script => isJavaScriptType(getScriptType(script.fullMatch)))
+    .reduce((count, script) => count + findBracketIssues(script.content).length, 0);
+}
+
+/**
+ * Repair syntax errors in every JavaScript block. Each script is parsed strictly and
+ * repaired with minimal rule-based edits (see lib/syntax-repair.js); the AI is only asked
+ * about errors those edits cannot resolve.
+ * @param {string} html - The HTML content to repair
+ * @param {Object} [options] - Options passed through the pipeline
+ * @returns {Promise<Object>} - Fixed HTML, fix count, errors found, unresolved errors and rollbacks
+ */
+async function fixScriptSyntax(html, options = {}) {
+  const documentEdits = new EditSet(html);
+  let fixCount = 0;
+  const errors = [];
+  const unresolved = [];
+  const rollbacks = [];
+  
+  for (const script of extractScripts(html)) {
+    const type = getScriptType(script.fullMatch);
+    if (!isJavaScriptType(type)) continue;
+    const sourceType = type === 'module' ? 'module' : 'script';
+    
+    const found = findSyntaxError(script.content, sourceType);
+    if (!found) continue;
+    
+    // Script lines are relative to the content, which starts on the <script> tag's line
+    const documentLine = line => script.contentStart.line + line - 1;
+    console.log(`Syntax error at line ${documentLine(found.line)}: ${found.message}`);
+    errors.push({ message: found.message, line: documentLine(found.line), column: found.column });
+    emitEvent(options, { type: 'issue-detected', stage: 'syntax', message: `${found.message} at line ${documentLine(found.line)}` });
+    
+    let { fixed, edits, error } = repairSyntax(script.content, { sourceType });
+    edits.forEach(edit => console.log(`✓ ${edit.description} (${edit.error.message} at line ${documentLine(edit.error.line)})`));
+    let scriptFixCount = edits.length;
+    
+    if (error && !options.offline) {
+      const aiFix = await getSyntaxFixFromAI(fixed, error, options);
+      if (aiFix.fixCount > 0) {
+        const { rollback } = await verifyFix(options, {
+          stage: 'syntax',
+          description: `AI fix for syntax error: ${error.message}`,
+          before: documentEdits.preview([replaceElementContent(script, fixed)]),
+          after: documentEdits.preview([replaceElementContent(script, aiFix.fixed)]),
+          countErrors: async (candidate) => findScriptSyntaxErrors(candidate).filter(Boolean).length
+        });
+        if (rollback) {
+          rollbacks.push(rollback);
+        } else {
+          fixed = aiFix.fixed;
+          scriptFixCount += aiFix.fixCount;
+          error = findSyntaxError(fixed, sourceType);
         }
       }
     }
+    
+    if (error) {
+      unresolved.push(`${error.message} at line ${documentLine(error.line)}`);
+    }
+    if (scriptFixCount > 0) {
+      documentEdits.add(replaceElementContent(script, fixed));
+      fixCount += scriptFixCount;
+      emitEvent(options, { type: 'fix-applied', stage: 'syntax', message: `Fixed ${scriptFixCount} syntax error(s) in script block` });
+    }
+  }
+  
+  return { fixedHtml: documentEdits.apply(), fixCount, errors, unresolved, rollbacks };
+}
+
+/**
+ * Ask the AI to fix a syntax error that rule-based repair could not resolve
+ * @param {string} script - Script content
+ * @param {Object} error - Syntax error from findSyntaxError
+ * @param {Object} [options] - Options passed through the pipeline
+ * @returns {Promise<Object>} - Fixed script and number of lines changed
+ */
+async function getSyntaxFixFromAI(script, error, options = {}) {
+  const scriptLines = script.split('\n');
+  const startLine = Math.max(0, error.line - 6);
+  const endLine = Math.min(scriptLines.length, error.line + 5);
+  const context = scriptLines.slice(startLine, endLine).map((line, i) => {
+    const lineNumber = startLine + i + 1;
+    return `${lineNumber === error.line ? '>' : ' '} ${lineNumber}: ${line}`;
+  }).join('\n');
+  
+  const prompt = `A JavaScript parser reports this syntax error:
+
+ERROR: ${error.message} at line ${error.line}, column ${error.column}
+
+Here's the code around it:
+
+\`\`\`javascript
+${context}
+\`\`\`
+
+Fix ONLY this syntax error with the smallest possible change. Do not rewrite or reformat anything else.
+Format your answer as a JSON array of fix objects like this:
+[
+  {
+    "lineNumber": ${error.line},
+    "original": "the exact original line",
+    "fixed": "the corrected line",
+    "explanation": "Brief explanation of the fix"
+  }
+]`;
+
+  try {
+    const aiResponse = await requestCompletion(options, {
+      stage: 'syntax',
+      purpose: `Fix syntax error: ${error.message}`,
+      system: 'You are an expert JavaScript developer fixing syntax errors in P5.js sketches. You make the smallest change that lets the code parse.',
+      prompt,
+      maxTokens: 1024
+    });
+    
+    const jsonMatch = aiResponse.match(/\[\s*\{[\s\S]*\}\s*\]/);
+    if (!jsonMatch) {
+      console.log('AI did not return any syntax fixes.');
+      return { fixed: script, fixCount: 0 };
+    }
+    
+    const edits = new EditSet(script);
+    for (const fix of JSON.parse(jsonMatch[0])) {
+      const range = getLineRange(script, fix.lineNumber);
+      const column = range && typeof fix.original === 'string' && typeof fix.fixed === 'string' ?
+        script.slice(range.start, range.end).indexOf(fix.original) : -1;
+      if (column === -1) {
+        console.log(`⚠ Couldn't apply fix to line ${fix.lineNumber}: Original string not found`);
+      } else if (!edits.tryAdd(replaceText(range.start + column, range.start + column + fix.original.length, fix.fixed))) {
+        console.log(`⚠ Couldn't apply fix to line ${fix.lineNumber}: it overlaps an earlier fix`);
+      } else {
+        console.log(`✓ Fixed line ${fix.lineNumber}: ${fix.explanation || 'Applied AI-suggested fix'}`);
+      }
+    }
+    
+    return { fixed: edits.apply(), fixCount: edits.size };
+  } catch (error) {
+    console.error('Error getting AI syntax fix:', error.message);
+    return { fixed: script, fixCount: 0 };
+  }
+}
+
+/**
+ * Catalog of the p5 version a page loads
+ * @param {string} html - HTML content
+ * @returns {Object|null} - Catalog from lib/p5-api.js, or null if the page does not load p5
+ */
+function getPageP5Catalog(html) {
+  const src = extractScriptSources(html).find(source => identifyLibrary(source) === 'p5');
+  return src ? getP5Catalog(parseP5Version(src) || DEFAULT_P5_VERSION) : null;
+}
+
+/**
+ * Find misspelled p5 names in a page (see lib/p5-names.js)
+ * @param {string} html - HTML content
+ * @returns {Object} - { catalog, edits, unknownSources }, with no edits when the page does not
+ *   load p5. Edits marked `possible` are free names a script in unknownSources may define.
+ */
+function findPageP5Misspellings(html) {
+  const catalog = getPageP5Catalog(html);
+  if (!catalog) return { catalog, edits: [], unknownSources: [] };
+  
+  const { isKnownGlobal, unknownSources } = getPageGlobals(html);
+  const edits = findP5Misspellings(getAnalysedScripts(extractScripts(html)), { catalog, isKnownGlobal, unknownSources });
+  return { catalog, edits, unknownSources };
+}
+
+/**
+ * Apply p5 name edits to the page
+ * @param {string} html - HTML content the edits were found in
+ * @param {Array} edits - Edits from findPageP5Misspellings
+ * @returns {string} - Corrected HTML
+ */
+function applyP5NameEdits(html, edits) {
+  const scripts = extractScripts(html);
+  return applyEdits(html, edits.map(edit => {
+    const offset = scripts[edit.scriptIndex].contentIndex;
+    return replaceText(offset + edit.start, offset + edit.end, edit.replacement, { description: edit.description });
+  }));
+}
+
+/**
+ * Describe a misspelled p5 name
+ * @param {Object} edit - Edit from findPageP5Misspellings
+ * @param {Object} catalog - Catalog the edit was found with
+ * @param {Array<string>} [unknownSources] - Scripts that may define a possible misspelling
+ * @returns {string} - Message
+ */
+function describeP5Misspelling(edit, catalog, unknownSources = []) {
+  if (edit.mode === 'hook' || (edit.mode === 'instance' && catalog.names.get(edit.replacement) === 'hook')) {
+    return `${edit.original} is never called by p5.js; did you mean the ${edit.replacement} hook?`;
+  }
+  const name = edit.object ? `${edit.object}.${edit.original}` : edit.original;
+  if (edit.possible) {
+    return `${name} is not defined by p5.js ${catalog.version}; did you mean ${edit.replacement}? ` +
+      `It may be defined by ${unknownSources.join(', ')}, so it is not renamed`;
   }
+  return `${name} is not defined by p5.js ${catalog.version}; did you mean ${edit.replacement}?`;
+}
+
+/**
+ * Correct misspelled p5 names (`elipse()`, `p.backgroud()`, `function mousePresed()`)
+ * without an AI round trip. Only names the catalog is confident about are rewritten.
+ * @param {string} html - The HTML content to repair
+ * @param {Object} [options] - Options passed through the pipeline
+ * @returns {Promise<Object>} - Fixed HTML, fix count and the misspellings found
+ */
+async function fixP5Names(html, options = {}) {
+  const { catalog, edits, unknownSources } = findPageP5Misspellings(html);
+  if (edits.length === 0) {
+    return { fixedHtml: html, fixCount: 0, errors: [] };
+  }
+  
+  const scripts = extractScripts(html);
+  const unresolved = [];
+  const errors = edits.map(edit => {
+    const { line } = getLocation(html, scripts[edit.scriptIndex].contentIndex + edit.start);
+    const message = describeP5Misspelling(edit, catalog, unknownSources);
+    emitEvent(options, { type: 'issue-detected', stage: 'p5-names', message });
+    if (edit.possible) {
+      console.log(`⚠️ ${message} (line ${line})`);
+      unresolved.push(`${message} at line ${line}`);
+    } else {
+      console.log(`✓ ${edit.description} (line ${line})`);
+      emitEvent(options, { type: 'fix-applied', stage: 'p5-names', message: edit.description });
+    }
+    return { message, lineNumber: line, replacement: edit.replacement };
+  });
+  
+  const applied = edits.filter(edit => !edit.possible);
+  return { fixedHtml: applyP5NameEdits(html, applied), fixCount: applied.length, errors, unresolved };
+}
+
+/**
+ * Diagnose misspelled p5 names
+ * @param {string} html - The HTML content to check
+ * @returns {Array} - Array of issues
+ */
+function diagnoseP5Names(html) {
+  const { catalog, edits, unknownSources } = findPageP5Misspellings(html);
+  const scripts = extractScripts(html);
   
-  return { fixedHtml: result, totalFixes };
+  return edits.map(edit => createIssue('p5-names', edit.possible ? 'warning' : 'error',
+    describeP5Misspelling(edit, catalog, unknownSources),
+    getLocation(html, scripts[edit.scriptIndex].contentIndex + edit.start)));
 }
 
 /**
@@ -441,94 +721,124 @@ function calculateStringSimilarity(str1, str2) {
 }
 
 
-// Add this new function after the existing helper functions (around line 350)
-async function fixShaderMaterialErrors(html) {
+/**
+ * Load an HTML document in a headless browser and capture everything it reports.
+ * This is the only place the pipeline drives a browser, so recording and replaying
+ * it (see useCassette) covers every browser-based detector. Every detector reads the
+ * same signals, and the browser session reuses them until the document changes, so
+ * each version of the document is loaded once.
+ * @param {string} html - HTML content to load
+ * @param {Object} [options] - Options passed through the pipeline
+ * @returns {Promise<Object>} - Page errors, console messages and failed requests, in the order they happened,
+ *   and introspections of the objects behind "is not a function" errors
+ */
+async function capturePageSignals(html, options = {}) {
+  // Shaders compile asynchronously and need longer to report errors
+  const settleMs = /ShaderMaterial/.test(html) ? 3000 : 2000;
+  const { baseDirectory = null } = options;
+  // The same document loads its relative assets differently from another directory
+  return useCassette(options, 'page', { html, settleMs, baseDirectory }, () => getBrowserSession(options).capture(html, settleMs, { baseDirectory }));
+}
+
+/**
+ * Get the browser session for a run. `options.browserSession` overrides the process-wide one.
+ * @param {Object} options - Options passed through the pipeline
+ * @returns {Object} - Browser session (see lib/browser-session.js)
+ */
+function getBrowserSession(options) {
+  return (options && options.browserSession) || getSharedBrowserSession();
+}
+
+/**
+ * Detect THREE.ShaderMaterial compilation errors using a headless browser
+ * @param {string} html - HTML content to check
+ * @param {Object} [options] - Options passed through the pipeline
+ * @returns {Promise<Array>} - Array of shader error messages
+ */
+async function detectShaderErrors(html, options = {}) {
+    try {
+        // Shader compile errors show up as console messages or page errors
+        const { pageErrors, consoleMessages } = await capturePageSignals(html, options);
+        
+        // Console messages containing SHADER_INFO, and page errors that might contain shader info
+        return [
+            ...consoleMessages
+                .filter(msg => msg.text.includes('SHADER_INFO') || msg.text.includes('THREE.WebGLProgram: Shader Error'))
+                .map(msg => msg.text),
+            ...pageErrors
+                .filter(error => error.message.includes('SHADER_INFO') || error.message.includes('Shader Error'))
+                .map(error => error.message)
+        ];
+    } catch (error) {
+        console.error('Error during shader error detection:', error);
+        return [];
+    }
+}
+
+async function fixShaderMaterialErrors(html, options = {}) {
     console.log('Checking for THREE.ShaderMaterial shader compilation errors...');
     
-    // Create a temporary file to test
-    const tempFile = path.join(process.cwd(), '_temp_shader_check.html');
-    fs.writeFileSync(tempFile, html, 'utf8');
+    const shaderErrors = await detectShaderErrors(html, options);
     
-    try {
-        // Launch browser
-        const browser = await puppeteer.launch({
-            args: ['--no-sandbox', '--disable-setuid-sandbox']
-        });
-        const page = await browser.newPage();
-        
-        // Track shader errors
-        const shaderErrors = [];
-        
-        // Listen for console messages containing SHADER_INFO
-        page.on('console', (msg) => {
-            const text = msg.text();
-            if (text.includes('SHADER_INFO') || text.includes('THREE.WebGLProgram: Shader Error')) {
-                shaderErrors.push(text);
-            }
-        });
-        
-        // Also listen for page errors that might contain shader info
-        page.on('pageerror', (error) => {
-            if (error.message.includes('SHADER_INFO') || error.message.includes('Shader Error')) {
-                shaderErrors.push(error.message);
-            }
-        });
-        
-        // Load the page
-        await page.goto(`file://${path.resolve(tempFile)}`, {
-            waitUntil: 'networkidle0',
-            timeout: 30000
-        });
-        
-        // Wait for shaders to compile
-        await new Promise(resolve => setTimeout(resolve, 3000));
-        
-        await browser.close();
-        
-        // If no shader errors, return original
-        if (shaderErrors.length === 0) {
-            console.log('No THREE.ShaderMaterial compilation errors detected.');
-            return { fixedHtml: html, fixCount: 0 };
-        }
-        
-        console.log(`Found ${shaderErrors.length} shader compilation errors.`);
+    // If no shader errors, return original
+    if (shaderErrors.length === 0) {
+        console.log('No THREE.ShaderMaterial compilation errors detected.');
+        return { fixedHtml: html, fixCount: 0, errors: [] };
+    }
+    
+    console.log(`Found ${shaderErrors.length} shader compilation errors.`);
+    shaderErrors.forEach(message => emitEvent(options, { type: 'issue-detected', stage: 'shader-material', message }));
+    
+    // GLSL errors have no safe mechanical fix, so offline they are only reported
+    if (options.offline) {
+        console.log('⚠️ Offline mode: shader compilation errors need AI to fix');
+        return { fixedHtml: html, fixCount: 0, errors: shaderErrors, unresolved: shaderErrors };
+    }
+    
+    // Extract ShaderMaterial blocks from HTML
+    const shaderMaterialRegex = /new THREE\.ShaderMaterial\(\{[\s\S]*?\}\);?/g;
+    let match;
+    const edits = new EditSet(html);
+    let fixCount = 0;
+    let errorCount = shaderErrors.length;
+    const rollbacks = [];
+    
+    while ((match = shaderMaterialRegex.exec(html)) !== null) {
+        const shaderBlock = match[0];
+        console.log('Found ShaderMaterial block, asking AI to fix shader syntax...');
         
-        // Extract ShaderMaterial blocks from HTML
-        const shaderMaterialRegex = /new THREE\.ShaderMaterial\(\{[\s\S]*?\}\);?/g;
-        let match;
-        let fixedHtml = html;
-        let fixCount = 0;
+        // Get AI fix for the entire ShaderMaterial
+        const fixedShader = await getShaderMaterialFix(shaderBlock, shaderErrors[0], options);
         
-        while ((match = shaderMaterialRegex.exec(html)) !== null) {
-            const shaderBlock = match[0];
-            console.log('Found ShaderMaterial block, asking AI to fix shader syntax...');
-            
-            // Get AI fix for the entire ShaderMaterial
-            const fixedShader = await getShaderMaterialFix(shaderBlock, shaderErrors[0]);
+        if (fixedShader && fixedShader !== shaderBlock) {
+            const edit = replaceText(match.index, match.index + shaderBlock.length, fixedShader);
+            const { rollback, errorsAfter } = await verifyFix(options, {
+                stage: 'shader-material',
+                description: 'AI ShaderMaterial fix',
+                before: edits.apply(),
+                after: edits.preview([edit]),
+                countErrors: async (candidate) => (await detectShaderErrors(candidate, options)).length,
+                errorsBefore: errorCount
+            });
             
-            if (fixedShader && fixedShader !== shaderBlock) {
-                fixedHtml = fixedHtml.replace(shaderBlock, fixedShader);
-                fixCount++;
-                console.log('✓ Fixed ShaderMaterial syntax errors');
+            if (rollback) {
+                rollbacks.push(rollback);
+                continue;
             }
-        }
-        
-        return { fixedHtml, fixCount };
-    } catch (error) {
-        console.error('Error during shader error detection:', error);
-        return { fixedHtml: html, fixCount: 0 };
-    } finally {
-        // Clean up temp file
-        try {
-            fs.unlinkSync(tempFile);
-        } catch (e) {
-            // Ignore cleanup errors
+            
+            edits.add(edit);
+            errorCount = errorsAfter;
+            fixCount++;
+            console.log('✓ Fixed ShaderMaterial syntax errors');
+            emitEvent(options, { type: 'fix-applied', stage: 'shader-material', message: 'Fixed ShaderMaterial syntax errors' });
         }
     }
+    
+    return { fixedHtml: edits.apply(), fixCount, errors: shaderErrors, rollbacks };
 }
 
 // Add this helper function
-async function getShaderMaterialFix(shaderBlock, errorMessage) {
+async function getShaderMaterialFix(shaderBlock, errorMessage, options = {}) {
     const prompt = `Fix the syntax errors in this THREE.ShaderMaterial block. The browser reports this shader compilation error:
 
 ${errorMessage}
@@ -542,28 +852,14 @@ ${shaderBlock}
 IMPORTANT: Return ONLY the complete, corrected ShaderMaterial block with all syntax errors fixed. Do not add explanations or additional code.`;
 
     try {
-        const response = await axios.post(DEEPSEEK_API_URL, {
-            model: 'deepseek-chat',
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are an expert in THREE.js and GLSL shader programming. Fix shader syntax errors and return only the corrected code block.'
-                },
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
-            max_tokens: 2048,
-            temperature: 0.1
-        }, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${DEEPSEEK_API_KEY}`
-            }
-        });
-
-        const aiResponse = response.data.choices[0].message.content.trim();
+        // Ask the configured LLM provider
+        const aiResponse = (await requestCompletion(options, {
+            stage: 'shader-material',
+            purpose: 'Fix ShaderMaterial syntax',
+            system: 'You are an expert in THREE.js and GLSL shader programming. Fix shader syntax errors and return only the corrected code block.',
+            prompt,
+            maxTokens: 2048
+        })).trim();
         
         // Extract the ShaderMaterial block from the response
         const codeMatch = aiResponse.match(/```(?:javascript)?\s*([\s\S]*?)\s*```/);
@@ -586,184 +882,316 @@ function containsShaderMaterial(html) {
 
 
 /**
- * Detect and fix incorrect CDN imports based on actual browser errors
- * @param {string} html - The HTML content to check
- * @returns {Object} - Object containing fixed HTML and fix count
+ * Tags that load a script or a style sheet: <script src> and <link rel="stylesheet" href>
+ * @param {string} html - The HTML content
+ * @returns {Array} - Tags with kind ('script' or 'stylesheet'), fullTag, src (the URL loaded,
+ *   a link's href), url (src resolved against the document, null when invalid), crossOrigin
+ *   (whether it loads from another origin than the document), index and end
  */
-async function fixCdnImports(html) {
-  console.log('Checking for CDN resource errors...');
-  
-  // Create a temporary file to test
-  const tempFile = path.join(process.cwd(), '_temp_cdn_check.html');
-  fs.writeFileSync(tempFile, html, 'utf8');
+function extractResourceTags(html) {
+  const scripts = extractElements(html, 'script')
+    .filter(script => getAttribute(script, 'src'))
+    .map(script => ({ kind: 'script', src: getAttribute(script, 'src'), element: script }));
+  const stylesheets = extractElements(html, 'link')
+    .filter(link => (getAttribute(link, 'rel') || '').toLowerCase().split(/\s+/).includes('stylesheet') && getAttribute(link, 'href'))
+    .map(link => ({ kind: 'stylesheet', src: getAttribute(link, 'href'), element: link }));
   
-  try {
-    // Launch browser
-    const browser = await puppeteer.launch({
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
+  return [...scripts, ...stylesheets]
+    .sort((a, b) => a.element.index - b.element.index)
+    .map(({ kind, src, element }) => {
+      const url = resolveUrl(src);
+      const crossOrigin = url !== null && new URL(url).origin !== VIRTUAL_ORIGIN;
+      return { kind, fullTag: element.fullMatch, src, url, crossOrigin, index: element.index, end: element.end };
     });
-    const page = await browser.newPage();
-    
+}
+
+/**
+ * Resolve a URL against the document the way the browser does
+ * @param {string} src - URL as written in the document
+ * @returns {string|null} - Absolute URL, or null when it is not a valid URL
+ */
+function resolveUrl(src) {
+  try {
+    return new URL(src.trim(), DOCUMENT_URL).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Detect script and style sheet resources that fail to load and match them to their tags
+ * @param {string} html - The HTML content to check
+ * @param {Object} [options] - Options passed through the pipeline
+ * @returns {Promise<Object>} - Failed resources and the tags responsible for them (see extractResourceTags),
+ *   and missingAssets: relative assets that could not be read, as { url, path, error }
+ */
+async function detectCdnErrors(html, options = {}) {
+  try {
+    // Resources that failed to load while the page was open
+    const { failedRequests } = await capturePageSignals(html, options);
+    
     // Track failed resources and their URLs
     const failedResources = [];
+    const missingAssets = [];
+    const tags = extractResourceTags(html);
     
-    // Listen specifically for resource loading failures
-    page.on('requestfailed', request => {
-      const url = request.url();
-      const failure = request.failure();
+    for (const { url, errorText } of failedRequests) {
+      // Relative URLs resolve against the virtual origin and are read from the base directory,
+      // so no CDN is involved and no tag rewrite can fix them
+      const requestUrl = new URL(url);
+      if (requestUrl.origin === VIRTUAL_ORIGIN) {
+        console.log(`Local asset failed to load: ${requestUrl.pathname} - ${errorText}`);
+        missingAssets.push({ url, path: requestUrl.pathname, error: errorText });
+        continue;
+      }
       
-      // Only consider script/CSS resource failures, not images or other assets
-      if ((url.includes('.js') || url.includes('/js/') || url.includes('script')) && 
-          failure && failure.errorText) {
-        console.log(`Resource failed to load: ${url} - ${failure.errorText}`);
+      // Only scripts and style sheets from other origins: a tag loaded them, or the path says
+      // what they are (e.g. a script importing another). Images and other assets are ignored.
+      const fromTag = tags.some(tag => tag.crossOrigin && tag.url === url);
+      if (errorText && (fromTag || /\.(m?js|css)$/i.test(requestUrl.pathname))) {
+        console.log(`Resource failed to load: ${url} - ${errorText}`);
         failedResources.push({
           url: url,
-          error: failure.errorText
+          error: errorText
         });
       }
-    });
-    
-    // Load the page and wait for resources to be attempted
-    await page.goto(`file://${path.resolve(tempFile)}`, {
-      waitUntil: 'networkidle0',
-      timeout: 30000
-    });
-    
-    await browser.close();
-    
-    // If no resource failures, we're done
-    if (failedResources.length === 0) {
-      console.log('No CDN resource loading errors detected.');
-      return { fixedHtml: html, fixCount: 0 };
     }
     
-    console.log(`Found ${failedResources.length} failed CDN resources that need fixing.`);
-    
-    // Extract script tags with external sources
-    const scripts = [];
-    const scriptRegex = /<script[^>]*src=["']([^"']+)["'][^>]*><\/script>/gi;
-    let match;
-    
-    while ((match = scriptRegex.exec(html)) !== null) {
-      scripts.push({
-        fullTag: match[0],
-        src: match[1],
-        index: match.index
-      });
-    }
-    
-    // Identify scripts that match failed resources
-    const problemScripts = [];
+    // Identify tags that match failed resources
+    const problemTags = [];
     
     failedResources.forEach(resource => {
       const resourceUrl = resource.url;
+      const fileName = new URL(resourceUrl).pathname.split('/').pop();
       
-      // Find matching script - either exact match or close enough
-      const matchingScript = scripts.find(script => {
-        return resourceUrl.includes(script.src) || 
-               script.src.includes(resourceUrl) ||
-               // Handle relative vs absolute URLs
-               (resourceUrl.includes('/') && script.src.includes('/') && 
-                resourceUrl.split('/').pop() === script.src.split('/').pop());
-      });
+      // The tag loading the URL or, since a request can fail after a redirect, a cross-origin
+      // tag loading a file of the same name
+      const matchingTag = tags.find(tag => tag.crossOrigin && tag.url === resourceUrl) ||
+        tags.find(tag => tag.crossOrigin && fileName && new URL(tag.url).pathname.split('/').pop() === fileName);
       
-      if (matchingScript) {
-        problemScripts.push({
-          script: matchingScript,
+      if (matchingTag) {
+        problemTags.push({
+          tag: matchingTag,
+          url: resourceUrl,
           error: resource.error
         });
       }
     });
     
-    if (problemScripts.length === 0) {
-      console.log('Could not match failed resources to script tags.');
-      return { fixedHtml: html, fixCount: 0 };
+    return { failedResources, problemTags, missingAssets };
+  } catch (error) {
+    console.error('Error during browser testing:', error);
+    return { failedResources: [], problemTags: [], missingAssets: [] };
+  }
+}
+
+/**
+ * Describe a relative asset that could not be read
+ * @param {Object} asset - Missing asset (see detectCdnErrors)
+ * @param {Object} [options] - Options passed through the pipeline
+ * @returns {string} - Message for the report
+ */
+function describeMissingAsset(asset, options = {}) {
+  const source = options.baseDirectory ? ` in ${options.baseDirectory}` : ' (no base directory to read local assets from)';
+  return `Local asset ${asset.path.replace(/^\//, '')} not found${source}`;
+}
+
+// Canonical CDN URLs for libraries commonly used with P5.js, keyed by package and file name
+const KNOWN_CDN_LIBRARIES = {
+  'p5': 'https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/p5.min.js',
+  'p5.sound': 'https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/addons/p5.sound.min.js',
+  'three': 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js',
+  'three.js': 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js',
+  'tone': 'https://cdn.jsdelivr.net/npm/tone@14.7.77/build/Tone.js',
+  'ml5': 'https://unpkg.com/ml5@0.12.2/dist/ml5.min.js',
+  'matter': 'https://cdn.jsdelivr.net/npm/matter-js@0.19.0/build/matter.min.js',
+  'matter-js': 'https://cdn.jsdelivr.net/npm/matter-js@0.19.0/build/matter.min.js',
+  'd3': 'https://cdn.jsdelivr.net/npm/d3@7.8.5/dist/d3.min.js',
+  'gsap': 'https://cdn.jsdelivr.net/npm/gsap@3.12.5/dist/gsap.min.js'
+};
+
+// Canonical CDN URLs for style sheets commonly linked from sketches, keyed the same way
+const KNOWN_CDN_STYLESHEETS = {
+  'bootstrap': 'https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.min.css',
+  'normalize': 'https://cdn.jsdelivr.net/npm/normalize.css@8.0.1/normalize.min.css',
+  'normalize.css': 'https://cdn.jsdelivr.net/npm/normalize.css@8.0.1/normalize.min.css',
+  'animate': 'https://cdn.jsdelivr.net/npm/animate.css@4.1.1/animate.min.css',
+  'animate.css': 'https://cdn.jsdelivr.net/npm/animate.css@4.1.1/animate.min.css',
+  'font-awesome': 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/css/all.min.css',
+  'bulma': 'https://cdn.jsdelivr.net/npm/bulma@1.0.2/css/bulma.min.css',
+  'pico': 'https://cdn.jsdelivr.net/npm/@picocss/pico@2.0.6/css/pico.min.css',
+  'water': 'https://cdn.jsdelivr.net/npm/water.css@2/out/water.min.css'
+};
+
+/**
+ * Rule-based CDN fix for offline mode: recognise the library a broken script or style sheet
+ * tag was trying to load, allowing for small typos, and point it at the library's canonical URL
+ * @param {Object} tag - Tag info with kind, fullTag and src (see extractResourceTags)
+ * @returns {string|null} - Corrected tag, or null if the library is not recognised
+ */
+function getKnownCdnTag(tag) {
+  const known = tag.kind === 'stylesheet' ? KNOWN_CDN_STYLESHEETS : KNOWN_CDN_LIBRARIES;
+  // Candidate names: the file name, then the package (".../npm/p5@1.9.0/...", "unpkg.com/p5@1.9.0/...")
+  const packageMatch = tag.src.match(/(?:\/npm\/|unpkg\.com\/|\/libs\/)([^@/]+)/);
+  const fileName = tag.src.split('/').pop().split('?')[0].replace(/(\.min)?\.(js|css)$/i, '');
+  const candidates = [fileName, packageMatch && packageMatch[1]].filter(Boolean).map(name => name.toLowerCase());
+  
+  let best = null;
+  for (const candidate of candidates) {
+    for (const name of Object.keys(known)) {
+      const distance = typoDistance(candidate, name);
+      const allowed = name.length <= 3 ? 1 : 2;
+      if (distance <= allowed && (!best || distance < best.distance)) {
+        best = { name, distance };
+      }
+    }
+    // The file name is more specific than the package (p5.sound.min.js ships in the p5 package)
+    if (best) break;
+  }
+  
+  if (!best) return null;
+  return tag.fullTag.replace(tag.src, () => known[best.name]);
+}
+
+/**
+ * Detect and fix incorrect CDN imports of scripts and style sheets based on actual browser errors
+ * @param {string} html - The HTML content to check
+ * @returns {Object} - Object containing fixed HTML and fix count
+ */
+async function fixCdnImports(html, options = {}) {
+  console.log('Checking for CDN resource errors...');
+  
+  const { failedResources, problemTags, missingAssets } = await detectCdnErrors(html, options);
+  
+  // Missing local files are reported, never rewritten into CDN URLs
+  const missing = missingAssets.map(asset => describeMissingAsset(asset, options));
+  missing.forEach(message => {
+    console.log(`⚠️ ${message}`);
+    emitEvent(options, { type: 'issue-detected', stage: 'cdn-imports', message });
+  });
+  
+  // If no resource failures, we're done
+  if (failedResources.length === 0) {
+    console.log('No CDN resource loading errors detected.');
+    return { fixedHtml: html, fixCount: 0, errors: missingAssets, unresolved: missing };
+  }
+  
+  console.log(`Found ${failedResources.length} failed CDN resources that need fixing.`);
+  failedResources.forEach(resource => emitEvent(options, {
+    type: 'issue-detected',
+    stage: 'cdn-imports',
+    message: `Failed to load ${resource.url}: ${resource.error}`
+  }));
+  
+  if (problemTags.length === 0) {
+    console.log('Could not match failed resources to script or link tags.');
+    return {
+      fixedHtml: html,
+      fixCount: 0,
+      errors: [...missingAssets, ...failedResources],
+      unresolved: [...missing, ...failedResources.map(resource => `Failed to load ${resource.url}: ${resource.error}`)]
+    };
+  }
+  
+  console.log(`Found ${problemTags.length} problematic script or link tags to fix.`);
+  
+  // Fix each problematic tag using AI
+  const edits = new EditSet(html);
+  let fixCount = 0;
+  let failureCount = failedResources.length;
+  const unresolved = [...missing];
+  const rollbacks = [];
+  
+  // A tag can match several failed requests
+  const problems = problemTags
+    .filter((problem, i) => problemTags.findIndex(other => other.tag === problem.tag) === i);
+  const tagKind = tag => (tag.kind === 'stylesheet' ? 'stylesheet link' : 'script tag');
+  const describeTag = tag => `${tagKind(tag)} ${tag.src}`;
+  const replaceTag = (tag, text) => replaceText(tag.index, tag.end, text, { description: `fix for ${describeTag(tag)}` });
+  
+  for (const problem of problems) {
+    const { tag } = problem;
+    if (options.offline) {
+      const fixedTag = getKnownCdnTag(tag);
+      if (fixedTag && fixedTag !== tag.fullTag) {
+        edits.add(replaceTag(tag, fixedTag));
+        fixCount++;
+        console.log(`✓ Fixed ${tagKind(tag)} using known CDN URL: ${tag.src}`);
+        emitEvent(options, { type: 'fix-applied', stage: 'cdn-imports', message: `Fixed ${describeTag(tag)}` });
+      } else {
+        console.log(`⚠️ No known CDN URL for ${tag.src}`);
+        unresolved.push(`Failed to load ${problem.url}: ${problem.error}`);
+      }
+      continue;
     }
     
-    console.log(`Found ${problemScripts.length} problematic script tags to fix.`);
-    
-    // Fix each problematic script using AI
-    let fixedHtml = html;
-    let fixCount = 0;
+    console.log(`Asking AI for fix to ${tag.kind === 'stylesheet' ? 'stylesheet' : 'script'}: ${tag.src}`);
     
-    for (const problem of problemScripts) {
-      console.log(`Asking DeepSeek AI for fix to script: ${problem.script.src}`);
-      
-      const prompt = `I need to fix this script tag that's failing to load:
+    const element = tag.kind === 'stylesheet' ? 'link' : 'script';
+    const prompt = `I need to fix this ${element} tag that's failing to load:
 
-\`${problem.script.fullTag}\`
+\`${tag.fullTag}\`
 
 The error is: "${problem.error}"
 
-Please provide a working replacement for this script tag. The most common issues are:
+Please provide a working replacement for this ${element} tag. The most common issues are:
 1. Typo in the URL 
 2. Using incorrect CDN domain
 3. Incorrect package name (e.g., "p@1.8.0" instead of "p5@1.8.0")
 4. Missing or invalid version number
 5. Malformed URL syntax
 
-Give me ONLY the full corrected script tag with no explanation.`;
-
-      try {
-        // Call DeepSeek API
-        const response = await axios.post('https://quiddit.ai/api/deepseek/chat/completions', {
-          model: 'deepseek-chat',
-          messages: [
-            {
-              role: 'system',
-              content: 'You are an expert web developer. When given a broken script tag and error, provide only the corrected script tag with no additional explanation.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          max_tokens: 256,
-          temperature: 0.1
-        }, {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${DEEPSEEK_API_KEY}`
-          }
-        });
+Give me ONLY the full corrected ${element} tag with no explanation.`;
 
-        // Get the AI's suggested fix
-        const aiResponse = response.data.choices[0].message.content.trim();
-        
-        // Extract just the script tag from the response
-        const scriptTagMatch = aiResponse.match(/<script[^>]*>[^<]*<\/script>/);
+    try {
+      // Ask the configured LLM provider
+      const aiResponse = (await requestCompletion(options, {
+        stage: 'cdn-imports',
+        purpose: `Fix ${describeTag(tag)}`,
+        system: `You are an expert web developer. When given a broken ${element} tag and error, provide only the corrected ${element} tag with no additional explanation.`,
+        prompt,
+        maxTokens: 256
+      })).trim();
+      
+      // Extract just the tag from the response
+      const tagMatch = aiResponse.match(tag.kind === 'stylesheet' ? /<link[^>]*>/ : /<script[^>]*>[^<]*<\/script>/);
+      
+      if (tagMatch) {
+        const fixedTag = tagMatch[0];
         
-        if (scriptTagMatch) {
-          const fixedScriptTag = scriptTagMatch[0];
-          
-          // Only apply the fix if it's actually different
-          if (fixedScriptTag !== problem.script.fullTag) {
-            fixedHtml = fixedHtml.replace(problem.script.fullTag, fixedScriptTag);
-            fixCount++;
-            console.log(`✓ Fixed script tag: ${problem.script.src} → ${fixedScriptTag.match(/src=["']([^"']+)["']/)[1]}`);
-          } else {
-            console.log(`AI returned the same script tag, no changes needed.`);
+        // Only apply the fix if it's actually different
+        if (fixedTag !== tag.fullTag) {
+          const { rollback, errorsAfter } = await verifyFix(options, {
+            stage: 'cdn-imports',
+            description: `AI fix for ${describeTag(tag)}`,
+            before: edits.apply(),
+            after: edits.preview([replaceTag(tag, fixedTag)]),
+            countErrors: async (candidate) => (await detectCdnErrors(candidate, options)).failedResources.length,
+            errorsBefore: failureCount
+          });
+          if (rollback) {
+            rollbacks.push(rollback);
+            continue;
           }
+          
+          edits.add(replaceTag(tag, fixedTag));
+          failureCount = errorsAfter;
+          fixCount++;
+          const fixedUrl = fixedTag.match(tag.kind === 'stylesheet' ? /href=["']([^"']+)["']/ : /src=["']([^"']+)["']/);
+          console.log(`✓ Fixed ${tagKind(tag)}: ${tag.src} → ${fixedUrl ? fixedUrl[1] : fixedTag}`);
+          emitEvent(options, { type: 'fix-applied', stage: 'cdn-imports', message: `Fixed ${describeTag(tag)}` });
         } else {
-          console.log(`Could not extract valid script tag from AI response: ${aiResponse}`);
+          console.log(`AI returned the same ${element} tag, no changes needed.`);
         }
-      } catch (error) {
-        console.error('Error getting AI fix:', error);
+      } else {
+        console.log(`Could not extract valid ${element} tag from AI response: ${aiResponse}`);
       }
-    }
-    
-    return { fixedHtml, fixCount };
-  } catch (error) {
-    console.error('Error during browser testing:', error);
-    return { fixedHtml: html, fixCount: 0 };
-  } finally {
-    // Clean up temp file
-    try {
-      fs.unlinkSync(tempFile);
-    } catch (e) {
-      // Ignore cleanup errors
+    } catch (error) {
+      console.error('Error getting AI fix:', error);
     }
   }
+  
+  return { fixedHtml: edits.apply(), fixCount, errors: [...missingAssets, ...failedResources], unresolved, rollbacks };
 }
 
 /**
@@ -788,456 +1216,449 @@ function extractUrlFromMessage(message) {
 }
 
 /**
- * Detect and fix CSS issues in style tags
+ * Check CSS content for syntax errors with a CSS parser (see lib/css-parser.js)
+ * @param {string} cssContent - The CSS content of a style tag
+ * @param {Object} [options] - { declarations: true } for the declarations of a style attribute
+ * @returns {Object} - { hasErrors, errorDetails, issues }: descriptions with the line they are
+ *   at, and the parser's errors with their exact positions and mechanical fixes
+ */
+function detectCssIssues(cssContent, { declarations = false } = {}) {
+  const { errors: issues } = declarations ? parseDeclarationList(cssContent) : parseStylesheet(cssContent);
+  return {
+    hasErrors: issues.length > 0,
+    errorDetails: issues.map(issue => `${issue.message} at line ${issue.line}`),
+    issues
+  };
+}
+
+/**
+ * Detect and fix CSS issues in style tags and style attributes. Errors with a mechanical
+ * repair are fixed where the parser found them; the AI is only asked about the lines of the
+ * others, and whatever it leaves (or everything, offline) goes to the deterministic repair of
+ * lib/css-repair.js. Style attributes, a declaration or two each, only get the latter.
  * @param {string} html - The HTML content to check
  * @returns {Object} - Object containing fixed HTML and fix count
  */
-async function fixCssStyles(html) {
-    // Find all style tags
-    const styleRegex = /<style[^>]*>([\s\S]*?)<\/style>/gi;
-    let match;
-    let fixedHtml = html;
+async function fixCssStyles(html, options = {}) {
+    // Find all style tags and attributes
+    const styles = extractStyles(html);
+    const styleAttributes = extractStyleAttributes(html);
+    const edits = new EditSet(html);
     let fixCount = 0;
-    const matches = [];
-    
-    // Collect all style tag matches
-    while ((match = styleRegex.exec(html)) !== null) {
-      matches.push({
-        fullMatch: match[0],
-        cssContent: match[1],
-        index: match.index
-      });
-    }
+    const errors = [];
+    const unresolved = [];
+    const rollbacks = [];
     
-    // If no style tags found, return original HTML
-    if (matches.length === 0) {
-      return { fixedHtml, fixCount };
+    // If there is no CSS, return original HTML
+    if (styles.length === 0 && styleAttributes.length === 0) {
+      return { fixedHtml: html, fixCount, errors, unresolved, rollbacks };
     }
     
     // Process each style tag
-    for (const match of matches) {
-      const cssContent = match.cssContent;
+    for (const style of styles) {
+      const cssContent = style.content;
       
-      // More accurate CSS validation check
-      let hasErrors = false;
-      const errorDetails = [];
+      const { hasErrors, errorDetails } = detectCssIssues(cssContent);
+      if (!hasErrors) continue;
       
-      try {
-        // Look for common CSS syntax errors, with improved accuracy
-        
-        // Check if we have property declarations without a selector
-        const hasSelectorlessProperty = /^\s*[a-zA-Z0-9_-]+\s*:/.test(cssContent);
-        if (hasSelectorlessProperty) {
-          hasErrors = true;
-          errorDetails.push("Found property declaration without selector");
-        }
-        
-        // Count opening and closing braces
-        const openBraces = (cssContent.match(/{/g) || []).length;
-        const closeBraces = (cssContent.match(/}/g) || []).length;
-        if (openBraces !== closeBraces) {
-          hasErrors = true;
-          errorDetails.push(`Unbalanced braces: ${openBraces} opening vs ${closeBraces} closing`);
-        }
-        
-        // Check for obvious missing property names (just a colon at start of line)
-        const missingPropertyName = /^\s*:\s+[^;]+;/m.test(cssContent);
-        if (missingPropertyName) {
-          hasErrors = true;
-          errorDetails.push("Found property value without property name");
-        }
-        
-        // Check for lines with only a colon between braces
-        const colonOnlyProperty = /{[^}]*?\n\s*:[^;]+;/m.test(cssContent);
-        if (colonOnlyProperty) {
-          hasErrors = true;
-          errorDetails.push("Found property with missing name");
-        }
-        
-        // Check for invalid syntax like double colons in property (not pseudo-elements)
-        const cssLines = cssContent.split('\n');
-        for (let i = 0; i < cssLines.length; i++) {
-          const line = cssLines[i].trim();
-          // Count colons in a single property line, excluding valid pseudo-element syntax (::before, ::after)
-          if (line && !line.startsWith('{') && !line.startsWith('}') && !line.startsWith('@') && !line.includes('::')) {
-            const colonCount = (line.match(/:/g) || []).length;
-            if (colonCount > 1 && !line.includes('@media') && !line.includes('@supports')) {
-              hasErrors = true;
-              errorDetails.push(`Multiple colons in property at line ${i+1}: ${line}`);
-            }
-          }
-          
-          // Check for semicolon inside a value bracket
-          if (line.includes('(') && line.includes(');') && !line.endsWith(');')) {
-            hasErrors = true;
-            errorDetails.push(`Possible misplaced semicolon in function call at line ${i+1}: ${line}`);
-          }
-        }
-        
-        // Perform a clean/valid CSS test: all property lines within a rule should have a colon and end with semicolon
-        // (except the last one, which might not have a semicolon before the closing brace)
-        let inRule = false;
-        let ruleHasErrors = false;
-        let currentRuleLines = [];
-        
-        for (let i = 0; i < cssLines.length; i++) {
-          const line = cssLines[i].trim();
-          if (!line) continue; // Skip empty lines
-          
-          if (line.includes('{')) {
-            inRule = true;
-            currentRuleLines = [];
-          } else if (line.includes('}')) {
-            // Check the collected rule for errors
-            if (ruleHasErrors) {
-              hasErrors = true;
-              errorDetails.push(`Rule ending at line ${i+1} has property syntax errors`);
-            }
-            inRule = false;
-            ruleHasErrors = false;
-            currentRuleLines = [];
-          } else if (inRule) {
-            currentRuleLines.push(line);
-            
-            // Check property format, but make sure we're not looking at a comment
-            if (!line.startsWith('/*') && !line.endsWith('*/') && !line.startsWith('//')) {
-              // Property line should have a colon
-              if (!line.includes(':')) {
-                ruleHasErrors = true;
-              }
-              
-              // Property line should end with semicolon unless it's the last line before a closing brace
-              const nextNonEmptyLine = findNextNonEmptyLine(cssLines, i);
-              if (nextNonEmptyLine && !nextNonEmptyLine.includes('}') && !line.endsWith(';')) {
-                ruleHasErrors = true;
-              }
-            }
-          }
-        }
-        
-        // Avoid false positives - specifically check if the CSS has key markers of validity
-        const hasValidSelectors = /[a-zA-Z0-9_\-#.:]+ {/.test(cssContent); // Has at least one normal selector
-        const hasValidProperties = /\s+[a-zA-Z0-9_\-]+\s*:/.test(cssContent); // Has at least one property name
-        const hasValidValues = /:[^;]+;/.test(cssContent); // Has at least one property value
-        
-        // If we've detected errors but the CSS passes these basic validity tests, don't flag it
-        if (hasErrors && hasValidSelectors && hasValidProperties && hasValidValues && errorDetails.length <= 1) {
-          // This might be a false positive, especially if we only found one mild issue
-          hasErrors = false;
-          console.log(`Ignoring potential false positive in CSS validation`);
-        }
-        
-      } catch (e) {
-        // Only consider an exception as evidence of CSS errors if it's not a regex error
-        if (!(e instanceof SyntaxError)) {
-          hasErrors = true;
-          errorDetails.push(`Exception during validation: ${e.message}`);
-        }
-      }
+      console.log(`Found CSS issues in style tag: ${errorDetails.join(', ')}`);
+      errors.push(...errorDetails);
+      errorDetails.forEach(message => emitEvent(options, { type: 'issue-detected', stage: 'css', message }));
       
-      if (hasErrors) {
-        console.log(`Found CSS issues in style tag: ${errorDetails.join(', ')}`);
-        
+      const mechanical = applyCssFixes(cssContent);
+      let fixedCss = mechanical.css;
+      reportCssRepairs(mechanical.repairs, options);
+      let remaining = detectCssIssues(fixedCss).errorDetails;
+      
+      if (remaining.length > 0 && !options.offline) {
         try {
-          // Extract the CSS content with context for the AI
-          const cssLines = cssContent.split('\n');
-          const lineNumbers = Array.from({ length: cssLines.length }, (_, i) => i + 1);
-          
-          const cssWithLineNumbers = cssLines.map((line, i) => 
-            `${lineNumbers[i].toString().padStart(3)}: ${line}`
-          ).join('\n');
-          
-          // Create prompt for DeepSeek
-          const prompt = `I have CSS code in a style tag with potential syntax issues. Please help me fix these issues.
-  
-  Here's the CSS content:
-  \`\`\`css
-  ${cssWithLineNumbers}
-  \`\`\`
-  
-  Detected issues: ${errorDetails.join(', ')}
-  
-  IMPORTANT INSTRUCTIONS:
-  1. FIX ONLY ACTUAL SYNTAX ERRORS. If the CSS is already correct, say "NO_CHANGES_NEEDED".
-  2. Fix syntax errors (missing semicolons, properties, invalid values, etc.)
-  3. Keep the same selectors and general styling intent
-  4. Provide the COMPLETE fixed CSS block
-  5. Do not add new styles or remove intentional styles
-  6. Format the CSS consistently
-  7. If a property is missing a name before the colon, use an appropriate property name based on context
-  
-  RESPOND WITH JUST THE FIXED CSS CONTENT, starting with the first selector and ending with the last closing brace. If no changes are needed, just respond with "NO_CHANGES_NEEDED".`;
-  
-          console.log(`Asking DeepSeek AI for CSS fixes...`);
-  
-          // Call DeepSeek API
-          const response = await axios.post('https://quiddit.ai/api/deepseek/chat/completions', {
-            model: 'deepseek-chat',
-            messages: [
-              {
-                role: 'system',
-                content: 'You are an expert CSS developer who specializes in fixing syntax errors in CSS code. You provide complete, fixed CSS code that maintains the original styling intent while fixing all syntax issues. You only make changes when actual errors exist.'
-              },
-              {
-                role: 'user',
-                content: prompt
-              }
-            ],
-            max_tokens: 1024,
-            temperature: 0.1
-          }, {
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${DEEPSEEK_API_KEY}`
-            }
-          });
-  
-          // Parse the AI response
-          const aiResponse = response.data.choices[0].message.content.trim();
-          
-          // If the AI says no changes needed, accept that
-          if (aiResponse === "NO_CHANGES_NEEDED") {
-            console.log(`✓ AI confirms CSS is valid, no changes needed`);
-            continue;
-          }
+          const aiFix = await getCssFixFromAI(fixedCss, detectCssIssues(fixedCss).issues, options);
           
-          // Check if the response is a valid CSS block
-          if (aiResponse && (aiResponse.includes('{') || aiResponse.includes('}'))) {
-            // Extract just the CSS content, ignoring any markdown or explanations
-            let fixedCss = aiResponse;
-            
-            // If the response has code blocks, extract the content
-            const cssBlock = aiResponse.match(/```css\s*([\s\S]*?)\s*```/);
-            if (cssBlock && cssBlock[1]) {
-              fixedCss = cssBlock[1].trim();
-            }
-            
-            // Additional cleanup - remove any non-CSS lines like "Here's the fixed CSS:"
-            fixedCss = fixedCss.replace(/^(?![\s{}.#a-zA-Z0-9@*:-]).+$\n?/gm, '').trim();
-            
-            // Compare to see if any actual changes were made
-            const normalizedOriginal = cssContent.replace(/\s+/g, ' ').trim();
-            const normalizedFixed = fixedCss.replace(/\s+/g, ' ').trim();
+          if (aiFix.fixCount > 0) {
+            const { rollback } = await verifyFix(options, {
+              stage: 'css',
+              description: `AI fix for ${aiFix.fixCount} CSS line(s)`,
+              before: edits.preview([replaceElementContent(style, fixedCss)]),
+              after: edits.preview([replaceElementContent(style, aiFix.fixed)]),
+              countErrors: async (html) => countCssIssues(html)
+            });
             
-            if (normalizedOriginal !== normalizedFixed) {
-              // Replace the style content in the HTML
-              const fixedStyleTag = match.fullMatch.replace(cssContent, '\n' + fixedCss + '\n    ');
-              fixedHtml = fixedHtml.replace(match.fullMatch, fixedStyleTag);
-              fixCount++;
-              console.log(`✓ Fixed CSS issues in style tag`);
+            if (rollback) {
+              rollbacks.push(rollback);
             } else {
-              console.log(`✓ AI confirmed CSS is valid (no changes needed)`);
+              fixedCss = aiFix.fixed;
+              console.log(`✓ Fixed CSS issues in style tag`);
             }
           } else {
-            console.log(`⚠️ AI response didn't contain valid CSS, using fallback method`);
-            
-            // Basic fallback: fix common issues
-            let fixedCss = cssContent;
-            
-            // Fix missing property name (just a colon with no property name)
-            fixedCss = fixedCss.replace(/(\s+): /g, '$1position: ');
-            
-            // Fix missing semicolons
-            fixedCss = fixedCss.replace(/([^;{}])\s*}/g, '$1;}');
-            
-            // Replace the style content in the HTML only if changes were made
-            const normalizedOriginal = cssContent.replace(/\s+/g, ' ').trim();
-            const normalizedFixed = fixedCss.replace(/\s+/g, ' ').trim();
-            
-            if (normalizedOriginal !== normalizedFixed) {
-              const fixedStyleTag = match.fullMatch.replace(cssContent, fixedCss);
-              fixedHtml = fixedHtml.replace(match.fullMatch, fixedStyleTag);
-              fixCount++;
-              console.log(`✓ Fixed CSS issues using fallback method`);
-            } else {
-              console.log(`No changes needed after analysis`);
-            }
+            console.log(`⚠️ AI response didn't contain usable CSS fixes, using rule-based repair`);
           }
         } catch (error) {
           console.error('Error getting CSS fixes from AI:', error);
-          
-          // Very basic fallback
-          let fixedCss = cssContent;
-          
-          // Fix missing property name (just a colon with no property name)
-          fixedCss = fixedCss.replace(/(\s+): /g, '$1position: ');
-          
-          // Fix missing semicolons
-          fixedCss = fixedCss.replace(/([^;{}])\s*}/g, '$1;}');
-          
-          // Replace the style content in the HTML only if changes were made
-          const normalizedOriginal = cssContent.replace(/\s+/g, ' ').trim();
-          const normalizedFixed = fixedCss.replace(/\s+/g, ' ').trim();
-          
-          if (normalizedOriginal !== normalizedFixed) {
-            const fixedStyleTag = match.fullMatch.replace(cssContent, fixedCss);
-            fixedHtml = fixedHtml.replace(match.fullMatch, fixedStyleTag);
-            fixCount++;
-            console.log(`✓ Fixed CSS issues using basic fallback method (after AI error)`);
-          }
         }
+        remaining = detectCssIssues(fixedCss).errorDetails;
+      }
+      
+      if (remaining.length > 0) {
+        ({ fixedCss, remaining } = fixCssByRules(fixedCss, options));
+      }
+      
+      unresolved.push(...remaining);
+      if (fixedCss !== cssContent) {
+        edits.add(replaceElementContent(style, fixedCss));
+        fixCount++;
+        emitEvent(options, { type: 'fix-applied', stage: 'css', message: 'Fixed CSS issues in style tag' });
+      }
+    }
+    
+    // Process each style attribute
+    for (const attribute of styleAttributes) {
+      const { hasErrors, issues } = detectCssIssues(attribute.css, { declarations: true });
+      if (!hasErrors) continue;
+      
+      // Lines of the document rather than of the value
+      const toDocumentLine = line => attribute.location.line + line - 1;
+      const describe = issue => `${issue.message} in the style attribute of <${attribute.element}> at line ${toDocumentLine(issue.line)}`;
+      const errorDetails = issues.map(describe);
+      console.log(`Found CSS issues in style attribute: ${errorDetails.join(', ')}`);
+      errors.push(...errorDetails);
+      errorDetails.forEach(message => emitEvent(options, { type: 'issue-detected', stage: 'css', message }));
+      
+      const { css: fixedCss, repairs, remaining } = repairDeclarations(attribute.css);
+      reportCssRepairs(repairs.map(repair => ({ ...repair, line: toDocumentLine(repair.line) })), options);
+      unresolved.push(...remaining.map(describe));
+      if (fixedCss !== attribute.css) {
+        edits.add(replaceStyleAttribute(attribute, fixedCss));
+        fixCount++;
+        emitEvent(options, { type: 'fix-applied', stage: 'css', message: `Fixed CSS issues in style attribute of <${attribute.element}>` });
       }
     }
     
-    return { fixedHtml, fixCount };
+    return { fixedHtml: edits.apply(), fixCount, errors, unresolved, rollbacks };
   }
   
-  // Helper function to find the next non-empty line
-  function findNextNonEmptyLine(lines, currentIndex) {
-    for (let i = currentIndex + 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (line) return line;
+  /**
+   * Ask the AI to fix the lines of CSS errors that have no mechanical repair
+   * @param {string} cssContent - The CSS content of a style tag
+   * @param {Array} issues - Errors from detectCssIssues
+   * @param {Object} [options] - Options passed through the pipeline
+   * @returns {Promise<Object>} - Fixed CSS and number of lines changed
+   */
+  async function getCssFixFromAI(cssContent, issues, options = {}) {
+    const cssLines = cssContent.split('\n');
+    const errorLines = new Set(issues.map(issue => issue.line));
+    const context = cssLines.map((line, i) =>
+      `${errorLines.has(i + 1) ? '>' : ' '} ${(i + 1).toString().padStart(3)}: ${line}`
+    ).join('\n');
+    
+    const prompt = `A CSS parser reports these errors in a style tag:
+
+${issues.map(issue => `- ${issue.message} at line ${issue.line}, column ${issue.column}`).join('\n')}
+
+Here's the CSS, with the lines of the errors marked:
+
+\`\`\`css
+${context}
+\`\`\`
+
+Fix ONLY these errors with the smallest possible change, keeping the same selectors and styling intent.
+Do not rewrite, reformat, add or remove anything else.
+Format your answer as a JSON array of fix objects like this:
+[
+  {
+    "lineNumber": ${issues[0].line},
+    "original": "the exact original line",
+    "fixed": "the corrected line",
+    "explanation": "Brief explanation of the fix"
+  }
+]`;
+    
+    console.log(`Asking AI for CSS fixes...`);
+    const aiResponse = await requestCompletion(options, {
+      stage: 'css',
+      purpose: `Fix ${issues.length} CSS error(s) in style tag`,
+      system: 'You are an expert CSS developer who specializes in fixing syntax errors in CSS code. You make the smallest change that fixes each error and maintain the original styling intent.',
+      prompt,
+      maxTokens: 1024
+    });
+    
+    const jsonMatch = aiResponse.match(/\[\s*\{[\s\S]*\}\s*\]/);
+    if (!jsonMatch) {
+      return { fixed: cssContent, fixCount: 0 };
+    }
+    
+    const edits = new EditSet(cssContent);
+    for (const fix of JSON.parse(jsonMatch[0])) {
+      const range = getLineRange(cssContent, fix.lineNumber);
+      const column = range && typeof fix.original === 'string' && typeof fix.fixed === 'string' ?
+        cssContent.slice(range.start, range.end).indexOf(fix.original) : -1;
+      if (column === -1) {
+        console.log(`⚠ Couldn't apply fix to line ${fix.lineNumber}: Original string not found`);
+      } else if (!edits.tryAdd(replaceText(range.start + column, range.start + column + fix.original.length, fix.fixed))) {
+        console.log(`⚠ Couldn't apply fix to line ${fix.lineNumber}: it overlaps an earlier fix`);
+      } else {
+        console.log(`✓ Fixed line ${fix.lineNumber}: ${fix.explanation || 'Applied AI-suggested fix'}`);
+      }
+    }
+    
+    return { fixed: edits.apply(), fixCount: edits.size };
+  }
+  
+  /**
+   * Count CSS issues across all style tags
+   * @param {string} html - The HTML content to check
+   * @returns {number} - Number of errors reported by detectCssIssues
+   */
+  function countCssIssues(html) {
+    return extractStyles(html).reduce((count, style) => count + detectCssIssues(style.content).issues.length, 0);
+  }
+  
+  /**
+   * Rule-based CSS repair (see lib/css-repair.js). Missing property names are inferred from the
+   * value where it is clear and never a layout property; declarations the browser would ignore
+   * are commented out, each with the reason logged and reported as an event. Whatever
+   * detectCssIssues still reports afterwards is unresolved.
+   * @param {string} cssContent - The CSS content of a style tag
+   * @param {Object} [options] - Options passed through the pipeline
+   * @returns {Object} - Fixed CSS and the issues that remain
+   */
+  function fixCssByRules(cssContent, options = {}) {
+    const { css: fixedCss, repairs } = repairCss(cssContent);
+    reportCssRepairs(repairs, options);
+    return { fixedCss, remaining: detectCssIssues(fixedCss).errorDetails };
+  }
+  
+  /**
+   * Log rule-based CSS repairs and report them as events
+   * @param {Array} repairs - Repairs from lib/css-repair.js
+   * @param {Object} [options] - Options passed through the pipeline
+   */
+  function reportCssRepairs(repairs, options = {}) {
+    for (const { action, message, line } of repairs) {
+      const text = action === 'fix' ? `Fixed: ${message} (line ${line})` : `${message} (line ${line})`;
+      console.log(`${action === 'drop' ? '⚠️' : '✓'} ${text}`);
+      emitEvent(options, { type: 'fix-applied', stage: 'css', message: text });
     }
-    return null;
   }
 
+/**
+ * Take the document out of a chatbot's answer: code fences, prose before and after it and
+ * whole-document entity encoding are removed (see lib/llm-output.js). Placeholders standing
+ * for code the answer left out are blocking: the pipeline stops rather than repair around them.
+ * @param {string} html - The HTML content, possibly a whole chat answer
+ * @param {Object} [options] - Repair options
+ * @returns {Object} - Fixed HTML, fix count, errors found and blocking issues
+ */
+function fixLlmOutput(html, options = {}) {
+  const { html: fixedHtml, changes } = sanitizeLlmOutput(html);
+  changes.forEach(({ issue, message }) => {
+    console.log(`✓ ${message}`);
+    emitEvent(options, { type: 'issue-detected', stage: 'llm-output', message: issue });
+    emitEvent(options, { type: 'fix-applied', stage: 'llm-output', message });
+  });
+
+  const blocking = findPlaceholders(fixedHtml).map(placeholder =>
+    `${placeholder.message} at line ${getLocation(fixedHtml, placeholder.index).line}`);
+  blocking.forEach(message => {
+    console.log(`⚠️ ${message}`);
+    emitEvent(options, { type: 'issue-detected', stage: 'llm-output', message });
+  });
+
+  return {
+    fixedHtml,
+    fixCount: changes.length,
+    errors: [...changes.map(({ issue, index }) => ({ message: issue, index })), ...blocking.map(message => ({ message }))],
+    blocking
+  };
+}
+
+/**
+ * Diagnose chat formatting around the document and code left out of it
+ * @param {string} html - The HTML content to check
+ * @returns {Array} - Array of issues
+ */
+function diagnoseLlmOutput(html) {
+  return [
+    ...sanitizeLlmOutput(html).changes.map(change =>
+      createIssue('llm-output', 'warning', change.issue, getLocation(html, change.index))),
+    ...findPlaceholders(html).map(placeholder =>
+      createIssue('llm-output', 'error', placeholder.message, getLocation(html, placeholder.index)))
+  ];
+}
+
+    // Pattern to match malformed script tags using HTML entities
+    const MALFORMED_SCRIPT_PATTERN = /&lt;\s*(?:script)?\s*src="([^"]+)"(?:\s*&gt;)?/gi;
+    // Pattern to match malformed title tags
+    const MALFORMED_TITLE_PATTERN = /&lt;\s*&gt;\s*([^<]+)(?:<\/title>)?/gi;
+    // Pattern to match other entity-encoded HTML tags
+    const ENTITY_TAG_PATTERN = /&lt;([a-zA-Z]+)([^&]*)&gt;/g;
+    // Only fix important tags to avoid messing with intentional HTML displays
+    const CRITICAL_ENTITY_TAGS = ['script', '/script', 'title', '/title', 'style', '/style', 'link', 'meta'];
 
     /**
-     * Fix malformed HTML tags that use HTML entities
+     * Detect malformed HTML tags that use HTML entities
      * @param {string} html - The HTML content to check
-     * @returns {Object} - Object containing fixed HTML and fix count
+     * @returns {Array} - Array of { message, index } objects
      */
-    function fixMalformedHtmlTags(html) {
-        let fixedHtml = html;
-        let fixCount = 0;
-        
-        // Pattern to match malformed script tags using HTML entities
-        const malformedScriptPattern = /&lt;\s*(?:script)?\s*src="([^"]+)"(?:\s*&gt;)?/gi;
-        
-        // Find all malformed script tags
+    function detectMalformedHtmlTags(html) {
+        const issues = [];
         let match;
-        while ((match = malformedScriptPattern.exec(html)) !== null) {
-        const fullMatch = match[0];
-        const srcUrl = match[1];
         
-        // Create proper script tag
-        const correctTag = `<script src="${srcUrl}"></script>`;
-        
-        // Replace in the HTML
-        fixedHtml = fixedHtml.replace(fullMatch, correctTag);
-        fixCount++;
-        
-        console.log(`✓ Fixed malformed script tag: ${srcUrl}`);
+        const malformedScriptPattern = new RegExp(MALFORMED_SCRIPT_PATTERN);
+        while ((match = malformedScriptPattern.exec(html)) !== null) {
+        issues.push({ message: `Malformed script tag: ${match[0]}`, index: match.index });
         }
         
-        // Look for malformed title tags
-        const malformedTitlePattern = /&lt;\s*&gt;\s*([^<]+)(?:<\/title>)?/gi;
+        const malformedTitlePattern = new RegExp(MALFORMED_TITLE_PATTERN);
         while ((match = malformedTitlePattern.exec(html)) !== null) {
-        const fullMatch = match[0];
-        const titleContent = match[1];
+        issues.push({ message: `Malformed title tag: ${match[0]}`, index: match.index });
+        }
         
-        // Create proper title tag
-        const correctTag = `<title>${titleContent}</title>`;
+        const entityTagPattern = new RegExp(ENTITY_TAG_PATTERN);
+        while ((match = entityTagPattern.exec(html)) !== null) {
+        // Skip tags already reported as malformed script or title tags
+        if (CRITICAL_ENTITY_TAGS.includes(match[1]) && !issues.some(issue => issue.index === match.index)) {
+            issues.push({ message: `Malformed ${match[1]} tag: ${match[0]}`, index: match.index });
+        }
+        }
         
-        // Replace in the HTML
-        fixedHtml = fixedHtml.replace(fullMatch, correctTag);
-        fixCount++;
+        return issues;
+    }
+
+    /**
+     * Fix malformed HTML tags that use HTML entities
+     * @param {string} html - The HTML content to check
+     * @returns {Object} - Object containing fixed HTML and fix count
+     */
+    function fixMalformedHtmlTags(html, options = {}) {
+        const edits = new EditSet(html);
+        const errors = detectMalformedHtmlTags(html);
+        errors.forEach(error => emitEvent(options, { type: 'issue-detected', stage: 'malformed-tags', message: error.message }));
         
-        console.log(`✓ Fixed malformed title tag: "${titleContent}"`);
+        // Replace exactly the range of each match. A tag that two patterns match is fixed by the first.
+        const fixMatch = (match, correctTag, message) => {
+        if (!edits.tryAdd(replaceText(match.index, match.index + match[0].length, correctTag, { description: message }))) {
+            return;
         }
+        console.log(`✓ ${message}`);
+        emitEvent(options, { type: 'fix-applied', stage: 'malformed-tags', message });
+        };
         
-        // Look for other entity-encoded HTML tags
-        const entityTagPattern = /&lt;([a-zA-Z]+)([^&]*)&gt;/g;
-        let entityMatch;
+        // Find all malformed script tags
+        for (const match of html.matchAll(MALFORMED_SCRIPT_PATTERN)) {
+        fixMatch(match, `<script src="${match[1]}"></script>`, `Fixed malformed script tag: ${match[1]}`);
+        }
         
-        while ((entityMatch = entityTagPattern.exec(html)) !== null) {
-        const fullMatch = entityMatch[0];
-        const tagName = entityMatch[1];
-        const attributes = entityMatch[2];
+        // Look for malformed title tags
+        for (const match of html.matchAll(MALFORMED_TITLE_PATTERN)) {
+        fixMatch(match, `<title>${match[1]}</title>`, `Fixed malformed title tag: "${match[1]}"`);
+        }
         
-        // Only fix important tags to avoid messing with intentional HTML displays
-        const criticalTags = ['script', '/script', 'title', '/title', 'style', '/style', 'link', 'meta'];
-        if (criticalTags.includes(tagName)) {
-            const correctTag = `<${tagName}${attributes}>`;
-            fixedHtml = fixedHtml.replace(fullMatch, correctTag);
-            fixCount++;
-            console.log(`✓ Fixed malformed ${tagName} tag`);
+        // Look for other entity-encoded HTML tags
+        for (const match of html.matchAll(ENTITY_TAG_PATTERN)) {
+        const tagName = match[1];
+        if (CRITICAL_ENTITY_TAGS.includes(tagName)) {
+            fixMatch(match, `<${tagName}${match[2]}>`, `Fixed malformed ${tagName} tag`);
         }
         }
         
-        return { fixedHtml, fixCount };
+        return { fixedHtml: edits.apply(), fixCount: edits.size, errors };
     }
 
+// CSS immediately after a script, title, meta or head tag
+const UNWRAPPED_CSS_PATTERNS = [
+    /<\/script>\s*(\s*body\s*\{[^<]+?\}.*?(?=\s*(?:<\/?\w+|$)))/s,
+    /<\/title>\s*(\s*body\s*\{[^<]+?\}.*?(?=\s*(?:<\/?\w+|$)))/s,
+    /<meta[^>]*>\s*(\s*body\s*\{[^<]+?\}.*?(?=\s*(?:<\/?\w+|$)))/s,
+    /<head>\s*(\s*body\s*\{[^<]+?\}.*?(?=\s*(?:<\/?\w+|$)))/s
+];
+
+// Blocks that start with common CSS selectors and contain typical CSS patterns
+const STANDALONE_CSS_PATTERN = /(?:^|\n|\r)(\s*(?:body|html|#[\w-]+|\.[\w-]+)[^{<>]*\{[^}]+\}(?:\s*[\w.#*:][^{<>]*\{[^}]+\})*)/;
+
+/**
+ * Detect CSS content not wrapped in style tags
+ * @param {string} html - The HTML content to check
+ * @returns {Array} - Array of { message, index } objects
+ */
+function detectMissingStyleTags(html) {
+    const issues = [];
+    
+    for (const pattern of UNWRAPPED_CSS_PATTERNS) {
+        for (const match of html.matchAll(new RegExp(pattern.source, `${pattern.flags}g`))) {
+            if (isLikelyCss(match[1])) {
+                issues.push({ message: 'CSS content not wrapped in style tags', index: match.index });
+            }
+        }
+    }
+    
+    if (issues.length === 0 && extractStyles(html).length === 0) {
+        const match = STANDALONE_CSS_PATTERN.exec(html);
+        if (match && isLikelyCss(match[1])) {
+            issues.push({ message: 'Standalone CSS content not wrapped in style tags', index: match.index });
+        }
+    }
+    
+    return issues;
+}
+
 /**
  * Fix CSS content not wrapped in style tags
  * @param {string} html - The HTML content to check
  * @returns {Object} - Object containing fixed HTML and fix count
  */
-function fixMissingStyleTags(html) {
-    let fixedHtml = html;
-    let fixCount = 0;
+function fixMissingStyleTags(html, options = {}) {
+    const edits = new EditSet(html);
+    const errors = [];
     
-    // First, check for the most common pattern - CSS immediately after a script, title, or meta tag
-    const commonPatterns = [
-        /<\/script>\s*(\s*body\s*\{[^<]+?\}.*?(?=<\w+|$))/s,
-        /<\/title>\s*(\s*body\s*\{[^<]+?\}.*?(?=<\w+|$))/s,
-        /<meta[^>]*>\s*(\s*body\s*\{[^<]+?\}.*?(?=<\w+|$))/s,
-        /<head>\s*(\s*body\s*\{[^<]+?\}.*?(?=<\w+|$))/s
-    ];
+    // The CSS a pattern captured: its group is the end of the match
+    const cssRange = match => ({ start: match.index + match[0].length - match[1].length, end: match.index + match[0].length });
     
-    for (const pattern of commonPatterns) {
-        const match = pattern.exec(html);
-        if (match) {
-            const potentialCss = match[1];
+    // First, check for the most common pattern - CSS immediately after a script, title, or meta tag.
+    // Every occurrence is wrapped where it is; patterns overlapping an earlier wrap are skipped.
+    for (const pattern of UNWRAPPED_CSS_PATTERNS) {
+        for (const match of html.matchAll(new RegExp(pattern.source, `${pattern.flags}g`))) {
+            if (!isLikelyCss(match[1])) continue;
+            const { start, end } = cssRange(match);
+            if (!edits.tryAdd(replaceText(start, end, `<style>\n${match[1]}\n</style>`))) continue;
             
-            // Verify this looks like real CSS
-            if (isLikelyCss(potentialCss)) {
-                console.log('Found CSS content not wrapped in style tags');
-                
-                // Wrap the CSS in style tags
-                const styledCss = `<style>\n${potentialCss}\n</style>`;
-                fixedHtml = fixedHtml.replace(potentialCss, styledCss);
-                fixCount++;
-                console.log(`✓ Wrapped CSS content in style tags`);
-                
-                // Since we've made a replacement, run the function again to catch any other instances
-                // (but only if we haven't exceeded a reasonable number of fixes to prevent infinite loops)
-                if (fixCount < 5) {
-                    const recursiveResult = fixMissingStyleTags(fixedHtml);
-                    fixedHtml = recursiveResult.fixedHtml;
-                    fixCount += recursiveResult.fixCount;
-                }
-                
-                return { fixedHtml, fixCount };
-            }
+            console.log('Found CSS content not wrapped in style tags');
+            errors.push({ message: 'CSS content not wrapped in style tags', index: match.index });
+            emitEvent(options, { type: 'issue-detected', stage: 'missing-style-tags', message: 'CSS content not wrapped in style tags' });
+            console.log(`✓ Wrapped CSS content in style tags`);
+            emitEvent(options, { type: 'fix-applied', stage: 'missing-style-tags', message: 'Wrapped CSS content in style tags' });
         }
     }
     
     // More aggressive pattern to catch CSS anywhere in the document
     // Only use if no style tags exist already or if we haven't found anything yet
-    if (fixCount === 0 && !/<style[^>]*>/.test(html)) {
+    if (edits.size === 0 && extractStyles(html).length === 0) {
         // Look for blocks that start with common CSS selectors and contain typical CSS patterns
-        const standalonePattern = /(?:^|\n|\r)(\s*(?:body|html|#[\w-]+|\.[\w-]+)[^{<>]*\{[^}]+\}(?:\s*[\w.#*:][^{<>]*\{[^}]+\})*)/;
-        const match = standalonePattern.exec(html);
+        const match = STANDALONE_CSS_PATTERN.exec(html);
         
-        if (match) {
-            const potentialCss = match[1];
+        if (match && isLikelyCss(match[1])) {
+            console.log('Found standalone CSS content not wrapped in style tags');
+            errors.push({ message: 'Standalone CSS content not wrapped in style tags', index: match.index });
+            emitEvent(options, { type: 'issue-detected', stage: 'missing-style-tags', message: 'Standalone CSS content not wrapped in style tags' });
             
-            if (isLikelyCss(potentialCss)) {
-                console.log('Found standalone CSS content not wrapped in style tags');
-                
-                // Wrap the CSS in style tags
-                const styledCss = `<style>\n${potentialCss}\n</style>`;
-                
-                // Determine where to insert the style tag
-                if (html.includes('</head>')) {
-                    // Insert before head closing tag
-                    fixedHtml = html.replace('</head>', `${styledCss}\n</head>`);
-                } else if (html.includes('<body')) {
-                    // Insert before body tag
-                    fixedHtml = html.replace('<body', `${styledCss}\n<body`);
-                } else {
-                    // Default: replace the CSS block directly
-                    fixedHtml = html.replace(potentialCss, styledCss);
-                }
-                
-                fixCount++;
-                console.log(`✓ Wrapped standalone CSS content in style tags`);
+            const { start, end } = cssRange(match);
+            const styledCss = `<style>\n${match[1]}\n</style>`;
+            
+            // Move it to the end of <head>, or before <body>, unless it is already there
+            const { elements } = parseHtml(html);
+            const head = elements.find(element => element.name === 'head' && element.closeTagStart !== null);
+            const body = elements.find(element => element.name === 'body');
+            const target = head ? head.closeTagStart : body ? body.start : null;
+            if (target === null || start < target) {
+                edits.add(replaceText(start, end, styledCss));
+            } else {
+                edits.add(deleteText(start, end), insertText(target, `${styledCss}\n`));
             }
+            console.log(`✓ Wrapped standalone CSS content in style tags`);
+            emitEvent(options, { type: 'fix-applied', stage: 'missing-style-tags', message: 'Wrapped standalone CSS content in style tags' });
         }
     }
     
-    return { fixedHtml, fixCount };
+    return { fixedHtml: edits.apply(), fixCount: errors.length, errors };
 }
 
 /**
@@ -1262,38 +1683,197 @@ function isLikelyCss(text) {
     if (text.length < 100) {
         return hasCssProperties && hasCssRules && hasCommonCssProps && !looksLikeCode;
     }
-    
-    return hasCssProperties && hasCssRules && !looksLikeCode;
+    
+    return hasCssProperties && hasCssRules && !looksLikeCode;
+}
+
+/**
+ * Fix the structure of the document: doctype, unclosed and misnested tags, a missing or
+ * duplicated <html>, <head> or <body>, and content outside them (see lib/html-structure.js).
+ * The repair is deterministic and keeps scripts and styles in their original order.
+ * @param {string} html - The HTML content to fix
+ * @param {Object} [options] - Repair options
+ * @returns {Object} - Fixed HTML, fix count, errors found and unresolved issues
+ */
+function fixHtmlStructure(html, options = {}) {
+  const describe = (document) => (issue) => `${issue.message} at line ${getLocation(document, issue.start).line}`;
+  const issues = validateStructure(html);
+  if (issues.length === 0) {
+    return { fixedHtml: html, fixCount: 0, errors: [] };
+  }
+
+  const errors = issues.map(describe(html));
+  errors.forEach(message => emitEvent(options, { type: 'issue-detected', stage: 'structure', message }));
+
+  const { html: fixedHtml, repairs, remaining } = repairStructure(html);
+  repairs.forEach(({ message }) => {
+    console.log(`✓ Fixed: ${message}`);
+    emitEvent(options, { type: 'fix-applied', stage: 'structure', message: `Fixed: ${message}` });
+  });
+  const unresolved = remaining.map(describe(fixedHtml));
+  unresolved.forEach(message => console.log(`⚠️ ${message}`));
+
+  return { fixedHtml, fixCount: repairs.length, errors, unresolved };
+}
+
+/**
+ * Diagnose problems in the structure of the document
+ * @param {string} html - The HTML content to check
+ * @returns {Array} - Array of issues
+ */
+function diagnoseHtmlStructure(html) {
+  return validateStructure(html).map(issue =>
+    createIssue('structure', issue.severity, issue.message, getLocation(html, issue.start)));
+}
+
+/**
+ * Extract the elements of one kind from HTML, as the browser sees them (see lib/html-parser.js):
+ * tags inside comments, scripts or <template> do not count
+ * @param {string} htmlContent - HTML content
+ * @param {string} name - Element name, in lowercase
+ * @returns {Array} - Element objects in document order. `index` is the offset of the start tag,
+ *   `end` the offset after the end tag, `contentIndex` the offset of the content and
+ *   `contentStart` the content's document line and column.
+ */
+function extractElements(htmlContent, name) {
+  return parseHtml(htmlContent).elements
+    .filter(element => element.name === name && !isInert(element))
+    .map(element => {
+      const content = htmlContent.slice(element.contentStart, element.contentEnd);
+      const contentStart = getLocation(htmlContent, element.contentStart);
+      return {
+        content,
+        fullMatch: htmlContent.slice(element.start, element.end),
+        attributes: element.attributes,
+        index: element.start,
+        end: element.end,
+        contentIndex: element.contentStart,
+        contentStart,
+        lineRange: [contentStart.line, contentStart.line + content.split('\n').length - 1]
+      };
+    });
+}
+
+/**
+ * Extract scripts from HTML
+ * @param {string} htmlContent - HTML content
+ * @returns {Array} - Array of script objects with content (see extractElements); scripts without
+ *   content are left out
+ */
+function extractScripts(htmlContent) {
+  return extractElements(htmlContent, 'script').filter(script => script.content.trim());
+}
+
+/**
+ * Extract style tags from HTML
+ * @param {string} htmlContent - HTML content
+ * @returns {Array} - Array of style objects (see extractElements)
+ */
+function extractStyles(htmlContent) {
+  return extractElements(htmlContent, 'style');
+}
+
+/**
+ * Edit replacing the content of an element (see lib/edits.js). Edits refer to the document
+ * the element was extracted from, so collect them in an EditSet and apply them together.
+ * @param {Object} element - Element from extractElements
+ * @param {string} content - New content
+ * @param {Object} [details] - Kept with the edit, e.g. a description
+ * @returns {Object} - Edit of the document
+ */
+function replaceElementContent(element, content, details) {
+  return replaceText(element.contentIndex, element.contentIndex + element.content.length, content, details);
+}
+
+/**
+ * Get the type attribute of a script tag
+ * @param {string} scriptTag - The script element, or at least its opening tag
+ * @returns {string} - Lower-cased type, or '' when none is given
+ */
+function getScriptType(scriptTag) {
+  const [tag] = tokenize(scriptTag);
+  const type = tag && tag.type === 'startTag' ? getAttribute(tag, 'type') : null;
+  return type ? type.trim().toLowerCase() : '';
+}
+
+/**
+ * Whether a script type is run as JavaScript (classic scripts and modules)
+ * @param {string} type - Type from getScriptType
+ * @returns {boolean}
+ */
+function isJavaScriptType(type) {
+  return !type || type === 'module' || /^(text|application)\/(javascript|ecmascript)$/.test(type);
+}
+
+/**
+ * Extract inline event handler attributes (onclick="...", onload="...", ...) from HTML
+ * @param {string} htmlContent - HTML content
+ * @returns {Array} - Handlers with element, attribute, code, the code's offset and the start tag's line range
+ */
+function extractEventHandlers(htmlContent) {
+  const handlers = [];
+  
+  // Tags written inside scripts, comments or templates are not elements
+  for (const element of parseHtml(htmlContent).elements) {
+    if (isInert(element)) continue;
+    const lineRange = [
+      getLocation(htmlContent, element.start).line,
+      getLocation(htmlContent, element.openTagEnd - 1).line
+    ];
+    
+    for (const attribute of element.attributes) {
+      // Only quoted values can hold the commented-out code that replaces a broken handler
+      if (!/^on[a-z]+$/.test(attribute.name) || !attribute.quote) continue;
+      handlers.push({
+        element: element.name,
+        attribute: attribute.name,
+        code: htmlContent.slice(attribute.valueStart, attribute.valueEnd),
+        codeIndex: attribute.valueStart,
+        lineRange
+      });
+    }
+  }
+  
+  return handlers;
 }
 
 /**
- * Extract scripts from HTML
+ * Extract style attributes from HTML
  * @param {string} htmlContent - HTML content
- * @returns {Array} - Array of script objects
+ * @returns {Array} - Attributes with element, css (the decoded value), the raw value's offsets
+ *   and quote, and the location of the value
  */
-function extractScripts(htmlContent) {
-  const scriptRegex = /<script[^>]*>([\s\S]*?)<\/script>/gi;
-  const scripts = [];
+function extractStyleAttributes(htmlContent) {
+  const attributes = [];
   
-  let match;
-  while ((match = scriptRegex.exec(htmlContent)) !== null) {
-    const scriptContent = match[1];
-    if (!scriptContent.trim()) continue; // Skip empty scripts
-    
-    // Calculate line numbers for later reference
-    const codeUpToScript = htmlContent.substring(0, match.index);
-    const startLine = (codeUpToScript.match(/\n/g) || []).length + 1;
-    const scriptLines = scriptContent.split('\n').length;
-    
-    scripts.push({
-      content: scriptContent,
-      fullMatch: match[0],
-      index: match.index,
-      lineRange: [startLine, startLine + scriptLines - 1]
+  for (const element of parseHtml(htmlContent).elements) {
+    if (isInert(element)) continue;
+    // Browsers keep the first of duplicate attributes
+    const attribute = element.attributes.find(candidate => candidate.name === 'style');
+    if (!attribute || attribute.valueStart === null) continue;
+    attributes.push({
+      element: element.name,
+      css: attribute.value,
+      valueIndex: attribute.valueStart,
+      valueEnd: attribute.valueEnd,
+      quote: attribute.quote,
+      location: getLocation(htmlContent, attribute.valueStart)
     });
   }
   
-  return scripts;
+  return attributes;
+}
+
+/**
+ * Edit replacing the value of a style attribute (see replaceElementContent). An unquoted
+ * value is quoted, since the repaired one may contain spaces.
+ * @param {Object} attribute - Attribute from extractStyleAttributes
+ * @param {string} css - New value, decoded
+ * @returns {Object} - Edit of the document
+ */
+function replaceStyleAttribute(attribute, css) {
+  const text = attribute.quote ? encodeAttributeValue(css, attribute.quote) : `"${encodeAttributeValue(css)}"`;
+  return replaceText(attribute.valueIndex, attribute.valueEnd, text);
 }
 
 /**
@@ -1365,21 +1945,21 @@ function checkConditionalDeclaration(code, varName) {
  * @param {string} html - The HTML content to check
  * @returns {Promise<Object>} - Object containing fixed HTML and fix count
  */
-async function fixUndefinedVariables(html) {
+async function fixUndefinedVariables(html, options = {}) {
   // Find all script tags
   const scripts = extractScripts(html);
   if (scripts.length === 0) {
-    return { fixedHtml: html, fixCount: 0 };
+    return { fixedHtml: html, fixCount: 0, errors: [] };
   }
   
   console.log('Checking for undefined variable errors...');
   
   // Detect undefined variable errors using browser
-  const errors = await detectUndefinedVariableErrors(html);
+  const errors = await detectUndefinedVariableErrors(html, options);
   
   if (errors.length === 0) {
     console.log('No undefined variable errors detected.');
-    return { fixedHtml: html, fixCount: 0 };
+    return { fixedHtml: html, fixCount: 0, errors };
   }
   
   console.log(`Found ${errors.length} undefined variable errors.`);
@@ -1398,194 +1978,375 @@ async function fixUndefinedVariables(html) {
   
   const variableNames = Object.keys(errorsByVariable);
   console.log(`Unique undefined variables: ${variableNames.join(', ')}`);
+  variableNames.forEach(varName => emitEvent(options, {
+    type: 'issue-detected',
+    stage: 'undefined-variables',
+    message: errorsByVariable[varName][0].message
+  }));
   
   let fixedHtml = html;
   let totalFixCount = 0;
+  // Known error count for fixedHtml; undefined after an unverified change
+  let errorCount = errors.length;
+  const unresolved = [];
+  const rollbacks = [];
+  
+  // Misspelled p5 names (`elipse`, `mousex`) are renamed rather than declared, unless a script
+  // whose globals are unknown may define them and merely failed to load
+  const renames = findPageP5Misspellings(fixedHtml).edits
+    .filter(edit => edit.mode === 'global' && !edit.possible && errorsByVariable[edit.original]);
+  if (renames.length > 0) {
+    fixedHtml = applyP5NameEdits(fixedHtml, renames);
+    totalFixCount += renames.length;
+    errorCount = undefined;
+    renames.forEach(edit => {
+      console.log(`✓ ${edit.description}`);
+      emitEvent(options, { type: 'fix-applied', stage: 'undefined-variables', message: edit.description });
+    });
+  }
+  const renamedNames = new Set(renames.map(edit => edit.original));
   
   // Fix each undefined variable
-  for (const varName of variableNames) {
+  for (const varName of variableNames.filter(name => !renamedNames.has(name))) {
     console.log(`Generating fix for undefined variable: ${varName}`);
     const varErrors = errorsByVariable[varName];
+    // Blocks the browser raised the error in, when it said
+    const reportedScripts = new Set(varErrors
+      .filter(error => error.location && error.location.type === 'script')
+      .map(error => error.location.scriptIndex));
+    let referenced = false;
+    // Earlier variables' fixes may have changed the blocks; this variable's fixes are edits of
+    // the HTML as it is now
+    const currentScripts = extractScripts(fixedHtml);
+    const edits = new EditSet(fixedHtml);
     
     // Find all scripts that reference this variable
-    for (let i = 0; i < scripts.length; i++) {
-      const script = scripts[i];
+    for (let i = 0; i < currentScripts.length; i++) {
+      const script = currentScripts[i];
       const scriptContent = script.content;
+      // Edit of the script's content, as an edit of the HTML
+      const scriptEdit = (start, end, text) => replaceText(script.contentIndex + start, script.contentIndex + end, text);
       
       // Check if this script contains references to the variable
       if (new RegExp(`\\b${varName}\\b`, 'g').test(scriptContent)) {
+        referenced = true;
+        // Other blocks only need fixing if they declare the variable conditionally
+        if (reportedScripts.size > 0 && !reportedScripts.has(i) &&
+            !checkConditionalDeclaration(scriptContent, varName).found) {
+          continue;
+        }
+        
+        // Only pass on a location that belongs to this block
+        const scriptError = varErrors.find(error =>
+          error.location && error.location.type === 'script' && error.location.scriptIndex === i) ||
+          { ...varErrors[0], location: null };
+        
         // Get fix for this script and variable
-        const fixResult = await getVariableFixFromAI(scriptContent, varName, varErrors[0]);
+        const fixResult = await getVariableFixFromAI(scriptContent, varName, scriptError, options);
         
         if (fixResult.success && fixResult.fixes && fixResult.fixes.length > 0) {
-          // Apply the fixes to the script
-          let fixedScript = scriptContent;
+          // Collect the fixes to the script
+          const scriptEdits = new EditSet(fixedHtml);
           
           // If this is an automatic fix for a conditional declaration
           if (fixResult.automaticFix) {
             const fix = fixResult.fixes[0];
+            const range = getLineRange(scriptContent, fix.lineNumber);
             
             // Special handling for top-level insertion
             if (fix.lineNumber === 1) {
-              const lines = scriptContent.split('\n');
-              lines.unshift(fix.replacement.split('\n')[0]);
-              fixedScript = lines.join('\n');
+              scriptEdits.add(scriptEdit(0, 0, fix.replacement.split('\n')[0] + '\n'));
               console.log(`✓ Added global declaration for '${varName}' at top of script`);
-              totalFixCount++;
-            } else {
+            } else if (range) {
               // Apply normal line replacement
-              const lines = scriptContent.split('\n');
-              lines[fix.lineNumber - 1] = fix.replacement;
-              fixedScript = lines.join('\n');
+              scriptEdits.add(scriptEdit(range.start, range.end, fix.replacement));
               console.log(`✓ Fixed conditional declaration for '${varName}' at line ${fix.lineNumber}`);
-              totalFixCount++;
             }
           } 
           // Normal AI-generated fixes
           else {
-            const scriptLines = fixedScript.split('\n');
-            let changedLines = 0;
-            
             fixResult.fixes.forEach(fix => {
               console.log(`✓ Variable fix for '${varName}': ${fix.explanation}`);
+              const range = getLineRange(scriptContent, fix.lineNumber);
+              let edit;
               
               // Check if we have a line number and it's valid
-              if (fix.lineNumber && fix.lineNumber > 0 && fix.lineNumber <= scriptLines.length) {
-                const lineIdx = fix.lineNumber - 1;
-                const actualLine = scriptLines[lineIdx];
-                
+              if (range) {
                 console.log(`  Line ${fix.lineNumber}:`);
-                console.log(`  Before: ${actualLine}`);
+                console.log(`  Before: ${scriptContent.slice(range.start, range.end)}`);
                 console.log(`  After:  ${fix.replacement}`);
                 
                 // Direct line replacement
-                scriptLines[lineIdx] = fix.replacement;
-                changedLines++;
-                totalFixCount++;
+                edit = scriptEdit(range.start, range.end, fix.replacement);
               } 
               // If we have original text but no line number
               else if (fix.original) {
                 // Try to find the original text in the script
-                if (fixedScript.includes(fix.original)) {
-                  fixedScript = fixedScript.replace(fix.original, fix.replacement);
-                  changedLines++;
-                  totalFixCount++;
+                const index = scriptContent.indexOf(fix.original);
+                if (index !== -1) {
+                  edit = scriptEdit(index, index + fix.original.length, fix.replacement);
                   
                   console.log(`  Before: ${fix.original}`);
                   console.log(`  After:  ${fix.replacement}`);
                 } else {
                   // If automatic fix failed, add declaration at the top
-                  scriptLines.unshift(`let ${varName} = { uniforms: { value: { x: 0, y: 0 } } }; // Auto-declared at top level to fix undefined error`);
-                  changedLines++;
-                  totalFixCount++;
+                  edit = scriptEdit(0, 0, `${inferDeclaration(scriptContent, varName)} // Auto-declared at top level to fix undefined error\n`);
                   
                   console.log(`  Added declaration at script start for ${varName}`);
                 }
               }
+              
+              if (edit && !scriptEdits.tryAdd(edit)) {
+                console.log(`  ⚠️ Skipped: overlaps another fix for '${varName}'`);
+              }
             });
-            
-            if (changedLines > 0 && fixResult.fixes.length > 0) {
-              fixedScript = scriptLines.join('\n');
+          }
+          
+          if (scriptEdits.size === 0) continue;
+          
+          // Conditional-declaration fixes are rule-based; only AI fixes need verifying
+          if (!fixResult.automaticFix) {
+            const { rollback, errorsAfter } = await verifyFix(options, {
+              stage: 'undefined-variables',
+              description: `AI fix for undefined variable '${varName}'`,
+              before: edits.apply(),
+              after: edits.preview(scriptEdits.edits),
+              countErrors: async (candidate) => (await detectUndefinedVariableErrors(candidate, options)).length,
+              errorsBefore: errorCount
+            });
+            if (rollback) {
+              rollbacks.push(rollback);
+              continue;
             }
+            errorCount = errorsAfter;
+          } else {
+            errorCount = undefined;
           }
           
-          // Replace the script in the HTML
-          const fixedScriptTag = script.fullMatch.replace(script.content, fixedScript);
-          fixedHtml = fixedHtml.replace(script.fullMatch, fixedScriptTag);
+          edits.add(...scriptEdits.edits);
+          totalFixCount += scriptEdits.size;
+          emitEvent(options, { type: 'fix-applied', stage: 'undefined-variables', message: `Fixed undefined variable '${varName}'` });
         } else {
-          // If AI fix failed, apply simple global declaration
-          console.log(`⚠️ Fix unavailable, applying global declaration for ${varName}`);
-          
-          const lines = scriptContent.split('\n');
-          lines.unshift(`let ${varName} = { uniforms: { value: { x: 0, y: 0 } } }; // Added global declaration as fallback fix`);
-          const fixedScript = lines.join('\n');
+          // If AI fix failed, declare the variable where every use can see it
+          const declared = declareUndefinedVariable(fixedHtml, varName);
+          if (declared && edits.tryAdd(declared.edit)) {
+            const { plan } = declared;
+            const where = plan.scope === 'global' ? 'globally' : `in its enclosing ${plan.scope}`;
+            console.log(`⚠️ Fix unavailable, declaring ${varName} ${where}${plan.type ? ` (used as ${plan.type})` : ''}`);
+            totalFixCount++;
+            errorCount = undefined;
+            emitEvent(options, { type: 'fix-applied', stage: 'undefined-variables', message: `Declared '${varName}' ${where}` });
+            // One declaration covers the uses in every block
+            break;
+          }
           
-          const fixedScriptTag = script.fullMatch.replace(script.content, fixedScript);
-          fixedHtml = fixedHtml.replace(script.fullMatch, fixedScriptTag);
+          console.log(`⚠️ Fix unavailable, applying global declaration for ${varName}`);
+          edits.add(scriptEdit(0, 0, `${inferDeclaration(scriptContent, varName)} // Added global declaration as fallback fix\n`));
           totalFixCount++;
+          errorCount = undefined;
+          emitEvent(options, { type: 'fix-applied', stage: 'undefined-variables', message: `Added global declaration for '${varName}'` });
         }
       }
     }
+    fixedHtml = edits.apply();
+    
+    // Used only from inline event handlers, so there is no script to declare it in
+    if (!referenced) {
+      varErrors
+        .filter(error => error.location && error.location.type === 'handler')
+        .forEach(({ location }) => unresolved.push(
+          `'${varName}' is not defined in the ${location.attribute} handler of <${location.element}> at line ${location.documentLine}`));
+    }
   }
   
   console.log(`Applied ${totalFixCount} fixes for undefined variables.`);
-  return { fixedHtml, fixCount: totalFixCount };
+  return { fixedHtml, fixCount: totalFixCount, errors, unresolved, rollbacks };
+}
+
+/**
+ * Declaration of a variable at the top of a script, with an initial value inferred from
+ * how the script uses it (see lib/declarations.js)
+ * @param {string} scriptContent - Script content
+ * @param {string} varName - Variable name
+ * @returns {string} - Declaration statement
+ */
+function inferDeclaration(scriptContent, varName) {
+  const { value } = inferInitialValue([{ source: scriptContent, sourceType: 'script' }], varName);
+  return value === null ? `let ${varName};` : `let ${varName} = ${value};`;
+}
+
+/**
+ * Declaration of an undefined variable in one script, as a line fix like those the AI gives
+ * @param {string} scriptContent - JavaScript code
+ * @param {string} varName - Variable name
+ * @returns {Object|null} - { lineNumber, original, replacement, explanation }, or null when the
+ *   script does not use the name undeclared
+ */
+function getDeclarationFix(scriptContent, varName) {
+  const plan = planDeclaration([{ source: scriptContent, sourceType: 'script' }], varName);
+  if (!plan) return null;
+  
+  const lineNumber = scriptContent.slice(0, plan.offset).split('\n').length;
+  const range = getLineRange(scriptContent, lineNumber);
+  const line = scriptContent.slice(range.start, range.end);
+  const column = plan.offset - range.start;
+  return {
+    lineNumber,
+    original: line,
+    replacement: line.slice(0, column) + plan.text + line.slice(column),
+    explanation: `Declared ${varName} in ${plan.scope} scope (fallback fix)`
+  };
+}
+
+/**
+ * Declare an undefined variable in the narrowest scope that covers every use in the page,
+ * with an initial value inferred from those uses (see lib/declarations.js)
+ * @param {string} html - HTML content
+ * @param {string} varName - Variable name
+ * @returns {Object|null} - { edit, plan }: the insertion into the HTML and the plan it was made
+ *   from, or null when no script uses the name undeclared
+ */
+function declareUndefinedVariable(html, varName) {
+  const scripts = extractScripts(html);
+  const plan = planDeclaration(getAnalysedScripts(scripts), varName);
+  if (!plan) return null;
+  
+  const offset = scripts[plan.scriptIndex].contentIndex + plan.offset;
+  return { edit: insertText(offset, plan.text, { description: `declaration of ${varName}` }), plan };
 }
 
 /**
- * Detect undefined variable errors using a headless browser
+ * Detect undefined variable errors: ReferenceErrors the page raises in a headless browser,
+ * plus undefined names found statically in code that did not run while it was observed
  * @param {string} html - HTML content to check
+ * @param {Object} [options] - Options passed through the pipeline
  * @returns {Promise<Array>} - Array of error objects
  */
-async function detectUndefinedVariableErrors(html) {
-  console.log('Launching browser to detect undefined variable errors...');
+async function detectUndefinedVariableErrors(html, options = {}) {
+  console.log('Checking page for undefined variable errors...');
   
-  // Write HTML to a temporary file
-  const tempFile = path.join(process.cwd(), '_temp_undefined_check.html');
-  fs.writeFileSync(tempFile, html, 'utf8');
+  // Collect errors
+  const errors = [];
   
   try {
-    // Launch browser
-    const browser = await puppeteer.launch({
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    const page = await browser.newPage();
-    
-    // Collect errors
-    const errors = [];
+    // Runtime errors from every script on the page
+    const { pageErrors, consoleMessages } = await capturePageSignals(html, options);
     
-    // Setup error handler for ReferenceErrors specifically
-    page.on('pageerror', (error) => {
+    // ReferenceErrors specifically
+    for (const error of pageErrors) {
       if (error.name === 'ReferenceError' || error.message.includes('is not defined')) {
+        const location = locateRuntimeError(html, error);
         errors.push({
           type: 'reference',
           message: error.message,
-          stack: error.stack || '',
-          lineNumber: extractLineNumberFromStack(error.stack)
+          stack: error.stack,
+          lineNumber: location ? location.documentLine : null,
+          location
         });
       }
-    });
+    }
     
-    // Capture console errors that might be related to undefined variables
-    page.on('console', (msg) => {
-      if (msg.type() === 'error') {
-        const text = msg.text();
-        if (text.includes('is not defined') || text.includes('ReferenceError')) {
-          errors.push({
-            type: 'console',
-            message: text,
-            lineNumber: extractLineNumberFromMessage(text)
-          });
-        }
+    // Console errors that might be related to undefined variables
+    for (const msg of consoleMessages) {
+      if (msg.type === 'error' && (msg.text.includes('is not defined') || msg.text.includes('ReferenceError'))) {
+        const location = locateRuntimeError(html, msg);
+        errors.push({
+          type: 'console',
+          message: msg.text,
+          lineNumber: location ? location.documentLine : extractLineNumberFromMessage(msg.text),
+          location
+        });
       }
-    });
-    
-    try {
-      // Load the HTML file
-      await page.goto(`file://${path.resolve(tempFile)}`, {
-        waitUntil: 'networkidle0',
-        timeout: 30000
-      });
-      
-      // Wait to ensure all scripts execute
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Process and deduplicate the errors
-      return deduplicateErrors(errors);
-    } finally {
-      await browser.close();
     }
   } catch (error) {
     console.error('Error during browser testing:', error);
-    return [];
-  } finally {
-    // Clean up temp file
-    try {
-      fs.unlinkSync(tempFile);
-    } catch (e) {
-      // Ignore cleanup errors
-    }
   }
+  
+  // Static findings come last, so a runtime error for the same line wins deduplication
+  const { definite } = detectStaticUndefinedVariables(html);
+  errors.push(...definite);
+  
+  // Process and deduplicate the errors
+  return deduplicateErrors(errors);
+}
+
+/**
+ * URLs of a page's external scripts
+ * @param {string} html - HTML content
+ * @returns {Array<string>} - src attributes in document order
+ */
+function extractScriptSources(html) {
+  return extractElements(html, 'script')
+    .map(script => getAttribute(script, 'src'))
+    .filter(Boolean);
+}
+
+/**
+ * Names a page's scripts can use without declaring them: browser globals, element ids
+ * (browsers expose those on `window`) and the globals of the libraries the page loads
+ * @param {string} html - HTML content
+ * @returns {Object} - { isKnownGlobal, unknownSources }: a predicate for names, and the URLs of
+ *   external scripts whose globals are unknown
+ */
+function getPageGlobals(html) {
+  const { globals, unknownSources } = getLibraryGlobals(extractScriptSources(html));
+  const elementIds = new Set(Array.from(html.matchAll(/\sid=["']([A-Za-z_$][\w$]*)["']/g), match => match[1]));
+  
+  return {
+    // Globals of a library the page does not load mean a missing script tag, which the
+    // browser and the cdn-imports stage report; declaring them would only hide that
+    isKnownGlobal: name => isBuiltinGlobal(name) || globals.has(name) || elementIds.has(name) || isLibraryGlobal(name),
+    unknownSources
+  };
+}
+
+/**
+ * Scripts in the form lib/scope-analysis.js takes them. Only JavaScript blocks run; the
+ * others are left empty so script indexes stay aligned with extractScripts.
+ * @param {Array} scripts - Scripts from extractScripts
+ * @returns {Array<Object>} - { source, sourceType } per script
+ */
+function getAnalysedScripts(scripts) {
+  return scripts.map(script => {
+    const type = getScriptType(script.fullMatch);
+    return { source: isJavaScriptType(type) ? script.content : '', sourceType: type === 'module' ? 'module' : 'script' };
+  });
+}
+
+/**
+ * Find undefined variables without running the page, by scope analysis of all script
+ * blocks together (see lib/scope-analysis.js). A name is undefined when no script declares
+ * it and getPageGlobals does not know it either.
+ * @param {string} html - HTML content to check
+ * @returns {Object} - { definite, possible }: errors shaped like those of detectUndefinedVariableErrors,
+ *   one per variable and script. They are only possible when the page also loads scripts whose
+ *   globals are unknown, since any of those may define the name.
+ */
+function detectStaticUndefinedVariables(html) {
+  const scripts = extractScripts(html);
+  const { isKnownGlobal, unknownSources } = getPageGlobals(html);
+  const references = findUndefinedIdentifiers(getAnalysedScripts(scripts), { isKnownGlobal });
+  
+  const errors = [];
+  const seen = new Set();
+  for (const reference of references) {
+    const key = `${reference.name}:${reference.scriptIndex}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    
+    const position = getLocation(html, scripts[reference.scriptIndex].contentIndex + reference.start);
+    const location = mapDocumentPosition(html, position.line, position.column);
+    errors.push({
+      type: 'static',
+      message: `${reference.name} is not defined`,
+      lineNumber: position.line,
+      location
+    });
+  }
+  
+  return unknownSources.length === 0 ?
+    { definite: errors, possible: [] } :
+    { definite: [], possible: errors };
 }
 
 /**
@@ -1602,15 +2363,101 @@ function extractVarNameFromError(errorMessage) {
 }
 
 /**
- * Extract line number from error stack trace
+ * Parse the frames of a V8 stack trace
  * @param {string} stack - Error stack trace
- * @returns {number|null} - Line number or null
+ * @returns {Array} - Frames with functionName (or null), url, and 1-based line and column
  */
-function extractLineNumberFromStack(stack) {
-  if (!stack) return null;
-  // Look for line number in stack trace
-  const lineMatch = stack.match(/:(\d+):(\d+)/);
-  return lineMatch ? parseInt(lineMatch[1], 10) : null;
+function parseStackFrames(stack) {
+  if (!stack) return [];
+  const frames = [];
+  
+  // "    at fn (url:line:col)" or "    at url:line:col"
+  const frameRegex = /^\s*at (?:(.*?) \()?(.+?):(\d+):(\d+)\)?$/gm;
+  let match;
+  while ((match = frameRegex.exec(stack)) !== null) {
+    frames.push({
+      functionName: match[1] || null,
+      url: match[2],
+      line: parseInt(match[3], 10),
+      column: parseInt(match[4], 10)
+    });
+  }
+  
+  return frames;
+}
+
+/**
+ * Map a document position reported by the browser to the script block or inline event
+ * handler it falls in. Inline scripts are reported in document coordinates; handlers are
+ * reported at their element's start tag, so only the handler itself can be identified.
+ * @param {string} html - The document the browser loaded
+ * @param {number} line - 1-based document line
+ * @param {number|null} column - 1-based document column
+ * @param {string|null} [functionName] - Function name from the stack frame, e.g. 'HTMLButtonElement.onclick'
+ * @returns {Object|null} - { type: 'script', scriptIndex, line, column, documentLine, documentColumn },
+ *   { type: 'handler', handlerIndex, element, attribute, line: null, column: null, documentLine, documentColumn },
+ *   or null when the position is outside every script and handler
+ */
+function mapDocumentPosition(html, line, column, functionName = null) {
+  const scripts = extractScripts(html);
+  const scriptIndex = scripts.findIndex(script => line >= script.lineRange[0] && line <= script.lineRange[1]);
+  
+  if (scriptIndex !== -1) {
+    const { contentStart } = scripts[scriptIndex];
+    return {
+      type: 'script',
+      scriptIndex,
+      line: line - contentStart.line + 1,
+      column: column && line === contentStart.line ? column - contentStart.column + 1 : column,
+      documentLine: line,
+      documentColumn: column
+    };
+  }
+  
+  const handlers = extractEventHandlers(html);
+  const onLine = handlers
+    .map((handler, handlerIndex) => ({ handler, handlerIndex }))
+    .filter(({ handler }) => line >= handler.lineRange[0] && line <= handler.lineRange[1]);
+  // V8 names handler frames after the attribute, which tells handlers on the same tag apart
+  const attribute = functionName && (functionName.match(/\b(on[a-z]+)$/i) || [])[1];
+  const found = onLine.find(({ handler }) => attribute && handler.attribute === attribute.toLowerCase()) || onLine[0];
+  
+  if (found) {
+    return {
+      type: 'handler',
+      handlerIndex: found.handlerIndex,
+      element: found.handler.element,
+      attribute: found.handler.attribute,
+      line: null,
+      column: null,
+      documentLine: line,
+      documentColumn: column
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Find where in the document's own code a runtime error was raised. Frames in external
+ * scripts (e.g. p5.js from a CDN) are skipped, so errors thrown inside a library are
+ * attributed to the sketch code that called it.
+ * @param {string} html - The document the browser loaded
+ * @param {Object} error - Captured error with `stack` and/or console `location`
+ * @returns {Object|null} - Location from mapDocumentPosition, or null if none is known
+ */
+function locateRuntimeError(html, { stack, location } = {}) {
+  const positions = parseStackFrames(stack);
+  if (location && location.line) {
+    positions.push({ functionName: null, ...location });
+  }
+  
+  for (const position of positions) {
+    if (position.url !== DOCUMENT_URL) continue;
+    const mapped = mapDocumentPosition(html, position.line, position.column, position.functionName);
+    if (mapped) return mapped;
+  }
+  return null;
 }
 
 /**
@@ -1642,13 +2489,13 @@ function deduplicateErrors(errors) {
   });
 }
 /**
- * Get fixes for undefined variables from DeepSeek AI
+ * Get fixes for undefined variables from AI
  * @param {string} scriptContent - JavaScript code
  * @param {string} varName - Name of the undefined variable
  * @param {Object} error - Error object
  * @returns {Promise<Object>} - Fix result
  */
-async function getVariableFixFromAI(scriptContent, varName, error) {
+async function getVariableFixFromAI(scriptContent, varName, error, options = {}) {
   console.log(`🤖 Analyzing code structure for undefined variable: ${varName}`);
   
   // First, check if the variable is declared in a conditional block that might not execute
@@ -1664,7 +2511,7 @@ async function getVariableFixFromAI(scriptContent, varName, error) {
       fixes: [{
         lineNumber: 1, // Add to top of script
         original: scriptContent.split('\n')[0],
-        replacement: `let ${varName} = { uniforms: { value: { x: 0, y: 0 } } }; // Added at top level to fix variable scoping issue\n${scriptContent.split('\n')[0]}`,
+        replacement: `${inferDeclaration(scriptContent, varName)} // Added at top level to fix variable scoping issue\n${scriptContent.split('\n')[0]}`,
         explanation: `Moved ${varName} declaration outside conditional block to ensure it's always defined`
       }],
       varName,
@@ -1672,8 +2519,13 @@ async function getVariableFixFromAI(scriptContent, varName, error) {
     };
   }
   
+  // Offline the caller falls back to a global declaration
+  if (options.offline) {
+    return { success: false };
+  }
+  
   // If not a conditional declaration issue, proceed with normal AI-assisted fix
-  console.log(`🤖 Asking DeepSeek AI for undefined variable fix: ${varName}`);
+  console.log(`🤖 Asking AI for undefined variable fix: ${varName}`);
   
   try {
     // Split script into lines for context
@@ -1706,11 +2558,14 @@ async function getVariableFixFromAI(scriptContent, varName, error) {
       });
     }
     
-    // Prepare prompt for DeepSeek
+    // Line within this script, if the browser reported one here
+    const reportedLine = error.location && error.location.type === 'script' ? error.location.line : null;
+    
+    // Prepare prompt for the AI
     const prompt = `I need an EMERGENCY FIX for an undefined variable in my JavaScript code. The browser is reporting this error:
 
 ERROR: ${error.message}
-
+${reportedLine ? `\nThe browser raised this error at line ${reportedLine} of the code below.\n` : ''}
 The undefined variable is: "${varName}"
 
 I need you to provide the MINIMAL POSSIBLE CHANGES to make the code execute without errors. Here are all occurrences of the variable in the code:
@@ -1744,30 +2599,14 @@ IMPORTANT INSTRUCTIONS:
 
 Remember, this is an EMERGENCY FIX - prioritize getting the code to run without errors over perfect code.`;
 
-    // Call DeepSeek API
-    const response = await axios.post(DEEPSEEK_API_URL, {
-      model: 'deepseek-chat',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert JavaScript developer specializing in emergency fixes for undefined variable errors. You provide minimal, targeted fixes that allow code to compile and run without errors.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: 1024,
-      temperature: 0.1
-    }, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${DEEPSEEK_API_KEY}`
-      }
+    // Ask the configured LLM provider
+    const aiResponse = await requestCompletion(options, {
+      stage: 'undefined-variables',
+      purpose: `Fix undefined variable '${varName}'`,
+      system: 'You are an expert JavaScript developer specializing in emergency fixes for undefined variable errors. You provide minimal, targeted fixes that allow code to compile and run without errors.',
+      prompt,
+      maxTokens: 1024
     });
-
-    // Parse the AI response
-    const aiResponse = response.data.choices[0].message.content;
     console.log('AI RESPONSE:', aiResponse);
     
     // Extract JSON fixes from the response
@@ -1806,59 +2645,25 @@ Remember, this is an EMERGENCY FIX - prioritize getting the code to run without
       const explanationMatch = aiResponse.match(/explanation["']:\s*["']([^"']+)["']/);
       const lineNumMatch = aiResponse.match(/lineNumber["']:\s*(\d+)/);
       
-      if (lineNumMatch && (originalMatch || replacementMatch)) {
+      if (lineNumMatch && replacementMatch) {
         const lineNum = parseInt(lineNumMatch[1]);
         const originalLine = originalMatch ? originalMatch[1] : scriptLines[lineNum - 1];
-        const replacementLine = replacementMatch ? replacementMatch[1] : 
-                               `let ${varName} = window.${varName} || {}; // Added declaration to fix undefined error`;
-                               
+
         return {
           success: true,
           fixes: [{
             lineNumber: lineNum,
             original: originalLine,
-            replacement: replacementLine,
+            replacement: replacementMatch[1],
             explanation: explanationMatch ? explanationMatch[1] : 'Manual extraction from AI response'
           }],
           varName
         };
       }
       
-      // If all else fails, find the first occurrence and create a simple variable declaration
-      if (varOccurrences.length > 0) {
-        const firstOccurrence = varOccurrences[0];
-        
-        return {
-          success: true,
-          fixes: [{
-            lineNumber: firstOccurrence.lineNumber,
-            original: firstOccurrence.actualLine,
-            replacement: firstOccurrence.actualLine.replace(
-              new RegExp(`\\b${varName}\\b`), 
-              `(window.${varName} || {})`
-            ),
-            explanation: 'Added defensive global null check (fallback method)'
-          }],
-          varName
-        };
-      }
-      
-      // Ultimate fallback - add declaration to first line with this variable
-      const varLine = scriptLines.findIndex(line => line.includes(varName));
-      if (varLine >= 0) {
-        return {
-          success: true,
-          fixes: [{
-            lineNumber: varLine + 1,
-            original: scriptLines[varLine],
-            replacement: `let ${varName} = {}; // Auto-declared to fix error\n${scriptLines[varLine]}`,
-            explanation: 'Added variable declaration as fallback fix'
-          }],
-          varName
-        };
-      }
-      
-      return { success: false };
+      // If all else fails, declare the variable where its uses need it
+      const fix = getDeclarationFix(scriptContent, varName);
+      return fix ? { success: true, fixes: [fix], varName } : { success: false };
     }
   } catch (error) {
     console.error('Error getting variable fix from AI:', error);
@@ -1867,164 +2672,304 @@ Remember, this is an EMERGENCY FIX - prioritize getting the code to run without
 }
 
 /**
- * Fix "is not a function" TypeError errors using targeted code patching
- * @param {string} html - The HTML content to check
- * @returns {Promise<Object>} - Object containing fixed HTML and fix count
+ * Detect "is not a function" TypeErrors using a headless browser
+ * @param {string} html - HTML content to check
+ * @param {Object} [options] - Options passed through the pipeline
+ * @returns {Promise<Array>} - Array of error detail objects. Page errors carry the `introspection`
+ *   the browser made of the object when it threw (see lib/introspection.js), or null.
  */
-async function fixNotAFunctionErrors(html) {
-    // Extract all scripts
-    const scripts = extractScripts(html);
-    let fixedHtml = html;
-    let fixCount = 0;
-    
-    // Create a temporary file for testing
-    const tempFile = path.join(process.cwd(), '_temp_function_check.html');
-    fs.writeFileSync(tempFile, html, 'utf8');
-    
+async function detectNotAFunctionErrors(html, options = {}) {
     try {
-      // Launch browser to catch errors
-      const browser = await puppeteer.launch({
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-      });
-      const page = await browser.newPage();
+      // Runtime errors from every script on the page. Recordings made before introspection have none.
+      const { pageErrors, consoleMessages, introspections = [] } = await capturePageSignals(html, options);
       
       // Track TypeError errors
       const errorDetails = [];
       
-      // Capture page errors
-      page.on('pageerror', (error) => {
+      // Page errors, with what the object whose method failed turned out to be
+      for (const error of pageErrors) {
         if (error.message.includes('is not a function')) {
+          const call = parseNotAFunction(error.message);
           errorDetails.push({
             message: error.message,
-            stack: error.stack || ""
+            stack: error.stack,
+            location: locateRuntimeError(html, error),
+            introspection: (call && introspections.find(report =>
+              report.expression === call.expression && report.method === call.method)) || null
           });
         }
-      });
+      }
       
-      // Capture console errors
-      page.on('console', (msg) => {
-        if (msg.type() === 'error') {
-          const text = msg.text();
-          if (text.includes('is not a function') || 
-              text.includes('TypeError') || 
-              text.includes('UNCAUGHT_EXCEPTION')) {
-            errorDetails.push({
-              message: text,
-              consoleError: true
-            });
-          }
+      // Console errors
+      for (const msg of consoleMessages) {
+        if (msg.type === 'error' &&
+            (msg.text.includes('is not a function') ||
+             msg.text.includes('TypeError') ||
+             msg.text.includes('UNCAUGHT_EXCEPTION'))) {
+          errorDetails.push({
+            message: msg.text,
+            consoleError: true,
+            location: locateRuntimeError(html, msg)
+          });
         }
-      });
+      }
       
-      // Load the page
-      await page.goto(`file://${path.resolve(tempFile)}`, {
-        waitUntil: 'networkidle0',
-        timeout: 30000
+      return errorDetails;
+    } catch (error) {
+      console.error('Error during function error detection:', error);
+      return [];
+    }
+  }
+
+/**
+ * Apply a fix proposed from introspection to the calls of a method. Only the scripts the
+ * error was reported in are changed, or every script when the browser gave no location.
+ * @param {string} html - HTML content
+ * @param {Object} func - Function data from extractFunctionDetailsFromErrors
+ * @param {Object} proposal - Fix from proposeMethodFix
+ * @returns {string|null} - Fixed HTML, or null when no call could be changed
+ */
+function applyMethodFix(html, func, proposal) {
+  const { objectName, functionName } = func;
+  const fullName = `${objectName}.${functionName}`.replace(/[.$]/g, '\\$&');
+  const reported = new Set(func.locations.filter(location => location.type === 'script').map(location => location.scriptIndex));
+  
+  // `obj.method(`, but not `other.obj.method(`; a property can only replace a call without arguments
+  const pattern = proposal.type === 'property' ?
+    new RegExp(`(?<![\\w$.])${fullName}\\s*\\(\\s*\\)`, 'g') :
+    new RegExp(`(?<![\\w$.])${fullName}(?=\\s*\\()`, 'g');
+  
+  const edits = [];
+  extractScripts(html).forEach((script, scriptIndex) => {
+    if (reported.size > 0 && !reported.has(scriptIndex)) return;
+    const sourceType = getScriptType(script.fullMatch) === 'module' ? 'module' : 'script';
+    
+    for (const match of script.content.matchAll(pattern)) {
+      // `await` is a syntax error outside async functions and module top level
+      if (proposal.type === 'await' && !isAwaitAllowedAt(script.content, match.index, sourceType)) continue;
+      const replacement = {
+        rename: `${objectName}.${proposal.replacement}`,
+        property: `${objectName}.${functionName}`,
+        await: `(await ${objectName}).${functionName}`
+      }[proposal.type];
+      if (!replacement) continue;
+      const start = script.contentIndex + match.index;
+      edits.push(replaceText(start, start + match[0].length, replacement));
+    }
+  });
+  
+  return edits.length > 0 ? applyEdits(html, edits) : null;
+}
+
+/**
+ * Fix "is not a function" TypeError errors using targeted code patching
+ * @param {string} html - The HTML content to check
+ * @returns {Promise<Object>} - Object containing fixed HTML and fix count
+ */
+async function fixNotAFunctionErrors(html, options = {}) {
+    let fixedHtml = html;
+    let fixCount = 0;
+    const rollbacks = [];
+    
+    const errorDetails = await detectNotAFunctionErrors(html, options);
+    let errorCount = errorDetails.length;
+    
+    // If no errors, return original
+    if (errorDetails.length === 0) {
+      console.log('No "is not a function" errors detected.');
+      return { fixedHtml, fixCount, errors: errorDetails };
+    }
+    
+    console.log(`Found ${errorDetails.length} function-related errors.`);
+    
+    // Extract the function details from errors
+    const functionData = extractFunctionDetailsFromErrors(errorDetails);
+    if (functionData.length === 0) {
+      console.log('Could not identify specific function names from errors.');
+      return { fixedHtml, fixCount, errors: errorDetails, unresolved: errorDetails.map(error => error.message) };
+    }
+    
+    console.log(`Identified problematic functions:`, 
+      functionData.map(f => `${f.objectName}.${f.functionName}`).join(', '));
+    functionData.forEach(f => emitEvent(options, {
+      type: 'issue-detected',
+      stage: 'not-a-function',
+      message: `${f.objectName}.${f.functionName} is not a function`
+    }));
+    
+    // Misspelled p5 functions (`p.backgroud()`) are renamed rather than commented out
+    const renames = findPageP5Misspellings(fixedHtml).edits.filter(edit => !edit.possible && functionData.some(f =>
+      f.functionName === edit.original && (edit.object ? f.objectName === edit.object : f.objectName === 'window')));
+    if (renames.length > 0) {
+      fixedHtml = applyP5NameEdits(fixedHtml, renames);
+      fixCount += renames.length;
+      errorCount = undefined;
+      renames.forEach(edit => {
+        console.log(`✓ ${edit.description}`);
+        emitEvent(options, { type: 'fix-applied', stage: 'not-a-function', message: edit.description });
       });
-      
-      // Wait for errors to be caught
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      await browser.close();
-      
-      // If no errors, return original
-      if (errorDetails.length === 0) {
-        console.log('No "is not a function" errors detected.');
-        return { fixedHtml, fixCount };
+    }
+    const unrenamed = functionData.filter(f => !renames.some(edit => f.functionName === edit.original &&
+      (edit.object ? f.objectName === edit.object : f.objectName === 'window')));
+    
+    // What the browser found the object to be usually shows the call that was meant: a method
+    // with a close name, a Promise that was never awaited, or a property called like a method
+    const remaining = [];
+    for (const func of unrenamed) {
+      const fullName = `${func.objectName}.${func.functionName}`;
+      const proposal = func.introspection ? proposeMethodFix(func.introspection) : null;
+      const candidateHtml = proposal && proposal.type ? applyMethodFix(fixedHtml, func, proposal) : null;
+      if (!candidateHtml) {
+        if (proposal) console.log(`⚠️ ${proposal.explanation}`);
+        remaining.push(func);
+        continue;
       }
       
-      console.log(`Found ${errorDetails.length} function-related errors.`);
-      
-      // Extract the function details from errors
-      const functionData = extractFunctionDetailsFromErrors(errorDetails);
-      if (functionData.length === 0) {
-        console.log('Could not identify specific function names from errors.');
-        return { fixedHtml, fixCount };
+      // Introspection means the page ran in a browser, so the fix is checked even offline
+      const description = `Fixed calls to ${fullName}: ${proposal.explanation}`;
+      const { rollback, errorsAfter } = await verifyFix(options, {
+        stage: 'not-a-function',
+        description,
+        before: fixedHtml,
+        after: candidateHtml,
+        countErrors: async (candidate) => (await detectNotAFunctionErrors(candidate, options)).length,
+        errorsBefore: errorCount
+      });
+      if (rollback) {
+        rollbacks.push(rollback);
+        remaining.push(func);
+        continue;
       }
+      errorCount = errorsAfter;
+      fixedHtml = candidateHtml;
+      fixCount++;
+      console.log(`✓ ${description}`);
+      emitEvent(options, { type: 'fix-applied', stage: 'not-a-function', message: description });
+    }
+    
+    // Comment out the calls nothing else could fix. Every patch refers to the HTML as it is
+    // now; one overlapping an earlier patch is skipped.
+    const edits = new EditSet(fixedHtml);
+    const scripts = extractScripts(fixedHtml);
+    for (let scriptIndex = 0; scriptIndex < scripts.length; scriptIndex++) {
+      const script = scripts[scriptIndex];
+      const scriptContent = script.content;
       
-      console.log(`Identified problematic functions:`, 
-        functionData.map(f => `${f.objectName}.${f.functionName}`).join(', '));
-      
-      // Process each script to find and fix the problematic calls
-      for (const script of scripts) {
-        const scriptContent = script.content;
-        let needsFix = false;
+      // Check if any problematic functions are in this script
+      for (const func of remaining) {
+        const fullName = `${func.objectName}.${func.functionName}`;
+        // Lines of this block the browser raised the error at, which also catches
+        // calls not spelled as fullName (bare functions, aliases, computed members)
+        const reportedLines = func.locations
+          .filter(location => location.type === 'script' && location.scriptIndex === scriptIndex && location.line)
+          .map(location => location.line);
         
-        // Check if any problematic functions are in this script
-        for (const func of functionData) {
-          const fullName = `${func.objectName}.${func.functionName}`;
-          if (scriptContent.includes(fullName)) {
-            needsFix = true;
+        if (scriptContent.includes(fullName) || reportedLines.length > 0) {
+          // Find line numbers where this function is called
+          const lines = scriptContent.split('\n');
+          const problemLines = [];
+          
+          for (let i = 0; i < lines.length; i++) {
+            if (lines[i].includes(fullName) || reportedLines.includes(i + 1)) {
+              problemLines.push({
+                lineNumber: i + 1,
+                content: lines[i].trim(),
+                functionCall: fullName
+              });
+            }
+          }
+          
+          if (problemLines.length > 0) {
+            console.log(`Found calls to ${fullName} on lines: ${problemLines.map(l => l.lineNumber).join(', ')}`);
             
-            // Find line numbers where this function is called
-            const lines = scriptContent.split('\n');
-            const problemLines = [];
+            // Get targeted fixes using AI
+            const fixes = await getTargetedFunctionFixes(scriptContent, func, problemLines, options);
             
-            for (let i = 0; i < lines.length; i++) {
-              if (lines[i].includes(fullName)) {
-                problemLines.push({
-                  lineNumber: i + 1,
-                  content: lines[i].trim(),
-                  functionCall: fullName
+            if (fixes && fixes.length > 0) {
+              // Turn the patches into edits of the HTML
+              const patch = new EditSet(fixedHtml);
+              
+              for (const fix of fixes) {
+                const first = fix.replacement && getLineRange(scriptContent, fix.startLine);
+                const last = first && getLineRange(scriptContent, fix.endLine);
+                if (!last || last.end < first.start) continue;
+                
+                // Get the indentation of the first line in the block
+                const indentation = scriptContent.slice(first.start, first.end).match(/^\s*/)[0];
+                
+                // Apply the replacement with proper indentation
+                const replacementLines = fix.replacement.split('\n').map(line => indentation + line);
+                
+                // Log what we're replacing
+                console.log(`Commenting out block from line ${fix.startLine} to ${fix.endLine}:`);
+                console.log("Original:\n" + scriptContent.slice(first.start, last.end));
+                console.log("Replacement:\n" + replacementLines.join('\n'));
+                
+                const edit = replaceText(script.contentIndex + first.start, script.contentIndex + last.end, replacementLines.join('\n'), {
+                  description: `patch of lines ${fix.startLine}-${fix.endLine} for ${fullName}`
                 });
+                if (!patch.tryAdd(edit)) {
+                  console.log(`⚠️ Block from line ${fix.startLine} to ${fix.endLine} overlaps another block, skipping`);
+                }
               }
-            }
-            
-            if (problemLines.length > 0) {
-              console.log(`Found calls to ${fullName} on lines: ${problemLines.map(l => l.lineNumber).join(', ')}`);
               
-              // Get targeted fixes using DeepSeek
-              const fixes = await getTargetedFunctionFixes(scriptContent, func, problemLines);
+              if (patch.size === 0 || patch.apply() === fixedHtml) continue;
+              if (patch.edits.some(edit => edits.conflictsWith(edit).length > 0)) {
+                console.log(`⚠️ Patch for calls to ${fullName} overlaps an earlier patch, skipping`);
+                continue;
+              }
               
-              if (fixes && fixes.length > 0) {
-                // Apply the patches
-                let patchedScript = scriptContent;
-                const scriptLines = patchedScript.split('\n');
-                
-                for (const fix of fixes) {
-                  if (fix.startLine && fix.endLine && fix.replacement) {
-                    if (fix.startLine <= scriptLines.length && fix.endLine <= scriptLines.length) {
-                      // Get the indentation of the first line in the block
-                      const indentation = scriptLines[fix.startLine - 1].match(/^\s*/)[0];
-                      
-                      // Apply the replacement with proper indentation
-                      const replacementLines = fix.replacement.split('\n').map(line => indentation + line);
-                      
-                      // Log what we're replacing
-                      console.log(`Commenting out block from line ${fix.startLine} to ${fix.endLine}:`);
-                      console.log("Original:\n" + scriptLines.slice(fix.startLine - 1, fix.endLine).join('\n'));
-                      console.log("Replacement:\n" + replacementLines.join('\n'));
-                      
-                      // Replace the block
-                      scriptLines.splice(fix.startLine - 1, fix.endLine - fix.startLine + 1, ...replacementLines);
-                    }
-                  }
+              if (!options.offline) {
+                const { rollback, errorsAfter } = await verifyFix(options, {
+                  stage: 'not-a-function',
+                  description: `AI patch for calls to ${fullName}`,
+                  before: edits.apply(),
+                  after: edits.preview(patch.edits),
+                  countErrors: async (candidate) => (await detectNotAFunctionErrors(candidate, options)).length,
+                  errorsBefore: errorCount
+                });
+                if (rollback) {
+                  rollbacks.push(rollback);
+                  continue;
                 }
-                
-                patchedScript = scriptLines.join('\n');
-                
-                // Update the HTML with the patched script
-                const fixedScriptTag = script.fullMatch.replace(script.content, patchedScript);
-                fixedHtml = fixedHtml.replace(script.fullMatch, fixedScriptTag);
-                fixCount++;
+                errorCount = errorsAfter;
               }
+              
+              edits.add(...patch.edits);
+              fixCount++;
+              emitEvent(options, { type: 'fix-applied', stage: 'not-a-function', message: `Patched calls to ${fullName}` });
             }
           }
         }
       }
-      
-      return { fixedHtml, fixCount };
-    } catch (error) {
-      console.error('Error during function error fix:', error);
-      return { fixedHtml, fixCount };
-    } finally {
-      // Clean up temp file
-      try {
-        fs.unlinkSync(tempFile);
-      } catch (e) {
-        // Ignore cleanup errors
+    }
+    
+    // Inline event handlers are a single statement list, so comment out the whole handler
+    const handlers = extractEventHandlers(fixedHtml);
+    const handlerFixes = new Map();
+    for (const func of remaining) {
+      for (const location of func.locations) {
+        if (location.type === 'handler' && handlers[location.handlerIndex] && !handlerFixes.has(location.handlerIndex)) {
+          handlerFixes.set(location.handlerIndex, `${func.objectName}.${func.functionName}`);
+        }
       }
     }
+    
+    for (const [handlerIndex, fullName] of handlerFixes) {
+      const handler = handlers[handlerIndex];
+      const commentedCode = [
+        `// ERROR: Handler commented out due to missing function ${fullName}`,
+        ...handler.code.split('\n').map(line => `// ${line}`)
+      ].join('\n');
+      
+      edits.add(replaceText(handler.codeIndex, handler.codeIndex + handler.code.length, commentedCode));
+      console.log(`✓ Commented out ${handler.attribute} handler of <${handler.element}> calling ${fullName}`);
+      fixCount++;
+      emitEvent(options, { type: 'fix-applied', stage: 'not-a-function', message: `Commented out ${handler.attribute} handler calling ${fullName}` });
+    }
+    
+    fixedHtml = edits.apply();
+    return { fixedHtml, fixCount, errors: errorDetails, rollbacks };
   }
   /**
    * Get targeted fixes for specific function calls - block-aware
@@ -2033,7 +2978,7 @@ async function fixNotAFunctionErrors(html) {
    * @param {Array} problemLines - Array of problem line objects
    * @returns {Promise<Array>} - Array of fix objects
    */
-  async function getTargetedFunctionFixes(scriptContent, functionData, problemLines) {
+  async function getTargetedFunctionFixes(scriptContent, functionData, problemLines, options = {}) {
     const fullName = `${functionData.objectName}.${functionData.functionName}`;
     
     console.log(`Getting block-aware fixes for ${fullName}...`);
@@ -2067,7 +3012,24 @@ async function fixNotAFunctionErrors(html) {
       });
     }
     
-    // Prepare prompt for DeepSeek with BLOCK-AWARE instructions
+    // Rule-based fix: comment out every block that calls the missing function
+    const commentOutBlocks = () => contextBlocks.map(block => {
+      const blockLines = block.blockContent.split('\n');
+      const commentedLines = blockLines.map(line => `// ${line}`);
+      const replacementBlock = `// ERROR: Block commented out due to missing function ${fullName}\n${commentedLines.join('\n')}`;
+      
+      return {
+        startLine: block.blockStartLine,
+        endLine: block.blockEndLine,
+        replacement: replacementBlock
+      };
+    });
+    
+    if (options.offline) {
+      return commentOutBlocks();
+    }
+    
+    // Prepare prompt for the AI with BLOCK-AWARE instructions
     const prompt = `I need to fix "${fullName} is not a function" errors by commenting out ENTIRE CODE BLOCKS.
     
   Here are the problematic blocks where this function is called:
@@ -2111,30 +3073,14 @@ async function fixNotAFunctionErrors(html) {
   ONLY return the JSON array with no additional text.`;
   
     try {
-      // Call DeepSeek API
-      const response = await axios.post(DEEPSEEK_API_URL, {
-        model: 'deepseek-chat',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are instructed to comment out entire code blocks containing problematic function calls. You preserve indentation and maintain syntactic correctness by commenting out all lines in the blocks, not just individual lines.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 1024,
-        temperature: 0.1
-      }, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${DEEPSEEK_API_KEY}`
-        }
+      // Ask the configured LLM provider
+      const aiResponse = await requestCompletion(options, {
+        stage: 'not-a-function',
+        purpose: `Patch calls to ${fullName}`,
+        system: 'You are instructed to comment out entire code blocks containing problematic function calls. You preserve indentation and maintain syntactic correctness by commenting out all lines in the blocks, not just individual lines.',
+        prompt,
+        maxTokens: 1024
       });
-  
-      // Extract just the JSON from the response
-      const aiResponse = response.data.choices[0].message.content;
       
       // Parse the JSON
       let fixes;
@@ -2152,17 +3098,7 @@ async function fixNotAFunctionErrors(html) {
             console.log("Couldn't extract JSON from AI response, falling back to manual fix");
             
             // Fallback to manually commenting out entire blocks
-            fixes = contextBlocks.map(block => {
-              const blockLines = block.blockContent.split('\n');
-              const commentedLines = blockLines.map(line => `// ${line}`);
-              const replacementBlock = `// ERROR: Block commented out due to missing function ${fullName}\n${commentedLines.join('\n')}`;
-              
-              return {
-                startLine: block.blockStartLine,
-                endLine: block.blockEndLine,
-                replacement: replacementBlock
-              };
-            });
+            fixes = commentOutBlocks();
           }
         }
       } catch (e) {
@@ -2170,17 +3106,7 @@ async function fixNotAFunctionErrors(html) {
         console.log("AI response was:", aiResponse);
         
         // Fallback to manually commenting out entire blocks
-        fixes = contextBlocks.map(block => {
-          const blockLines = block.blockContent.split('\n');
-          const commentedLines = blockLines.map(line => `// ${line}`);
-          const replacementBlock = `// ERROR: Block commented out due to missing function ${fullName}\n${commentedLines.join('\n')}`;
-          
-          return {
-            startLine: block.blockStartLine,
-            endLine: block.blockEndLine,
-            replacement: replacementBlock
-          };
-        });
+        fixes = commentOutBlocks();
       }
       
       // SAFETY CHECK: Make sure all lines in all fixes are commented
@@ -2198,17 +3124,7 @@ async function fixNotAFunctionErrors(html) {
       console.error('Error getting block fixes:', error);
       
       // Fallback to manually commenting out entire blocks
-      return contextBlocks.map(block => {
-        const blockLines = block.blockContent.split('\n');
-        const commentedLines = blockLines.map(line => `// ${line}`);
-        const replacementBlock = `// ERROR: Block commented out due to missing function ${fullName}\n${commentedLines.join('\n')}`;
-        
-        return {
-          startLine: block.blockStartLine,
-          endLine: block.blockEndLine,
-          replacement: replacementBlock
-        };
-      });
+      return commentOutBlocks();
     }
   }
   
@@ -2287,8 +3203,8 @@ async function fixNotAFunctionErrors(html) {
         let statementStart = problematicLineIdx;
         let statementEnd = problematicLineIdx;
         
-        // Look for statement start
-        for (let i = problematicLineIdx; i >= 0; i--) {
+        // Look for statement start: after the previous statement's end
+        for (let i = problematicLineIdx - 1; i >= 0; i--) {
           if (lines[i].trim().endsWith(';') || lines[i].trim().endsWith('{')) {
             statementStart = i + 1;
             break;
@@ -2314,11 +3230,12 @@ async function fixNotAFunctionErrors(html) {
   /**
    * Extract function details from error objects with pattern matching
    * @param {Array} errorDetails - Array of error detail objects
-   * @returns {Array} - Array of function data objects
+   * @returns {Array} - Array of function data objects, each with the locations it was reported at
+   *   and, when the browser inspected the object, its `introspection`
    */
   function extractFunctionDetailsFromErrors(errorDetails) {
     const functionData = [];
-    const seen = new Set();
+    const seen = new Map();
     
     for (const error of errorDetails) {
       // Process various error message formats
@@ -2334,6 +3251,12 @@ async function fixNotAFunctionErrors(html) {
             objectName: stdMatch[1],
             functionName: stdMatch[2]
           });
+        } else if (stdMatch[1].includes('.')) { // the greedy name swallowed the object
+          const lastDot = stdMatch[1].lastIndexOf('.');
+          matches.push({
+            objectName: stdMatch[1].slice(0, lastDot),
+            functionName: stdMatch[1].slice(lastDot + 1)
+          });
         } else { // just function format
           matches.push({
             objectName: 'window',
@@ -2364,12 +3287,19 @@ async function fixNotAFunctionErrors(html) {
         });
       }
       
-      // Add unique matches to our result set
+      // Add unique matches to our result set, keeping every location they were reported at
       for (const match of matches) {
         const key = `${match.objectName}.${match.functionName}`;
         if (!seen.has(key)) {
-          seen.add(key);
-          functionData.push(match);
+          seen.set(key, { ...match, locations: [] });
+          functionData.push(seen.get(key));
+        }
+        if (error.location) {
+          seen.get(key).locations.push(error.location);
+        }
+        if (error.introspection && error.introspection.expression === match.objectName &&
+            error.introspection.method === match.functionName) {
+          seen.get(key).introspection = error.introspection;
         }
       }
     }
@@ -2378,99 +3308,844 @@ async function fixNotAFunctionErrors(html) {
   }
   
 
-// Update the main processHtmlFile function to include the new fixer
-async function processHtmlFile(filePath) {
+/**
+ * Report a progress event to the caller, if it asked for them. Event types:
+ * stage-started, stage-finished, issue-detected, fix-applied, fix-rolled-back and ai-call.
+ * @param {Object} options - Options passed through the pipeline
+ * @param {Object} event - Event with at least `type` and `stage`
+ * @returns {*} - Whatever the listener returns, so stage events can be awaited
+ */
+function emitEvent(options, event) {
+  if (options && typeof options.onEvent === 'function') {
+    return options.onEvent({ ...event, timestamp: new Date().toISOString() });
+  }
+}
+
+/**
+ * Get the LLM client for a run. `options.llm` overrides the configured provider for
+ * programmatic callers; everyone else shares a client built from LLM_CONFIG / LLM_* env vars.
+ * @param {Object} options - Options passed through the pipeline
+ * @returns {Object} - LLM client
+ */
+function getLlmClient(options) {
+  if (options && options.llm) {
+    return createLlmClient(options.llm);
+  }
+  if (!defaultLlmClient) {
+    defaultLlmClient = createLlmClient();
+  }
+  return defaultLlmClient;
+}
+
+/**
+ * Ask the configured LLM provider for a completion, reporting the call as an ai-call event
+ * @param {Object} options - Options passed through the pipeline
+ * @param {Object} request - Completion request
+ * @param {string} request.stage - Repair stage making the call
+ * @param {string} request.purpose - Short description for progress events
+ * @param {string} request.system - System prompt
+ * @param {string} request.prompt - User prompt
+ * @param {number} request.maxTokens - Token limit for this kind of fix
+ * @returns {Promise<string>} - The model's reply
+ */
+async function requestCompletion(options, { stage, purpose, system, prompt, maxTokens }) {
+  if (options && options.offline) {
+    // Stages check for offline mode themselves; this guarantees nothing slips through
+    throw new Error(`AI calls are disabled in offline mode (${stage}: ${purpose})`);
+  }
+  emitEvent(options, { type: 'ai-call', stage, purpose });
+  const client = getLlmClient(options);
+  return useCassette(options, 'llm', { system, prompt, maxTokens }, () => client.complete({ system, prompt, maxTokens }));
+}
+
+/**
+ * Get the record/replay cassette for a run. `options.cassette` overrides the configured one;
+ * pass null to disable it.
+ * @param {Object} options - Options passed through the pipeline
+ * @returns {Object|null} - Cassette, or null when interactions run live
+ */
+function getCassette(options) {
+  if (options && options.cassette !== undefined) {
+    return options.cassette;
+  }
+  if (defaultCassette === undefined) {
+    defaultCassette = createCassette();
+  }
+  return defaultCassette;
+}
+
+/**
+ * Perform an LLM or browser interaction through the cassette, if one is active
+ * @param {Object} options - Options passed through the pipeline
+ * @param {string} kind - Interaction kind used in fixture names
+ * @param {Object} request - Everything that determines the response
+ * @param {Function} perform - Performs the interaction live
+ * @returns {Promise<*>} - The live or recorded response
+ */
+function useCassette(options, kind, request, perform) {
+  const cassette = getCassette(options);
+  return cassette ? cassette.use(kind, request, perform) : perform();
+}
+
+/**
+ * Parse every inline JavaScript block with a strict parser
+ * @param {string} html - The HTML content to check
+ * @returns {Array} - One entry per script (see extractScripts): the parse error message, or null
+ */
+function findScriptSyntaxErrors(html) {
+  return extractScripts(html).map(script => {
+    const type = getScriptType(script.fullMatch);
+    // Shaders, JSON and templates are not JavaScript
+    if (!isJavaScriptType(type)) {
+      return null;
+    }
+    
+    try {
+      acorn.parse(script.content, { ecmaVersion: 'latest', sourceType: type === 'module' ? 'module' : 'script' });
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  });
+}
+
+/**
+ * Re-validate an AI-proposed fix before keeping it. The fix is rolled back if a script that
+ * used to parse no longer does, or if the stage's error count does not go down.
+ * @param {Object} options - Options passed through the pipeline
+ * @param {Object} check - What to verify
+ * @param {string} check.stage - Repair stage proposing the fix
+ * @param {string} check.description - What the fix was meant to do
+ * @param {string} check.before - HTML without the fix
+ * @param {string} check.after - HTML with the fix applied
+ * @param {Function} check.countErrors - Resolves to the stage's error count for an HTML document
+ * @param {number} [check.errorsBefore] - Error count without the fix, when already known
+ * @returns {Promise<Object>} - { rollback, errorsAfter }; rollback is null when the fix is kept,
+ *   otherwise { description, reason }
+ */
+async function verifyFix(options, { stage, description, before, after, countErrors, errorsBefore }) {
+  const syntaxBefore = findScriptSyntaxErrors(before);
+  const newSyntaxError = findScriptSyntaxErrors(after).find((error, i) => error && !syntaxBefore[i]);
+  
+  let reason = null;
+  let errorsAfter;
+  if (newSyntaxError) {
+    reason = `Introduced a syntax error: ${newSyntaxError}`;
+  } else {
+    const countBefore = errorsBefore !== undefined ? errorsBefore : await countErrors(before);
+    errorsAfter = await countErrors(after);
+    if (errorsAfter >= countBefore) {
+      reason = `Did not reduce errors (${countBefore} before, ${errorsAfter} after)`;
+    }
+  }
+  
+  if (!reason) {
+    return { rollback: null, errorsAfter };
+  }
+  
+  console.log(`↩️ Rolled back ${description}: ${reason}`);
+  emitEvent(options, { type: 'fix-rolled-back', stage, message: `${description}: ${reason}` });
+  return { rollback: { description, reason }, errorsAfter };
+}
+
+/**
+ * Convert a character offset into a 1-based line and column
+ * @param {string} text - The text containing the offset
+ * @param {number} index - Character offset
+ * @returns {Object} - Location object with line and column
+ */
+function getLocation(text, index) {
+  const lines = text.slice(0, index).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Document location of a runtime error found by a browser-based detector
+ * @param {Object} error - Detected error, with the location from locateRuntimeError
+ * @returns {Object|null} - Location object with line and column, or null if unknown
+ */
+function getRuntimeErrorLocation(error) {
+  if (error.location) {
+    return { line: error.location.documentLine, column: error.location.documentColumn };
+  }
+  return error.lineNumber ? { line: error.lineNumber, column: null } : null;
+}
+
+/**
+ * Create a diagnostic issue
+ * @param {string} stage - Name of the stage that found the issue
+ * @param {string} severity - 'error' or 'warning'
+ * @param {string} message - Description of the issue
+ * @param {Object|null} location - Document location ({ line, column })
+ * @returns {Object} - Issue object
+ */
+function createIssue(stage, severity, message, location = null) {
+  return { stage, severity, message, location };
+}
+
+/**
+ * Diagnose undefined variables. Names that only static analysis finds are warnings when the
+ * page loads scripts whose globals are unknown, unless the browser confirms them.
+ * @param {string} html - The HTML content to check
+ * @param {Object} [options] - Options passed through the pipeline
+ * @returns {Promise<Array>} - Array of issues
+ */
+async function diagnoseUndefinedVariables(html, options = {}) {
+  const errors = await detectUndefinedVariableErrors(html, options);
+  const reported = new Set(errors.map(error => `${extractVarNameFromError(error.message)}:${error.lineNumber}`));
+  const possible = detectStaticUndefinedVariables(html).possible
+    .filter(error => !reported.has(`${extractVarNameFromError(error.message)}:${error.lineNumber}`));
+  
+  return [
+    ...errors.map(error => createIssue('undefined-variables', 'error', error.message, getRuntimeErrorLocation(error))),
+    ...possible.map(error => createIssue('undefined-variables', 'warning',
+      `${error.message} (unless an external script defines it)`, getRuntimeErrorLocation(error)))
+  ];
+}
+
+/**
+ * Diagnose syntax errors in all JavaScript blocks
+ * @param {string} html - The HTML content to check
+ * @returns {Array} - Array of issues, at most one per script
+ */
+function diagnoseScriptSyntax(html) {
+  const issues = [];
+  
+  for (const script of extractScripts(html)) {
+    const type = getScriptType(script.fullMatch);
+    if (!isJavaScriptType(type)) continue;
+    
+    const error = findSyntaxError(script.content, type === 'module' ? 'module' : 'script');
+    if (error) {
+      issues.push(createIssue('syntax', 'error', error.message, getLocation(html, script.contentIndex + error.pos)));
+    }
+  }
+  
+  return issues;
+}
+
+/**
+ * Diagnose unbalanced and mismatched brackets in all JavaScript blocks
+ * @param {string} html - The HTML content to check
+ * @returns {Array} - Array of issues
+ */
+function diagnoseScriptBrackets(html) {
+  const issues = [];
+  
+  for (const script of extractScripts(html)) {
+    if (!isJavaScriptType(getScriptType(script.fullMatch))) continue;
+    
+    for (const issue of findBracketIssues(script.content)) {
+      issues.push(createIssue('parentheses', 'error', issue.message, getLocation(html, script.contentIndex + issue.index)));
+    }
+  }
+  
+  return issues;
+}
+
+/**
+ * Diagnose CSS issues in all style tags and style attributes
+ * @param {string} html - The HTML content to check
+ * @returns {Array} - Array of issues
+ */
+function diagnoseCssStyles(html) {
+  const issues = [];
+  
+  for (const style of extractStyles(html)) {
+    const { issues: cssIssues } = detectCssIssues(style.content);
+    const styleLocation = style.contentStart;
+    
+    for (const issue of cssIssues) {
+      // Parser positions are relative to the style tag content
+      const location = {
+        line: styleLocation.line + issue.line - 1,
+        column: issue.line === 1 ? styleLocation.column + issue.column - 1 : issue.column
+      };
+      issues.push(createIssue('css', 'warning', issue.message, location));
+    }
+  }
+  
+  for (const attribute of extractStyleAttributes(html)) {
+    const { issues: cssIssues } = detectCssIssues(attribute.css, { declarations: true });
+    
+    for (const issue of cssIssues) {
+      // Exact unless character references come before the issue in the value
+      const location = {
+        line: attribute.location.line + issue.line - 1,
+        column: issue.line === 1 ? attribute.location.column + issue.column - 1 : issue.column
+      };
+      issues.push(createIssue('css', 'warning', `${issue.message} in the style attribute of <${attribute.element}>`, location));
+    }
+  }
+  
+  return issues;
+}
+
+/**
+ * Diagnose failed CDN script and style sheet resources
+ * @param {string} html - The HTML content to check
+ * @param {Object} [options] - Options passed through the pipeline
+ * @returns {Promise<Array>} - Array of issues
+ */
+async function diagnoseCdnImports(html, options = {}) {
+  const { failedResources, problemTags, missingAssets } = await detectCdnErrors(html, options);
+  
+  return [
+    ...missingAssets.map(asset => createIssue('cdn-imports', 'error', describeMissingAsset(asset, options))),
+    ...failedResources.map(resource => {
+      const problem = problemTags.find(p => p.url === resource.url);
+      const location = problem ? getLocation(html, problem.tag.index) : null;
+      return createIssue('cdn-imports', 'error', `Failed to load ${resource.url}: ${resource.error}`, location);
+    })
+  ];
+}
+
+/**
+ * Diagnose THREE.ShaderMaterial compilation errors
+ * @param {string} html - The HTML content to check
+ * @param {Object} [options] - Options passed through the pipeline
+ * @returns {Promise<Array>} - Array of issues
+ */
+async function diagnoseShaderMaterial(html, options = {}) {
+  if (!containsShaderMaterial(html)) return [];
+  
+  const shaderErrors = await detectShaderErrors(html, options);
+  const location = getLocation(html, html.search(/new THREE\.ShaderMaterial\(/i));
+  
+  return shaderErrors.map(message => createIssue('shader-material', 'error', message, location));
+}
+
+/**
+ * Repair stages in pipeline order, keyed by the `validationType` accepted by the handler.
+ * Every stage resolves to { fixedHtml, fixCount, errors, unresolved?, rollbacks?, blocking? },
+ * where `unresolved` lists issues the stage found but could not fix, `rollbacks` lists AI fixes
+ * that failed verification and `blocking` lists issues no later stage should try to repair
+ * around, which stop the full pipeline; `detect` only reports issues and never modifies the
+ * document or calls the AI.
+ */
+const REPAIR_STAGES = {
+  'llm-output': {
+    description: 'chat formatting around the document and code left out of it',
+    run: async (html, options) => fixLlmOutput(html, options),
+    detect: async (html) => diagnoseLlmOutput(html)
+  },
+  'malformed-tags': {
+    description: 'malformed HTML tags',
+    run: async (html, options) => fixMalformedHtmlTags(html, options),
+    detect: async (html) => detectMalformedHtmlTags(html).map(issue =>
+      createIssue('malformed-tags', 'error', issue.message, getLocation(html, issue.index)))
+  },
+  'missing-style-tags': {
+    description: 'CSS not wrapped in style tags',
+    run: async (html, options) => fixMissingStyleTags(html, options),
+    detect: async (html) => detectMissingStyleTags(html).map(issue =>
+      createIssue('missing-style-tags', 'warning', issue.message, getLocation(html, issue.index)))
+  },
+  'structure': {
+    description: 'HTML document structure problems',
+    run: async (html, options) => fixHtmlStructure(html, options),
+    detect: async (html) => diagnoseHtmlStructure(html)
+  },
+  'cdn-imports': {
+    description: 'incorrect CDN imports',
+    run: fixCdnImports,
+    detect: diagnoseCdnImports
+  },
+  'p5-names': {
+    description: 'misspelled p5.js names',
+    run: fixP5Names,
+    detect: async (html) => diagnoseP5Names(html)
+  },
+  'not-a-function': {
+    description: '"is not a function" TypeErrors',
+    run: fixNotAFunctionErrors,
+    detect: async (html, options) => (await detectNotAFunctionErrors(html, options)).map(error =>
+      createIssue('not-a-function', 'error', error.message, getRuntimeErrorLocation(error)))
+  },
+  'css': {
+    description: 'CSS issues in style tags and attributes',
+    run: fixCssStyles,
+    detect: async (html) => diagnoseCssStyles(html)
+  },
+  'undefined-variables': {
+    description: 'undefined variable errors',
+    run: fixUndefinedVariables,
+    detect: diagnoseUndefinedVariables
+  },
+  'parentheses': {
+    description: 'bracket issues in scripts',
+    run: async (html, options) => {
+      const { fixedHtml, totalFixes, errors, unresolved, rollbacks } = await extractAndFixScripts(html, true, options);
+      return { fixedHtml, fixCount: totalFixes, errors, unresolved, rollbacks };
+    },
+    detect: async (html) => diagnoseScriptBrackets(html)
+  },
+  'syntax': {
+    description: 'syntax errors in scripts',
+    run: fixScriptSyntax,
+    detect: async (html) => diagnoseScriptSyntax(html)
+  },
+  'shader-material': {
+    description: 'THREE.ShaderMaterial shader compilation errors',
+    run: async (html, options) => {
+      if (!containsShaderMaterial(html)) {
+        return { fixedHtml: html, fixCount: 0, errors: [] };
+      }
+      return fixShaderMaterialErrors(html, options);
+    },
+    detect: diagnoseShaderMaterial
+  }
+};
+
+/**
+ * Run a single repair stage on an HTML string
+ * @param {string} stageName - Key of REPAIR_STAGES
+ * @param {string} html - The HTML content to repair
+ * @param {Object} [options] - Repair options
+ * @param {string} [options.fileName] - File name used in patch headers
+ * @param {Function} [options.onEvent] - Receives progress events (see emitEvent)
+ * @param {boolean} [options.offline] - Use rule-based repairs only and never contact the AI
+ * @param {Object} [options.cassette] - Record/replay cassette for LLM and browser interactions
+ * @param {Object} [options.browserSession] - Browser session for runtime checks, defaults to the shared one
+ * @param {string} [options.baseDirectory] - Directory relative asset URLs are read from during runtime checks
+ * @returns {Promise<Object>} - Fixed HTML, total fixes, per-stage report, tagged errors,
+ *   unresolved issues, rolled-back AI fixes, blocking issues and unified diff
+ */
+async function runRepairStage(stageName, html, options = {}) {
+  const { fileName = 'index.html' } = options;
+  const stage = REPAIR_STAGES[stageName];
+  if (!stage) {
+    throw new Error(`Unknown repair stage: ${stageName}`);
+  }
+
+  console.log(`Checking for ${stage.description}...`);
+  await emitEvent(options, { type: 'stage-started', stage: stageName, description: stage.description });
+  const { fixedHtml, fixCount, errors = [], unresolved = [], rollbacks = [], blocking = [] } = await stage.run(html, options);
+  const patch = createPatch(fileName, html, fixedHtml);
+  await emitEvent(options, { type: 'stage-finished', stage: stageName, fixCount, errors, unresolved, rollbacks, blocking, patch });
+
+  return {
+    fixedHtml,
+    totalFixes: fixCount,
+    stages: { [stageName]: { fixCount, errors, unresolved, rollbacks, blocking, patch } },
+    errors: errors.map(error => ({ stage: stageName, error })),
+    unresolved: unresolved.map(message => ({ stage: stageName, message })),
+    rollbacks: rollbacks.map(rollback => ({ stage: stageName, ...rollback })),
+    blocking: blocking.map(message => ({ stage: stageName, message })),
+    patch
+  };
+}
+
+/**
+ * Run the full repair sequence on an HTML string. Each stage's patch is relative to the
+ * previous stage's output; the top-level patch goes from the original to the final document.
+ * A stage reporting blocking issues ends the sequence, leaving the later stages out of the report.
+ * @param {string} html - The HTML content to repair
+ * @param {Object} [options] - Repair options, passed on to every stage
+ * @param {string} [options.fileName] - File name used in patch headers
+ * @param {Function} [options.onEvent] - Receives progress events (see emitEvent)
+ * @param {boolean} [options.offline] - Use rule-based repairs only and never contact the AI
+ * @param {Object} [options.cassette] - Record/replay cassette for LLM and browser interactions
+ * @param {Object} [options.browserSession] - Browser session for runtime checks, defaults to the shared one
+ * @param {string} [options.baseDirectory] - Directory relative asset URLs are read from during runtime checks
+ * @returns {Promise<Object>} - Fixed HTML, total fixes, per-stage report, tagged errors,
+ *   unresolved issues, rolled-back AI fixes, blocking issues and unified diff
+ */
+async function repairHtml(html, options = {}) {
+  const { fileName = 'index.html' } = options;
+  const report = { fixedHtml: html, totalFixes: 0, stages: {}, errors: [], unresolved: [], rollbacks: [], blocking: [] };
+
+  for (const stageName of Object.keys(REPAIR_STAGES)) {
+    const result = await runRepairStage(stageName, report.fixedHtml, options);
+    report.fixedHtml = result.fixedHtml;
+    report.totalFixes += result.totalFixes;
+    Object.assign(report.stages, result.stages);
+    report.errors.push(...result.errors);
+    report.unresolved.push(...result.unresolved);
+    report.rollbacks.push(...result.rollbacks);
+    report.blocking.push(...result.blocking);
+    if (result.blocking.length > 0) {
+      console.log(`⚠️ Stopped after checking for ${REPAIR_STAGES[stageName].description}: it found issues no repair can fix`);
+      break;
+    }
+  }
+
+  report.patch = createPatch(fileName, html, report.fixedHtml);
+  return report;
+}
+
+/**
+ * Stream progress events for a repair or diagnosis, finishing with a `result` event
+ * @param {Object} res - HTTP response
+ * @param {string} format - 'sse' for server-sent events or 'ndjson' for newline-delimited JSON
+ * @param {string} html - The HTML content to repair
+ * @param {string} validationType - 'full' or a key of REPAIR_STAGES
+ * @param {string} mode - 'repair' or 'diagnose'
+ * @param {Object} [options] - Repair options passed to the pipeline
+ */
+async function streamRepair(res, format, html, validationType, mode, options = {}) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', format === 'sse' ? 'text/event-stream' : 'application/x-ndjson');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  
+  const send = (event) => {
+    if (format === 'sse') {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    } else {
+      res.write(`${JSON.stringify(event)}\n`);
+    }
+  };
+  const streamOptions = { ...options, onEvent: send };
+  
+  try {
+    let result;
+    if (mode === 'diagnose') {
+      const stageNames = validationType === 'full' ? Object.keys(REPAIR_STAGES) : [validationType];
+      result = await diagnoseHtml(html, stageNames, streamOptions);
+    } else {
+      const repair = validationType === 'full' ?
+        await repairHtml(html, streamOptions) :
+        await runRepairStage(validationType, html, streamOptions);
+      result = {
+        html: repair.fixedHtml,
+        fixCount: repair.totalFixes,
+        stages: repair.stages,
+        errors: repair.errors,
+        unresolved: repair.unresolved,
+        rollbacks: repair.rollbacks,
+        blocking: repair.blocking,
+        patch: repair.patch
+      };
+    }
+    send({ type: 'result', success: true, validationType, mode, ...result });
+  } catch (error) {
+    console.error('Function error:', error);
+    send({ type: 'error', error: 'Internal server error', details: error.message });
+  }
+  
+  res.end();
+}
+
+/**
+ * Get the job store, creating it on first use
+ * @returns {Object} - Job store (see lib/job-store.js)
+ */
+function getJobStore() {
+  if (!jobStore) {
+    jobStore = createJobStore();
+  }
+  return jobStore;
+}
+
+/**
+ * Create a repair job and start running it in the background
+ * @param {string} html - The HTML content to repair
+ * @param {string} validationType - 'full' or a key of REPAIR_STAGES
+ * @param {Object} [options] - Repair options passed to the pipeline
+ * @returns {Promise<Object>} - The queued job
+ */
+async function enqueueRepairJob(html, validationType, options = {}) {
+  const job = await getJobStore().create({
+    id: crypto.randomUUID(),
+    status: 'queued',
+    validationType,
+    createdAt: new Date().toISOString(),
+    currentStage: null,
+    stages: {},
+    fixCount: 0,
+    result: null,
+    error: null
+  });
+  
+  // Not awaited: the caller polls the job store for progress. On Vercel, waitUntil keeps the
+  // function running after the response is sent; elsewhere the process simply stays up.
+  waitUntil(runRepairJob(job.id, html, validationType, options).catch(error => {
+    console.error(`Repair job ${job.id} could not be updated:`, error);
+  }));
+  
+  return job;
+}
+
+/**
+ * Run a repair job, recording the current stage and partial results as it goes
+ * @param {string} jobId - Job id
+ * @param {string} html - The HTML content to repair
+ * @param {string} validationType - 'full' or a key of REPAIR_STAGES
+ * @param {Object} [options] - Repair options passed to the pipeline
+ */
+async function runRepairJob(jobId, html, validationType, options = {}) {
+  const store = getJobStore();
+  await store.update(jobId, {
+    status: 'running',
+    currentStage: validationType === 'full' ? null : validationType
+  });
+  
+  const stages = {};
+  let fixCount = 0;
+  const onEvent = async (event) => {
+    if (event.type === 'stage-started') {
+      await store.update(jobId, { currentStage: event.stage });
+    } else if (event.type === 'stage-finished') {
+      const { type, stage, timestamp, ...stageResult } = event;
+      stages[stage] = stageResult;
+      fixCount += stageResult.fixCount;
+      await store.update(jobId, { stages, fixCount });
+    }
+  };
+  
+  try {
+    const result = validationType === 'full' ?
+      await repairHtml(html, { ...options, onEvent }) :
+      await runRepairStage(validationType, html, { ...options, onEvent });
+    
+    await store.update(jobId, {
+      status: 'completed',
+      currentStage: null,
+      stages: result.stages,
+      fixCount: result.totalFixes,
+      result: {
+        html: result.fixedHtml,
+        fixCount: result.totalFixes,
+        stages: result.stages,
+        errors: result.errors,
+        unresolved: result.unresolved,
+        rollbacks: result.rollbacks,
+        blocking: result.blocking,
+        patch: result.patch
+      }
+    });
+  } catch (error) {
+    console.error(`Repair job ${jobId} failed:`, error);
+    await store.update(jobId, { status: 'failed', error: error.message });
+  }
+}
+
+/**
+ * Send a job's status, or its final result when view is 'result'
+ * @param {Object} res - HTTP response
+ * @param {string} jobId - Job id
+ * @param {string} [view] - 'status' (default) or 'result'
+ */
+async function respondWithJob(res, jobId, view = 'status') {
+  if (!isValidJobId(jobId)) {
+    return res.status(400).json({ error: 'Invalid job id' });
+  }
+  
+  const store = getJobStore();
+  let job = await store.get(jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  if ((job.status === 'queued' || job.status === 'running') &&
+      Date.now() - Date.parse(job.updatedAt) > JOB_MAX_DURATION * 1000) {
+    job = await store.update(jobId, {
+      status: 'failed',
+      error: `Repair job stopped without finishing: no progress for over ${JOB_MAX_DURATION} seconds`
+    }) || job;
+  }
+  
+  const status = {
+    jobId: job.id,
+    status: job.status,
+    validationType: job.validationType,
+    currentStage: job.currentStage,
+    stages: job.stages,
+    fixCount: job.fixCount,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+  
+  if (view !== 'result') {
+    return res.status(200).json(status);
+  }
+  
+  if (job.status === 'failed') {
+    return res.status(500).json({ ...status, error: 'Repair job failed', details: job.error });
+  }
+  
+  if (job.status !== 'completed') {
+    // Not ready yet - keep polling
+    return res.status(202).json(status);
+  }
+  
+  return res.status(200).json({ success: true, jobId: job.id, validationType: job.validationType, ...job.result });
+}
+
+/**
+ * Run detectors without modifying the document or contacting the AI
+ * @param {string} html - The HTML content to check
+ * @param {Array} [stageNames] - Stages to run, defaults to all of them
+ * @param {Object} [options] - Diagnose options
+ * @param {Function} [options.onEvent] - Receives progress events (see emitEvent)
+ * @param {Object} [options.cassette] - Record/replay cassette for browser interactions
+ * @param {Object} [options.browserSession] - Browser session for runtime checks, defaults to the shared one
+ * @param {string} [options.baseDirectory] - Directory relative asset URLs are read from during runtime checks
+ * @returns {Promise<Object>} - Issues sorted by location plus per-stage issue counts
+ */
+async function diagnoseHtml(html, stageNames = Object.keys(REPAIR_STAGES), options = {}) {
+  const issues = [];
+  const stages = {};
+  
+  for (const stageName of stageNames) {
+    const stage = REPAIR_STAGES[stageName];
+    if (!stage) {
+      throw new Error(`Unknown repair stage: ${stageName}`);
+    }
+    
+    console.log(`Diagnosing ${stage.description}...`);
+    await emitEvent(options, { type: 'stage-started', stage: stageName, description: stage.description });
+    const stageIssues = await stage.detect(html, options);
+    stageIssues.forEach(issue => emitEvent(options, { type: 'issue-detected', ...issue }));
+    stages[stageName] = { issueCount: stageIssues.length };
+    issues.push(...stageIssues);
+    await emitEvent(options, { type: 'stage-finished', stage: stageName, issueCount: stageIssues.length });
+  }
+  
+  issues.sort((a, b) => ((a.location && a.location.line) || 0) - ((b.location && b.location.line) || 0));
+  
+  return { issues, issueCount: issues.length, stages };
+}
+
+async function processHtmlFile(filePath, options = {}) {
     const original = fs.readFileSync(filePath, 'utf8');
     const backupPath = `${filePath}.backup`;
     fs.writeFileSync(backupPath, original);
     console.log(`📦 Backup created at: ${backupPath}`);
     
-    // First, fix malformed HTML tags (including script and title tags)
-    console.log('Checking for malformed HTML tags...');
-    const malformedTagFixResult = fixMalformedHtmlTags(original);
-    let currentHtml = malformedTagFixResult.fixedHtml;
-    let totalFixes = malformedTagFixResult.fixCount;
-
-   
-    // Next, fix missing style tags
-    console.log('Checking for CSS not wrapped in style tags...');
-    const missingStyleTagsResult = fixMissingStyleTags(currentHtml);
-    currentHtml = missingStyleTagsResult.fixedHtml;
-    totalFixes += missingStyleTagsResult.fixCount;
-    
-    // Then, fix CDN imports
-    console.log('Checking for incorrect CDN imports...');
-    const cdnFixResult = await fixCdnImports(currentHtml);
-    currentHtml = cdnFixResult.fixedHtml;
-    totalFixes += cdnFixResult.fixCount;
-
-    console.log('Checking for "is not a function" TypeErrors...');
-    const notAFunctionResult = await fixNotAFunctionErrors(currentHtml);
-    currentHtml = notAFunctionResult.fixedHtml;
-    totalFixes += notAFunctionResult.fixCount;
-    
-    // Then, fix CSS in style tags
-    console.log('Checking for CSS issues in style tags...');
-    const cssFixResult = await fixCssStyles(currentHtml);
-    currentHtml = cssFixResult.fixedHtml;
-    totalFixes += cssFixResult.fixCount;
-    
-    // Fix undefined variable errors
-    console.log('Checking for undefined variable errors...');
-    const undefinedVarResult = await fixUndefinedVariables(currentHtml);
-    currentHtml = undefinedVarResult.fixedHtml;
-    totalFixes += undefinedVarResult.fixCount;
-    
-    // Finally, fix script issues like parenthesis
-    console.log('Checking for parenthesis issues in scripts...');
-    const scriptFixResult = await extractAndFixScripts(currentHtml);
-    currentHtml = scriptFixResult.fixedHtml;
-    totalFixes += scriptFixResult.totalFixes;
-
-    if (containsShaderMaterial(currentHtml)) {
-      console.log('Detected THREE.ShaderMaterial - checking for shader compilation errors...');
-      const shaderFixResult = await fixShaderMaterialErrors(currentHtml);
-      currentHtml = shaderFixResult.fixedHtml;
-      totalFixes += shaderFixResult.fixCount;
-      
-      // If shader fixes were applied, skip other preprocessing steps that might interfere
-      if (shaderFixResult.fixCount > 0) {
-          console.log('ShaderMaterial fixes applied - skipping other preprocessing to avoid conflicts');
-          
-          if (totalFixes > 0) {
-              fs.writeFileSync(filePath, currentHtml, 'utf8');
-              console.log(`✅ Fixed ${totalFixes} shader issues in ${filePath}`);
-          }
-      }
-  }
-    
+    const { fixedHtml, totalFixes, stages, unresolved, rollbacks, blocking, patch } = await repairHtml(original, {
+        baseDirectory: path.dirname(path.resolve(filePath)),
+        ...options,
+        fileName: path.basename(filePath)
+    });
     
     if (totalFixes > 0) {
-        fs.writeFileSync(filePath, currentHtml, 'utf8');
-        console.log(`✅ Fixed ${totalFixes} issues in ${filePath} (${malformedTagFixResult.fixCount} malformed tags, ${cssFixResult.fixCount} CSS issues, ${undefinedVarResult.fixCount} undefined variables, ${scriptFixResult.totalFixes} parenthesis issues)`);
-    } else {
+        fs.writeFileSync(filePath, fixedHtml, 'utf8');
+        if (patch) {
+            fs.writeFileSync(`${filePath}.patch`, patch, 'utf8');
+            console.log(`📝 Patch written to: ${filePath}.patch`);
+        }
+        // Stages after a blocking issue did not run
+        const count = stageName => (stages[stageName] ? stages[stageName].fixCount : 0);
+        console.log(`✅ Fixed ${totalFixes} issues in ${filePath} (${count('llm-output')} chat artifacts, ${count('malformed-tags')} malformed tags, ${count('structure')} structure problems, ${count('css')} CSS issues, ${count('p5-names')} p5 names, ${count('undefined-variables')} undefined variables, ${count('parentheses')} bracket issues, ${count('syntax')} syntax errors, ${count('shader-material')} shader issues)`);
+    } else if (unresolved.length === 0 && blocking.length === 0) {
         console.log(`✅ No issues found in ${filePath}`);
     }
     
+    if (blocking.length > 0) {
+        console.log(`⚠️ Repair stopped: ${blocking.length} issue(s) must be fixed by hand first:`);
+        blocking.forEach(issue => console.log(`   [${issue.stage}] ${issue.message}`));
+    }
+    
+    if (unresolved.length > 0) {
+        console.log(`⚠️ ${unresolved.length} issue(s) could not be resolved${options.offline ? ' without AI' : ''}:`);
+        unresolved.forEach(issue => console.log(`   [${issue.stage}] ${issue.message}`));
+    }
+    
+    if (rollbacks.length > 0) {
+        console.log(`↩️ ${rollbacks.length} AI fix(es) were rolled back:`);
+        rollbacks.forEach(rollback => console.log(`   [${rollback.stage}] ${rollback.description}: ${rollback.reason}`));
+    }
+    
     return totalFixes;
 }
 
+/**
+ * Print diagnostics for an HTML file without modifying it
+ * @param {string} filePath - Path to the HTML file
+ * @param {Object} [options] - Diagnose options (see diagnoseHtml)
+ * @returns {Promise<number>} - Number of issues found
+ */
+async function diagnoseHtmlFile(filePath, options = {}) {
+    const html = fs.readFileSync(filePath, 'utf8');
+    const { issues } = await diagnoseHtml(html, Object.keys(REPAIR_STAGES), {
+        baseDirectory: path.dirname(path.resolve(filePath)),
+        ...options
+    });
+    
+    for (const issue of issues) {
+        const where = issue.location && issue.location.line ?
+            `${filePath}:${issue.location.line}${issue.location.column ? `:${issue.location.column}` : ''}` :
+            filePath;
+        console.log(`${where} ${issue.severity} [${issue.stage}] ${issue.message}`);
+    }
+    
+    console.log(issues.length > 0 ? `⚠️ Found ${issues.length} issues in ${filePath}` : `✅ No issues found in ${filePath}`);
+    return issues.length;
+}
+
+/**
+ * Apply a previously produced patch to an HTML file
+ * @param {string} filePath - Path to the original HTML file
+ * @param {string} patchPath - Path to the unified diff
+ */
+function applyPatchFile(filePath, patchPath) {
+    const original = fs.readFileSync(filePath, 'utf8');
+    const patched = applyPatch(original, fs.readFileSync(patchPath, 'utf8'));
+    fs.writeFileSync(`${filePath}.backup`, original);
+    fs.writeFileSync(filePath, patched, 'utf8');
+    console.log(`✅ Applied ${patchPath} to ${filePath}`);
+}
+
 // CLI Entry
 if (require.main === module) {
-  const file = process.argv[2];
+  const args = process.argv.slice(2);
+  const flags = args.filter(arg => arg.startsWith('--'));
+  const file = args.find(arg => !arg.startsWith('--'));
   if (!file || !fs.existsSync(file)) {
-    console.error('Usage: node p5-repair.js <html-file>');
+    console.error('Usage: node p5-repair.js [--diagnose | --apply-patch=<patch-file> | --offline] [--record=<dir> | --replay=<dir>] <html-file>');
     process.exit(1);
   }
   
+  const flagValue = (name) => {
+    const flag = flags.find(f => f.startsWith(`--${name}=`));
+    return flag ? flag.slice(name.length + 3) : null;
+  };
+  const applyPatchFlag = flagValue('apply-patch');
+  
   try {
-    processHtmlFile(file).then(count => {
-      process.exit(count > 0 ? 0 : 1);
-    });
+    const options = {};
+    if (flagValue('record') || flagValue('replay')) {
+      options.cassette = createCassette(flagValue('record') ?
+        { mode: 'record', directory: flagValue('record') } :
+        { mode: 'replay', directory: flagValue('replay') });
+    }
+    const finish = async (code) => {
+      const cassette = getCassette(options);
+      if (cassette && cassette.misses.length > 0) {
+        console.log(`⚠️ ${cassette.misses.length} interaction(s) were not found in ${cassette.directory}`);
+      }
+      await getBrowserSession(options).close();
+      process.exit(code);
+    };
+    
+    if (applyPatchFlag) {
+      applyPatchFile(file, applyPatchFlag);
+      process.exit(0);
+    } else if (flags.includes('--diagnose')) {
+      diagnoseHtmlFile(file, options).then(count => finish(count > 0 ? 1 : 0));
+    } else {
+      processHtmlFile(file, { ...options, offline: flags.includes('--offline') }).then(count => finish(count > 0 ? 0 : 1));
+    }
   } catch (err) {
     console.error(`❌ Error: ${err.message}`);
     process.exit(1);
   }
 }
 
-module.exports = { processHtmlFile };
\ No newline at end of file
+// Vercel calls the exported function; the CLI helpers and fixers are properties of it
+module.exports = Object.assign(handler, {
+  default: handler,
+  processHtmlFile,
+  diagnoseHtmlFile,
+  applyPatchFile,
+  repairHtml,
+  runRepairStage,
+  diagnoseHtml,
+  REPAIR_STAGES,
+  fixUndefinedVariables,
+  fixNotAFunctionErrors,
+  getSmartFixFromAI
+});
\ No newline at end of file
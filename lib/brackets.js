@@ -0,0 +1,431 @@
+/**
+ * brackets.js — Token-aware balancing of (), [] and {} in JavaScript source
+ *
+ * Brackets inside strings, template literals, regular expressions and comments are ignored,
+ * so GLSL shaders and other code embedded in strings is treated as the literal it is.
+ * Every unbalanced bracket is reported with a proposed edit, placed at the end of the
+ * statement the bracket belongs to (for parentheses and square brackets) or where the
+ * indentation says the block ends (for braces).
+ */
+const { applyEdits, replaceText } = require('./edits');
+
+const CLOSERS = { '(': ')', '[': ']', '{': '}', '${': '}' };
+
+const NAMES = {
+  '(': 'parenthesis', ')': 'parenthesis',
+  '[': 'square bracket', ']': 'square bracket',
+  '{': 'brace', '}': 'brace', '${': 'brace'
+};
+
+// Longest first, so e.g. '===' is not read as '==' followed by '='
+const PUNCTUATORS = /^(?:>>>=|\.\.\.|===|!==|\*\*=|<<=|>>=|>>>|\?\?=|&&=|\|\|=|=>|==|!=|<=|>=|&&|\|\||\?\?|\?\.|\+\+|--|\+=|-=|\*=|\/=|%=|&=|\|=|\^=|\*\*|<<|>>|[-+*/%&|^!~?:=<>.,;@#])/;
+
+// Keywords after which a `/` starts a regular expression and a `{` starts an object literal
+const EXPRESSION_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+/**
+ * Split JavaScript source into tokens. Comments and whitespace are dropped; strings,
+ * template text and regular expressions become single literal tokens.
+ * @param {string} source - JavaScript source
+ * @returns {Array} - Tokens with type ('name', 'number', 'string', 'template', 'regex',
+ *   'punctuator' or 'bracket'), value, start and end offsets and 1-based start and end lines
+ */
+function tokenize(source) {
+  const tokens = [];
+  // One entry per open template substitution: how many plain braces are open inside it
+  const templateDepths = [];
+  let line = 1;
+  let i = 0;
+
+  const push = (type, start, end) => {
+    const endLine = line + countNewlines(source, start, end);
+    tokens.push({ type, value: source.slice(start, end), start, end, line, endLine });
+    line = endLine;
+    i = end;
+  };
+
+  // Scan template text from `from`; the token starts at `start` ('`' or just after a substitution)
+  const scanTemplate = (start, from) => {
+    let j = from;
+    while (j < source.length) {
+      if (source[j] === '\\') {
+        j += 2;
+      } else if (source[j] === '`') {
+        push('template', start, j + 1);
+        return;
+      } else if (source[j] === '$' && source[j + 1] === '{') {
+        push('template', start, j);
+        push('bracket', j, j + 2);
+        templateDepths.push(0);
+        return;
+      } else {
+        j++;
+      }
+    }
+    push('template', start, source.length);
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    if (char === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (char === '/' && next === '/') {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end;
+    } else if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      line += countNewlines(source, i, stop);
+      i = stop;
+    } else if (char === '"' || char === "'") {
+      let j = i + 1;
+      while (j < source.length && source[j] !== char && source[j] !== '\n') {
+        j += source[j] === '\\' ? 2 : 1;
+      }
+      push('string', i, Math.min(j + 1, source.length));
+    } else if (char === '`') {
+      scanTemplate(i, i + 1);
+    } else if (char === '/' && regexAllowed(tokens[tokens.length - 1])) {
+      const end = scanRegex(source, i);
+      if (end === -1) {
+        push('punctuator', i, i + 1);
+      } else {
+        push('regex', i, end);
+      }
+    } else if (/[A-Za-z_$\u0080-\uffff]/.test(char)) {
+      const match = source.slice(i).match(/^[\w$\u0080-\uffff]+/);
+      push('name', i, i + match[0].length);
+    } else if (/\d/.test(char) || (char === '.' && /\d/.test(next))) {
+      const match = source.slice(i).match(/^\.?\d[\w.]*/);
+      push('number', i, i + match[0].length);
+    } else if ('([{'.includes(char)) {
+      if (char === '{' && templateDepths.length > 0) templateDepths[templateDepths.length - 1]++;
+      push('bracket', i, i + 1);
+    } else if (')]}'.includes(char)) {
+      push('bracket', i, i + 1);
+      if (char === '}' && templateDepths.length > 0) {
+        // Closing a template substitution resumes the template text
+        if (templateDepths[templateDepths.length - 1] === 0) {
+          templateDepths.pop();
+          scanTemplate(i, i);
+        } else {
+          templateDepths[templateDepths.length - 1]--;
+        }
+      }
+    } else {
+      const match = source.slice(i).match(PUNCTUATORS);
+      push('punctuator', i, i + (match ? match[0].length : 1));
+    }
+  }
+
+  return tokens;
+}
+
+function countNewlines(source, start, end) {
+  let count = 0;
+  for (let i = start; i < end; i++) {
+    if (source[i] === '\n') count++;
+  }
+  return count;
+}
+
+/**
+ * Whether a `/` after this token starts a regular expression rather than a division
+ * @param {Object} previous - Previous token, if any
+ * @returns {boolean}
+ */
+function regexAllowed(previous) {
+  if (!previous) return true;
+  if (previous.type === 'name') return EXPRESSION_KEYWORDS.has(previous.value);
+  if (previous.type === 'punctuator') return previous.value !== '++' && previous.value !== '--';
+  if (previous.type === 'bracket') return !')]'.includes(previous.value);
+  return false;
+}
+
+/**
+ * Find the end of a regular expression literal starting at `start`
+ * @returns {number} - Offset after its flags, or -1 if it is not terminated on this line
+ */
+function scanRegex(source, start) {
+  let inClass = false;
+  for (let j = start + 1; j < source.length; j++) {
+    const char = source[j];
+    if (char === '\n') return -1;
+    if (char === '\\') {
+      j++;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === ']') {
+      inClass = false;
+    } else if (char === '/' && !inClass) {
+      const flags = source.slice(j + 1).match(/^[a-z]*/)[0];
+      return j + 1 + flags.length;
+    }
+  }
+  return -1;
+}
+
+const isOpener = token => token.type === 'bracket' && CLOSERS[token.value] !== undefined;
+const isCloser = token => token.type === 'bracket' && ')]}'.includes(token.value);
+const closes = (opener, closer) => CLOSERS[opener.value] === closer.value;
+
+function lineStart(source, index) {
+  return source.lastIndexOf('\n', index - 1) + 1;
+}
+
+function indentationAt(source, index) {
+  const start = lineStart(source, index);
+  return source.slice(start).match(/^[ \t]*/)[0];
+}
+
+function isFirstOnLine(source, token) {
+  return source.slice(lineStart(source, token.start), token.start).trim() === '';
+}
+
+/**
+ * Whether the expression on `previous`'s line carries on to the line starting with `next`
+ */
+function continuesExpression(previous, next) {
+  if (previous.type === 'punctuator' && previous.value !== '++' && previous.value !== '--' && previous.value !== ';') {
+    return true;
+  }
+  if (isOpener(previous)) return true;
+  if (previous.type === 'name' && EXPRESSION_KEYWORDS.has(previous.value) && previous.value !== 'return') {
+    return true;
+  }
+  if (next.type === 'punctuator' && !['++', '--', '!', '~', ';', '@', '#'].includes(next.value)) {
+    return true;
+  }
+  return next.type === 'name' && (next.value === 'in' || next.value === 'instanceof');
+}
+
+/**
+ * Whether the `{` at tokens[index] opens a statement block (as in `if (x {`) rather than
+ * an object literal or a function body inside the expression
+ */
+function opensBlock(tokens, index, partners) {
+  const previous = tokens[index - 1];
+  if (!previous) return true;
+  if (previous.type === 'name') return !EXPRESSION_KEYWORDS.has(previous.value);
+  if (previous.type === 'number' || previous.type === 'string' || previous.type === 'template') return true;
+  if (previous.value === ')' && partners.has(index - 1)) {
+    // `function (a) {` and `function name(a) {` are function expressions
+    const opener = partners.get(index - 1);
+    const before = tokens[opener - 1];
+    const beforeThat = tokens[opener - 2];
+    return !((before && before.value === 'function') ||
+      (before && before.type === 'name' && beforeThat && beforeThat.value === 'function'));
+  }
+  return false;
+}
+
+/**
+ * Propose where a missing ')' or ']' goes: after the last token of the statement the
+ * bracket was opened in. The statement ends at a `;`, at a `{` opening a block, at a
+ * closing bracket of an enclosing group, or at a line break the expression does not
+ * continue across. The `(` of a `for` holds `;`s of its own, so it only closes before
+ * the block, as in `for (let i = 0; i < 3; i++ {`.
+ * @returns {number|null} - Insertion offset, or null when the expression is left dangling
+ */
+function proposeExpressionClose(tokens, openerIndex, partners) {
+  let last = tokens[openerIndex];
+  const forHeader = last.value === '(' && openerIndex > 0 && tokens[openerIndex - 1].value === 'for';
+
+  for (let j = openerIndex + 1; j < tokens.length; j++) {
+    const token = tokens[j];
+
+    if (token.line > last.endLine && !continuesExpression(last, token)) break;
+    if ((token.value === ';' && !forHeader) || isCloser(token)) break;
+    if (token.value === '{' && (opensBlock(tokens, j, partners) || (forHeader && (last.value === '++' || last.value === '--')))) break;
+
+    // Step over balanced groups; unclosed ones are reported on their own
+    if (isOpener(token) && partners.has(j)) {
+      j = partners.get(j);
+    }
+    last = tokens[j];
+  }
+
+  if (last === tokens[openerIndex] ||
+      (last.type === 'punctuator' && last.value !== '++' && last.value !== '--')) {
+    return null;
+  }
+  return last.end;
+}
+
+/**
+ * Propose where a missing '}' goes: on its own line, at the opener's indentation, after
+ * the last line indented deeper than the opener's line
+ * @returns {Object} - { index, insert }
+ */
+function proposeBlockClose(source, tokens, openerIndex) {
+  const opener = tokens[openerIndex];
+  const indentation = indentationAt(source, opener.start);
+  let lastInBlock = opener;
+
+  for (let j = openerIndex + 1; j < tokens.length; j++) {
+    const token = tokens[j];
+    if (isFirstOnLine(source, token) && indentationAt(source, token.start).length <= indentation.length) break;
+    lastInBlock = token;
+  }
+
+  const newline = source.indexOf('\n', lastInBlock.end);
+  const lineEnd = newline === -1 ? source.length : newline;
+  // Stay before a trailing comment on the last line
+  const codeEnd = lastInBlock.end + source.slice(lastInBlock.end, lineEnd).replace(/\s*(?:\/\/.*)?$/, '').length;
+  return { index: codeEnd, insert: `\n${indentation}}` };
+}
+
+/**
+ * Find unbalanced and mismatched brackets
+ * @param {string} source - JavaScript source
+ * @returns {Array} - Issues sorted by position. Each has `type` ('missing-close',
+ *   'extra-close' or 'mismatched'), `bracket`, `index` (of the unclosed opener, or of the
+ *   offending closer), `message` and `fix` ({ index, remove, insert }, or null when no
+ *   edit can be proposed with confidence)
+ */
+function findBracketIssues(source) {
+  const tokens = tokenize(source);
+  const stack = [];
+  // Closing token index -> opening token index, and back
+  const partners = new Map();
+  const issues = [];
+
+  const openBraces = tokens.filter(token => token.value === '{' || token.value === '${').length;
+  const closeBraces = tokens.filter(token => token.type === 'bracket' && token.value === '}').length;
+
+  const missing = (openerIndex, fix) => {
+    const opener = tokens[openerIndex];
+    issues.push({
+      type: 'missing-close',
+      bracket: opener.value,
+      index: opener.start,
+      message: `Missing closing '${CLOSERS[opener.value]}' for ${NAMES[opener.value]} '${opener.value}'`,
+      fix
+    });
+  };
+
+  tokens.forEach((token, index) => {
+    if (isOpener(token)) {
+      stack.push(index);
+      return;
+    }
+    if (!isCloser(token)) return;
+
+    // A brace less indented than the block it would close, with more braces open than
+    // closed, most likely closes an outer block whose indentation it matches
+    if (token.value === '}' && openBraces > closeBraces && isFirstOnLine(source, token) && stack.length > 1) {
+      const indentation = indentationAt(source, token.start);
+      const top = tokens[stack[stack.length - 1]];
+      if (indentationAt(source, top.start).length > indentation.length) {
+        let k = stack.length - 1;
+        while (k >= 0 && tokens[stack[k]].value === '{' &&
+               indentationAt(source, tokens[stack[k]].start).length > indentation.length) {
+          k--;
+        }
+        if (k >= 0 && k < stack.length - 1 && tokens[stack[k]].value === '{' &&
+            indentationAt(source, tokens[stack[k]].start) === indentation) {
+          const insertAt = lineStart(source, token.start);
+          while (stack.length - 1 > k) {
+            const openerIndex = stack.pop();
+            const openerIndentation = indentationAt(source, tokens[openerIndex].start);
+            missing(openerIndex, { index: insertAt, remove: 0, insert: `${openerIndentation}}\n` });
+          }
+        }
+      }
+    }
+
+    const top = stack.length > 0 ? tokens[stack[stack.length - 1]] : null;
+    if (top && closes(top, token)) {
+      partners.set(stack[stack.length - 1], index);
+      partners.set(index, stack.pop());
+      return;
+    }
+
+    const matchAt = stack.map(i => tokens[i]).map(opener => closes(opener, token)).lastIndexOf(true);
+    if (matchAt !== -1) {
+      // Everything opened since the matching opener is missing its closer. Expressions end
+      // at their statement boundary at the latest; a brace closes right before this closer.
+      let insertAt = token.start;
+      while (insertAt > 0 && /\s/.test(source[insertAt - 1])) insertAt--;
+      while (stack.length - 1 > matchAt) {
+        const openerIndex = stack.pop();
+        const opener = tokens[openerIndex];
+        const index = opener.value === '(' || opener.value === '[' ?
+          proposeExpressionClose(tokens, openerIndex, partners) :
+          insertAt;
+        missing(openerIndex, index === null ? null : { index, remove: 0, insert: CLOSERS[opener.value] });
+      }
+      partners.set(stack[stack.length - 1], index);
+      partners.set(index, stack.pop());
+    } else if (top) {
+      // Nothing open that this closes, e.g. `(]`: take it as a typo for the expected closer
+      const expected = CLOSERS[top.value];
+      issues.push({
+        type: 'mismatched',
+        bracket: token.value,
+        expected,
+        index: token.start,
+        message: `Mismatched '${token.value}' closing ${NAMES[top.value]} '${top.value}', expected '${expected}'`,
+        fix: { index: token.start, remove: 1, insert: expected }
+      });
+      partners.set(stack[stack.length - 1], index);
+      partners.set(index, stack.pop());
+    } else {
+      issues.push({
+        type: 'extra-close',
+        bracket: token.value,
+        index: token.start,
+        message: `Extra closing ${NAMES[token.value]} '${token.value}'`,
+        fix: { index: token.start, remove: 1, insert: '' }
+      });
+    }
+  });
+
+  // Still open at the end of the source
+  for (const openerIndex of stack) {
+    const opener = tokens[openerIndex];
+    if (opener.value === '{') {
+      const { index, insert } = proposeBlockClose(source, tokens, openerIndex);
+      missing(openerIndex, { index, remove: 0, insert });
+    } else {
+      const index = proposeExpressionClose(tokens, openerIndex, partners);
+      missing(openerIndex, index === null ? null : { index, remove: 0, insert: CLOSERS[opener.value] });
+    }
+  }
+
+  return issues.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * The proposed fixes of bracket issues as edits of the source
+ * @param {Array} issues - Issues from findBracketIssues
+ * @returns {Array<Object>} - Edits (see edits.js), for the issues that have a proposed fix
+ */
+function getBracketEdits(issues) {
+  // Closers inserted at the same offset apply in order, so the inner bracket's goes first
+  return issues
+    .filter(issue => issue.fix)
+    .sort((a, b) => a.fix.index - b.fix.index || b.index - a.index)
+    .map(({ message, fix }) => replaceText(fix.index, fix.index + fix.remove, fix.insert, { description: message }));
+}
+
+/**
+ * Apply the proposed fixes of bracket issues
+ * @param {string} source - JavaScript source
+ * @param {Array} issues - Issues from findBracketIssues
+ * @returns {Object} - Fixed source, number of fixes applied and the issues without a fix
+ */
+function applyBracketFixes(source, issues) {
+  const edits = getBracketEdits(issues);
+  return { fixed: applyEdits(source, edits), fixCount: edits.length, unresolved: issues.filter(issue => !issue.fix) };
+}
+
+module.exports = { tokenize, findBracketIssues, getBracketEdits, applyBracketFixes };
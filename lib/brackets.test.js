@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, findBracketIssues, getBracketEdits, applyBracketFixes } = require('./brackets');
+
+function repair(source) {
+  return applyBracketFixes(source, findBracketIssues(source));
+}
+
+describe('tokenize', () => {
+  it('keeps strings and regular expressions whole and drops comments', () => {
+    assert.deepEqual(tokenize('a = "x(" + /y(/g; // )').map(token => `${token.type}:${token.value}`),
+      ['name:a', 'punctuator:=', 'string:"x("', 'punctuator:+', 'regex:/y(/g', 'punctuator:;']);
+  });
+});
+
+describe('findBracketIssues', () => {
+  it('ignores brackets in strings, templates, regular expressions and comments', () => {
+    assert.deepEqual(findBracketIssues('const s = "(((";\nconst r = /[(]/;\nconst t = `${a}(`;\n// )\n'), []);
+  });
+
+  it('closes a parenthesis at the end of its statement', () => {
+    const [issue] = findBracketIssues('ellipse(width / 2, height / 2, random(50, 100);\n');
+    assert.equal(issue.type, 'missing-close');
+    assert.equal(issue.index, 7);
+    assert.deepEqual(issue.fix, { index: 46, remove: 0, insert: ')' });
+  });
+
+  it('closes the parenthesis of a for loop after its header, not at its first semicolon', () => {
+    assert.equal(repair('for (let i = 0; i < 3; i++ {\n  print(i);\n}\n').fixed, 'for (let i = 0; i < 3; i++) {\n  print(i);\n}\n');
+    assert.equal(repair('for (const item of items {\n}\n').fixed, 'for (const item of items) {\n}\n');
+  });
+
+  it('removes an extra closer', () => {
+    const [issue] = findBracketIssues('foo());\n');
+    assert.equal(issue.type, 'extra-close');
+    assert.deepEqual(issue.fix, { index: 5, remove: 1, insert: '' });
+  });
+
+  it('proposes no fix for an expression left dangling after an operator', () => {
+    const [issue] = findBracketIssues('if (a &&\n');
+    assert.equal(issue.fix, null);
+  });
+});
+
+describe('applyBracketFixes', () => {
+  it('closes a brace where the indentation says the block ends', () => {
+    const { fixed, fixCount } = repair('function draw() {\n  if (x) {\n    y();\n\n}\n');
+    assert.equal(fixCount, 1);
+    assert.equal(fixed, 'function draw() {\n  if (x) {\n    y();\n\n  }\n}\n');
+  });
+
+  it('closes square brackets and reports issues it has no fix for', () => {
+    assert.equal(repair('let v = [1, 2;\n').fixed, 'let v = [1, 2];\n');
+    const { fixed, fixCount, unresolved } = repair('if (a &&\n');
+    assert.equal(fixed, 'if (a &&\n');
+    assert.equal(fixCount, 0);
+    assert.equal(unresolved.length, 1);
+  });
+});
+
+describe('getBracketEdits', () => {
+  it('turns the proposed fixes into edits of the source', () => {
+    const edits = getBracketEdits(findBracketIssues('foo(bar();\n'));
+    assert.deepEqual(edits.map(({ start, end, text }) => ({ start, end, text })), [{ start: 9, end: 9, text: ')' }]);
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * browser-session.js — One headless browser shared by every runtime detector
+ *
+ * The browser is launched on first use and kept for later loads (including later
+ * invocations of a warm serverless function). Each load gets its own incognito context,
+ * so pages never share storage, and captures every runtime signal at once: page errors,
+ * console messages, failed requests and, for failed method calls, an inspection of the
+ * object the method was called on (see lib/introspection.js). Results are cached by
+ * document, so detectors looking at the same HTML share one load and only changed
+ * documents are loaded again.
+ *
+ * Documents never touch the filesystem. They are served from memory at a virtual origin
+ * through request interception; relative asset URLs are read from the document's base
+ * directory when one is given, and fail to load otherwise.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const puppeteer = require('puppeteer');
+const { parseNotAFunction, buildInspection } = require('./introspection');
+
+// Origin the document is served from. Requests to it never leave the browser.
+const VIRTUAL_ORIGIN = 'http://p5-repair.local';
+const DOCUMENT_URL = `${VIRTUAL_ORIGIN}/index.html`;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.glsl': 'text/plain; charset=utf-8',
+  '.vert': 'text/plain; charset=utf-8',
+  '.frag': 'text/plain; charset=utf-8',
+  '.obj': 'text/plain; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+};
+
+/**
+ * Map a path on the virtual origin to a file inside the base directory
+ * @param {string} baseDirectory - Directory relative URLs resolve against
+ * @param {string} pathname - URL path of the request
+ * @returns {string|null} - File path, or null when the path escapes the base directory
+ */
+function resolveAsset(baseDirectory, pathname) {
+  const root = path.resolve(baseDirectory);
+  let filePath;
+  try {
+    filePath = path.resolve(root, `.${decodeURIComponent(pathname)}`);
+  } catch (e) {
+    return null;
+  }
+  return filePath.startsWith(root + path.sep) ? filePath : null;
+}
+
+class BrowserSession {
+  /**
+   * @param {Object} [config] - Session configuration
+   * @param {Object} [config.launchOptions] - Options for puppeteer.launch
+   * @param {number} [config.cacheSize=32] - Number of documents whose signals are kept
+   */
+  constructor({ launchOptions = {}, cacheSize = 32 } = {}) {
+    this.launchOptions = { args: ['--no-sandbox', '--disable-setuid-sandbox'], ...launchOptions };
+    this.cacheSize = cacheSize;
+    this.browserPromise = null;
+    this.cache = new Map();
+  }
+
+  async getBrowser() {
+    if (!this.browserPromise) {
+      this.browserPromise = puppeteer.launch(this.launchOptions).then(browser => {
+        // Relaunch on next use if Chrome crashes or is closed
+        browser.on('disconnected', () => {
+          this.browserPromise = null;
+        });
+        return browser;
+      });
+      // Let a failed launch be retried on the next capture
+      this.browserPromise.catch(() => {
+        this.browserPromise = null;
+      });
+    }
+    return this.browserPromise;
+  }
+
+  /**
+   * Load a document and capture its runtime signals, reusing an earlier load of the same document
+   * @param {string} html - HTML content to load
+   * @param {number} settleMs - How long to keep listening after the page has loaded
+   * @param {Object} [source] - Where the document came from
+   * @param {string} [source.baseDirectory] - Directory relative asset URLs are read from
+   * @returns {Promise<Object>} - Page errors, console messages, failed requests and introspections, in the order they happened
+   */
+  capture(html, settleMs, { baseDirectory = null } = {}) {
+    const key = crypto.createHash('sha256').update(JSON.stringify({ html, settleMs, baseDirectory })).digest('hex');
+
+    if (this.cache.has(key)) {
+      // Refresh the entry's position so the cache evicts least recently used documents
+      const cached = this.cache.get(key);
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+      return cached;
+    }
+
+    const signals = this.load(html, settleMs, baseDirectory);
+    this.cache.set(key, signals);
+    signals.catch(() => this.cache.delete(key));
+    if (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return signals;
+  }
+
+  async load(html, settleMs, baseDirectory) {
+    const signals = { pageErrors: [], consoleMessages: [], failedRequests: [], introspections: [] };
+
+    const browser = await this.getBrowser();
+    const context = await browser.createIncognitoBrowserContext();
+
+    try {
+      const page = await context.newPage();
+
+      await page.setRequestInterception(true);
+      page.on('request', (request) => {
+        this.serve(request, html, baseDirectory);
+      });
+
+      page.on('pageerror', (error) => {
+        signals.pageErrors.push({ name: error.name, message: error.message, stack: error.stack || '' });
+      });
+      page.on('console', (msg) => {
+        // Puppeteer reports 0-based positions; stack traces use 1-based ones
+        const { url = null, lineNumber, columnNumber } = msg.location();
+        signals.consoleMessages.push({
+          type: msg.type(),
+          text: msg.text(),
+          location: lineNumber !== undefined ?
+            { url, line: lineNumber + 1, column: columnNumber !== undefined ? columnNumber + 1 : null } :
+            null
+        });
+      });
+      page.on('requestfailed', (request) => {
+        const failure = request.failure();
+        signals.failedRequests.push({ url: request.url(), errorText: failure ? failure.errorText : null });
+      });
+
+      // Pause on exceptions to inspect the object of a failed method call where the call was made
+      const client = await page.target().createCDPSession();
+      await client.send('Debugger.enable');
+      await client.send('Debugger.setPauseOnExceptions', { state: 'all' });
+      client.on('Debugger.paused', (event) => {
+        this.inspectException(client, event)
+          .then(introspection => introspection && signals.introspections.push(introspection))
+          .catch(() => {})
+          .finally(() => client.send('Debugger.resume').catch(() => {}));
+      });
+
+      await page.goto(DOCUMENT_URL, {
+        waitUntil: 'networkidle0',
+        timeout: 30000
+      });
+
+      if (settleMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, settleMs));
+      }
+
+      return signals;
+    } finally {
+      await context.close();
+    }
+  }
+
+  /**
+   * Inspect the object of a failed method call in the paused frame that made the call
+   * @param {Object} client - CDP session of the page
+   * @param {Object} event - Debugger.paused event
+   * @returns {Promise<Object|null>} - { message, expression, method, kind, constructorName, members,
+   *   property, location }, or null for any other pause
+   */
+  async inspectException(client, { reason, data, callFrames }) {
+    if (reason !== 'exception' || !data || !data.description || callFrames.length === 0) return null;
+    const parsed = parseNotAFunction(data.description);
+    if (!parsed) return null;
+
+    const [frame] = callFrames;
+    const { result, exceptionDetails } = await client.send('Debugger.evaluateOnCallFrame', {
+      callFrameId: frame.callFrameId,
+      expression: buildInspection(parsed.expression, parsed.method),
+      returnByValue: true,
+      // Exceptions in the inspection must not pause again
+      silent: true
+    });
+    if (exceptionDetails || !result || !result.value) return null;
+
+    return {
+      message: data.description.split('\n')[0],
+      ...parsed,
+      ...result.value,
+      // CDP positions are 0-based; stack traces use 1-based ones
+      location: { url: frame.url, line: frame.location.lineNumber + 1, column: frame.location.columnNumber + 1 }
+    };
+  }
+
+  /**
+   * Answer an intercepted request: the document from memory, relative assets from the
+   * base directory, and everything else (CDNs, APIs) from the network as usual
+   * @param {Object} request - Intercepted puppeteer request
+   * @param {string} html - Document being loaded
+   * @param {string|null} baseDirectory - Directory relative asset URLs are read from
+   */
+  async serve(request, html, baseDirectory) {
+    const url = new URL(request.url());
+    try {
+      if (url.origin !== VIRTUAL_ORIGIN) {
+        await request.continue();
+      } else if (url.href === DOCUMENT_URL) {
+        await request.respond({ status: 200, contentType: CONTENT_TYPES['.html'], body: html });
+      } else {
+        const filePath = baseDirectory && resolveAsset(baseDirectory, url.pathname);
+        if (!filePath) {
+          // Reported the same way a missing file:// asset would be
+          await request.abort('filenotfound');
+          return;
+        }
+        let body;
+        try {
+          body = await fs.promises.readFile(filePath);
+        } catch (e) {
+          await request.abort('filenotfound');
+          return;
+        }
+        await request.respond({
+          status: 200,
+          contentType: CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+          body
+        });
+      }
+    } catch (e) {
+      // The page was closed before the request could be answered
+    }
+  }
+
+  /**
+   * Close the browser and forget cached signals
+   */
+  async close() {
+    const browserPromise = this.browserPromise;
+    this.browserPromise = null;
+    this.cache.clear();
+    if (browserPromise) {
+      try {
+        await (await browserPromise).close();
+      } catch (e) {
+        // Nothing to close if the launch failed
+      }
+    }
+  }
+}
+
+let sharedSession = null;
+
+/**
+ * Get the process-wide browser session
+ * @returns {BrowserSession} - Shared session
+ */
+function getSharedBrowserSession() {
+  if (!sharedSession) {
+    sharedSession = new BrowserSession();
+  }
+  return sharedSession;
+}
+
+module.exports = { BrowserSession, getSharedBrowserSession, VIRTUAL_ORIGIN, DOCUMENT_URL };
@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BrowserSession, DOCUMENT_URL } = require('./browser-session');
+
+// Records how serve() answered, the way puppeteer's intercepted request would take it
+function fakeRequest(url) {
+  const answers = [];
+  return {
+    answers,
+    url: () => url,
+    continue: async () => answers.push({ continued: true }),
+    respond: async ({ status, contentType, body }) => answers.push({ status, contentType, body: String(body) }),
+    abort: async reason => answers.push({ aborted: reason })
+  };
+}
+
+describe('BrowserSession.serve', () => {
+  let directory;
+  const session = new BrowserSession();
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'browser-session-'));
+    fs.writeFileSync(path.join(directory, 'sketch.js'), 'function setup() {}');
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  async function serve(url, baseDirectory = directory) {
+    const request = fakeRequest(url);
+    await session.serve(request, '<p>doc</p>', baseDirectory);
+    return request.answers;
+  }
+
+  it('answers the document from memory', async () => {
+    assert.deepEqual(await serve(DOCUMENT_URL), [{ status: 200, contentType: 'text/html; charset=utf-8', body: '<p>doc</p>' }]);
+  });
+
+  it('reads relative assets from the base directory', async () => {
+    const url = new URL('sketch.js', DOCUMENT_URL).href;
+    assert.deepEqual(await serve(url), [{ status: 200, contentType: 'text/javascript; charset=utf-8', body: 'function setup() {}' }]);
+  });
+
+  it('fails missing assets, assets outside the base directory and assets without one', async () => {
+    assert.deepEqual(await serve(new URL('missing.js', DOCUMENT_URL).href), [{ aborted: 'filenotfound' }]);
+    assert.deepEqual(await serve(new URL('/%2e%2e/secret.txt', DOCUMENT_URL).href), [{ aborted: 'filenotfound' }]);
+    assert.deepEqual(await serve(new URL('sketch.js', DOCUMENT_URL).href, null), [{ aborted: 'filenotfound' }]);
+  });
+
+  it('lets other origins through to the network', async () => {
+    assert.deepEqual(await serve('https://cdn.jsdelivr.net/npm/p5/lib/p5.min.js'), [{ continued: true }]);
+  });
+});
+
+describe('BrowserSession.capture', () => {
+  it('loads each document once and evicts the least recently used', async (t) => {
+    const session = new BrowserSession({ cacheSize: 2 });
+    const load = t.mock.method(session, 'load', async html => ({ html }));
+
+    await session.capture('a', 0);
+    await session.capture('b', 0);
+    await session.capture('a', 0);
+    await session.capture('c', 0);
+    assert.equal(load.mock.callCount(), 3);
+
+    await session.capture('a', 0);
+    assert.equal(load.mock.callCount(), 3);
+    await session.capture('b', 0);
+    assert.equal(load.mock.callCount(), 4);
+  });
+
+  it('loads a document again for another base directory', async (t) => {
+    const session = new BrowserSession();
+    const load = t.mock.method(session, 'load', async html => ({ html }));
+    await session.capture('a', 0);
+    await session.capture('a', 0, { baseDirectory: '/sketch' });
+    assert.equal(load.mock.callCount(), 2);
+  });
+
+  it('forgets a failed load so the next capture tries again', async (t) => {
+    const session = new BrowserSession();
+    const load = t.mock.method(session, 'load', async () => {
+      throw new Error('launch failed');
+    });
+    await assert.rejects(session.capture('a', 0), /launch failed/);
+    await assert.rejects(session.capture('a', 0), /launch failed/);
+    assert.equal(load.mock.callCount(), 2);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * cassette.js — Record/replay of LLM and browser interactions for deterministic runs
+ *
+ * In record mode every interaction is performed for real and saved as
+ * <directory>/<kind>-<hash>.json, where the hash covers the kind and the request.
+ * In replay mode the saved response is returned instead and nothing is performed.
+ * Failures are recorded too, so a replayed run fails in the same places.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Error thrown in replay mode when no fixture matches a request
+ */
+class CassetteMissError extends Error {
+  constructor(kind, key, directory) {
+    super(`No recorded ${kind} interaction ${key} in ${directory}`);
+    this.name = 'CassetteMissError';
+    this.kind = kind;
+    this.key = key;
+  }
+}
+
+class Cassette {
+  /**
+   * @param {Object} config - Cassette configuration
+   * @param {string} config.mode - 'record' or 'replay'
+   * @param {string} config.directory - Directory holding the fixture files
+   */
+  constructor({ mode, directory }) {
+    if (mode !== 'record' && mode !== 'replay') {
+      throw new Error(`Unknown cassette mode: ${mode}`);
+    }
+    if (!directory) {
+      throw new Error('A cassette directory is required');
+    }
+    this.mode = mode;
+    this.directory = directory;
+    // Keys requested during replay that had no fixture
+    this.misses = [];
+  }
+
+  keyFor(kind, request) {
+    return crypto.createHash('sha256').update(JSON.stringify({ kind, request })).digest('hex');
+  }
+
+  fixturePath(kind, key) {
+    return path.join(this.directory, `${kind}-${key}.json`);
+  }
+
+  /**
+   * Perform an interaction, or replay its recorded outcome
+   * @param {string} kind - Interaction kind, e.g. 'llm' or 'page'
+   * @param {Object} request - JSON-serializable description of the request
+   * @param {Function} perform - Performs the interaction and resolves to a JSON-serializable response
+   * @returns {Promise<*>} - The live or recorded response
+   * @throws {CassetteMissError} - In replay mode, when the interaction was never recorded
+   */
+  async use(kind, request, perform) {
+    const key = this.keyFor(kind, request);
+    const fixturePath = this.fixturePath(kind, key);
+
+    if (this.mode === 'replay') {
+      let fixture;
+      try {
+        fixture = JSON.parse(await fs.promises.readFile(fixturePath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        this.misses.push({ kind, key });
+        throw new CassetteMissError(kind, key, this.directory);
+      }
+      if (fixture.error) {
+        throw new Error(fixture.error);
+      }
+      return fixture.response;
+    }
+
+    const fixture = { kind, key, request, recordedAt: new Date().toISOString() };
+    try {
+      fixture.response = await perform();
+      return fixture.response;
+    } catch (error) {
+      fixture.error = error.message;
+      throw error;
+    } finally {
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      await fs.promises.writeFile(fixturePath, JSON.stringify(fixture, null, 2), 'utf8');
+    }
+  }
+}
+
+/**
+ * Create the cassette selected by configuration
+ * @param {Object} [config] - Cassette configuration
+ * @param {string} [config.mode] - 'record', 'replay' or 'off', defaults to REPAIR_CASSETTE_MODE
+ * @param {string} [config.directory] - Fixture directory, defaults to REPAIR_CASSETTE_DIR
+ * @returns {Cassette|null} - Cassette, or null when recording and replay are off
+ */
+function createCassette({ mode = process.env.REPAIR_CASSETTE_MODE, directory = process.env.REPAIR_CASSETTE_DIR } = {}) {
+  if (!mode || mode === 'off') return null;
+  return new Cassette({ mode, directory });
+}
+
+module.exports = { Cassette, CassetteMissError, createCassette };
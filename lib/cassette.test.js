@@ -0,0 +1,66 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Cassette, CassetteMissError, createCassette } = require('./cassette');
+
+describe('Cassette', () => {
+  let directory;
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'p5-repair-cassette-'));
+  });
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('replays what was recorded for the same request without performing it again', async () => {
+    const recorder = new Cassette({ mode: 'record', directory });
+    const request = { system: 'fix', prompt: 'x is not defined' };
+    assert.equal(await recorder.use('llm', request, async () => 'let x = 0;'), 'let x = 0;');
+    assert.equal(fs.readdirSync(directory).length, 1);
+    assert.match(fs.readdirSync(directory)[0], /^llm-[0-9a-f]{64}\.json$/);
+
+    const player = new Cassette({ mode: 'replay', directory });
+    const replayed = await player.use('llm', { ...request }, async () => assert.fail('performed during replay'));
+    assert.equal(replayed, 'let x = 0;');
+  });
+
+  it('keys fixtures by kind and request', () => {
+    const cassette = new Cassette({ mode: 'replay', directory });
+    const key = cassette.keyFor('page', { html: '<p>' });
+    assert.equal(cassette.keyFor('page', { html: '<p>' }), key);
+    assert.notEqual(cassette.keyFor('llm', { html: '<p>' }), key);
+    assert.notEqual(cassette.keyFor('page', { html: '<p>', settleMs: 10 }), key);
+  });
+
+  it('records failures, so a replayed run fails in the same place', async () => {
+    const recorder = new Cassette({ mode: 'record', directory });
+    await assert.rejects(recorder.use('llm', { prompt: 'p' }, async () => {
+      throw new Error('Request failed with status code 429');
+    }), /429/);
+
+    const player = new Cassette({ mode: 'replay', directory });
+    await assert.rejects(player.use('llm', { prompt: 'p' }, async () => 'live'), /status code 429/);
+  });
+
+  it('reports requests that were never recorded', async () => {
+    const player = new Cassette({ mode: 'replay', directory });
+    await assert.rejects(player.use('page', { html: '' }, async () => ({})), CassetteMissError);
+    assert.equal(player.misses.length, 1);
+    assert.equal(player.misses[0].kind, 'page');
+  });
+
+  it('requires a known mode and a directory', () => {
+    assert.throws(() => new Cassette({ mode: 'rewind', directory }), /Unknown cassette mode/);
+    assert.throws(() => new Cassette({ mode: 'record' }), /directory is required/);
+  });
+});
+
+describe('createCassette', () => {
+  it('creates no cassette when recording and replay are off', () => {
+    assert.equal(createCassette({ mode: 'off' }), null);
+    assert.equal(createCassette({ mode: undefined }), null);
+    assert.ok(createCassette({ mode: 'replay', directory: os.tmpdir() }) instanceof Cassette);
+  });
+});
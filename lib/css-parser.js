@@ -0,0 +1,658 @@
+/**
+ * css-parser.js — CSS tokenizer and parser with exact error positions
+ *
+ * The tokenizer follows CSS Syntax Level 3, so comments, strings, escapes and unquoted
+ * `url(data:image/png;base64,...)` are single tokens, and neither a `:hover` selector nor a
+ * colon inside a string is taken for a declaration. Minified and multi-line CSS parse the
+ * same as any other.
+ *
+ * The parser builds the rules a browser would. Where a browser would silently drop something
+ * it records an error instead: unknown at-rules, blocks left open or closed twice, declarations
+ * outside any rule, unknown properties, and values that cannot be right (empty, unterminated
+ * strings, unclosed functions, unknown units, a missing semicolon running two declarations
+ * together, or a component the property does not take; see css-properties.js). One deviation keeps errors local: a `;`, `{` or `}` ends a value or a prelude even
+ * inside parentheses, where a browser would read on to the matching `)`.
+ *
+ * The value of a `style` attribute is read the same way, as the contents of a block
+ * (parseDeclarationList).
+ *
+ * Each error has the range it is about and, when the repair is mechanical, a `fix`: an edit
+ * of the source (see edits.js). Errors in a declaration also have the declaration's range, so
+ * a repair can drop it as a whole.
+ */
+const { findClosestName } = require('./typos');
+const { CSS_PROPERTIES, isKnownProperty, findInvalidComponent, getValueKeywords } = require('./css-properties');
+const { insertText, replaceText, deleteText } = require('./edits');
+
+// What each at-rule contains: a list of rules, a list of declarations, or nothing (it ends at `;`)
+const AT_RULES = {
+  charset: 'statement', import: 'statement', namespace: 'statement', layer: 'either',
+  media: 'rules', supports: 'rules', container: 'rules', document: 'rules', scope: 'rules',
+  'starting-style': 'rules', keyframes: 'rules',
+  'font-face': 'declarations', page: 'declarations', property: 'declarations', 'counter-style': 'declarations',
+  'font-palette-values': 'declarations', 'font-feature-values': 'declarations', viewport: 'declarations',
+  'view-transition': 'declarations', 'position-try': 'declarations',
+  // Inside @page and @font-feature-values
+  'top-left-corner': 'declarations', 'top-left': 'declarations', 'top-center': 'declarations',
+  'top-right': 'declarations', 'top-right-corner': 'declarations', 'bottom-left-corner': 'declarations',
+  'bottom-left': 'declarations', 'bottom-center': 'declarations', 'bottom-right': 'declarations',
+  'bottom-right-corner': 'declarations', 'left-top': 'declarations', 'left-middle': 'declarations',
+  'left-bottom': 'declarations', 'right-top': 'declarations', 'right-middle': 'declarations',
+  'right-bottom': 'declarations', stylistic: 'declarations', 'historical-forms': 'declarations',
+  styleset: 'declarations', 'character-variant': 'declarations', swash: 'declarations',
+  ornaments: 'declarations', annotation: 'declarations'
+};
+
+const UNITS = new Set([
+  'px', 'em', 'rem', 'ex', 'rex', 'ch', 'rch', 'cap', 'rcap', 'ic', 'ric', 'lh', 'rlh', 'vw', 'vh', 'vi', 'vb',
+  'vmin', 'vmax', 'svw', 'svh', 'svi', 'svb', 'svmin', 'svmax', 'lvw', 'lvh', 'lvi', 'lvb', 'lvmin', 'lvmax',
+  'dvw', 'dvh', 'dvi', 'dvb', 'dvmin', 'dvmax', 'cqw', 'cqh', 'cqi', 'cqb', 'cqmin', 'cqmax', 'cm', 'mm', 'q',
+  'in', 'pt', 'pc', 'deg', 'rad', 'grad', 'turn', 's', 'ms', 'hz', 'khz', 'dpi', 'dpcm', 'dppx', 'x', 'fr'
+]);
+
+const VENDOR_PREFIX = /^-(webkit|moz|ms|o|khtml)-/;
+
+const SIMPLE_TOKENS = {
+  '(': '(', ')': ')', '[': '[', ']': ']', '{': '{', '}': '}', ',': 'comma', ':': 'colon', ';': 'semicolon'
+};
+
+const CLOSERS = { '(': ')', '[': ']', function: ')' };
+// Tokens a value is checked one by one in; values with anything else (`+`, `[...]`) are left alone
+const COMPONENT_TYPES = new Set(['ident', 'hash', 'number', 'percentage', 'dimension', 'string', 'url', 'function']);
+
+const isWhitespace = char => char === ' ' || char === '\t' || char === '\n' || char === '\r' || char === '\f';
+const isNewline = char => char === '\n' || char === '\r' || char === '\f';
+const isDigit = char => char >= '0' && char <= '9';
+const isHexDigit = char => /^[\da-fA-F]$/.test(char || '');
+const isNameStart = char => char !== undefined && (/[A-Za-z_]/.test(char) || char.charCodeAt(0) >= 0x80);
+const isNameChar = char => isNameStart(char) || isDigit(char) || char === '-';
+// Code points that make an unquoted url() bad
+const isNonPrintable = char => /[\x00-\x08\x0b\x0e-\x1f\x7f]/.test(char);
+
+function isValidEscape(css, index) {
+  return css[index] === '\\' && index + 1 < css.length && !isNewline(css[index + 1]);
+}
+
+function startsIdentifier(css, index) {
+  const char = css[index];
+  if (char === '-') {
+    return isNameStart(css[index + 1]) || css[index + 1] === '-' || isValidEscape(css, index + 1);
+  }
+  return isNameStart(char) || isValidEscape(css, index);
+}
+
+function startsNumber(css, index) {
+  let char = css[index];
+  if (char === '+' || char === '-') char = css[++index];
+  if (char === '.') return isDigit(css[index + 1]);
+  return isDigit(char);
+}
+
+/**
+ * Read an escape, from just after its backslash
+ * @returns {Object} - { value, end }
+ */
+function consumeEscape(css, index) {
+  if (index >= css.length) return { value: '�', end: index };
+  if (!isHexDigit(css[index])) return { value: css[index], end: index + 1 };
+
+  let end = index;
+  while (end < index + 6 && isHexDigit(css[end])) end++;
+  const codePoint = parseInt(css.slice(index, end), 16);
+  if (css[end] === '\r' && css[end + 1] === '\n') end += 2;
+  else if (isWhitespace(css[end])) end++;
+  const valid = codePoint > 0 && codePoint <= 0x10ffff && (codePoint < 0xd800 || codePoint > 0xdfff);
+  return { value: valid ? String.fromCodePoint(codePoint) : '�', end };
+}
+
+/**
+ * Read a name (the rest of an identifier, hash or unit)
+ * @returns {Object} - { value, end }
+ */
+function consumeName(css, index) {
+  let value = '';
+  while (index < css.length) {
+    if (isNameChar(css[index])) {
+      value += css[index++];
+    } else if (isValidEscape(css, index)) {
+      const escape = consumeEscape(css, index + 1);
+      value += escape.value;
+      index = escape.end;
+    } else {
+      break;
+    }
+  }
+  return { value, end: index };
+}
+
+function consumeNumber(css, index) {
+  if (css[index] === '+' || css[index] === '-') index++;
+  while (isDigit(css[index])) index++;
+  if (css[index] === '.' && isDigit(css[index + 1])) {
+    index++;
+    while (isDigit(css[index])) index++;
+  }
+  if (/[eE]/.test(css[index] || '') && (isDigit(css[index + 1]) || (/[+-]/.test(css[index + 1]) && isDigit(css[index + 2])))) {
+    index += 2;
+    while (isDigit(css[index])) index++;
+  }
+  return index;
+}
+
+/**
+ * Read a string, from just after its opening quote
+ * @returns {Object} - { type, value, end, unclosed }: type 'bad-string' when a newline ends it
+ */
+function consumeString(css, index, quote) {
+  let value = '';
+  while (index < css.length) {
+    const char = css[index];
+    if (char === quote) return { type: 'string', value, end: index + 1, unclosed: false };
+    if (isNewline(char)) return { type: 'bad-string', value, end: index, unclosed: true };
+    if (char === '\\') {
+      if (index + 1 >= css.length) {
+        index++;
+      } else if (isNewline(css[index + 1])) {
+        index += css[index + 1] === '\r' && css[index + 2] === '\n' ? 3 : 2;
+      } else {
+        const escape = consumeEscape(css, index + 1);
+        value += escape.value;
+        index = escape.end;
+      }
+      continue;
+    }
+    value += char;
+    index++;
+  }
+  return { type: 'string', value, end: index, unclosed: true };
+}
+
+/**
+ * Read an unquoted url(), from just after its `(`
+ * @returns {Object} - { type, value, end }: type 'bad-url' when it holds quotes, spaces or `(`
+ */
+function consumeUrl(css, index) {
+  let value = '';
+  while (isWhitespace(css[index])) index++;
+  while (index < css.length) {
+    const char = css[index];
+    if (char === ')') return { type: 'url', value, end: index + 1 };
+    if (isWhitespace(char)) {
+      while (isWhitespace(css[index])) index++;
+      if (index >= css.length || css[index] === ')') return { type: 'url', value, end: Math.min(index + 1, css.length) };
+      break;
+    }
+    if (char === '"' || char === "'" || char === '(' || isNonPrintable(char)) break;
+    if (char === '\\') {
+      if (!isValidEscape(css, index)) break;
+      const escape = consumeEscape(css, index + 1);
+      value += escape.value;
+      index = escape.end;
+      continue;
+    }
+    value += char;
+    index++;
+  }
+
+  // The rest of a bad url, up to its `)`
+  while (index < css.length && css[index] !== ')') {
+    index += isValidEscape(css, index) ? 2 : 1;
+  }
+  return { type: 'bad-url', value, end: Math.min(index + 1, css.length) };
+}
+
+/**
+ * Split CSS into tokens
+ * @param {string} css - Style sheet source
+ * @returns {Array<Object>} - Tokens { type, value, start, end }. Types are those of CSS Syntax
+ *   ('ident', 'function', 'at-keyword', 'hash', 'string', 'bad-string', 'url', 'bad-url', 'delim',
+ *   'number', 'percentage', 'dimension', 'whitespace', 'CDO', 'CDC', 'colon', 'semicolon',
+ *   'comma', '(', ')', '[', ']', '{', '}') plus 'comment'. Dimensions have a `unit`; strings and
+ *   comments that run to the end of the source are marked `unclosed`.
+ */
+function tokenize(css) {
+  const tokens = [];
+  let index = 0;
+  const push = (type, value, end, extra = {}) => {
+    tokens.push({ type, value, start: index, end, ...extra });
+    index = end;
+  };
+
+  while (index < css.length) {
+    const char = css[index];
+
+    if (char === '/' && css[index + 1] === '*') {
+      const close = css.indexOf('*/', index + 2);
+      const end = close === -1 ? css.length : close + 2;
+      push('comment', css.slice(index, end), end, { unclosed: close === -1 });
+    } else if (isWhitespace(char)) {
+      let end = index;
+      while (isWhitespace(css[end])) end++;
+      push('whitespace', css.slice(index, end), end);
+    } else if (char === '"' || char === "'") {
+      const { type, value, end, unclosed } = consumeString(css, index + 1, char);
+      push(type, value, end, { quote: char, unclosed });
+    } else if (char === '#' && (isNameChar(css[index + 1]) || isValidEscape(css, index + 1))) {
+      const { value, end } = consumeName(css, index + 1);
+      push('hash', value, end, { id: startsIdentifier(css, index + 1) });
+    } else if (SIMPLE_TOKENS[char]) {
+      push(SIMPLE_TOKENS[char], char, index + 1);
+    } else if (startsNumber(css, index)) {
+      const numberEnd = consumeNumber(css, index);
+      const number = css.slice(index, numberEnd);
+      if (startsIdentifier(css, numberEnd)) {
+        const { value: unit, end } = consumeName(css, numberEnd);
+        push('dimension', number + unit, end, { number: parseFloat(number), unit });
+      } else if (css[numberEnd] === '%') {
+        push('percentage', number + '%', numberEnd + 1, { number: parseFloat(number) });
+      } else {
+        push('number', number, numberEnd, { number: parseFloat(number) });
+      }
+    } else if (css.startsWith('<!--', index)) {
+      push('CDO', '<!--', index + 4);
+    } else if (css.startsWith('-->', index)) {
+      push('CDC', '-->', index + 3);
+    } else if (char === '@' && startsIdentifier(css, index + 1)) {
+      const { value, end } = consumeName(css, index + 1);
+      push('at-keyword', value, end);
+    } else if (startsIdentifier(css, index)) {
+      const { value, end } = consumeName(css, index);
+      if (css[end] !== '(') {
+        push('ident', value, end);
+      } else if (value.toLowerCase() === 'url' && !/^\(\s*["']/.test(css.slice(end, end + 64))) {
+        const url = consumeUrl(css, end + 1);
+        push(url.type, url.value, url.end);
+      } else {
+        push('function', value, end + 1);
+      }
+    } else {
+      push('delim', char, index + 1);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Line and column (both 1-based) of an offset
+ */
+function getLocation(css, offset) {
+  const lines = css.slice(0, offset).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Parse a style sheet, or the contents of a block when `contents` is 'declarations'
+ */
+function parse(css, contents) {
+  const allTokens = tokenize(css);
+  const tokens = allTokens.filter(token => token.type !== 'comment');
+  tokens.push({ type: 'eof', value: '', start: css.length, end: css.length });
+  const errors = [];
+  let i = 0;
+
+  const error = (type, message, start, end, fix = null) => {
+    errors.push({ type, message, start, end, ...getLocation(css, start), fix });
+  };
+  // Give the errors found since errors[from] the declaration they are in
+  const inDeclaration = (from, declaration) => {
+    errors.slice(from).forEach(found => { found.declaration = declaration; });
+  };
+  // Source of tokens[from] up to tokens[to], without surrounding whitespace
+  const textBetween = (from, to) => css.slice(tokens[from].start, tokens[to].start).trim();
+  // End offset of the last token before tokens[to] that is not whitespace
+  const contentEnd = (from, to) => {
+    for (let j = to - 1; j >= from; j--) {
+      if (tokens[j].type !== 'whitespace') return tokens[j].end;
+    }
+    return tokens[from].start;
+  };
+  const nextNonWhitespace = (from) => {
+    while (tokens[from].type === 'whitespace') from++;
+    return from;
+  };
+  // Whether tokens[j] looks like the name of a declaration that follows another without a `;`
+  const startsDeclaration = j => tokens[j].type === 'ident' && tokens[j - 1].type === 'whitespace' &&
+    tokens[nextNonWhitespace(j + 1)].type === 'colon';
+  // Index of the first token from `from` on that is one of `stops`, or the end of input
+  const findStop = (from, stops) => {
+    while (tokens[from].type !== 'eof' && !stops.includes(tokens[from].type)) from++;
+    return from;
+  };
+  // Components of the value in tokens[from] up to tokens[to], as findInvalidComponent takes
+  // them; a function stands for everything up to its `)`. Null when there is anything else.
+  const getComponents = (from, to) => {
+    const components = [];
+    for (let j = from; j < to; j++) {
+      const token = tokens[j];
+      if (token.type === 'whitespace' || token.type === 'comma' || (token.type === 'delim' && token.value === '/')) continue;
+      if (!COMPONENT_TYPES.has(token.type)) return null;
+      if (token.type === 'function') {
+        let depth = 1;
+        while (depth > 0 && ++j < to) {
+          if (CLOSERS[tokens[j].type]) depth++;
+          if (tokens[j].type === ')' || tokens[j].type === ']') depth--;
+        }
+        if (depth > 0) return null;
+        components.push({ ...token, end: tokens[j].end });
+      } else {
+        components.push(token);
+      }
+    }
+    return components;
+  };
+
+  // Token-level problems, wherever they are
+  for (const token of allTokens) {
+    if (token.type === 'comment' && token.unclosed) {
+      error('unclosed-comment', 'Comment is never closed', token.start, token.end, insertText(css.length, ' */'));
+    } else if (token.unclosed) {
+      error('unclosed-string', 'String is never closed', token.start, token.end, insertText(token.end, token.quote));
+    } else if (token.type === 'bad-url') {
+      error('bad-url', 'Quotes, spaces and parentheses in url() need the URL to be quoted', token.start, token.end);
+    }
+  }
+
+  function consumeRules(nested) {
+    const rules = [];
+    for (;;) {
+      const token = tokens[i];
+      if (token.type === 'whitespace' || (!nested && (token.type === 'CDO' || token.type === 'CDC'))) {
+        i++;
+      } else if (token.type === 'eof' || (nested && token.type === '}')) {
+        return rules;
+      } else if (token.type === '}') {
+        error('unexpected-close', "Unmatched '}'", token.start, token.end, deleteText(token.start, token.end));
+        i++;
+      } else if (token.type === 'semicolon') {
+        // It would become part of the next rule's selector, and the browser would drop that rule
+        error('stray-semicolon', "Stray ';' between rules", token.start, token.end, deleteText(token.start, token.end));
+        i++;
+      } else if (token.type === 'at-keyword') {
+        rules.push(consumeAtRule());
+      } else {
+        const rule = consumeQualifiedRule();
+        if (rule) rules.push(rule);
+      }
+    }
+  }
+
+  function consumeQualifiedRule() {
+    const from = i;
+    const stop = findStop(from, ['{', 'semicolon', '}']);
+    const text = textBetween(from, stop);
+
+    if (tokens[stop].type !== '{') {
+      const name = tokens[from];
+      const colon = tokens[nextNonWhitespace(from + 1)];
+      const end = tokens[stop].type === 'semicolon' ? tokens[stop].end : contentEnd(from, stop);
+      if (name.type === 'ident' && colon.type === 'colon') {
+        error('declaration-outside-rule', `Declaration '${text}' is outside any rule`, name.start, end);
+        inDeclaration(errors.length - 1, { start: name.start, end, property: name.value, value: null, components: null });
+      } else {
+        error('missing-block', `'${text}' has no block`, tokens[from].start, end);
+      }
+      i = tokens[stop].type === 'semicolon' ? stop + 1 : stop;
+      return null;
+    }
+
+    if (!text) {
+      error('missing-selector', 'Rule has no selector', tokens[stop].start, tokens[stop].end);
+    }
+    i = stop;
+    const block = consumeBlock('declarations', text ? `'${text}'` : 'rule');
+    return { type: 'rule', selector: text, start: tokens[from].start, end: block.end, block };
+  }
+
+  function consumeAtRule() {
+    const token = tokens[i];
+    const name = token.value.toLowerCase();
+    const kind = AT_RULES[name.replace(VENDOR_PREFIX, '')];
+    const stop = findStop(i + 1, ['{', 'semicolon', '}']);
+    const prelude = textBetween(i + 1, stop);
+    const preludeEnd = Math.max(token.end, contentEnd(i + 1, stop));
+
+    if (!kind) {
+      const suggestion = findClosestName(name, Object.keys(AT_RULES));
+      error('unknown-at-rule', `Unknown at-rule '@${token.value}'${suggestion ? `; did you mean '@${suggestion.name}'?` : ''}`,
+        token.start, token.end, suggestion ? replaceText(token.start, token.end, `@${suggestion.name}`) : null);
+    }
+
+    i = stop;
+    let block = null;
+    if (tokens[stop].type === '{') {
+      if (kind === 'statement') {
+        error('unexpected-block', `'@${name}' takes no block; is the ';' after it missing?`, tokens[stop].start, tokens[stop].end);
+      }
+      const contents = kind === 'rules' || kind === 'either' ? 'rules' : kind === 'declarations' ? 'declarations' : 'any';
+      block = consumeBlock(contents, `'@${name}${prelude ? ' ' + prelude : ''}'`);
+    } else {
+      if (kind === 'rules' || kind === 'declarations') {
+        error('missing-block', `'@${name}' has no block`, token.start, preludeEnd);
+      }
+      if (tokens[stop].type === 'semicolon') i++;
+    }
+    return { type: 'at-rule', name, prelude, start: token.start, end: block ? block.end : tokens[i - 1].end, block };
+  }
+
+  /**
+   * Read a `{ ... }` block starting at tokens[i]
+   * @param {string} contents - 'rules', 'declarations', or 'any' for blocks of unknown at-rules
+   * @param {string} owner - What the block belongs to, for messages
+   */
+  function consumeBlock(contents, owner) {
+    const open = tokens[i++];
+    let items = [];
+    if (contents === 'rules') {
+      items = consumeRules(true);
+    } else if (contents === 'declarations') {
+      items = consumeDeclarations();
+    } else {
+      for (let depth = 0; tokens[i].type !== 'eof' && (depth > 0 || tokens[i].type !== '}'); i++) {
+        if (tokens[i].type === '{') depth++;
+        if (tokens[i].type === '}') depth--;
+      }
+    }
+
+    const close = tokens[i];
+    if (close.type === '}') {
+      i++;
+      return { start: open.start, end: close.end, contents: items };
+    }
+    const end = css.replace(/\s+$/, '').length;
+    error('unclosed-block', `Block of ${owner} is never closed`, open.start, open.end, insertText(end, '\n}'));
+    return { start: open.start, end: css.length, contents: items };
+  }
+
+  function consumeDeclarations() {
+    const items = [];
+    for (;;) {
+      const token = tokens[i];
+      if (token.type === 'whitespace' || token.type === 'semicolon') {
+        i++;
+      } else if (token.type === 'eof' || token.type === '}') {
+        return items;
+      } else if (token.type === 'at-keyword') {
+        items.push(consumeAtRule());
+      } else if (tokens[findStop(i, ['{', 'semicolon', '}'])].type === '{') {
+        // A nested rule, as in `&:hover { ... }`
+        const rule = consumeQualifiedRule();
+        if (rule) items.push(rule);
+      } else {
+        const declaration = consumeDeclaration();
+        if (declaration) items.push(declaration);
+      }
+    }
+  }
+
+  function consumeDeclaration() {
+    const from = i;
+    const stop = findStop(from, ['semicolon', '}']);
+    const first = tokens[from];
+    const end = tokens[stop].type === 'semicolon' ? tokens[stop].end : contentEnd(from, stop);
+    const firstError = errors.length;
+    const skip = (property = null, valueFrom = from + 1) => {
+      const value = textBetween(valueFrom, stop);
+      inDeclaration(firstError, { start: first.start, end, property, value, components: getComponents(valueFrom, stop) });
+      i = tokens[stop].type === 'semicolon' ? stop + 1 : stop;
+      return null;
+    };
+
+    if (first.type === 'colon') {
+      // Which property was meant is a guess, left to the repair (see css-repair.js)
+      let next = from + 2;
+      while (next < stop && !startsDeclaration(next)) next++;
+      if (next === stop) {
+        error('missing-property-name', `Value '${textBetween(from + 1, stop)}' has no property name`, first.start, end);
+        return skip();
+      }
+      // `: red  background: blue`, which ends before the next declaration
+      const value = textBetween(from + 1, next);
+      const valueEnd = contentEnd(from, next);
+      error('missing-property-name', `Value '${value}' has no property name`, first.start, valueEnd);
+      inDeclaration(firstError, { start: first.start, end: valueEnd, property: null, value, components: getComponents(from + 1, next) });
+      i = next;
+      return null;
+    }
+    if (first.type !== 'ident') {
+      error('invalid-declaration', `Expected a property name, found '${textBetween(from, stop)}'`, first.start, end);
+      return skip();
+    }
+
+    const property = first.value;
+    const custom = property.startsWith('--');
+    let j = nextNonWhitespace(from + 1);
+    if (tokens[j].type !== 'colon') {
+      const known = isKnownProperty(property) && j < stop;
+      error('missing-colon', `Expected ':' after '${property}'`, first.start, end, known ? insertText(first.end, ':') : null);
+      return skip(property, j);
+    }
+
+    // The value, up to the `;`, the end of the block, or a missing semicolon
+    const valueFrom = nextNonWhitespace(j + 1);
+    const open = [];
+    let important = false;
+    let valueTo = stop;
+    for (j = valueFrom; j < stop; j++) {
+      const token = tokens[j];
+      if (CLOSERS[token.type]) {
+        open.push(token);
+      } else if (token.type === ')' || token.type === ']') {
+        if (open.length > 0 && CLOSERS[open[open.length - 1].type] === token.type) {
+          open.pop();
+        } else {
+          error('bad-value', `Unmatched '${token.type}' in the value of '${property}'`, token.start, token.end, deleteText(token.start, token.end));
+        }
+      } else if (custom || open.length > 0) {
+        continue;
+      } else if (j > valueFrom && startsDeclaration(j)) {
+        // `color: red  background: blue`
+        valueTo = j - 1;
+        const previous = contentEnd(valueFrom, valueTo);
+        error('missing-semicolon', `Missing ';' after '${property}: ${css.slice(tokens[valueFrom].start, previous)}'`,
+          previous, previous, insertText(previous, ';'));
+        break;
+      } else if (token.type === 'colon') {
+        error('bad-value', `Unexpected ':' in the value of '${property}'`, token.start, token.end,
+          j === valueFrom ? deleteText(token.start, token.end) : null);
+      } else if (token.type === 'delim' && token.value === '!') {
+        const keyword = nextNonWhitespace(j + 1);
+        if (tokens[keyword].type === 'ident' && tokens[keyword].value.toLowerCase() === 'important' &&
+            nextNonWhitespace(keyword + 1) >= stop) {
+          important = true;
+          valueTo = j;
+          break;
+        }
+        error('bad-value', `Unexpected '!' in the value of '${property}'`, token.start, token.end);
+      } else if (token.type === 'dimension' && !UNITS.has(token.unit.toLowerCase())) {
+        const suggestion = findClosestName(token.unit.toLowerCase(), UNITS);
+        const unitStart = token.end - token.unit.length;
+        error('bad-value', `Unknown unit '${token.unit}' in the value of '${property}'${suggestion ? `; did you mean '${suggestion.name}'?` : ''}`,
+          token.start, token.end, suggestion ? replaceText(unitStart, token.end, suggestion.name) : null);
+      }
+    }
+
+    const valueEnd = contentEnd(valueFrom, valueTo);
+    if (open.length > 0) {
+      const closers = open.map(token => CLOSERS[token.type]).reverse().join('');
+      error('unclosed-function', `'${open[0].type === 'function' ? open[0].value + '(' : open[0].type}' is never closed in the value of '${property}'`,
+        open[0].start, open[0].end, insertText(valueEnd, closers));
+    }
+
+    const value = valueFrom < valueTo ? css.slice(tokens[valueFrom].start, valueEnd) : '';
+    const components = custom ? null : getComponents(valueFrom, valueTo);
+    if (!value && !custom) {
+      error('empty-value', `'${property}' has no value`, first.start, end);
+    } else if (components && errors.length === firstError) {
+      const invalid = findInvalidComponent(property, components);
+      const suggestion = invalid && invalid.type === 'ident' && findClosestName(invalid.value.toLowerCase(), getValueKeywords(property));
+      if (invalid) {
+        error('invalid-value', `'${property}' cannot be '${css.slice(invalid.start, invalid.end)}'${suggestion ? `; did you mean '${suggestion.name}'?` : ''}`,
+          invalid.start, invalid.end, suggestion ? replaceText(invalid.start, invalid.end, suggestion.name) : null);
+      }
+    }
+    if (!isKnownProperty(property)) {
+      const suggestion = findClosestName(property.toLowerCase(), CSS_PROPERTIES);
+      error('unknown-property', `Unknown property '${property}'${suggestion ? `; did you mean '${suggestion.name}'?` : ''}`,
+        first.start, first.end, suggestion ? replaceText(first.start, first.end, suggestion.name) : null);
+    }
+
+    const declaration = {
+      type: 'declaration',
+      property,
+      value,
+      important,
+      start: first.start,
+      end: valueTo < stop && !important ? valueEnd : end,
+      valueStart: tokens[valueFrom].start,
+      valueEnd
+    };
+    inDeclaration(firstError, { start: declaration.start, end: declaration.end, property, value, components });
+    i = valueTo < stop && !important ? valueTo : tokens[stop].type === 'semicolon' ? stop + 1 : stop;
+    return declaration;
+  }
+
+  let items;
+  if (contents === 'declarations') {
+    // There is no block for a `}` to close
+    items = consumeDeclarations();
+    while (tokens[i].type === '}') {
+      error('unexpected-close', "Unmatched '}'", tokens[i].start, tokens[i].end, deleteText(tokens[i].start, tokens[i].end));
+      i++;
+      items.push(...consumeDeclarations());
+    }
+  } else {
+    items = consumeRules(false);
+  }
+  errors.sort((a, b) => a.start - b.start);
+  return { items, errors };
+}
+
+/**
+ * Parse a style sheet
+ * @param {string} css - Style sheet source, e.g. the content of a <style> element
+ * @returns {Object} - { rules, errors }. Rules are { type: 'rule', selector, block } and
+ *   { type: 'at-rule', name, prelude, block }; a block is { start, end, contents }, holding rules
+ *   or { type: 'declaration', property, value, important } entries. Everything has `start` and
+ *   `end` offsets. Errors are { type, message, start, end, line, column, fix } in source order,
+ *   with `fix` an edit of the source or null; errors in a declaration also have `declaration`:
+ *   { start, end, property, value, components }, its range including the `;`, and the value's
+ *   components (see findInvalidComponent) or null when they could not be told apart.
+ */
+function parseStylesheet(css) {
+  const { items, errors } = parse(css, 'rules');
+  return { rules: items, errors };
+}
+
+/**
+ * Parse a list of declarations, such as the value of a `style` attribute
+ * @param {string} css - Declarations, as in `color: red; margin: 0`
+ * @returns {Object} - { declarations, errors }: the entries of a block and the errors found,
+ *   both as parseStylesheet gives them
+ */
+function parseDeclarationList(css) {
+  const { items, errors } = parse(css, 'declarations');
+  return { declarations: items, errors };
+}
+
+module.exports = { tokenize, parseStylesheet, parseDeclarationList };
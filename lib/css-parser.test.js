@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, parseStylesheet, parseDeclarationList } = require('./css-parser');
+
+describe('tokenize', () => {
+  it('keeps urls, strings and comments whole and tells selectors from declarations', () => {
+    const tokens = tokenize('a:hover{background:url(data:image/png;base64,AA==) /* x */;content:"a:b"}');
+    assert.deepEqual(tokens.map(token => `${token.type}:${token.value}`), [
+      'ident:a', 'colon::', 'ident:hover', '{:{', 'ident:background', 'colon::', 'url:data:image/png;base64,AA==',
+      'whitespace: ', 'comment:/* x */', 'semicolon:;', 'ident:content', 'colon::', 'string:a:b', '}:}'
+    ]);
+  });
+});
+
+describe('parseStylesheet', () => {
+  it('records each error with its line and, when mechanical, its fix', () => {
+    const { rules, errors } = parseStylesheet('body { colr: red; margin: 10px\n padding: 0 }\n@foo bar;\n}\np { color: 12qq; }');
+    assert.deepEqual(rules.map(rule => rule.type), ['rule', 'at-rule', 'rule']);
+    assert.deepEqual(errors.map(({ type, line, fix }) => [type, line, fix]), [
+      ['unknown-property', 1, { start: 7, end: 11, text: 'color' }],
+      ['missing-semicolon', 1, { start: 30, end: 30, text: ';' }],
+      ['unknown-at-rule', 3, null],
+      ['unexpected-close', 4, { start: 55, end: 56, text: '' }],
+      ['bad-value', 5, null]
+    ]);
+    assert.equal(errors[0].message, "Unknown property 'colr'; did you mean 'color'?");
+  });
+});
+
+describe('parseDeclarationList', () => {
+  it('reads the value of a style attribute and gives errors the declaration range', () => {
+    const { declarations, errors } = parseDeclarationList('color: red; width 10px');
+    assert.deepEqual(declarations.map(({ property, value }) => [property, value]), [['color', 'red']]);
+    assert.equal(errors[0].type, 'missing-colon');
+    assert.deepEqual(errors[0].fix, { start: 17, end: 17, text: ':' });
+    assert.deepEqual([errors[0].declaration.start, errors[0].declaration.end], [12, 22]);
+  });
+});
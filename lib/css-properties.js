@@ -0,0 +1,403 @@
+/**
+ * css-properties.js — Property names CSS defines, and the values the common ones take
+ *
+ * Standard properties, including the shorthands and the logical (inline/block) variants.
+ * Vendor-prefixed names (`-webkit-line-clamp`) are accepted without being listed, since
+ * each engine has its own and they come and go; custom properties (`--accent`) can have
+ * any name.
+ *
+ * Values are checked for the properties in PROPERTY_VALUES only, one component at a time:
+ * each space-, comma- or slash-separated part has to be of a type the property takes, or
+ * one of its keywords. That catches `color: 10px` and `display: flexbox` without modelling
+ * every grammar; properties with involved grammars (`background`, `font`, `grid-template`)
+ * are not checked.
+ */
+
+const CSS_PROPERTIES = new Set([
+  // Box model and sizing
+  'width', 'height', 'min-width', 'min-height', 'max-width', 'max-height', 'box-sizing', 'aspect-ratio',
+  'inline-size', 'block-size', 'min-inline-size', 'min-block-size', 'max-inline-size', 'max-block-size',
+  'margin', 'margin-top', 'margin-right', 'margin-bottom', 'margin-left', 'margin-inline', 'margin-block',
+  'margin-inline-start', 'margin-inline-end', 'margin-block-start', 'margin-block-end', 'margin-trim',
+  'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left', 'padding-inline', 'padding-block',
+  'padding-inline-start', 'padding-inline-end', 'padding-block-start', 'padding-block-end',
+  'overflow', 'overflow-x', 'overflow-y', 'overflow-inline', 'overflow-block', 'overflow-wrap', 'overflow-anchor',
+  'overflow-clip-margin', 'contain', 'contain-intrinsic-size', 'contain-intrinsic-width', 'contain-intrinsic-height',
+  'content-visibility', 'field-sizing',
+
+  // Borders and outlines
+  'border', 'border-width', 'border-style', 'border-color', 'border-top', 'border-right', 'border-bottom',
+  'border-left', 'border-top-width', 'border-right-width', 'border-bottom-width', 'border-left-width',
+  'border-top-style', 'border-right-style', 'border-bottom-style', 'border-left-style', 'border-top-color',
+  'border-right-color', 'border-bottom-color', 'border-left-color', 'border-inline', 'border-block',
+  'border-inline-start', 'border-inline-end', 'border-block-start', 'border-block-end', 'border-inline-width',
+  'border-block-width', 'border-inline-style', 'border-block-style', 'border-inline-color', 'border-block-color',
+  'border-inline-start-width', 'border-inline-end-width', 'border-block-start-width', 'border-block-end-width',
+  'border-inline-start-style', 'border-inline-end-style', 'border-block-start-style', 'border-block-end-style',
+  'border-inline-start-color', 'border-inline-end-color', 'border-block-start-color', 'border-block-end-color',
+  'border-radius', 'border-top-left-radius', 'border-top-right-radius', 'border-bottom-right-radius',
+  'border-bottom-left-radius', 'border-start-start-radius', 'border-start-end-radius', 'border-end-start-radius',
+  'border-end-end-radius', 'border-image', 'border-image-source', 'border-image-slice', 'border-image-width',
+  'border-image-outset', 'border-image-repeat', 'border-collapse', 'border-spacing',
+  'outline', 'outline-width', 'outline-style', 'outline-color', 'outline-offset',
+
+  // Backgrounds, colors and effects
+  'color', 'opacity', 'background', 'background-color', 'background-image', 'background-repeat',
+  'background-position', 'background-position-x', 'background-position-y', 'background-size',
+  'background-attachment', 'background-origin', 'background-clip', 'background-blend-mode',
+  'box-shadow', 'filter', 'backdrop-filter', 'mix-blend-mode', 'isolation', 'color-scheme', 'accent-color',
+  'caret-color', 'forced-color-adjust', 'print-color-adjust', 'color-adjust',
+  'mask', 'mask-image', 'mask-mode', 'mask-repeat', 'mask-position', 'mask-clip', 'mask-origin', 'mask-size',
+  'mask-composite', 'mask-type', 'mask-border', 'clip', 'clip-path', 'shape-outside', 'shape-margin',
+  'shape-image-threshold',
+
+  // Layout
+  'display', 'position', 'top', 'right', 'bottom', 'left', 'inset', 'inset-inline', 'inset-block',
+  'inset-inline-start', 'inset-inline-end', 'inset-block-start', 'inset-block-end', 'z-index', 'float',
+  'clear', 'visibility', 'vertical-align', 'object-fit', 'object-position', 'table-layout', 'caption-side',
+  'empty-cells', 'columns', 'column-count', 'column-width', 'column-gap', 'column-rule', 'column-rule-width',
+  'column-rule-style', 'column-rule-color', 'column-span', 'column-fill', 'break-before', 'break-after',
+  'break-inside', 'page-break-before', 'page-break-after', 'page-break-inside', 'orphans', 'widows',
+  'anchor-name', 'position-anchor', 'position-area', 'position-try', 'position-try-fallbacks',
+  'position-visibility',
+
+  // Flexbox and grid
+  'flex', 'flex-grow', 'flex-shrink', 'flex-basis', 'flex-direction', 'flex-wrap', 'flex-flow', 'order',
+  'justify-content', 'justify-items', 'justify-self', 'align-content', 'align-items', 'align-self',
+  'place-content', 'place-items', 'place-self', 'gap', 'row-gap', 'grid', 'grid-template',
+  'grid-template-columns', 'grid-template-rows', 'grid-template-areas', 'grid-auto-columns', 'grid-auto-rows',
+  'grid-auto-flow', 'grid-area', 'grid-column', 'grid-row', 'grid-column-start', 'grid-column-end',
+  'grid-row-start', 'grid-row-end', 'grid-gap', 'grid-row-gap', 'grid-column-gap',
+
+  // Text and fonts
+  'font', 'font-family', 'font-size', 'font-weight', 'font-style', 'font-variant', 'font-stretch',
+  'font-size-adjust', 'font-kerning', 'font-feature-settings', 'font-variation-settings', 'font-optical-sizing',
+  'font-synthesis', 'font-variant-caps', 'font-variant-numeric', 'font-variant-ligatures',
+  'font-variant-east-asian', 'font-variant-alternates', 'font-variant-position', 'font-language-override',
+  'font-display', 'font-palette', 'src', 'unicode-range', 'line-height', 'letter-spacing', 'word-spacing',
+  'text-align', 'text-align-last', 'text-indent', 'text-transform', 'text-decoration', 'text-decoration-line',
+  'text-decoration-color', 'text-decoration-style', 'text-decoration-thickness', 'text-decoration-skip-ink',
+  'text-underline-offset', 'text-underline-position', 'text-shadow', 'text-overflow', 'text-rendering',
+  'text-wrap', 'text-wrap-mode', 'text-wrap-style', 'text-justify', 'text-orientation', 'text-combine-upright',
+  'text-emphasis', 'text-emphasis-style', 'text-emphasis-color', 'text-emphasis-position', 'text-size-adjust',
+  'white-space', 'white-space-collapse', 'word-break', 'word-wrap', 'line-break', 'hyphens',
+  'hyphenate-character', 'tab-size', 'direction', 'unicode-bidi', 'writing-mode', 'quotes', 'hanging-punctuation',
+  'initial-letter', 'line-clamp', 'ruby-position', 'ruby-align',
+
+  // Lists, counters and generated content
+  'list-style', 'list-style-type', 'list-style-position', 'list-style-image', 'content', 'counter-reset',
+  'counter-increment', 'counter-set',
+
+  // Transforms, transitions and animations
+  'transform', 'transform-origin', 'transform-style', 'transform-box', 'translate', 'rotate', 'scale',
+  'perspective', 'perspective-origin', 'backface-visibility', 'transition', 'transition-property',
+  'transition-duration', 'transition-timing-function', 'transition-delay', 'transition-behavior', 'animation',
+  'animation-name', 'animation-duration', 'animation-timing-function', 'animation-delay',
+  'animation-iteration-count', 'animation-direction', 'animation-fill-mode', 'animation-play-state',
+  'animation-composition', 'animation-timeline', 'animation-range', 'animation-range-start',
+  'animation-range-end', 'scroll-timeline', 'scroll-timeline-name', 'scroll-timeline-axis', 'view-timeline',
+  'view-timeline-name', 'view-timeline-axis', 'view-timeline-inset', 'timeline-scope', 'offset', 'offset-path',
+  'offset-distance', 'offset-rotate', 'offset-anchor', 'offset-position', 'will-change', 'view-transition-name',
+  'view-transition-class',
+
+  // Interaction and scrolling
+  'cursor', 'pointer-events', 'user-select', 'touch-action', 'resize', 'appearance', 'scroll-behavior',
+  'scroll-snap-type', 'scroll-snap-align', 'scroll-snap-stop', 'scroll-margin', 'scroll-margin-top',
+  'scroll-margin-right', 'scroll-margin-bottom', 'scroll-margin-left', 'scroll-margin-inline',
+  'scroll-margin-block', 'scroll-padding', 'scroll-padding-top', 'scroll-padding-right',
+  'scroll-padding-bottom', 'scroll-padding-left', 'scroll-padding-inline', 'scroll-padding-block',
+  'overscroll-behavior', 'overscroll-behavior-x', 'overscroll-behavior-y', 'overscroll-behavior-inline',
+  'overscroll-behavior-block', 'scrollbar-width', 'scrollbar-color', 'scrollbar-gutter', 'image-rendering',
+  'image-orientation', 'interpolate-size',
+
+  // Containment queries and other modules
+  'container', 'container-name', 'container-type', 'all', 'zoom', 'math-style', 'math-depth',
+  'dominant-baseline', 'alignment-baseline', 'baseline-shift',
+
+  // SVG presentation properties
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+  'stroke-dashoffset', 'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'marker', 'marker-start',
+  'marker-mid', 'marker-end', 'paint-order', 'vector-effect', 'stop-color', 'stop-opacity', 'flood-color',
+  'flood-opacity', 'lighting-color', 'clip-rule', 'color-interpolation', 'color-interpolation-filters',
+  'shape-rendering', 'text-anchor', 'cx', 'cy', 'r', 'rx', 'ry', 'x', 'y', 'd',
+
+  // Descriptors of @font-face, @property, @counter-style and @page, which take the same form
+  'size-adjust', 'ascent-override', 'descent-override', 'line-gap-override', 'syntax', 'inherits',
+  'initial-value', 'system', 'symbols', 'additive-symbols', 'negative', 'prefix', 'suffix', 'range', 'pad',
+  'speak-as', 'fallback', 'size', 'page', 'marks', 'bleed', 'base-palette', 'override-colors'
+]);
+
+// Properties that move or resize other elements or take one out of the flow. Repairs never
+// add them to a rule, since a guessed one can rearrange the whole page.
+const LAYOUT_PROPERTIES = new Set([
+  'display', 'position', 'top', 'right', 'bottom', 'left', 'inset', 'inset-inline', 'inset-block', 'float',
+  'clear', 'z-index', 'overflow', 'overflow-x', 'overflow-y', 'visibility', 'box-sizing', 'flex', 'flex-basis',
+  'flex-direction', 'flex-wrap', 'flex-flow', 'flex-grow', 'flex-shrink', 'order', 'grid', 'grid-area',
+  'grid-template', 'grid-template-columns', 'grid-template-rows', 'grid-column', 'grid-row', 'columns',
+  'column-count', 'contain', 'justify-content', 'align-items', 'align-content', 'align-self',
+  'justify-self', 'place-content', 'place-items', 'place-self', 'vertical-align', 'table-layout'
+]);
+
+const GLOBAL_KEYWORDS = new Set(['inherit', 'initial', 'unset', 'revert', 'revert-layer']);
+
+const NAMED_COLORS = new Set([
+  'aliceblue', 'antiquewhite', 'aqua', 'aquamarine', 'azure', 'beige', 'bisque', 'black', 'blanchedalmond',
+  'blue', 'blueviolet', 'brown', 'burlywood', 'cadetblue', 'chartreuse', 'chocolate', 'coral', 'cornflowerblue',
+  'cornsilk', 'crimson', 'cyan', 'darkblue', 'darkcyan', 'darkgoldenrod', 'darkgray', 'darkgreen', 'darkgrey',
+  'darkkhaki', 'darkmagenta', 'darkolivegreen', 'darkorange', 'darkorchid', 'darkred', 'darksalmon',
+  'darkseagreen', 'darkslateblue', 'darkslategray', 'darkslategrey', 'darkturquoise', 'darkviolet', 'deeppink',
+  'deepskyblue', 'dimgray', 'dimgrey', 'dodgerblue', 'firebrick', 'floralwhite', 'forestgreen', 'fuchsia',
+  'gainsboro', 'ghostwhite', 'gold', 'goldenrod', 'gray', 'green', 'greenyellow', 'grey', 'honeydew', 'hotpink',
+  'indianred', 'indigo', 'ivory', 'khaki', 'lavender', 'lavenderblush', 'lawngreen', 'lemonchiffon', 'lightblue',
+  'lightcoral', 'lightcyan', 'lightgoldenrodyellow', 'lightgray', 'lightgreen', 'lightgrey', 'lightpink',
+  'lightsalmon', 'lightseagreen', 'lightskyblue', 'lightslategray', 'lightslategrey', 'lightsteelblue',
+  'lightyellow', 'lime', 'limegreen', 'linen', 'magenta', 'maroon', 'mediumaquamarine', 'mediumblue',
+  'mediumorchid', 'mediumpurple', 'mediumseagreen', 'mediumslateblue', 'mediumspringgreen', 'mediumturquoise',
+  'mediumvioletred', 'midnightblue', 'mintcream', 'mistyrose', 'moccasin', 'navajowhite', 'navy', 'oldlace',
+  'olive', 'olivedrab', 'orange', 'orangered', 'orchid', 'palegoldenrod', 'palegreen', 'paleturquoise',
+  'palevioletred', 'papayawhip', 'peachpuff', 'peru', 'pink', 'plum', 'powderblue', 'purple', 'rebeccapurple',
+  'red', 'rosybrown', 'royalblue', 'saddlebrown', 'salmon', 'sandybrown', 'seagreen', 'seashell', 'sienna',
+  'silver', 'skyblue', 'slateblue', 'slategray', 'slategrey', 'snow', 'springgreen', 'steelblue', 'tan', 'teal',
+  'thistle', 'tomato', 'turquoise', 'violet', 'wheat', 'white', 'whitesmoke', 'yellow', 'yellowgreen',
+  'transparent', 'currentcolor'
+]);
+
+const UNIT_TYPES = {
+  length: ['px', 'em', 'rem', 'ex', 'rex', 'ch', 'rch', 'cap', 'rcap', 'ic', 'ric', 'lh', 'rlh', 'vw', 'vh', 'vi',
+    'vb', 'vmin', 'vmax', 'svw', 'svh', 'svi', 'svb', 'svmin', 'svmax', 'lvw', 'lvh', 'lvi', 'lvb', 'lvmin',
+    'lvmax', 'dvw', 'dvh', 'dvi', 'dvb', 'dvmin', 'dvmax', 'cqw', 'cqh', 'cqi', 'cqb', 'cqmin', 'cqmax', 'cm',
+    'mm', 'q', 'in', 'pt', 'pc'],
+  angle: ['deg', 'rad', 'grad', 'turn'],
+  time: ['s', 'ms'],
+  frequency: ['hz', 'khz'],
+  resolution: ['dpi', 'dpcm', 'dppx', 'x'],
+  flex: ['fr']
+};
+
+const COLOR_FUNCTIONS = new Set([
+  'rgb', 'rgba', 'hsl', 'hsla', 'hwb', 'lab', 'lch', 'oklab', 'oklch', 'color', 'color-mix', 'light-dark'
+]);
+const IMAGE_FUNCTIONS = new Set([
+  'url', 'linear-gradient', 'radial-gradient', 'conic-gradient', 'repeating-linear-gradient',
+  'repeating-radial-gradient', 'repeating-conic-gradient', 'image-set', '-webkit-image-set', 'cross-fade',
+  'image', 'element', 'paint'
+]);
+// Functions that stand for a value of whatever type is needed
+const ANY_TYPE_FUNCTIONS = new Set([
+  'var', 'env', 'attr', 'calc', 'min', 'max', 'clamp', 'round', 'mod', 'rem', 'abs', 'sign', 'sin', 'cos',
+  'tan', 'asin', 'acos', 'atan', 'atan2', 'pow', 'sqrt', 'hypot', 'log', 'exp', 'anchor', 'anchor-size'
+]);
+
+const SIZE_KEYWORDS = ['auto', 'min-content', 'max-content', 'fit-content', 'stretch'];
+const BORDER_STYLES = ['none', 'hidden', 'dotted', 'dashed', 'solid', 'double', 'groove', 'ridge', 'inset', 'outset'];
+const BORDER_WIDTHS = ['thin', 'medium', 'thick'];
+const ALIGNMENT = [
+  'normal', 'stretch', 'center', 'start', 'end', 'flex-start', 'flex-end', 'self-start', 'self-end', 'left',
+  'right', 'baseline', 'first', 'last', 'safe', 'unsafe', 'space-between', 'space-around', 'space-evenly',
+  'anchor-center', 'legacy'
+];
+
+const size = { types: ['length', 'percentage'], keywords: SIZE_KEYWORDS };
+const maxSize = { types: ['length', 'percentage'], keywords: [...SIZE_KEYWORDS, 'none'] };
+const margin = { types: ['length', 'percentage'], keywords: ['auto'] };
+const padding = { types: ['length', 'percentage'], keywords: [] };
+const offset = { types: ['length', 'percentage'], keywords: ['auto'] };
+const color = { types: ['color'], keywords: [] };
+const paint = { types: ['color', 'image'], keywords: ['none', 'context-fill', 'context-stroke'] };
+const border = { types: ['length', 'color'], keywords: [...BORDER_STYLES, ...BORDER_WIDTHS] };
+const time = { types: ['time'], keywords: [] };
+const alignment = { types: [], keywords: ALIGNMENT };
+
+/**
+ * The values of common properties: the types of their components (color, length, percentage,
+ * number, integer, time, angle, image, string, ident) and their keywords
+ */
+const PROPERTY_VALUES = {
+  color, 'background-color': color, 'border-color': color, 'outline-color': color,
+  'border-top-color': color, 'border-right-color': color, 'border-bottom-color': color, 'border-left-color': color,
+  'text-decoration-color': color, 'column-rule-color': color, 'stop-color': color, 'flood-color': color,
+  'caret-color': { types: ['color'], keywords: ['auto'] }, 'accent-color': { types: ['color'], keywords: ['auto'] },
+  fill: paint, stroke: paint,
+  width: size, height: size, 'min-width': size, 'min-height': size, 'max-width': maxSize, 'max-height': maxSize,
+  'inline-size': size, 'block-size': size,
+  margin, 'margin-top': margin, 'margin-right': margin, 'margin-bottom': margin, 'margin-left': margin,
+  padding, 'padding-top': padding, 'padding-right': padding, 'padding-bottom': padding, 'padding-left': padding,
+  top: offset, right: offset, bottom: offset, left: offset, inset: offset,
+  gap: { types: ['length', 'percentage'], keywords: ['normal'] },
+  'row-gap': { types: ['length', 'percentage'], keywords: ['normal'] },
+  'column-gap': { types: ['length', 'percentage'], keywords: ['normal'] },
+  'border-radius': { types: ['length', 'percentage'], keywords: [] },
+  'border-width': { types: ['length'], keywords: BORDER_WIDTHS },
+  'border-style': { types: [], keywords: BORDER_STYLES },
+  border, 'border-top': border, 'border-right': border, 'border-bottom': border, 'border-left': border,
+  outline: { types: ['length', 'color'], keywords: [...BORDER_STYLES, ...BORDER_WIDTHS, 'auto', 'invert'] },
+  'outline-width': { types: ['length'], keywords: BORDER_WIDTHS },
+  'outline-offset': { types: ['length'], keywords: [] },
+  opacity: { types: ['number', 'percentage'], keywords: [] },
+  'z-index': { types: ['integer'], keywords: ['auto'] },
+  order: { types: ['integer'], keywords: [] },
+  'flex-grow': { types: ['number'], keywords: [] },
+  'flex-shrink': { types: ['number'], keywords: [] },
+  'line-height': { types: ['number', 'length', 'percentage'], keywords: ['normal'] },
+  'letter-spacing': { types: ['length'], keywords: ['normal'] },
+  'word-spacing': { types: ['length', 'percentage'], keywords: ['normal'] },
+  'text-indent': { types: ['length', 'percentage'], keywords: ['hanging', 'each-line'] },
+  'font-size': {
+    types: ['length', 'percentage'],
+    keywords: ['xx-small', 'x-small', 'small', 'medium', 'large', 'x-large', 'xx-large', 'xxx-large', 'smaller', 'larger', 'math']
+  },
+  'font-weight': { types: ['number'], keywords: ['normal', 'bold', 'bolder', 'lighter'] },
+  'font-style': { types: ['angle'], keywords: ['normal', 'italic', 'oblique'] },
+  display: {
+    types: [],
+    keywords: ['none', 'contents', 'block', 'inline', 'inline-block', 'flex', 'inline-flex', 'grid', 'inline-grid',
+      'flow', 'flow-root', 'table', 'inline-table', 'table-row', 'table-cell', 'table-column', 'table-caption',
+      'table-row-group', 'table-header-group', 'table-footer-group', 'table-column-group', 'list-item', 'run-in',
+      'ruby', 'ruby-text', 'math']
+  },
+  position: { types: [], keywords: ['static', 'relative', 'absolute', 'fixed', 'sticky'] },
+  float: { types: [], keywords: ['none', 'left', 'right', 'inline-start', 'inline-end'] },
+  clear: { types: [], keywords: ['none', 'left', 'right', 'both', 'inline-start', 'inline-end'] },
+  visibility: { types: [], keywords: ['visible', 'hidden', 'collapse'] },
+  overflow: { types: [], keywords: ['visible', 'hidden', 'clip', 'scroll', 'auto', 'overlay'] },
+  'overflow-x': { types: [], keywords: ['visible', 'hidden', 'clip', 'scroll', 'auto', 'overlay'] },
+  'overflow-y': { types: [], keywords: ['visible', 'hidden', 'clip', 'scroll', 'auto', 'overlay'] },
+  'box-sizing': { types: [], keywords: ['content-box', 'border-box'] },
+  'flex-direction': { types: [], keywords: ['row', 'row-reverse', 'column', 'column-reverse'] },
+  'flex-wrap': { types: [], keywords: ['nowrap', 'wrap', 'wrap-reverse'] },
+  'justify-content': alignment, 'align-items': alignment, 'align-content': alignment, 'align-self': alignment,
+  'justify-items': alignment, 'justify-self': alignment,
+  'text-align': { types: [], keywords: ['start', 'end', 'left', 'right', 'center', 'justify', 'justify-all', 'match-parent'] },
+  'text-transform': { types: [], keywords: ['none', 'capitalize', 'uppercase', 'lowercase', 'full-width', 'full-size-kana'] },
+  'text-overflow': { types: ['string'], keywords: ['clip', 'ellipsis'] },
+  'white-space': {
+    types: [],
+    keywords: ['normal', 'nowrap', 'pre', 'pre-wrap', 'pre-line', 'break-spaces', 'collapse', 'preserve', 'wrap']
+  },
+  'user-select': { types: [], keywords: ['auto', 'text', 'none', 'contain', 'all'] },
+  'pointer-events': {
+    types: [],
+    keywords: ['auto', 'none', 'visiblepainted', 'visiblefill', 'visiblestroke', 'visible', 'painted', 'fill', 'stroke', 'all']
+  },
+  cursor: {
+    types: ['image', 'number'],
+    keywords: ['auto', 'default', 'none', 'context-menu', 'help', 'pointer', 'progress', 'wait', 'cell', 'crosshair',
+      'text', 'vertical-text', 'alias', 'copy', 'move', 'no-drop', 'not-allowed', 'grab', 'grabbing', 'all-scroll',
+      'col-resize', 'row-resize', 'n-resize', 'e-resize', 's-resize', 'w-resize', 'ne-resize', 'nw-resize',
+      'se-resize', 'sw-resize', 'ew-resize', 'ns-resize', 'nesw-resize', 'nwse-resize', 'zoom-in', 'zoom-out']
+  },
+  'background-image': { types: ['image'], keywords: ['none'] },
+  'background-repeat': { types: [], keywords: ['repeat', 'repeat-x', 'repeat-y', 'no-repeat', 'space', 'round'] },
+  'background-size': { types: ['length', 'percentage'], keywords: ['auto', 'cover', 'contain'] },
+  'object-fit': { types: [], keywords: ['fill', 'contain', 'cover', 'none', 'scale-down'] },
+  'transition-duration': time, 'transition-delay': time, 'animation-duration': { types: ['time'], keywords: ['auto'] },
+  'animation-delay': time,
+  'animation-iteration-count': { types: ['number'], keywords: ['infinite'] },
+  'animation-direction': { types: [], keywords: ['normal', 'reverse', 'alternate', 'alternate-reverse'] },
+  'animation-fill-mode': { types: [], keywords: ['none', 'forwards', 'backwards', 'both'] },
+  'animation-play-state': { types: [], keywords: ['running', 'paused'] },
+  rotate: { types: ['angle', 'number'], keywords: ['none', 'x', 'y', 'z'] },
+  'image-rendering': { types: [], keywords: ['auto', 'smooth', 'high-quality', 'pixelated', 'crisp-edges', 'optimizespeed', 'optimizequality'] },
+  'font-family': { types: ['string', 'ident'], keywords: [] }
+};
+
+// -webkit-, -moz-, -ms- and -o-, plus the rarer engine prefixes
+const VENDOR_PREFIX = /^-(webkit|moz|ms|o|khtml|apple|epub|xv)-/;
+
+/**
+ * Whether a property name is one CSS knows
+ * @param {string} name - Property name as written
+ * @returns {boolean} - True for standard, vendor-prefixed and custom properties
+ */
+function isKnownProperty(name) {
+  const lower = name.toLowerCase();
+  return name.startsWith('--') || VENDOR_PREFIX.test(lower) || CSS_PROPERTIES.has(lower);
+}
+
+/**
+ * The types a value component can be of
+ * @param {Object} component - Token from css-parser.js; a function is its 'function' token
+ * @returns {Set<string>} - Types ('color', 'length', 'percentage', 'number', 'integer', 'time',
+ *   'angle', 'image', 'string', 'ident', 'any'...); empty for delimiters and the like
+ */
+function getComponentTypes(component) {
+  const types = new Set();
+  const value = component.value.toLowerCase();
+  switch (component.type) {
+    case 'hash':
+      if (/^([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/.test(value)) types.add('color');
+      break;
+    case 'ident':
+      types.add(NAMED_COLORS.has(value) ? 'color' : 'ident');
+      break;
+    case 'number':
+      types.add('number');
+      if (Number.isInteger(component.number)) types.add('integer');
+      // Zero is a length without a unit
+      if (component.number === 0) types.add('length');
+      break;
+    case 'percentage':
+      types.add('percentage');
+      break;
+    case 'dimension':
+      Object.entries(UNIT_TYPES)
+        .filter(([, units]) => units.includes(component.unit.toLowerCase()))
+        .forEach(([type]) => types.add(type));
+      break;
+    case 'string':
+      types.add('string');
+      break;
+    case 'url':
+      types.add('image');
+      break;
+    case 'function':
+      if (COLOR_FUNCTIONS.has(value)) types.add('color');
+      if (IMAGE_FUNCTIONS.has(value)) types.add('image');
+      if (ANY_TYPE_FUNCTIONS.has(value)) types.add('any');
+      break;
+  }
+  return types;
+}
+
+/**
+ * Check a value against what its property takes (see PROPERTY_VALUES)
+ * @param {string} property - Property name
+ * @param {Array<Object>} components - The value's components: tokens, with a function as its
+ *   'function' token, and without whitespace, commas or slashes
+ * @returns {Object|null} - The first component the property cannot take, or null when the value
+ *   is valid or the property's values are not checked
+ */
+function findInvalidComponent(property, components) {
+  const allowed = PROPERTY_VALUES[property.toLowerCase()];
+  if (!allowed || components.length === 0) return null;
+  if (components.length === 1 && components[0].type === 'ident' && GLOBAL_KEYWORDS.has(components[0].value.toLowerCase())) {
+    return null;
+  }
+
+  return components.find(component => {
+    const types = getComponentTypes(component);
+    if (types.has('any') || allowed.types.some(type => types.has(type))) return false;
+    return !(component.type === 'ident' && allowed.keywords.includes(component.value.toLowerCase()));
+  }) || null;
+}
+
+/**
+ * Keywords a property takes, named colors included when it takes colors
+ * @param {string} property - Property name
+ * @returns {Array<string>} - Keywords, empty for properties whose values are not checked
+ */
+function getValueKeywords(property) {
+  const allowed = PROPERTY_VALUES[property.toLowerCase()];
+  if (!allowed) return [];
+  return [...allowed.keywords, ...(allowed.types.includes('color') ? NAMED_COLORS : [])];
+}
+
+module.exports = {
+  CSS_PROPERTIES,
+  PROPERTY_VALUES,
+  LAYOUT_PROPERTIES,
+  isKnownProperty,
+  getComponentTypes,
+  findInvalidComponent,
+  getValueKeywords
+};
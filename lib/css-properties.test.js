@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isKnownProperty, getComponentTypes, findInvalidComponent, getValueKeywords } = require('./css-properties');
+
+describe('isKnownProperty', () => {
+  it('knows standard, custom and vendor-prefixed properties', () => {
+    assert.deepEqual(['color', 'colr', '--accent', '-webkit-box-shadow'].map(isKnownProperty), [true, false, true, true]);
+  });
+});
+
+describe('getComponentTypes', () => {
+  it('types dimensions by unit and takes a bare zero for a length', () => {
+    assert.deepEqual([...getComponentTypes({ type: 'dimension', value: '10px', number: 10, unit: 'px' })], ['length']);
+    assert.ok(getComponentTypes({ type: 'number', value: '0', number: 0 }).has('length'));
+    assert.ok(getComponentTypes({ type: 'ident', value: 'rebeccapurple' }).has('color'));
+  });
+});
+
+describe('findInvalidComponent', () => {
+  it('returns the component a property cannot take', () => {
+    const length = { type: 'dimension', value: '10px', number: 10, unit: 'px' };
+    assert.equal(findInvalidComponent('color', [length]), length);
+    assert.equal(findInvalidComponent('width', [length]), null);
+  });
+
+  it('accepts the global keywords for any property', () => {
+    assert.equal(findInvalidComponent('color', [{ type: 'ident', value: 'inherit' }]), null);
+  });
+});
+
+describe('getValueKeywords', () => {
+  it('lists the keywords a property takes, with named colors for colors', () => {
+    assert.ok(getValueKeywords('display').includes('inline-block'));
+    assert.ok(getValueKeywords('border-color').includes('red'));
+    assert.deepEqual(getValueKeywords('--accent'), []);
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * css-repair.js — Deterministic repair of a style sheet, without asking anyone
+ *
+ * First the parser's mechanical fixes (see css-parser.js): missing semicolons and closers,
+ * misspelled names with a single close match. What is left is either salvaged or dropped:
+ *
+ * - A declaration without a property name gets one when its value says which: a color
+ *   becomes `color` (or `background-color` when the rule already has one), a length `width`,
+ *   two to four lengths `margin`, a time `transition-duration`, a keyword the single property
+ *   taking it. Properties that change the layout mode or take an element out of the flow
+ *   (`display`, `position`, `float`...) are never added, since a wrong guess rearranges the
+ *   page; a value only they take is dropped instead.
+ * - A declaration the browser would ignore anyway (unknown property, invalid or empty value,
+ *   no colon, outside any rule) is commented out, with the reason recorded.
+ *
+ * Everything else, such as unknown at-rules, is reported as remaining. The value of a `style`
+ * attribute is repaired the same way, as a list of declarations (repairDeclarations).
+ */
+const { parseStylesheet, parseDeclarationList } = require('./css-parser');
+const { PROPERTY_VALUES, LAYOUT_PROPERTIES, getComponentTypes, findInvalidComponent } = require('./css-properties');
+const { EditSet, insertText, replaceText } = require('./edits');
+
+// Errors about a declaration the browser drops, and the repair drops too when nothing fixed it
+const DROPPED_ERRORS = new Set([
+  'missing-property-name', 'invalid-declaration', 'missing-colon', 'empty-value', 'bad-value',
+  'invalid-value', 'unknown-property', 'declaration-outside-rule'
+]);
+
+const GENERIC_FAMILIES = new Set([
+  'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-serif', 'ui-sans-serif',
+  'ui-monospace', 'ui-rounded', 'math', 'emoji', 'fangsong'
+]);
+
+// What a value of one type most likely sets, in order of preference
+const CANDIDATES = {
+  color: ['color', 'background-color', 'border-color'],
+  image: ['background-image'],
+  time: ['transition-duration', 'animation-duration'],
+  angle: ['rotate'],
+  length: ['width', 'height'],
+  lengths: ['margin', 'padding'],
+  opacity: ['opacity']
+};
+
+// How reasons name the types
+const TYPE_NAMES = {
+  color: 'a color', image: 'an image', time: 'a time', angle: 'an angle', length: 'a length',
+  lengths: 'a list of lengths', opacity: 'a fraction'
+};
+
+const MAX_ROUNDS = 5;
+
+/**
+ * The type all components share, as a key of CANDIDATES
+ */
+function getValueType(components) {
+  const types = components.map(getComponentTypes);
+  const all = type => types.every(componentTypes => componentTypes.has(type));
+  if (all('color')) return 'color';
+  if (all('image')) return 'image';
+  if (all('time')) return 'time';
+  if (all('angle')) return 'angle';
+  if (types.every(componentTypes => componentTypes.has('length') || componentTypes.has('percentage'))) {
+    // A bare 0 is a length too, but alone it says nothing
+    if (components.every(component => component.type === 'number')) return null;
+    return components.length === 1 ? 'length' : components.length <= 4 ? 'lengths' : null;
+  }
+  if (components.length === 1 && components[0].type === 'number' && components[0].number > 0 && components[0].number < 1) {
+    return 'opacity';
+  }
+  return null;
+}
+
+/**
+ * Infer the property a value without a property name was meant for
+ * @param {string} value - The value
+ * @param {Array<Object>|null} components - Its components (see findInvalidComponent)
+ * @param {Set<string>} declared - Properties the rule already has, which are not added twice
+ * @returns {Object} - { property } when one fits, otherwise { reason } why none is added
+ */
+function inferProperty(value, components, declared) {
+  if (!components || components.length === 0) return { reason: 'nothing in the value says which property it is for' };
+  const fits = property => !declared.has(property) && !findInvalidComponent(property, components);
+
+  const type = getValueType(components);
+  if (type) {
+    const property = CANDIDATES[type].find(fits);
+    return property ? { property } : { reason: `the rule already sets every property ${TYPE_NAMES[type]} is likely for` };
+  }
+
+  const idents = components.filter(component => component.type === 'ident').map(component => component.value.toLowerCase());
+  if (idents.some(ident => GENERIC_FAMILIES.has(ident)) ||
+      (value.includes(',') && components.every(component => component.type === 'ident' || component.type === 'string'))) {
+    return fits('font-family') ? { property: 'font-family' } : { reason: 'the rule already sets font-family' };
+  }
+
+  // A keyword only one property takes
+  if (idents.length > 0) {
+    const takers = Object.keys(PROPERTY_VALUES).filter(property => PROPERTY_VALUES[property].keywords.length > 0 &&
+      idents.every(ident => PROPERTY_VALUES[property].keywords.includes(ident)) && !findInvalidComponent(property, components));
+    const safe = takers.filter(property => !LAYOUT_PROPERTIES.has(property));
+    if (safe.length === 1 && fits(safe[0])) return { property: safe[0] };
+    if (takers.length > 0 && safe.length === 0) {
+      return { reason: `only ${takers.join(', ')} take${takers.length === 1 ? 's' : ''} it, which would change the layout` };
+    }
+    if (safe.length > 1) return { reason: `it could be for ${safe.slice(0, 3).join(', ')}${safe.length > 3 ? '...' : ''}` };
+  }
+  return { reason: 'nothing in the value says which property it is for' };
+}
+
+/**
+ * Innermost block of a rule that contains an offset
+ */
+function findBlock(rules, offset) {
+  for (const rule of rules) {
+    const block = rule.block;
+    if (!block || offset < block.start || offset >= block.end) continue;
+    return findBlock(block.contents.filter(item => item.type !== 'declaration'), offset) || block;
+  }
+  return null;
+}
+
+function commentOut(css, start, end) {
+  return `/* ${css.slice(start, end).replace(/\*\//g, '* /')} */`;
+}
+
+// A declaration list parsed as the one block of a style sheet
+function parseAsStylesheet(css) {
+  const { declarations, errors } = parseDeclarationList(css);
+  return { rules: [{ block: { start: 0, end: css.length, contents: declarations } }], errors };
+}
+
+/**
+ * Apply the parser's mechanical fixes until there are none left
+ * @param {string} css - Style sheet source
+ * @param {Function} [parse] - Parser, parseStylesheet or one returning the same for other sources
+ * @returns {Object} - { css, repairs }: the fixed source, and a { action: 'fix', message, line }
+ *   entry for each fix
+ */
+function applyCssFixes(css, parse = parseStylesheet) {
+  const repairs = [];
+  // A repair can reveal errors the broken CSS hid, so parse again after each round
+  for (let round = 0; round < MAX_ROUNDS; round++) {
+    const edits = new EditSet(css);
+    parse(css).errors
+      .filter(error => error.fix && edits.tryAdd(error.fix))
+      .forEach(error => repairs.push({ action: 'fix', message: error.message, line: error.line }));
+    if (edits.size === 0) break;
+    css = edits.apply();
+  }
+  return { css, repairs };
+}
+
+/**
+ * Repair a style sheet as far as it can be done without guessing at layout
+ * @param {string} css - Style sheet source
+ * @param {Function} [parse] - Parser, as for applyCssFixes
+ * @returns {Object} - { css, repairs, remaining }: the repaired source; what was done, as
+ *   { action, message, line } with action 'fix', 'infer' or 'drop' (the message of a drop
+ *   gives the reason); and the parser errors left
+ */
+function repairCss(css, parse = parseStylesheet) {
+  const fixed = applyCssFixes(css, parse);
+  const repairs = [...fixed.repairs];
+  css = fixed.css;
+
+  for (let round = 0; round < MAX_ROUNDS; round++) {
+    const { rules, errors } = parse(css);
+    const edits = new EditSet(css);
+    const handled = new Set();
+    // Properties of each block, including those added in this round
+    const declared = new Map();
+    const getDeclared = (block) => {
+      if (!declared.has(block)) {
+        declared.set(block, new Set(block ? block.contents
+          .filter(item => item.type === 'declaration')
+          .map(item => item.property.toLowerCase()) : []));
+      }
+      return declared.get(block);
+    };
+
+    for (const error of errors) {
+      const declaration = error.declaration;
+      if (error.fix || !DROPPED_ERRORS.has(error.type) || !declaration || handled.has(declaration.start)) continue;
+      handled.add(declaration.start);
+      const text = css.slice(declaration.start, declaration.end).trim();
+      let reason = error.message;
+
+      if (error.type === 'missing-property-name') {
+        const properties = getDeclared(findBlock(rules, declaration.start));
+        const inferred = inferProperty(declaration.value, declaration.components, properties);
+        if (inferred.property) {
+          if (edits.tryAdd(insertText(declaration.start, inferred.property))) {
+            properties.add(inferred.property);
+            repairs.push({ action: 'infer', message: `Added the property name '${inferred.property}' to '${text}'`, line: error.line });
+          }
+          continue;
+        }
+        reason = `${reason}, and ${inferred.reason}`;
+      }
+
+      if (edits.tryAdd(replaceText(declaration.start, declaration.end, commentOut(css, declaration.start, declaration.end)))) {
+        repairs.push({ action: 'drop', message: `Dropped '${text}': ${reason}`, line: error.line });
+      }
+    }
+
+    if (edits.size === 0) break;
+    const refixed = applyCssFixes(edits.apply(), parse);
+    css = refixed.css;
+    repairs.push(...refixed.repairs);
+  }
+
+  return { css, repairs, remaining: parse(css).errors };
+}
+
+/**
+ * Repair a list of declarations, such as the value of a `style` attribute (see repairCss)
+ * @param {string} css - Declarations
+ * @returns {Object} - { css, repairs, remaining }, as from repairCss
+ */
+function repairDeclarations(css) {
+  return repairCss(css, parseAsStylesheet);
+}
+
+module.exports = { applyCssFixes, repairCss, repairDeclarations, inferProperty };
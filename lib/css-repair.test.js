@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyCssFixes, repairCss, repairDeclarations, inferProperty } = require('./css-repair');
+
+describe('applyCssFixes', () => {
+  it('applies the mechanical fixes of the parser', () => {
+    const { css, repairs } = applyCssFixes('body { colr: red; margin: 10px\n padding: 0 }');
+    assert.equal(css, 'body { color: red; margin: 10px;\n padding: 0 }');
+    assert.deepEqual(repairs.map(repair => repair.action), ['fix', 'fix']);
+  });
+});
+
+describe('repairCss', () => {
+  it('adds the property a value is evidently for, skipping those the rule has', () => {
+    const { css, repairs, remaining } = repairCss('h1 { : #ff0000; color: blue; }');
+    assert.equal(css, 'h1 { background-color: #ff0000; color: blue; }');
+    assert.equal(repairs[0].message, "Added the property name 'background-color' to ': #ff0000;'");
+    assert.deepEqual(remaining, []);
+  });
+
+  it('comments out a declaration the browser would drop, with the reason', () => {
+    const { css, repairs } = repairCss('p { flex; }');
+    assert.equal(css, 'p { /* flex; */ }');
+    assert.deepEqual(repairs, [{ action: 'drop', message: "Dropped 'flex;': Expected ':' after 'flex'", line: 1 }]);
+  });
+
+  it('reports what it cannot repair as remaining', () => {
+    assert.deepEqual(repairCss('@foo bar;\n').remaining.map(error => error.type), ['unknown-at-rule']);
+  });
+});
+
+describe('repairDeclarations', () => {
+  it('repairs a style attribute as the contents of a block', () => {
+    assert.equal(repairDeclarations('colr: red; : 10px').css, 'color: red; width: 10px');
+  });
+});
+
+describe('inferProperty', () => {
+  it('never adds a property that changes the layout', () => {
+    assert.deepEqual(inferProperty('block', [{ type: 'ident', value: 'block' }], new Set()),
+      { reason: 'only display takes it, which would change the layout' });
+  });
+});
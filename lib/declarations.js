@@ -0,0 +1,258 @@
+/**
+ * declarations.js — Declarations for variables the code uses without declaring them
+ *
+ * The initial value is inferred from how the name is used: arithmetic means a number,
+ * `.push()` or indexing an array, a call a function, `.x`/`.y` a vector, being passed to a
+ * p5 color function a color. The declaration goes at the start of the narrowest block that
+ * contains every use, unless the uses run repeatedly (in a function or a loop) and read the
+ * value before setting it. A counter in draw() has to survive between frames, so it is
+ * then declared outside the function or loop instead.
+ */
+const { analyzeScripts } = require('./scope-analysis');
+
+const ARRAY_MEMBERS = new Set([
+  'push', 'pop', 'shift', 'unshift', 'splice', 'slice', 'concat', 'join', 'length', 'indexOf',
+  'includes', 'forEach', 'map', 'filter', 'reduce', 'some', 'every', 'find', 'findIndex', 'sort', 'reverse'
+]);
+const VECTOR_COMPONENTS = new Set(['x', 'y', 'z']);
+// p5.Vector methods, which a plain { x, y } object does not have
+const VECTOR_METHODS = new Set([
+  'add', 'sub', 'mult', 'div', 'mag', 'magSq', 'normalize', 'setMag', 'limit', 'heading',
+  'setHeading', 'rotate', 'dot', 'cross', 'dist', 'lerp', 'angleBetween', 'copy'
+]);
+// p5 functions taking a color, and those returning one
+const COLOR_ARGUMENT_FUNCTIONS = new Set([
+  'fill', 'stroke', 'background', 'tint', 'ambientMaterial', 'emissiveMaterial', 'specularMaterial',
+  'red', 'green', 'blue', 'alpha', 'hue', 'saturation', 'brightness', 'lightness', 'lerpColor'
+]);
+const COLOR_FUNCTIONS = new Set(['color', 'lerpColor']);
+const VECTOR_FUNCTIONS = new Set(['createVector']);
+
+const NUMBER_OPERATORS = new Set(['-', '*', '/', '%', '**', '<', '>', '<=', '>=', '<<', '>>', '>>>', '&', '|', '^']);
+
+// When uses disagree, the most specific type wins: `list.push(x)` and `list.length > 3` make an array
+const TYPE_PRIORITY = ['function', 'array', 'vector', 'color', 'object', 'number', 'string', 'boolean'];
+
+const FUNCTION_TYPES = /^(FunctionDeclaration|FunctionExpression|ArrowFunctionExpression)$/;
+const LOOP_TYPES = /^(ForStatement|ForInStatement|ForOfStatement|WhileStatement|DoWhileStatement)$/;
+const CONTAINER_TYPES = /^(Program|BlockStatement|StaticBlock)$/;
+
+function childNodes(node) {
+  return Object.entries(node)
+    .filter(([key]) => key !== 'loc')
+    .flatMap(([, value]) => (Array.isArray(value) ? value : [value]))
+    .filter(child => child && typeof child.type === 'string');
+}
+
+/**
+ * Nodes from the program down to the identifier starting at an offset
+ */
+function findPath(program, start) {
+  const path = [];
+  for (let node = program; node; node = childNodes(node).find(child => child.start <= start && start < child.end)) {
+    path.push(node);
+    if (node.type === 'Identifier' && node.start === start) return path;
+  }
+  return null;
+}
+
+function calleeName(call) {
+  const { callee } = call;
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression' && !callee.computed && callee.property.type === 'Identifier') return callee.property.name;
+  return null;
+}
+
+function isString(node) {
+  return (node.type === 'Literal' && typeof node.value === 'string') || node.type === 'TemplateLiteral';
+}
+
+function memberPath(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression' && !node.computed) return `${memberPath(node.object)}.${node.property.name}`;
+  return '';
+}
+
+/**
+ * Type of the value an expression evaluates to, when it is evident
+ */
+function valueType(node) {
+  switch (node.type) {
+    case 'Literal':
+      return { number: 'number', string: 'string', boolean: 'boolean' }[typeof node.value] || null;
+    case 'TemplateLiteral':
+      return 'string';
+    case 'ArrayExpression':
+      return 'array';
+    case 'ObjectExpression':
+      return node.properties.some(property => property.key && VECTOR_COMPONENTS.has(property.key.name)) ? 'vector' : 'object';
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+      return 'function';
+    case 'UnaryExpression':
+      return ['-', '+', '~'].includes(node.operator) ? 'number' : null;
+    case 'BinaryExpression':
+      return NUMBER_OPERATORS.has(node.operator) && !/[<>]=?$/.test(node.operator) ? 'number' : null;
+    case 'CallExpression':
+    case 'NewExpression': {
+      const name = calleeName(node);
+      if (COLOR_FUNCTIONS.has(name)) return 'color';
+      // createVector(), new p5.Vector(), p5.Vector.fromAngle()...
+      return VECTOR_FUNCTIONS.has(name) || /^p5\.Vector(\.|$)/.test(memberPath(node.callee)) ? 'vector' : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * What one use of a name says about its type
+ * @param {Array<Object>} path - Nodes from the program down to the identifier
+ * @returns {string|null} - Type name from TYPE_PRIORITY, or null when the use says nothing
+ */
+function classifyUse(path) {
+  const node = path[path.length - 1];
+  const parent = path[path.length - 2];
+
+  switch (parent.type) {
+    case 'MemberExpression':
+      if (parent.object !== node) return null;
+      if (parent.computed) return isString(parent.property) ? 'object' : 'array';
+      if (ARRAY_MEMBERS.has(parent.property.name)) return 'array';
+      if (VECTOR_COMPONENTS.has(parent.property.name) || VECTOR_METHODS.has(parent.property.name)) return 'vector';
+      return 'object';
+    case 'CallExpression':
+    case 'NewExpression':
+      if (parent.callee === node) return 'function';
+      return COLOR_ARGUMENT_FUNCTIONS.has(calleeName(parent)) ? 'color' : null;
+    case 'UpdateExpression':
+      return 'number';
+    case 'UnaryExpression':
+      return ['-', '+', '~'].includes(parent.operator) ? 'number' : null;
+    case 'BinaryExpression':
+      // `'Score: ' + score` says nothing about score
+      if (parent.operator === '+') return isString(parent.left === node ? parent.right : parent.left) ? null : 'number';
+      return NUMBER_OPERATORS.has(parent.operator) ? 'number' : null;
+    case 'AssignmentExpression':
+      if (parent.left !== node) return null;
+      if (parent.operator === '=') return valueType(parent.right);
+      if (parent.operator === '+=') return isString(parent.right) ? 'string' : 'number';
+      return /^(\|\||&&|\?\?)=$/.test(parent.operator) ? null : 'number';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Source of the initial value for a type
+ */
+function initialValue(type, paths) {
+  const members = new Set(paths
+    .map(path => path[path.length - 2])
+    .filter(parent => parent.type === 'MemberExpression' && !parent.computed)
+    .map(parent => parent.property.name));
+  const is3d = members.has('z');
+
+  switch (type) {
+    case 'number': return '0';
+    case 'string': return "''";
+    case 'boolean': return 'false';
+    case 'array': return '[]';
+    case 'function': return 'function () {}';
+    case 'object': return '{}';
+    // p5 color functions accept CSS color strings
+    case 'color': return "'#000000'";
+    case 'vector':
+      if ([...members].some(name => VECTOR_METHODS.has(name))) return is3d ? 'new p5.Vector(0, 0, 0)' : 'new p5.Vector(0, 0)';
+      return is3d ? '{ x: 0, y: 0, z: 0 }' : '{ x: 0, y: 0 }';
+    default: return null;
+  }
+}
+
+function inferFromPaths(paths) {
+  const types = new Set(paths.map(classifyUse).filter(Boolean));
+  const type = TYPE_PRIORITY.find(candidate => types.has(candidate)) || null;
+  return { type, value: initialValue(type, paths) };
+}
+
+function usePaths(programs, references) {
+  return references
+    .map(reference => programs[reference.scriptIndex] && findPath(programs[reference.scriptIndex], reference.start))
+    .filter(Boolean);
+}
+
+/**
+ * Infer the initial value of a variable from how the scripts use it
+ * @param {Array<Object>} scripts - Scripts in document order, as { source, sourceType }
+ * @param {string} name - Variable name
+ * @returns {Object} - { type, value }: the type ('number', 'array', 'function', 'vector', 'color'...)
+ *   and the source of its initial value, both null when the uses say nothing
+ */
+function inferInitialValue(scripts, name) {
+  const { programs, references } = analyzeScripts(scripts);
+  const named = references.filter(reference => reference.name === name);
+  // A name declared somewhere that does not run (e.g. in an if block) still says how it is used
+  const free = named.filter(reference => !reference.binding);
+  return inferFromPaths(usePaths(programs, free.length > 0 ? free : named));
+}
+
+/**
+ * Plan the declaration of a variable that is used without one
+ * @param {Array<Object>} scripts - Scripts in document order, as { source, sourceType }
+ * @param {string} name - Variable name
+ * @returns {Object|null} - { scriptIndex, offset, text, type, value, scope }: `text` is inserted at
+ *   `offset` of the script; `scope` is 'global', 'function' or 'block'. Null when the name is
+ *   not used undeclared anywhere.
+ */
+function planDeclaration(scripts, name) {
+  const { programs, references } = analyzeScripts(scripts);
+  const uses = references.filter(reference => reference.name === name && !reference.binding);
+  const paths = usePaths(programs, uses);
+  if (paths.length === 0) return null;
+
+  const { type, value } = inferFromPaths(paths);
+  const scriptIndex = uses.find(reference => programs[reference.scriptIndex]).scriptIndex;
+
+  // Deepest container every use in the first script lies in; uses in several scripts share the global scope
+  let path = [programs[scriptIndex]];
+  if (uses.every(reference => reference.scriptIndex === scriptIndex)) {
+    path = paths[0].slice(0, -1);
+    paths.forEach(other => {
+      let common = 0;
+      while (common < path.length && path[common] === other[common]) common++;
+      path = path.slice(0, common);
+    });
+    while (!CONTAINER_TYPES.test(path[path.length - 1].type)) path.pop();
+
+    // Unless the value is set before it is read, it has to outlive the function or loop it is used in.
+    // `angle = angle + 0.01` reads the value it sets, so it does not count as setting it first.
+    const first = paths[0];
+    const assignment = first[path.length + 1];
+    const setFirst = first.length === path.length + 3 && first[path.length].type === 'ExpressionStatement' &&
+      assignment.type === 'AssignmentExpression' && assignment.operator === '=' &&
+      assignment.left === first[path.length + 2] && !paths.some(other => other.includes(assignment.right));
+    const repeated = path.map(node => FUNCTION_TYPES.test(node.type) || LOOP_TYPES.test(node.type)).lastIndexOf(true);
+    if (!setFirst && repeated >= 0) {
+      path = path.slice(0, repeated);
+      while (!CONTAINER_TYPES.test(path[path.length - 1].type)) path.pop();
+    }
+  }
+
+  const container = path[path.length - 1];
+  const scope = container.type === 'Program' ? 'global' : path.some(node => FUNCTION_TYPES.test(node.type)) ? 'function' : 'block';
+  const source = scripts[scriptIndex].source;
+  const statement = value === null ? `let ${name};` : `let ${name} = ${value};`;
+
+  // Before the first statement that is not a directive like 'use strict'
+  const before = container.body.find(node => !node.directive);
+  const offset = before ? before.start : container.end - 1;
+  const lineStart = source.lastIndexOf('\n', offset - 1) + 1;
+  const indentation = source.slice(lineStart, offset);
+  if (/^[ \t]*$/.test(indentation)) {
+    const comment = type ? ` // Auto-declared: used as ${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}` : ' // Auto-declared';
+    return { scriptIndex, offset: lineStart, text: `${indentation}${statement}${comment}\n`, type, value, scope };
+  }
+  return { scriptIndex, offset, text: `${statement} `, type, value, scope };
+}
+
+module.exports = { inferInitialValue, planDeclaration };
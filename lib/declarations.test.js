@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { inferInitialValue, planDeclaration } = require('./declarations');
+
+const script = source => [{ source, sourceType: 'script' }];
+
+function declare(source, name) {
+  const plan = planDeclaration(script(source), name);
+  return plan && source.slice(0, plan.offset) + plan.text + source.slice(plan.offset);
+}
+
+describe('inferInitialValue', () => {
+  it('infers the type from how the name is used', () => {
+    assert.deepEqual(inferInitialValue(script('list.length > 3;\nlist.push(1);\n'), 'list'), { type: 'array', value: '[]' });
+    assert.deepEqual(inferInitialValue(script('label = "a";\n'), 'label'), { type: 'string', value: "''" });
+    assert.deepEqual(inferInitialValue(script('fill(c);\n'), 'c'), { type: 'color', value: "'#000000'" });
+  });
+
+  it('tells a p5.Vector from a plain object with coordinates', () => {
+    assert.equal(inferInitialValue(script('pos.add(v);\n'), 'pos').value, 'new p5.Vector(0, 0)');
+    assert.equal(inferInitialValue(script('p.x = 1;\np.z = 2;\n'), 'p').value, '{ x: 0, y: 0, z: 0 }');
+  });
+
+  it('learns nothing from concatenation with a string', () => {
+    assert.deepEqual(inferInitialValue(script('"Score: " + score;\n'), 'score'), { type: null, value: null });
+  });
+});
+
+describe('planDeclaration', () => {
+  it('declares a counter read in draw() globally, so it survives between frames', () => {
+    const source = 'function draw() {\n  count++;\n  text(count, 10, 10);\n}\n';
+    const plan = planDeclaration(script(source), 'count');
+    assert.equal(plan.scope, 'global');
+    assert.equal(declare(source, 'count'), `let count = 0; // Auto-declared: used as a number\n${source}`);
+  });
+
+  it('declares a variable set before it is read in the block that uses it', () => {
+    const source = 'function draw() {\n  for (let i = 0; i < 3; i++) {\n    total = i * 2;\n    print(total);\n  }\n}\n';
+    assert.equal(planDeclaration(script(source), 'total').scope, 'function');
+    assert.equal(declare(source, 'total'), source.replace('    total', '    let total = 0; // Auto-declared: used as a number\n    total'));
+  });
+
+  it('declares globally a variable whose first assignment reads it', () => {
+    for (const line of ['x = x + 1;', 'items = items.concat([1]);']) {
+      const name = line.split(' ')[0];
+      const source = `function draw() {\n  ${line}\n  print(${name});\n}\n`;
+      const plan = planDeclaration(script(source), name);
+      assert.equal(plan.scope, 'global', line);
+      assert.equal(plan.offset, 0, line);
+    }
+  });
+
+  it('puts the declaration after directives, and inline when the block shares its line', () => {
+    assert.equal(declare("'use strict';\nballs.push(1);\n", 'balls'), "'use strict';\nlet balls = []; // Auto-declared: used as an array\nballs.push(1);\n");
+    assert.equal(declare('if (a) { b = 1; print(b); }\n', 'b'), 'if (a) { let b = 0; b = 1; print(b); }\n');
+  });
+
+  it('returns null for a name that is never used undeclared', () => {
+    assert.equal(planDeclaration(script('let a = 1;\n'), 'a'), null);
+  });
+});
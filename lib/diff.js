@@ -0,0 +1,304 @@
+/**
+ * diff.js — Line-based unified diff creation and patch application for repair reports
+ */
+
+/**
+ * Error thrown when a patch cannot be parsed or does not apply
+ */
+class PatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PatchError';
+  }
+}
+
+/**
+ * Split text into lines that keep their trailing newline, so a missing
+ * newline at end of file shows up as a changed line
+ * @param {string} text - Text to split
+ * @returns {Array} - Lines
+ */
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Find the middle snake of the shortest edit script between a[aStart..aEnd) and
+ * b[bStart..bEnd): the diagonal run where a forward and a backward search meet. Only the
+ * furthest point on each diagonal is kept, so memory is linear in the length of the input.
+ * @returns {Object} - { x, y, u, v, d }: the snake from (x, y) to (u, v), relative to the
+ *   starts, and the length d of the edit script
+ */
+function findMiddleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const delta = n - m;
+  const odd = (delta & 1) !== 0;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+  const forward = new Int32Array(2 * max + 3);
+  const backward = new Int32Array(2 * max + 3);
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]) ?
+        forward[offset + k + 1] :
+        forward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      // Diagonal k of the forward search is diagonal delta - k of the backward one
+      if (odd && k >= delta - (d - 1) && k <= delta + (d - 1) && x + backward[offset + delta - k] >= n) {
+        return { x: startX, y: startY, u: x, v: y, d: 2 * d - 1 };
+      }
+    }
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]) ?
+        backward[offset + k + 1] :
+        backward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+      if (!odd && delta - k >= -d && delta - k <= d && x + forward[offset + delta - k] >= n) {
+        return { x: n - x, y: m - y, u: n - startX, v: m - startY, d: 2 * d };
+      }
+    }
+  }
+  throw new Error('No middle snake found');
+}
+
+/**
+ * Compute the shortest edit script between two line arrays (Myers' algorithm, in its
+ * linear-space form: the script is split at the middle snake and each half solved alone)
+ * @param {Array} a - Original lines
+ * @param {Array} b - New lines
+ * @returns {Array} - Operations of the form { type: ' ' | '-' | '+', line }
+ */
+function diffLines(a, b) {
+  // Compare numbers rather than strings in the inner loops
+  const ids = new Map();
+  const toIds = lines => Int32Array.from(lines, line => {
+    if (!ids.has(line)) ids.set(line, ids.size);
+    return ids.get(line);
+  });
+  const aIds = toIds(a);
+  const bIds = toIds(b);
+  const ops = [];
+
+  const compare = (aStart, aEnd, bStart, bEnd) => {
+    while (aStart < aEnd && bStart < bEnd && aIds[aStart] === bIds[bStart]) {
+      ops.push({ type: ' ', line: a[aStart] });
+      aStart++;
+      bStart++;
+    }
+    let suffix = 0;
+    while (aEnd - suffix > aStart && bEnd - suffix > bStart && aIds[aEnd - 1 - suffix] === bIds[bEnd - 1 - suffix]) {
+      suffix++;
+    }
+    const aStop = aEnd - suffix;
+    const bStop = bEnd - suffix;
+
+    if (aStart === aStop) {
+      for (let j = bStart; j < bStop; j++) ops.push({ type: '+', line: b[j] });
+    } else if (bStart === bStop) {
+      for (let i = aStart; i < aStop; i++) ops.push({ type: '-', line: a[i] });
+    } else {
+      // Without a common prefix or suffix the script has at least two edits, so both halves are smaller
+      const snake = findMiddleSnake(aIds, aStart, aStop, bIds, bStart, bStop);
+      compare(aStart, aStart + snake.x, bStart, bStart + snake.y);
+      for (let i = snake.x; i < snake.u; i++) ops.push({ type: ' ', line: a[aStart + i] });
+      compare(aStart + snake.u, aStop, bStart + snake.v, bStop);
+    }
+
+    for (let i = aEnd - suffix; i < aEnd; i++) ops.push({ type: ' ', line: a[i] });
+  };
+
+  compare(0, a.length, 0, b.length);
+  return ops;
+}
+
+/**
+ * Create a unified diff between two texts
+ * @param {string} fileName - Name used in the ---/+++ headers
+ * @param {string} oldText - Original text
+ * @param {string} newText - Modified text
+ * @param {Object} [options] - Diff options
+ * @param {number} [options.context=3] - Number of context lines around each change
+ * @returns {string} - Unified diff, or an empty string when the texts are identical
+ */
+function createPatch(fileName, oldText, newText, { context = 3 } = {}) {
+  if (oldText === newText) return '';
+
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+  // Number each operation with its position in both files
+  let oldLine = 0;
+  let newLine = 0;
+  for (const op of ops) {
+    op.oldIndex = oldLine;
+    op.newIndex = newLine;
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  }
+
+  // Group changes into hunks that share context
+  const hunks = [];
+  let current = null;
+  ops.forEach((op, i) => {
+    if (op.type === ' ') return;
+    const start = Math.max(0, i - context);
+    if (current && start <= current.end + 1) {
+      current.end = Math.min(ops.length - 1, i + context);
+    } else {
+      current = { start, end: Math.min(ops.length - 1, i + context) };
+      hunks.push(current);
+    }
+  });
+
+  const output = [`--- a/${fileName}`, `+++ b/${fileName}`];
+
+  for (const hunk of hunks) {
+    const hunkOps = ops.slice(hunk.start, hunk.end + 1);
+    const oldCount = hunkOps.filter(op => op.type !== '+').length;
+    const newCount = hunkOps.filter(op => op.type !== '-').length;
+    const oldStart = oldCount > 0 ? hunkOps.find(op => op.type !== '+').oldIndex + 1 : hunkOps[0].oldIndex;
+    const newStart = newCount > 0 ? hunkOps.find(op => op.type !== '-').newIndex + 1 : hunkOps[0].newIndex;
+
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+
+    for (const op of hunkOps) {
+      if (op.line.endsWith('\n')) {
+        output.push(op.type + op.line.slice(0, -1));
+      } else {
+        output.push(op.type + op.line, '\\ No newline at end of file');
+      }
+    }
+  }
+
+  return output.join('\n') + '\n';
+}
+
+/**
+ * Parse a unified diff into hunks
+ * @param {string} patch - Unified diff text
+ * @returns {Array} - Hunks with oldStart, oldLines and newLines
+ */
+function parsePatch(patch) {
+  const hunks = [];
+  const lines = patch.split('\n');
+  let hunk = null;
+  let previous = null;
+
+  for (const line of lines) {
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      hunk = {
+        oldStart: parseInt(header[1], 10),
+        oldCount: header[2] === undefined ? 1 : parseInt(header[2], 10),
+        newStart: parseInt(header[3], 10),
+        newCount: header[4] === undefined ? 1 : parseInt(header[4], 10),
+        oldLines: [],
+        newLines: []
+      };
+      hunks.push(hunk);
+      previous = null;
+      continue;
+    }
+
+    if (line.startsWith('\\')) {
+      // "\ No newline at end of file" applies to the line before it
+      if (previous === '-' || previous === ' ') hunk.oldLines.push(hunk.oldLines.pop().slice(0, -1));
+      if (previous === '+' || previous === ' ') hunk.newLines.push(hunk.newLines.pop().slice(0, -1));
+      continue;
+    }
+
+    // Outside a hunk, lines are file headers such as `--- a/file`; inside one, `---` is a removed `--`
+    const inHunk = hunk && (hunk.oldLines.length < hunk.oldCount || hunk.newLines.length < hunk.newCount);
+    if (!inHunk && (!hunk || /^(---|\+\+\+)( |$)|^[^ +-]/.test(line))) continue;
+
+    const type = line[0];
+    const content = line.slice(1) + '\n';
+    if (type === ' ') {
+      hunk.oldLines.push(content);
+      hunk.newLines.push(content);
+    } else if (type === '-') {
+      hunk.oldLines.push(content);
+    } else if (type === '+') {
+      hunk.newLines.push(content);
+    } else if (line === '') {
+      continue;
+    } else {
+      throw new PatchError(`Unexpected line in patch: ${line}`);
+    }
+    previous = type;
+  }
+
+  for (const h of hunks) {
+    if (h.oldLines.length !== h.oldCount || h.newLines.length !== h.newCount) {
+      throw new PatchError(`Hunk at line ${h.oldStart} does not match its header`);
+    }
+  }
+
+  return hunks;
+}
+
+/**
+ * Apply a unified diff to the text it was created from
+ * @param {string} source - Original text
+ * @param {string} patch - Unified diff created against the original text
+ * @returns {string} - Patched text
+ * @throws {PatchError} - If a hunk's context does not match the source
+ */
+function applyPatch(source, patch) {
+  const hunks = parsePatch(patch);
+  if (hunks.length === 0) return source;
+
+  const lines = splitLines(source);
+  const result = [];
+  let cursor = 0;
+
+  for (const hunk of hunks) {
+    // Hunks for insertions into an empty range report the line before the insertion point
+    let start = hunk.oldLines.length === 0 ? hunk.oldStart : hunk.oldStart - 1;
+
+    if (start < cursor || !matchesAt(lines, hunk.oldLines, start)) {
+      // Allow the hunk to have shifted, as `patch` does, but never fuzz its context
+      start = findHunk(lines, hunk.oldLines, start, cursor);
+      if (start === -1) {
+        throw new PatchError(`Hunk at line ${hunk.oldStart} does not apply`);
+      }
+    }
+
+    result.push(...lines.slice(cursor, start), ...hunk.newLines);
+    cursor = start + hunk.oldLines.length;
+  }
+
+  result.push(...lines.slice(cursor));
+  return result.join('');
+}
+
+function matchesAt(lines, expected, start) {
+  if (start < 0 || start + expected.length > lines.length) return false;
+  return expected.every((line, i) => lines[start + i] === line);
+}
+
+function findHunk(lines, expected, preferred, minStart) {
+  for (let distance = 1; distance < lines.length; distance++) {
+    for (const start of [preferred - distance, preferred + distance]) {
+      if (start >= minStart && matchesAt(lines, expected, start)) return start;
+    }
+  }
+  return -1;
+}
+
+module.exports = { createPatch, parsePatch, applyPatch, PatchError };
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPatch, parsePatch, applyPatch, PatchError } = require('./diff');
+
+// Deterministic pseudo-random lines, so a failing case can be reproduced
+function randomLines(seed, count, vocabulary) {
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state;
+  };
+  return Array.from({ length: count }, () => `line ${next() % vocabulary}\n`);
+}
+
+describe('createPatch', () => {
+  it('returns an empty patch for identical texts', () => {
+    assert.equal(createPatch('a.html', 'same\n', 'same\n'), '');
+  });
+
+  it('creates unified diff hunks with context', () => {
+    const oldText = 'a\nb\nc\nd\ne\nf\ng\nh\n';
+    const newText = 'a\nb\nc\nD\ne\nf\ng\nh\n';
+    assert.equal(createPatch('sketch.html', oldText, newText),
+      '--- a/sketch.html\n+++ b/sketch.html\n@@ -1,7 +1,7 @@\n a\n b\n c\n-d\n+D\n e\n f\n g\n');
+  });
+
+  it('marks a missing newline at end of file', () => {
+    const patch = createPatch('a.js', 'x\n', 'x');
+    assert.match(patch, /-x\n\+x\n\\ No newline at end of file\n$/);
+    assert.equal(applyPatch('x\n', patch), 'x');
+  });
+
+  it('produces patches that recreate the new text and change as few lines as possible', () => {
+    for (let seed = 1; seed <= 40; seed++) {
+      const oldLines = randomLines(seed, 30, 6);
+      const newLines = randomLines(seed * 7919, 25, 6);
+      const oldText = oldLines.join('');
+      const newText = newLines.join('');
+      const patch = createPatch('f', oldText, newText);
+      assert.equal(applyPatch(oldText, patch), newText);
+
+      // Every line kept is part of a longest common subsequence
+      const removed = parsePatch(patch).reduce((count, hunk) => count + hunk.oldLines.length, 0) -
+        (patch.match(/^ /gm) || []).length;
+      const table = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+      for (let i = oldLines.length - 1; i >= 0; i--) {
+        for (let j = newLines.length - 1; j >= 0; j--) {
+          table[i][j] = oldLines[i] === newLines[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+      }
+      assert.equal(removed, oldLines.length - table[0][0], `seed ${seed}`);
+    }
+  });
+
+  it('diffs large, completely different files without running out of memory', () => {
+    const oldText = Array.from({ length: 5000 }, (_, i) => `old ${i}\n`).join('');
+    const newText = Array.from({ length: 5000 }, (_, i) => `new ${i}\n`).join('');
+    assert.equal(applyPatch(oldText, createPatch('big.html', oldText, newText)), newText);
+  });
+});
+
+describe('applyPatch', () => {
+  it('applies a hunk that has shifted, as patch does', () => {
+    const patch = createPatch('a', 'a\nb\nc\n', 'a\nB\nc\n');
+    assert.equal(applyPatch('x\ny\na\nb\nc\n', patch), 'x\ny\na\nB\nc\n');
+  });
+
+  it('keeps removed lines starting with -- and added lines starting with ++', () => {
+    const before = '<!-- intro -->\nlet i = 0;\n--count;\n';
+    const after = 'let i = 0;\n++i;\n++count;\n';
+    const patch = createPatch('sketch.js', before, after);
+    assert.match(patch, /^---count;$/m);
+    assert.match(patch, /^\+\+\+i;$/m);
+    assert.equal(applyPatch(before, patch), after);
+  });
+
+  it('skips the file headers of every file section', () => {
+    const patch = createPatch('a', 'a\nb\n', 'a\nB\n') + createPatch('b', 'c\n', 'C\n');
+    assert.equal(parsePatch(patch).length, 2);
+  });
+
+  it('refuses a hunk whose context does not match', () => {
+    const patch = createPatch('a', 'a\nb\nc\n', 'a\nB\nc\n');
+    assert.throws(() => applyPatch('a\nq\nc\n', patch), PatchError);
+  });
+
+  it('refuses a malformed patch', () => {
+    assert.throws(() => parsePatch('@@ -1,2 +1,1 @@\n a\n'), PatchError);
+    assert.throws(() => parsePatch('@@ -1 +1 @@\n*a\n'), PatchError);
+  });
+});
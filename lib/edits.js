@@ -0,0 +1,259 @@
+/**
+ * edits.js — Changes to a document as ranges of its original text
+ *
+ * Every fix is described as the range of the original it replaces and the text replacing
+ * it: an insertion is an empty range, a deletion has empty text. Since all edits refer to
+ * the same original, they can be collected in any order, offsets found by parsing the
+ * original stay valid until everything is applied in one go, and two fixes touching the
+ * same text are reported instead of the later one silently overwriting the earlier.
+ *
+ * Insertions at the same offset do not conflict: they are applied in the order they were
+ * made, and before any edit replacing text that starts there.
+ */
+
+/**
+ * Error thrown when edits overlap
+ */
+class EditConflictError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Array<Array<Object>>} conflicts - Pairs of conflicting edits
+   */
+  constructor(message, conflicts) {
+    super(message);
+    this.name = 'EditConflictError';
+    this.conflicts = conflicts;
+  }
+}
+
+/**
+ * Create an edit
+ * @param {number} start - Offset of the first character replaced
+ * @param {number} end - Offset after the last character replaced; equal to start for an insertion
+ * @param {string} text - Replacement text
+ * @param {Object} [details] - Anything else to keep with the edit, e.g. a description
+ * @returns {Object} - Edit { start, end, text, ...details }
+ */
+function createEdit(start, end, text, details = {}) {
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start) {
+    throw new RangeError(`Invalid edit range ${start}-${end}`);
+  }
+  return { ...details, start, end, text };
+}
+
+function insertText(offset, text, details) {
+  return createEdit(offset, offset, text, details);
+}
+
+function replaceText(start, end, text, details) {
+  return createEdit(start, end, text, details);
+}
+
+function deleteText(start, end, details) {
+  return createEdit(start, end, '', details);
+}
+
+function isInsertion(edit) {
+  return edit.start === edit.end;
+}
+
+// The same replacement proposed twice is one edit, not a conflict; insertions are never merged
+function isDuplicate(a, b) {
+  return !isInsertion(a) && a.start === b.start && a.end === b.end && a.text === b.text;
+}
+
+function editsConflict(a, b) {
+  if (isDuplicate(a, b)) return false;
+  if (isInsertion(a) && isInsertion(b)) return false;
+  if (isInsertion(a)) return b.start < a.start && a.start < b.end;
+  if (isInsertion(b)) return a.start < b.start && b.start < a.end;
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Find the edits that overlap each other
+ * @param {Array<Object>} edits - Edits of one document
+ * @returns {Array<Array<Object>>} - Pairs of conflicting edits
+ */
+function findConflicts(edits) {
+  const conflicts = [];
+  edits.forEach((edit, i) => {
+    edits.slice(i + 1).forEach(other => {
+      if (editsConflict(edit, other)) conflicts.push([edit, other]);
+    });
+  });
+  return conflicts;
+}
+
+function describeEdit(edit) {
+  return edit.description || (isInsertion(edit) ? `insertion at ${edit.start}` : `edit of ${edit.start}-${edit.end}`);
+}
+
+/**
+ * Edits in the order they apply, without duplicates
+ */
+function orderEdits(edits) {
+  return edits
+    .filter((edit, i) => !edits.slice(0, i).some(earlier => isDuplicate(earlier, edit)))
+    .map((edit, order) => ({ edit, order }))
+    .sort((a, b) => a.edit.start - b.edit.start ||
+      Number(!isInsertion(a.edit)) - Number(!isInsertion(b.edit)) || a.order - b.order)
+    .map(({ edit }) => edit);
+}
+
+/**
+ * Apply edits to the text they were made for, all or none
+ * @param {string} source - Original text
+ * @param {Array<Object>} edits - Edits of the original text
+ * @returns {string} - Edited text
+ * @throws {EditConflictError} - When edits overlap
+ */
+function applyEdits(source, edits) {
+  const conflicts = findConflicts(edits);
+  if (conflicts.length > 0) {
+    const [a, b] = conflicts[0];
+    throw new EditConflictError(`${conflicts.length} conflicting edit(s), e.g. ${describeEdit(a)} and ${describeEdit(b)}`, conflicts);
+  }
+  const outOfRange = edits.find(edit => edit.end > source.length);
+  if (outOfRange) {
+    throw new RangeError(`Edit ${outOfRange.start}-${outOfRange.end} is outside a text of length ${source.length}`);
+  }
+
+  let result = '';
+  let position = 0;
+  for (const edit of orderEdits(edits)) {
+    result += source.slice(position, edit.start) + edit.text;
+    position = edit.end;
+  }
+  return result + source.slice(position);
+}
+
+/**
+ * Where an offset of the original text ends up once edits are applied. Offsets inside a
+ * replaced range move to the end of its replacement, and text inserted at an offset ends
+ * up before it.
+ * @param {Array<Object>} edits - Edits of the original text
+ * @param {number} offset - Offset in the original text
+ * @returns {number} - Offset in the edited text
+ */
+function mapOffset(edits, offset) {
+  let shift = 0;
+  for (const edit of orderEdits(edits)) {
+    if (edit.start > offset) break;
+    if (edit.end > offset && !isInsertion(edit)) {
+      return edit.start + shift + edit.text.length;
+    }
+    shift += edit.text.length - (edit.end - edit.start);
+  }
+  return offset + shift;
+}
+
+/**
+ * Range of a line of a text, without its line break
+ * @param {string} text - Text
+ * @param {number} lineNumber - 1-based line number
+ * @returns {Object|null} - { start, end }, or null when the text has no such line
+ */
+function getLineRange(text, lineNumber) {
+  if (!Number.isInteger(lineNumber) || lineNumber < 1) return null;
+  let start = 0;
+  for (let line = 1; line < lineNumber; line++) {
+    const newline = text.indexOf('\n', start);
+    if (newline === -1) return null;
+    start = newline + 1;
+  }
+  const newline = text.indexOf('\n', start);
+  return { start, end: newline === -1 ? text.length : newline };
+}
+
+/**
+ * Edits of one document, collected until they are applied together
+ */
+class EditSet {
+  /**
+   * @param {string} source - Original text every edit refers to
+   */
+  constructor(source) {
+    this.source = source;
+    this.edits = [];
+  }
+
+  get size() {
+    return this.edits.length;
+  }
+
+  /**
+   * @param {Object} edit - Edit of the original text
+   * @returns {Array<Object>} - Edits already in the set that it conflicts with
+   */
+  conflictsWith(edit) {
+    return this.edits.filter(other => editsConflict(other, edit));
+  }
+
+  /**
+   * Add edits, all or none
+   * @param {...Object} edits - Edits of the original text
+   * @throws {EditConflictError} - When they conflict with each other or with edits in the set
+   */
+  add(...edits) {
+    const conflicts = findConflicts([...this.edits, ...edits])
+      .filter(([a, b]) => edits.includes(a) || edits.includes(b));
+    if (conflicts.length > 0) {
+      const [a, b] = conflicts[0];
+      throw new EditConflictError(`${describeEdit(b)} conflicts with ${describeEdit(a)}`, conflicts);
+    }
+    this.edits.push(...edits);
+  }
+
+  /**
+   * Add edits unless they conflict
+   * @param {...Object} edits - Edits of the original text
+   * @returns {boolean} - Whether they were added
+   */
+  tryAdd(...edits) {
+    try {
+      this.add(...edits);
+      return true;
+    } catch (error) {
+      if (error instanceof EditConflictError) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * The text with the set's edits and some more applied, leaving the set unchanged
+   * @param {Array<Object>} [edits] - Further edits to try
+   * @returns {string} - Edited text
+   */
+  preview(edits = []) {
+    return applyEdits(this.source, [...this.edits, ...edits]);
+  }
+
+  /**
+   * @returns {string} - The text with every edit in the set applied
+   */
+  apply() {
+    return applyEdits(this.source, this.edits);
+  }
+
+  /**
+   * @param {number} offset - Offset in the original text
+   * @returns {number} - Offset in the edited text (see mapOffset)
+   */
+  mapOffset(offset) {
+    return mapOffset(this.edits, offset);
+  }
+}
+
+module.exports = {
+  EditSet,
+  EditConflictError,
+  createEdit,
+  insertText,
+  replaceText,
+  deleteText,
+  findConflicts,
+  applyEdits,
+  mapOffset,
+  getLineRange
+};
@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  EditSet,
+  EditConflictError,
+  insertText,
+  replaceText,
+  deleteText,
+  findConflicts,
+  applyEdits,
+  mapOffset,
+  getLineRange
+} = require('./edits');
+
+describe('applyEdits', () => {
+  it('applies edits given in any order to the original offsets', () => {
+    const source = 'let a = 1;\nlet b = 2;\n';
+    const edits = [replaceText(19, 20, '3'), insertText(0, '// top\n'), deleteText(3, 4)];
+    assert.equal(applyEdits(source, edits), '// top\nleta = 1;\nlet b = 3;\n');
+  });
+
+  it('applies insertions at one offset in the order they were made, before a replacement starting there', () => {
+    const edits = [replaceText(0, 3, 'XYZ'), insertText(0, 'a'), insertText(0, 'b')];
+    assert.equal(applyEdits('abc', edits), 'abXYZ');
+  });
+
+  it('treats the same replacement proposed twice as one edit', () => {
+    assert.equal(applyEdits('abc', [replaceText(1, 2, 'B'), replaceText(1, 2, 'B')]), 'aBc');
+  });
+
+  it('rejects overlapping edits and edits beyond the text', () => {
+    assert.throws(() => applyEdits('abcdef', [replaceText(0, 3, 'x'), replaceText(2, 4, 'y')]), EditConflictError);
+    assert.throws(() => applyEdits('abc', [insertText(1, 'x'), deleteText(0, 2)]), EditConflictError);
+    assert.throws(() => applyEdits('abc', [deleteText(2, 5)]), RangeError);
+    assert.throws(() => replaceText(3, 1, ''), RangeError);
+  });
+});
+
+describe('findConflicts', () => {
+  it('lets insertions share an offset and touch a replaced range at its ends', () => {
+    assert.deepEqual(findConflicts([insertText(2, 'a'), insertText(2, 'b'), replaceText(2, 4, 'c'), insertText(4, 'd')]), []);
+  });
+});
+
+describe('mapOffset', () => {
+  it('moves an offset by the edits before it, and one inside a replaced range to the end of its replacement', () => {
+    const edits = [insertText(0, '>>'), replaceText(4, 8, 'x')];
+    assert.equal(mapOffset(edits, 0), 2);
+    assert.equal(mapOffset(edits, 3), 5);
+    assert.equal(mapOffset(edits, 5), 7);
+    assert.equal(mapOffset(edits, 9), 8);
+  });
+});
+
+describe('getLineRange', () => {
+  it('returns the range of a line without its line break', () => {
+    assert.deepEqual(getLineRange('one\ntwo\nthree', 2), { start: 4, end: 7 });
+    assert.deepEqual(getLineRange('one\ntwo\nthree', 3), { start: 8, end: 13 });
+    assert.equal(getLineRange('one\ntwo', 3), null);
+    assert.equal(getLineRange('one', 0), null);
+  });
+});
+
+describe('EditSet', () => {
+  it('collects edits of one original and applies them together', () => {
+    const set = new EditSet('function draw() {}');
+    set.add(insertText(17, ' background(0); '));
+    set.add(replaceText(9, 13, 'setup'));
+    assert.equal(set.size, 2);
+    assert.equal(set.apply(), 'function setup() { background(0); }');
+    assert.equal(set.mapOffset(16), 17);
+    assert.equal(set.mapOffset(17), 34);
+  });
+
+  it('refuses a conflicting edit without adding any of the edits given with it', () => {
+    const set = new EditSet('abcdef');
+    set.add(replaceText(1, 3, 'X'));
+    assert.equal(set.tryAdd(insertText(0, '>'), replaceText(2, 4, 'Y')), false);
+    assert.equal(set.size, 1);
+    assert.throws(() => set.add(deleteText(0, 2)), EditConflictError);
+    assert.deepEqual(set.conflictsWith(deleteText(0, 2)).map(edit => edit.text), ['X']);
+  });
+
+  it('previews further edits without keeping them', () => {
+    const set = new EditSet('abc');
+    set.add(insertText(0, '['));
+    assert.equal(set.preview([insertText(3, ']')]), '[abc]');
+    assert.equal(set.apply(), '[abc');
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * globals.js — Names a page's scripts can use without declaring them
+ *
+ * Built-ins of the language and the browser are always there. Libraries add their own
+ * globals (p5 in global mode adds hundreds), but only when the page loads them, so those
+ * are looked up by the library each external script URL points at.
+ */
+const { P5_GLOBALS, P5_SOUND_FUNCTIONS } = require('./p5-api');
+
+// ECMAScript built-ins
+const LANGUAGE_GLOBALS = [
+  'globalThis', 'undefined', 'NaN', 'Infinity', 'eval', 'isFinite', 'isNaN', 'parseFloat',
+  'parseInt', 'decodeURI', 'decodeURIComponent', 'encodeURI', 'encodeURIComponent', 'escape',
+  'unescape', 'Object', 'Function', 'Array', 'Number', 'Boolean', 'String', 'Symbol', 'BigInt',
+  'Math', 'JSON', 'Date', 'RegExp', 'Error', 'AggregateError', 'EvalError', 'RangeError',
+  'ReferenceError', 'SyntaxError', 'TypeError', 'URIError', 'Promise', 'Proxy', 'Reflect', 'Map',
+  'Set', 'WeakMap', 'WeakSet', 'WeakRef', 'FinalizationRegistry', 'ArrayBuffer',
+  'SharedArrayBuffer', 'DataView', 'Atomics', 'Int8Array', 'Uint8Array', 'Uint8ClampedArray',
+  'Int16Array', 'Uint16Array', 'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array',
+  'BigInt64Array', 'BigUint64Array', 'Intl', 'WebAssembly', 'arguments'
+];
+
+// Browser globals that are not interface constructors (those are matched by INTERFACE_PATTERN)
+const BROWSER_GLOBALS = [
+  'window', 'self', 'document', 'navigator', 'location', 'history', 'screen', 'frames', 'parent',
+  'top', 'opener', 'name', 'status', 'closed', 'length', 'origin', 'console', 'performance',
+  'crypto', 'localStorage', 'sessionStorage', 'indexedDB', 'caches', 'customElements',
+  'visualViewport', 'devicePixelRatio', 'innerWidth', 'innerHeight', 'outerWidth', 'outerHeight',
+  'scrollX', 'scrollY', 'pageXOffset', 'pageYOffset', 'screenX', 'screenY', 'screenLeft',
+  'screenTop', 'isSecureContext', 'speechSynthesis', 'alert', 'confirm', 'prompt', 'open', 'close',
+  'stop', 'focus', 'blur', 'print', 'postMessage', 'setTimeout', 'clearTimeout', 'setInterval',
+  'clearInterval', 'requestAnimationFrame', 'cancelAnimationFrame', 'requestIdleCallback',
+  'cancelIdleCallback', 'queueMicrotask', 'structuredClone', 'fetch', 'atob', 'btoa',
+  'createImageBitmap', 'getComputedStyle', 'getSelection', 'matchMedia', 'scroll', 'scrollBy',
+  'scrollTo', 'moveBy', 'moveTo', 'resizeBy', 'resizeTo', 'addEventListener',
+  'removeEventListener', 'dispatchEvent', 'reportError', 'URL', 'URLSearchParams', 'Blob', 'File',
+  'FileList', 'FileReader', 'FormData', 'Headers', 'Request', 'Response', 'AbortController',
+  'AbortSignal', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'Worker', 'SharedWorker',
+  'BroadcastChannel', 'MessageChannel', 'MessagePort', 'Image', 'Audio', 'Option', 'Path2D',
+  'ImageData', 'ImageBitmap', 'OffscreenCanvas', 'TextEncoder', 'TextDecoder', 'DOMParser',
+  'XMLSerializer', 'MutationObserver', 'ResizeObserver', 'IntersectionObserver',
+  'PerformanceObserver', 'Node', 'NodeList', 'Element', 'Document', 'DocumentFragment', 'Text',
+  'Comment', 'Range', 'Selection', 'Event', 'EventTarget', 'CustomEvent', 'Notification',
+  'Storage', 'Gamepad', 'SpeechSynthesisUtterance', 'SpeechRecognition', 'webkitSpeechRecognition',
+  'AudioContext', 'webkitAudioContext', 'OfflineAudioContext', 'OscillatorNode', 'GainNode',
+  'AnalyserNode', 'BiquadFilterNode', 'MediaStream', 'MediaRecorder', 'VideoFrame', 'FontFace',
+  'onload', 'onresize', 'onkeydown', 'onkeyup', 'onmousemove', 'onmousedown', 'onmouseup',
+  'onclick', 'onerror', 'onscroll', 'onmessage', 'event'
+];
+
+// Interface objects such as HTMLCanvasElement, KeyboardEvent or WebGL2RenderingContext
+const INTERFACE_PATTERN = /^(?:HTML\w*Element|SVG\w*|[A-Z]\w*Event|WebGL\w*|WebGPU\w*|GPU\w*|CSS\w*|DOM\w+|RTC\w+|Audio\w+|Media\w+|IDB\w+|Canvas\w+|Performance\w*|Readable\w*|Writable\w*|Transform\w*)$/;
+
+const KNOWN_GLOBALS = new Set([...LANGUAGE_GLOBALS, ...BROWSER_GLOBALS]);
+
+// Globals each library defines, keyed by the names used in CDN URLs
+const LIBRARY_GLOBALS = {
+  'p5': P5_GLOBALS,
+  'p5.sound': P5_SOUND_FUNCTIONS,
+  'three': ['THREE'],
+  'three.js': ['THREE'],
+  'tone': ['Tone'],
+  'ml5': ['ml5'],
+  'matter': ['Matter'],
+  'matter-js': ['Matter'],
+  'd3': ['d3'],
+  'gsap': ['gsap', 'TweenMax', 'TweenLite', 'TimelineMax', 'TimelineLite'],
+  'tf': ['tf'],
+  'tfjs': ['tf'],
+  'lodash': ['_'],
+  'underscore': ['_'],
+  'jquery': ['$', 'jQuery'],
+  'chart': ['Chart'],
+  'chart.js': ['Chart'],
+  'anime': ['anime'],
+  'howler': ['Howl', 'Howler'],
+  'pixi': ['PIXI'],
+  'pixi.js': ['PIXI'],
+  'phaser': ['Phaser'],
+  'dat.gui': ['dat'],
+  'stats': ['Stats'],
+  'simplex-noise': ['SimplexNoise'],
+  'cannon': ['CANNON'],
+  'cannon-es': ['CANNON'],
+  'hammer': ['Hammer'],
+  'brain': ['brain'],
+  'p5.play': ['Sprite', 'Group', 'World', 'Camera', 'allSprites', 'world', 'kb', 'keyboard', 'mouse',
+    'createSprite', 'createEdgeSprites', 'loadAnimation', 'loadSpriteSheet', 'drawSprites', 'drawSprite']
+};
+
+const ALL_LIBRARY_GLOBALS = new Set(Object.values(LIBRARY_GLOBALS).flat());
+
+/**
+ * Whether a name is a built-in of the language or the browser
+ * @param {string} name - Identifier name
+ * @returns {boolean}
+ */
+function isBuiltinGlobal(name) {
+  return KNOWN_GLOBALS.has(name) || INTERFACE_PATTERN.test(name);
+}
+
+/**
+ * Whether a name is a global of any known library, loaded or not
+ * @param {string} name - Identifier name
+ * @returns {boolean}
+ */
+function isLibraryGlobal(name) {
+  return ALL_LIBRARY_GLOBALS.has(name);
+}
+
+/**
+ * Identify the library an external script URL loads
+ * @param {string} src - Script URL
+ * @returns {string|null} - Key of LIBRARY_GLOBALS, or null if the library is not known
+ */
+function identifyLibrary(src) {
+  const path = src.split(/[?#]/)[0];
+  // The file name is more specific than the package (p5.sound.min.js ships in the p5 package)
+  const fileName = path.split('/').pop().replace(/(\.min)?\.js$/i, '').toLowerCase();
+  const packageMatch = path.match(/(?:\/npm\/|unpkg\.com\/|\/libs\/|\/ajax\/libs\/)(@[^/]+\/)?([^@/]+)/);
+  const candidates = [fileName, fileName.replace(/[-.]?\d+(\.\d+)*$/, ''), packageMatch && packageMatch[2].toLowerCase()];
+
+  return candidates.find(candidate => candidate && Object.prototype.hasOwnProperty.call(LIBRARY_GLOBALS, candidate)) || null;
+}
+
+/**
+ * Globals provided by the libraries a page loads
+ * @param {Array<string>} sources - URLs of the page's external scripts
+ * @returns {Object} - { globals: Set of names, unknownSources: URLs of scripts whose library is not known }
+ */
+function getLibraryGlobals(sources) {
+  const globals = new Set();
+  const unknownSources = [];
+
+  for (const src of sources) {
+    const library = identifyLibrary(src);
+    if (library) {
+      LIBRARY_GLOBALS[library].forEach(name => globals.add(name));
+    } else {
+      unknownSources.push(src);
+    }
+  }
+
+  return { globals, unknownSources };
+}
+
+module.exports = { isBuiltinGlobal, isLibraryGlobal, identifyLibrary, getLibraryGlobals, LIBRARY_GLOBALS };
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isBuiltinGlobal, isLibraryGlobal, identifyLibrary, getLibraryGlobals } = require('./globals');
+
+describe('isBuiltinGlobal', () => {
+  it('knows language and browser globals, including DOM interfaces', () => {
+    assert.equal(isBuiltinGlobal('requestAnimationFrame'), true);
+    assert.equal(isBuiltinGlobal('Math'), true);
+    assert.equal(isBuiltinGlobal('HTMLCanvasElement'), true);
+    assert.equal(isBuiltinGlobal('rects'), false);
+  });
+});
+
+describe('identifyLibrary', () => {
+  it('identifies a library by file name before package, so p5.sound is not taken for p5', () => {
+    assert.equal(identifyLibrary('https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/addons/p5.sound.min.js'), 'p5.sound');
+    assert.equal(identifyLibrary('https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js'), 'three');
+    assert.equal(identifyLibrary('helpers.js'), null);
+  });
+});
+
+describe('getLibraryGlobals', () => {
+  it('collects the globals of known libraries and lists the scripts it cannot identify', () => {
+    const { globals, unknownSources } = getLibraryGlobals([
+      'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js',
+      'js/helpers.js'
+    ]);
+    assert.equal(globals.has('THREE'), true);
+    assert.deepEqual(unknownSources, ['js/helpers.js']);
+    assert.equal(isLibraryGlobal('THREE'), true);
+  });
+});
@@ -0,0 +1,385 @@
+/**
+ * html-parser.js — HTML tokenizer and tree with exact source positions
+ *
+ * Follows the HTML5 tokenizer where it decides what is code and what is markup: comments,
+ * doctypes, attribute values in any quoting (`<script data-x="a>b">`), and elements whose
+ * content is raw text (<script>, <style>, <textarea>, <title>...). A script ends at the first
+ * `</script`, even inside a JavaScript string, as in the browser, except within the
+ * `<!-- <script> ... </script> -->` escape the tokenizer allows there.
+ *
+ * The tree is built the way browsers build ordinary documents: void elements have no
+ * children, <p>, <li> and friends close implicitly, and an end tag closes the nearest open
+ * element of its name together with everything opened inside it. Each element records how
+ * it was closed, so unclosed and misnested elements can be told from valid implied ends.
+ */
+
+// Elements that never have content or an end tag
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is text up to their end tag
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript']);
+
+// Start tags that close an open <p>
+const CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'div', 'dl', 'fieldset', 'figcaption',
+  'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'main', 'menu',
+  'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul'
+]);
+
+// Start tags that close open elements of the listed names, unless one of `stop` is in between
+const IMPLIED_ENDS = {
+  li: { close: ['li'], stop: ['ul', 'ol', 'menu'] },
+  dt: { close: ['dt', 'dd'], stop: ['dl'] },
+  dd: { close: ['dt', 'dd'], stop: ['dl'] },
+  option: { close: ['option'], stop: ['select', 'datalist'] },
+  optgroup: { close: ['optgroup', 'option'], stop: ['select'] },
+  tr: { close: ['tr', 'td', 'th'], stop: ['table', 'thead', 'tbody', 'tfoot'] },
+  td: { close: ['td', 'th'], stop: ['tr', 'table'] },
+  th: { close: ['td', 'th'], stop: ['tr', 'table'] },
+  thead: { close: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], stop: ['table'] },
+  tbody: { close: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], stop: ['table'] },
+  tfoot: { close: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], stop: ['table'] }
+};
+
+// Elements a <p> cannot be implicitly closed across
+const P_SCOPE = new Set(['button', 'table', 'td', 'th', 'caption', 'template', 'object', 'marquee', 'applet', 'html']);
+
+// Elements in which `/>` closes the element, as in XML
+const FOREIGN_ROOTS = new Set(['svg', 'math']);
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const WHITESPACE = /[\t\n\f\r ]/;
+
+/**
+ * Decode the character references of an attribute value
+ * @param {string} text - Raw attribute value
+ * @returns {string} - Decoded value
+ */
+function decodeEntities(text) {
+  return text.replace(/&(?:#(\d+)|#x([\da-f]+)|(\w+));/gi, (reference, decimal, hex, name) => {
+    if (decimal || hex) return String.fromCodePoint(parseInt(decimal || hex, decimal ? 10 : 16));
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name) ? NAMED_ENTITIES[name] : reference;
+  });
+}
+
+/**
+ * Encode text as the value of a quoted attribute
+ * @param {string} value - Decoded value
+ * @param {string} [quote] - The quote the value is written between
+ * @returns {string} - Raw value, without the quotes
+ */
+function encodeAttributeValue(value, quote = '"') {
+  return value.replace(/&/g, '&amp;').replace(quote === "'" ? /'/g : /"/g, quote === "'" ? '&#39;' : '&quot;');
+}
+
+/**
+ * Offset of the end tag closing a raw text element's content
+ */
+function findRawTextEnd(html, from, name) {
+  const closing = new RegExp(`^</${name}[\\t\\n\\f\\r />]`, 'i');
+  const isClosingAt = index => closing.test(html.slice(index, index + name.length + 3));
+
+  if (name !== 'script') {
+    for (let index = html.indexOf('</', from); index !== -1; index = html.indexOf('</', index + 2)) {
+      if (isClosingAt(index)) return index;
+    }
+    return html.length;
+  }
+
+  // Script data, with its escaped and double-escaped states
+  let state = 'data';
+  for (let index = from; index < html.length; index++) {
+    if (html[index] === '-' && html.startsWith('-->', index) && state !== 'data') {
+      state = 'data';
+      index += 2;
+    } else if (html[index] !== '<') {
+      continue;
+    } else if (state === 'data' && html.startsWith('<!--', index)) {
+      // Leave the dashes to be read again, so that `<!-->` ends the escape at once
+      state = 'escaped';
+      index += 1;
+    } else if (state !== 'double' && isClosingAt(index)) {
+      return index;
+    } else if (state === 'escaped' && /^<script[\t\n\f\r />]/i.test(html.slice(index, index + 8))) {
+      state = 'double';
+    } else if (state === 'double' && /^<\/script[\t\n\f\r />]/i.test(html.slice(index, index + 9))) {
+      state = 'escaped';
+    }
+  }
+  return html.length;
+}
+
+/**
+ * Read the attributes of a tag, from just after its name to its `>`
+ * @returns {Object} - { attributes, selfClosing, end }, with end null when the document ends first
+ */
+function readAttributes(html, index) {
+  const attributes = [];
+  let selfClosing = false;
+
+  while (index < html.length) {
+    const char = html[index];
+    if (WHITESPACE.test(char)) {
+      index++;
+    } else if (char === '>') {
+      return { attributes, selfClosing, end: index + 1 };
+    } else if (char === '/') {
+      selfClosing = html[index + 1] === '>';
+      index++;
+    } else {
+      // A name runs to whitespace, `/`, `>` or `=`, though it may start with `=`
+      const start = index;
+      index++;
+      while (index < html.length && !/[\t\n\f\r />=]/.test(html[index])) index++;
+      const attribute = { name: html.slice(start, index).toLowerCase(), value: '', start, end: index, valueStart: null, valueEnd: null, quote: null };
+
+      let next = index;
+      while (next < html.length && WHITESPACE.test(html[next])) next++;
+      if (html[next] === '=') {
+        next++;
+        while (next < html.length && WHITESPACE.test(html[next])) next++;
+        const quote = html[next] === '"' || html[next] === "'" ? html[next] : null;
+        let valueStart = next;
+        let valueEnd;
+        if (quote) {
+          valueStart = next + 1;
+          valueEnd = html.indexOf(quote, valueStart);
+          if (valueEnd === -1) return { attributes, selfClosing, end: null };
+          index = valueEnd + 1;
+        } else {
+          valueEnd = valueStart;
+          while (valueEnd < html.length && !/[\t\n\f\r >]/.test(html[valueEnd])) valueEnd++;
+          index = valueEnd;
+        }
+        Object.assign(attribute, {
+          value: decodeEntities(html.slice(valueStart, valueEnd)),
+          end: index,
+          valueStart,
+          valueEnd,
+          quote
+        });
+      }
+      attributes.push(attribute);
+      selfClosing = false;
+    }
+  }
+  return { attributes, selfClosing, end: null };
+}
+
+/**
+ * Split a document into tokens
+ * @param {string} html - HTML content
+ * @returns {Array<Object>} - Tokens in order, each with `start` and `end` offsets:
+ *   - { type: 'text' }, with `raw: true` for the content of raw text elements
+ *   - { type: 'comment' } for comments, including the bogus ones browsers make of `<?...>` and `</1>`
+ *   - { type: 'doctype' }
+ *   - { type: 'startTag', name, attributes, selfClosing }; attributes have name, decoded value,
+ *     start, end, and the raw value's valueStart and valueEnd (null without a value)
+ *   - { type: 'endTag', name }
+ */
+function tokenize(html) {
+  const tokens = [];
+  let textStart = 0;
+  let index = 0;
+
+  const flushText = end => {
+    if (end > textStart) tokens.push({ type: 'text', start: textStart, end });
+  };
+  const push = token => {
+    flushText(token.start);
+    tokens.push(token);
+    textStart = token.end;
+    index = token.end;
+  };
+  // Bogus comments run to the next `>`
+  const bogusComment = start => {
+    const close = html.indexOf('>', start);
+    push({ type: 'comment', start, end: close === -1 ? html.length : close + 1 });
+  };
+
+  while (index < html.length) {
+    index = html.indexOf('<', index);
+    if (index === -1) break;
+    const start = index;
+    const next = html[start + 1];
+
+    if (html.startsWith('<!--', start)) {
+      // `<!-->` and `<!--->` are complete, if empty, comments
+      const abrupt = html.startsWith('>', start + 4) ? 1 : html.startsWith('->', start + 4) ? 2 : 0;
+      const close = abrupt ? start + 4 + abrupt - 3 : html.indexOf('-->', start + 4);
+      push({ type: 'comment', start, end: close === -1 ? html.length : close + 3 });
+    } else if (/^<!doctype/i.test(html.slice(start, start + 9))) {
+      const close = html.indexOf('>', start);
+      push({ type: 'doctype', start, end: close === -1 ? html.length : close + 1 });
+    } else if (next === '!' || next === '?') {
+      bogusComment(start);
+    } else if (next === '/') {
+      if (/[A-Za-z]/.test(html[start + 2] || '')) {
+        let nameEnd = start + 2;
+        while (nameEnd < html.length && !/[\t\n\f\r />]/.test(html[nameEnd])) nameEnd++;
+        const { end } = readAttributes(html, nameEnd);
+        if (end === null) break;
+        push({ type: 'endTag', name: html.slice(start + 2, nameEnd).toLowerCase(), start, end });
+      } else if (html[start + 2] === '>') {
+        // `</>` is dropped
+        flushText(start);
+        textStart = index = start + 3;
+      } else if (start + 2 < html.length) {
+        bogusComment(start);
+      } else {
+        break;
+      }
+    } else if (/[A-Za-z]/.test(next || '')) {
+      let nameEnd = start + 1;
+      while (nameEnd < html.length && !/[\t\n\f\r />]/.test(html[nameEnd])) nameEnd++;
+      const name = html.slice(start + 1, nameEnd).toLowerCase();
+      const { attributes, selfClosing, end } = readAttributes(html, nameEnd);
+      // A tag the document ends inside is left as text
+      if (end === null) break;
+      push({ type: 'startTag', name, attributes, selfClosing, start, end });
+
+      if (RAW_TEXT_ELEMENTS.has(name)) {
+        const contentEnd = findRawTextEnd(html, end, name);
+        if (contentEnd > end) tokens.push({ type: 'text', start: end, end: contentEnd, raw: true });
+        textStart = index = contentEnd;
+      } else if (name === 'plaintext') {
+        if (html.length > end) tokens.push({ type: 'text', start: end, end: html.length, raw: true });
+        textStart = index = html.length;
+      }
+    } else {
+      index++;
+    }
+  }
+
+  flushText(html.length);
+  return tokens;
+}
+
+/**
+ * Parse a document into a tree
+ * @param {string} html - HTML content
+ * @returns {Object} - Document node { type: 'document', start, end, children, elements, strayEndTags }.
+ *   `elements` lists every element in document order; `strayEndTags` the end tags that
+ *   matched no open element. Element nodes have:
+ *   - name, attributes (see tokenize), parent and children
+ *   - start and end: the whole element, from its start tag to the end of its end tag
+ *   - openTagEnd: the end of the start tag; contentStart and contentEnd: the content between the tags
+ *   - closeTagStart: where its own end tag starts, or null when it has none
+ *   - closedBy: 'tag' (its own end tag), 'void', 'self' (`/>` in SVG or MathML), 'implied'
+ *     (a start tag that implicitly ends it, e.g. <li> ending the previous <li>), 'parent' (an
+ *     ancestor's end tag) or 'eof' (the end of the document)
+ *   Text, comment and doctype nodes have type, start, end and parent.
+ */
+function parseHtml(html) {
+  const document = { type: 'document', start: 0, end: html.length, children: [], elements: [], strayEndTags: [] };
+  const stack = [document];
+  const current = () => stack[stack.length - 1];
+
+  const close = (element, end, closedBy, closeTagStart = null) => {
+    element.contentEnd = closeTagStart === null ? end : closeTagStart;
+    element.end = end;
+    element.closeTagStart = closeTagStart;
+    element.closedBy = closedBy;
+  };
+  // Close the elements above stack position `depth`, innermost first
+  const closeAbove = (depth, end, closedBy) => {
+    while (stack.length > depth) close(stack.pop(), end, closedBy);
+  };
+  const findOpen = (names, stop) => {
+    for (let depth = stack.length - 1; depth > 0; depth--) {
+      if (names.includes(stack[depth].name)) return depth;
+      if (stop.includes(stack[depth].name)) return -1;
+    }
+    return -1;
+  };
+  const isForeign = () => stack.some(node => FOREIGN_ROOTS.has(node.name));
+
+  for (const token of tokenize(html)) {
+    switch (token.type) {
+      case 'startTag': {
+        if (CLOSES_P.has(token.name)) {
+          const depth = findOpen(['p'], [...P_SCOPE]);
+          if (depth > 0) closeAbove(depth, token.start, 'implied');
+        }
+        const implied = IMPLIED_ENDS[token.name];
+        if (implied) {
+          const depth = findOpen(implied.close, implied.stop);
+          if (depth > 0) closeAbove(depth, token.start, 'implied');
+        }
+
+        const parent = current();
+        const element = {
+          type: 'element',
+          name: token.name,
+          attributes: token.attributes,
+          start: token.start,
+          openTagEnd: token.end,
+          contentStart: token.end,
+          contentEnd: token.end,
+          closeTagStart: null,
+          end: token.end,
+          closedBy: null,
+          parent,
+          children: []
+        };
+        parent.children.push(element);
+        document.elements.push(element);
+
+        if (VOID_ELEMENTS.has(token.name)) {
+          element.closedBy = 'void';
+        } else if (token.selfClosing && (FOREIGN_ROOTS.has(token.name) || isForeign())) {
+          element.closedBy = 'self';
+        } else {
+          stack.push(element);
+        }
+        break;
+      }
+      case 'endTag': {
+        const depth = stack.map(node => node.name).lastIndexOf(token.name);
+        if (depth <= 0) {
+          document.strayEndTags.push(token);
+          break;
+        }
+        closeAbove(depth + 1, token.start, 'parent');
+        close(stack.pop(), token.end, 'tag', token.start);
+        break;
+      }
+      default: {
+        const node = { type: token.type, start: token.start, end: token.end, parent: current() };
+        if (token.raw) node.raw = true;
+        current().children.push(node);
+      }
+    }
+  }
+
+  closeAbove(1, html.length, 'eof');
+  return document;
+}
+
+/**
+ * Value of an element's attribute. Browsers keep the first of duplicate attributes.
+ * @param {Object} element - Element node
+ * @param {string} name - Attribute name, in lowercase
+ * @returns {string|null} - Decoded value, '' for an attribute without one, null when absent
+ */
+function getAttribute(element, name) {
+  const attribute = element.attributes.find(candidate => candidate.name === name);
+  return attribute ? attribute.value : null;
+}
+
+/**
+ * Whether an element is inside a <template>, whose content the browser never renders or runs
+ * @param {Object} node - Element node
+ * @returns {boolean}
+ */
+function isInert(node) {
+  for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+    if (ancestor.name === 'template') return true;
+  }
+  return false;
+}
+
+module.exports = { tokenize, parseHtml, getAttribute, isInert, decodeEntities, encodeAttributeValue, VOID_ELEMENTS };
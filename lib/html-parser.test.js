@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, parseHtml, getAttribute, isInert, decodeEntities, encodeAttributeValue } = require('./html-parser');
+
+function element(document, name, index = 0) {
+  return document.elements.filter(candidate => candidate.name === name)[index];
+}
+
+describe('tokenize', () => {
+  it('reads attribute values in any quoting, including ones containing >', () => {
+    const [tag] = tokenize('<script data-x="a>b" defer src=sketch.js>');
+    assert.equal(tag.type, 'startTag');
+    assert.deepEqual(tag.attributes.map(({ name, value }) => [name, value]), [['data-x', 'a>b'], ['defer', ''], ['src', 'sketch.js']]);
+  });
+
+  it('ends a script at the first </script, even inside a string', () => {
+    const html = '<script>let s = "</script>";</script>';
+    const types = tokenize(html).map(token => token.type);
+    assert.deepEqual(types.slice(0, 3), ['startTag', 'text', 'endTag']);
+    assert.equal(tokenize(html)[1].raw, true);
+  });
+
+  it('makes comments of <?...> and doctypes of <!DOCTYPE>', () => {
+    assert.deepEqual(tokenize('<!DOCTYPE html><?xml version="1.0"?><!-- c -->').map(token => token.type), ['doctype', 'comment', 'comment']);
+  });
+});
+
+describe('parseHtml', () => {
+  it('records the exact range of an element and its content', () => {
+    const html = '<body><script>draw();</script></body>';
+    const script = element(parseHtml(html), 'script');
+    assert.equal(html.slice(script.start, script.end), '<script>draw();</script>');
+    assert.equal(html.slice(script.contentStart, script.contentEnd), 'draw();');
+    assert.equal(html.slice(script.openTagEnd, script.closeTagStart), 'draw();');
+    assert.equal(script.closedBy, 'tag');
+  });
+
+  it('tells implied ends from unclosed and misnested elements', () => {
+    const document = parseHtml('<ul><li>a<li>b</ul><div><span>x</div><p>open');
+    assert.equal(element(document, 'li', 0).closedBy, 'implied');
+    assert.equal(element(document, 'li', 1).closedBy, 'parent');
+    assert.equal(element(document, 'span').closedBy, 'parent');
+    assert.equal(element(document, 'p').closedBy, 'eof');
+    assert.equal(element(document, 'p').closeTagStart, null);
+  });
+
+  it('closes an open <p> at a block start tag and keeps void elements empty', () => {
+    const document = parseHtml('<p>text<div>block</div><img src="a.png"><br>');
+    assert.equal(element(document, 'p').closedBy, 'implied');
+    assert.equal(element(document, 'div').parent.type, 'document');
+    assert.equal(element(document, 'img').closedBy, 'void');
+    assert.deepEqual(element(document, 'img').children, []);
+  });
+
+  it('lists end tags that match no open element', () => {
+    const document = parseHtml('<div></div></span>');
+    assert.equal(document.strayEndTags.length, 1);
+    assert.equal(document.strayEndTags[0].name, 'span');
+  });
+});
+
+describe('getAttribute', () => {
+  it('returns the decoded value of the first of duplicate attributes', () => {
+    const canvas = element(parseHtml('<canvas id="a&amp;b" id="c" hidden></canvas>'), 'canvas');
+    assert.equal(getAttribute(canvas, 'id'), 'a&b');
+    assert.equal(getAttribute(canvas, 'hidden'), '');
+    assert.equal(getAttribute(canvas, 'width'), null);
+  });
+});
+
+describe('isInert', () => {
+  it('is true for elements inside a <template>', () => {
+    const document = parseHtml('<template><script>a()</script></template><script>b()</script>');
+    assert.equal(isInert(element(document, 'script', 0)), true);
+    assert.equal(isInert(element(document, 'script', 1)), false);
+  });
+});
+
+describe('decodeEntities and encodeAttributeValue', () => {
+  it('decode named and numeric references and leave unknown ones', () => {
+    assert.equal(decodeEntities('&lt;p&gt; &#65;&#x42; &amp; &bogus;'), '<p> AB & &bogus;');
+  });
+
+  it('encode a value for the quote it is written between', () => {
+    assert.equal(encodeAttributeValue('say "hi" & \'bye\''), 'say &quot;hi&quot; &amp; \'bye\'');
+    assert.equal(encodeAttributeValue('say "hi" & \'bye\'', "'"), 'say "hi" &amp; &#39;bye&#39;');
+  });
+});
@@ -0,0 +1,326 @@
+/**
+ * html-structure.js — Checks and conservative repairs of a document's skeleton
+ *
+ * Reports what browsers silently work around while building the tree: a missing doctype,
+ * which puts the page in quirks mode; elements left open or closed in the wrong order; end
+ * tags that close nothing; a second <body>; block elements inside inline ones; and content
+ * outside <head> and <body>, such as a script after </html>.
+ *
+ * Repairs are edits of the document (see edits.js) that leave everything in place except
+ * what is misplaced. That moves to where the browser would have put it: metadata before
+ * any content into <head>, everything else into <body>, in the original order, so scripts
+ * and styles still run and apply in the same sequence. Repairs happen in phases, each on
+ * the result of the one before: tags are closed and matched first, then missing <html>,
+ * <head> and <body> tags are added, and only then is misplaced content moved into them.
+ */
+const { parseHtml, isInert } = require('./html-parser');
+const { EditSet, insertText, deleteText, replaceText } = require('./edits');
+
+// Elements whose end tag may be left out, since the browser closes them implicitly
+const OPTIONAL_END_TAGS = new Set([
+  'p', 'li', 'dt', 'dd', 'option', 'optgroup', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'colgroup',
+  'caption', 'rb', 'rt', 'rtc', 'rp'
+]);
+
+const SKELETON = ['html', 'head', 'body'];
+
+// Elements that belong in <head> when they come before any content
+const METADATA_ELEMENTS = new Set(['title', 'meta', 'link', 'style', 'script', 'base', 'noscript', 'template']);
+
+// Elements an end tag closing them too early does not end: the browser reopens them after it
+const FORMATTING_ELEMENTS = new Set([
+  'a', 'b', 'big', 'code', 'em', 'font', 'i', 'nobr', 's', 'small', 'strike', 'strong', 'tt', 'u'
+]);
+
+// Elements that hold phrasing content only, and blocks that cannot go in them
+const INLINE_ELEMENTS = new Set([
+  'span', 'b', 'i', 'em', 'strong', 'small', 'code', 'label', 'abbr', 'cite', 'q', 'sub', 'sup', 'u', 's',
+  'mark', 'kbd', 'var', 'samp', 'time', 'data', 'bdi', 'bdo', 'button', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'
+]);
+const BLOCK_ELEMENTS = new Set([
+  'div', 'p', 'ul', 'ol', 'dl', 'table', 'section', 'article', 'header', 'footer', 'nav', 'aside', 'main',
+  'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'blockquote', 'figure', 'hr', 'fieldset', 'address'
+]);
+
+// The repair phase fixing each kind of issue
+const PHASES = {
+  'missing-doctype': 1,
+  'stray-end-tag': 1,
+  'misnested': 1,
+  'block-in-paragraph': 1,
+  'unclosed-element': 1,
+  'duplicate-element': 1,
+  'missing-skeleton': 2,
+  'misplaced-content': 3
+};
+
+const MAX_ROUNDS = 3;
+
+/**
+ * Find the structural problems of a document, in the order their fixes have to be made:
+ * elements closed at the same point come innermost first, so their end tags nest.
+ */
+function findIssues(html) {
+  const document = parseHtml(html);
+  const elements = document.elements.filter(element => !isInert(element));
+  const issues = [];
+  const issue = (type, severity, message, start, end, fix = null) => {
+    issues.push({ type, severity, message, start, end, fix });
+  };
+
+  const isBlank = node => node.type === 'comment' || node.type === 'doctype' ||
+    (node.type === 'text' && !html.slice(node.start, node.end).trim());
+  const isMetadata = node => node.type === 'element' && METADATA_ELEMENTS.has(node.name);
+  const startTag = element => html.slice(element.start, element.openTagEnd);
+  const trimmedEnd = html.replace(/\s+$/, '').length;
+
+  // Doctype
+  const doctype = [...document.children, ...document.children.flatMap(node => node.children || [])]
+    .find(node => node.type === 'doctype');
+  const firstContent = document.children.find(node => !isBlank(node));
+  if (!doctype || (firstContent && firstContent.start < doctype.start)) {
+    const fix = [insertText(0, '<!DOCTYPE html>\n')];
+    if (doctype) fix.push(deleteText(doctype.start, doctype.end));
+    issue('missing-doctype', 'warning',
+      doctype ? '<!DOCTYPE> comes after content, so the page renders in quirks mode' : 'No <!DOCTYPE html>, so the page renders in quirks mode',
+      doctype ? doctype.start : 0, doctype ? doctype.end : 0, fix);
+  }
+
+  // End tags: those an element was closed without, and those that close nothing
+  const strays = document.strayEndTags;
+  const paired = new Set();
+  const takeStray = (name, from, to) => {
+    const stray = strays.find(tag => !paired.has(tag) && tag.name === name && tag.start >= from && tag.start < to);
+    if (stray) paired.add(stray);
+    return stray;
+  };
+
+  for (const element of [...elements].reverse()) {
+    const limit = element.parent.end;
+
+    // `<p><div>...</div></p>`: the <div> ends the paragraph, and the </p> makes another
+    if (element.name === 'p' && element.closedBy === 'implied' && !/^<p[\s/>]/i.test(html.slice(element.end, element.end + 3))) {
+      const stray = takeStray('p', element.end, limit);
+      if (stray) {
+        issue('block-in-paragraph', 'error', `<${html.slice(element.end + 1).match(/^[^\s/>]+/)[0].toLowerCase()}> cannot be inside <p>; the paragraph ends before it`,
+          element.start, element.openTagEnd,
+          [replaceText(element.start + 1, element.start + 2, 'div'), replaceText(stray.start + 2, stray.start + 3, 'div')]);
+      }
+      continue;
+    }
+
+    if (OPTIONAL_END_TAGS.has(element.name) || (element.closedBy !== 'parent' && element.closedBy !== 'eof')) continue;
+
+    // <head> ends where content starts, which may be a <body> it was never closed before
+    if (element.name === 'head') {
+      const content = element.children.find(node => !isBlank(node) && !isMetadata(node));
+      const offset = content ? content.start : element.closedBy === 'eof' ? trimmedEnd : element.end;
+      issue('unclosed-element', 'warning', '<head> is never closed', element.start, element.openTagEnd, [insertText(offset, '</head>\n')]);
+      continue;
+    }
+
+    // What is inside a <canvas> only shows where canvas is unsupported, so one left open would
+    // hide the rest of the page: it ends before its first element instead
+    const fallbackEnd = element.name === 'canvas' && element.children.find(node => node.type === 'element');
+    if (fallbackEnd && !takeStray('canvas', element.end, element.parent.end)) {
+      issue('unclosed-element', 'error', '<canvas> is never closed', element.start, element.openTagEnd,
+        [insertText(html.slice(element.openTagEnd, fallbackEnd.start).trim() ? fallbackEnd.start : element.openTagEnd, '</canvas>')]);
+      continue;
+    }
+
+    if (element.closedBy === 'eof') {
+      issue('unclosed-element', SKELETON.includes(element.name) ? 'warning' : 'error', `<${element.name}> is never closed`,
+        element.start, element.openTagEnd, [insertText(Math.max(trimmedEnd, element.contentStart), `</${element.name}>`)]);
+      continue;
+    }
+
+    // Closed by the end tag of an ancestor, and maybe followed by its own
+    let closer = element.parent;
+    while (closer.type === 'element' && closer.closeTagStart !== element.end) closer = closer.parent;
+    const closerName = closer.type === 'element' ? closer.name : 'end tag';
+    const stray = closer.type === 'element' ? takeStray(element.name, closer.end, closer.parent.end) : null;
+    const close = insertText(element.end, `</${element.name}>`);
+    if (!stray) {
+      issue('unclosed-element', SKELETON.includes(element.name) ? 'warning' : 'error',
+        `<${element.name}> is never closed; </${closerName}> closes it`, element.start, element.openTagEnd, [close]);
+    } else if (FORMATTING_ELEMENTS.has(element.name) && html.slice(closer.end, stray.start).trim()) {
+      // `<b><i>x</b> y</i>` renders as `<b><i>x</i></b><i> y</i>`
+      issue('misnested', 'error', `</${closerName}> comes before </${element.name}>`, stray.start, stray.end,
+        [close, insertText(closer.end, startTag(element))]);
+    } else {
+      issue('misnested', 'error', `</${closerName}> comes before </${element.name}>`, stray.start, stray.end,
+        [close, deleteText(stray.start, stray.end)]);
+    }
+  }
+
+  for (const stray of strays.filter(tag => !paired.has(tag))) {
+    // The browser takes `</br>` for `<br>`
+    const fix = stray.name === 'br' ? replaceText(stray.start, stray.end, '<br>') : deleteText(stray.start, stray.end);
+    issue('stray-end-tag', 'warning', `</${stray.name}> closes no open element`, stray.start, stray.end, [fix]);
+  }
+
+  // A second <html> or <body>, whose attributes the browser adds to the first
+  for (const name of SKELETON) {
+    const [first, ...duplicates] = elements.filter(element => element.name === name);
+    for (const duplicate of duplicates) {
+      let fix = null;
+      if (name !== 'head') {
+        const sequential = first.closeTagStart !== null && first.end <= duplicate.start;
+        fix = sequential ?
+          [deleteText(first.closeTagStart, first.end), deleteText(duplicate.start, duplicate.openTagEnd)] :
+          [deleteText(duplicate.start, duplicate.openTagEnd)];
+        if (!sequential && duplicate.closeTagStart !== null) fix.push(deleteText(duplicate.closeTagStart, duplicate.end));
+        const added = duplicate.attributes.filter(attribute => !first.attributes.some(other => other.name === attribute.name));
+        if (added.length > 0) {
+          const tagEnd = html[first.openTagEnd - 2] === '/' ? first.openTagEnd - 2 : first.openTagEnd - 1;
+          fix.push(insertText(tagEnd, added.map(attribute => ` ${html.slice(attribute.start, attribute.end)}`).join('')));
+        }
+      }
+      issue('duplicate-element', 'error', `Second <${name}> element`, duplicate.start, duplicate.openTagEnd, fix);
+    }
+  }
+
+  for (const element of elements.filter(candidate => INLINE_ELEMENTS.has(candidate.name))) {
+    for (const child of element.children.filter(node => node.type === 'element' && BLOCK_ELEMENTS.has(node.name))) {
+      issue('block-in-inline', 'warning', `<${child.name}> is a block and cannot be inside <${element.name}>`, child.start, child.openTagEnd);
+    }
+  }
+
+  // The skeleton
+  const [root, head, body] = SKELETON.map(name => elements.find(element => element.name === name));
+  if (!root || !head || !body) {
+    const missing = SKELETON.filter((name, i) => ![root, head, body][i]).map(name => `<${name}>`);
+    issue('missing-skeleton', 'warning', `No ${missing.length > 1 ? `${missing.slice(0, -1).join(', ')} or ${missing[missing.length - 1]}` : missing[0]} element`,
+      0, 0, planSkeleton(html, document, { root, head, body, isBlank, isMetadata, trimmedEnd }));
+  } else {
+    findMisplacedContent(html, document, { root, head, body, isBlank, isMetadata }).forEach(found => issues.push(found));
+  }
+
+  return issues;
+}
+
+/**
+ * Edits adding the <html>, <head> and <body> tags a document lacks. Leading metadata goes
+ * into <head>, everything from the first content on into <body>.
+ */
+function planSkeleton(html, document, { root, head, body, isBlank, isMetadata, trimmedEnd }) {
+  const nodes = root ? root.children : document.children;
+  const firstContent = nodes.findIndex(node => !isBlank(node) && !isMetadata(node) && node !== head);
+  const leading = firstContent === -1 ? nodes : nodes.slice(0, firstContent);
+  const metadata = leading.filter(node => isMetadata(node) || node === head);
+  const contentStart = firstContent === -1 ? null : nodes[firstContent].start;
+  const end = root && root.closeTagStart !== null ? root.closeTagStart : trimmedEnd;
+  const edits = [];
+
+  if (!root) {
+    const first = nodes.find(node => !isBlank(node));
+    edits.push(insertText(first ? first.start : end, '<html>\n'));
+  }
+  if (!head) {
+    if (metadata.length > 0) {
+      edits.push(insertText(metadata[0].start, '<head>\n'), insertText(metadata[metadata.length - 1].end, '\n</head>'));
+    } else {
+      edits.push(insertText(contentStart === null ? end : contentStart, '<head>\n</head>\n'));
+    }
+  }
+  if (!body) {
+    if (contentStart === null) {
+      edits.push(insertText(end, '\n<body>\n</body>'));
+    } else {
+      edits.push(insertText(contentStart, '<body>\n'), insertText(end, '\n</body>'));
+    }
+  }
+  if (!root) edits.push(insertText(end, '\n</html>'));
+  return edits;
+}
+
+/**
+ * Content outside <head> and <body>, with the edits moving it in
+ */
+function findMisplacedContent(html, document, { root, head, body, isBlank, isMetadata }) {
+  const outside = [
+    ...document.children.filter(node => node !== root),
+    ...root.children.filter(node => node !== head && node !== body)
+  ]
+    .filter(node => !isBlank(node) && !(node.type === 'element' && SKELETON.includes(node.name)))
+    .sort((a, b) => a.start - b.start);
+
+  // A node alone on its lines takes them along
+  const rangeOf = node => {
+    const lineStart = html.lastIndexOf('\n', node.start - 1) + 1;
+    const lineEnd = html.indexOf('\n', node.end);
+    const alone = !html.slice(lineStart, node.start).trim() && !html.slice(node.end, lineEnd === -1 ? html.length : lineEnd).trim();
+    return alone ? { start: lineStart, end: lineEnd === -1 ? html.length : lineEnd + 1 } : node;
+  };
+
+  let inBody = false;
+  return outside.map(node => {
+    const text = html.slice(node.start, node.end);
+    const { start, end } = rangeOf(node);
+    const what = node.type === 'element' ? `<${node.name}>` : 'Text';
+    let message = `${what} is outside <head> and <body>`;
+    let move = null;
+
+    if (node.start > body.start) {
+      if (root.closeTagStart !== null && node.start >= root.end) message = `${what} comes after </html>`;
+      if (body.closeTagStart !== null) move = insertText(body.closeTagStart, `${text}\n`);
+    } else if (!inBody && isMetadata(node)) {
+      // Before <head> to its start, after it to its end, so the order of scripts stays the same
+      if (node.start < head.start) {
+        move = insertText(head.openTagEnd, `\n${text}`);
+      } else if (head.closeTagStart !== null) {
+        move = insertText(head.closeTagStart, `${text}\n`);
+      }
+    } else {
+      // Like the browser, once content has started everything goes into <body>
+      inBody = true;
+      move = insertText(body.openTagEnd, `\n${text}`);
+    }
+
+    return {
+      type: 'misplaced-content',
+      severity: node.type === 'element' && node.name === 'script' ? 'error' : 'warning',
+      message,
+      start: node.start,
+      end: node.end,
+      fix: move ? [deleteText(start, end), move] : null
+    };
+  });
+}
+
+/**
+ * Check the structure of a document
+ * @param {string} html - HTML content
+ * @returns {Array<Object>} - Issues in document order, as { type, severity, message, start, end, fix }:
+ *   `severity` is 'error' or 'warning', `fix` the edits of the document repairing the issue,
+ *   or null when it has no safe repair or needs others made first. Types are 'missing-doctype',
+ *   'unclosed-element', 'misnested', 'stray-end-tag', 'block-in-paragraph', 'duplicate-element',
+ *   'block-in-inline', 'missing-skeleton' and 'misplaced-content'.
+ */
+function validateStructure(html) {
+  return findIssues(html).sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Repair the structure of a document as far as it is safe (see the module comment)
+ * @param {string} html - HTML content
+ * @returns {Object} - { html, repairs, remaining }: the repaired document, the issues fixed
+ *   as { type, message }, and the issues left (see validateStructure)
+ */
+function repairStructure(html) {
+  const repairs = [];
+  for (const phase of [1, 2, 3]) {
+    // A fix that conflicts with another is made in the next round
+    for (let round = 0; round < MAX_ROUNDS; round++) {
+      const edits = new EditSet(html);
+      findIssues(html)
+        .filter(issue => PHASES[issue.type] === phase && issue.fix && edits.tryAdd(...issue.fix))
+        .forEach(({ type, message }) => repairs.push({ type, message }));
+      if (edits.size === 0) break;
+      html = edits.apply();
+    }
+  }
+  return { html, repairs, remaining: validateStructure(html) };
+}
+
+module.exports = { validateStructure, repairStructure };
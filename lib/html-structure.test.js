@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateStructure, repairStructure } = require('./html-structure');
+
+const types = issues => issues.map(issue => issue.type);
+
+describe('validateStructure', () => {
+  it('finds nothing wrong with a well-formed document', () => {
+    assert.deepEqual(validateStructure('<!DOCTYPE html>\n<html><head><title>t</title></head><body><p>a</p></body></html>\n'), []);
+  });
+
+  it('reports a missing doctype as a warning', () => {
+    const [issue] = validateStructure('<html><head></head><body></body></html>');
+    assert.equal(issue.type, 'missing-doctype');
+    assert.equal(issue.severity, 'warning');
+  });
+
+  it('reports misnested, stray and block-in-paragraph tags in document order', () => {
+    const html = '<!DOCTYPE html>\n<html><head></head><body><p>a<div>b</div></p><b><i>x</b></i></span></body></html>\n';
+    assert.deepEqual(types(validateStructure(html)), ['block-in-paragraph', 'misnested', 'stray-end-tag']);
+  });
+});
+
+describe('repairStructure', () => {
+  it('closes a canvas before the script that follows it instead of at the end of the page', () => {
+    const html = '<!DOCTYPE html>\n<html>\n<head></head>\n<body>\n<canvas id="c">\n<script>draw()</script>\n</body>\n</html>\n';
+    const { html: repaired, repairs, remaining } = repairStructure(html);
+    assert.equal(repaired, html.replace('<canvas id="c">', '<canvas id="c"></canvas>'));
+    assert.deepEqual(repairs, [{ type: 'unclosed-element', message: '<canvas> is never closed' }]);
+    assert.deepEqual(remaining, []);
+  });
+
+  it('matches end tags to the order their elements were opened in', () => {
+    const html = '<!DOCTYPE html>\n<html><head></head><body><b><i>x</b></i></body></html>\n';
+    assert.match(repairStructure(html).html, /<b><i>x<\/i><\/b>/);
+  });
+
+  it('wraps a bare script in a skeleton, keeping it in <head>', () => {
+    const { html, repairs } = repairStructure('<script>setup()</script>\n');
+    assert.equal(html, '<!DOCTYPE html>\n<html>\n<head>\n<script>setup()</script>\n</head>\n<body>\n</body>\n</html>\n');
+    assert.deepEqual(types(repairs), ['missing-doctype', 'missing-skeleton']);
+  });
+
+  it('moves a script after </html> into <body>, where the browser runs it', () => {
+    const { html } = repairStructure('<!DOCTYPE html>\n<html><head></head><body><p>a</p></body></html>\n<script>late()</script>\n');
+    assert.equal(html, '<!DOCTYPE html>\n<html><head></head><body><p>a</p><script>late()</script>\n</body></html>\n');
+  });
+
+  it('leaves a well-formed document alone', () => {
+    const html = '<!DOCTYPE html>\n<html><head></head><body></body></html>\n';
+    assert.deepEqual(repairStructure(html), { html, repairs: [], remaining: [] });
+  });
+});
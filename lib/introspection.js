@@ -0,0 +1,128 @@
+/**
+ * introspection.js — What an object really is when calling one of its methods fails
+ *
+ * "obj.method is not a function" only says what is missing. When the page throws it, the
+ * browser session pauses in the frame that made the call and evaluates an inspection of
+ * `obj` there, so locals and `this` can be inspected too. The report says what `obj` is
+ * (a Promise, an array, an instance of some class...), which members it and its prototypes
+ * have, and what `obj.method` actually holds. proposeMethodFix turns that into a fix.
+ */
+const acorn = require('acorn');
+const { findClosestName } = require('./typos');
+
+// Expressions that can be evaluated again without side effects: names and property accesses
+const SAFE_EXPRESSION = /^(?:this|[A-Za-z_$][\w$]*)(?:\.[A-Za-z_$][\w$]*)*$/;
+
+// Upper bound on members reported, for objects like `window`
+const MAX_MEMBERS = 500;
+
+/**
+ * Runs in the page. Reads property descriptors rather than values, so getters are not run.
+ */
+function inspectTarget(target, method, maxMembers) {
+  const describe = value => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (value instanceof Promise || (value && typeof value === 'object' && typeof value.then === 'function')) return 'promise';
+    return typeof value;
+  };
+
+  const report = { kind: describe(target), constructorName: null, members: [], property: null };
+  if (target === null || target === undefined) return report;
+
+  const seen = new Set();
+  for (let object = Object(target); object && object !== Object.prototype; object = Object.getPrototypeOf(object)) {
+    for (const name of Object.getOwnPropertyNames(object)) {
+      if (seen.has(name)) continue;
+      seen.add(name);
+      const descriptor = Object.getOwnPropertyDescriptor(object, name);
+      const type = 'value' in descriptor ? describe(descriptor.value) : 'accessor';
+      if (name === method) report.property = type;
+      if (report.members.length < maxMembers) report.members.push({ name, type });
+    }
+  }
+  const constructor = Object.getPrototypeOf(Object(target)).constructor;
+  report.constructorName = typeof constructor === 'function' && constructor.name ? constructor.name : null;
+  return report;
+}
+
+/**
+ * Read the object expression and method name from a "... is not a function" message
+ * @param {string} message - Error message or exception description, e.g. "TypeError: p.backgroud is not a function"
+ * @returns {Object|null} - { expression, method }, or null when the message is about something
+ *   else or the object expression cannot safely be evaluated again (e.g. `getBall().draw`)
+ */
+function parseNotAFunction(message) {
+  const firstLine = message.split('\n')[0].replace(/^(?:Uncaught )?TypeError: /, '');
+  const match = firstLine.match(/^(.+)\.([A-Za-z_$][\w$]*) is not a function$/);
+  if (!match || !SAFE_EXPRESSION.test(match[1])) return null;
+  return { expression: match[1], method: match[2] };
+}
+
+/**
+ * Build the expression that inspects an object in the page
+ * @param {string} expression - Object expression from parseNotAFunction
+ * @param {string} method - Method name that was called
+ * @returns {string} - JavaScript expression evaluating to the report
+ */
+function buildInspection(expression, method) {
+  return `(${inspectTarget.toString()})(${expression}, ${JSON.stringify(method)}, ${MAX_MEMBERS})`;
+}
+
+/**
+ * Propose a fix for a failed method call from what the object turned out to be
+ * @param {Object} report - { expression, method, kind, constructorName, members, property }
+ * @returns {Object} - { type, replacement, explanation }, where type is 'await' (the object is a
+ *   Promise), 'property' (the member exists but is not a function), 'rename' (a method with a
+ *   close name exists; `replacement` is its name) or null when nothing fits
+ */
+function proposeMethodFix(report) {
+  const { expression, method } = report;
+  const target = `${expression} (${report.constructorName || report.kind})`;
+
+  if (report.kind === 'promise') {
+    return { type: 'await', replacement: null, explanation: `${expression} is a Promise; its result has to be awaited before calling ${method}` };
+  }
+  if (report.property && !['function', 'undefined', 'null'].includes(report.property)) {
+    return { type: 'property', replacement: null, explanation: `${expression}.${method} is a ${report.property === 'accessor' ? 'getter' : report.property}, not a function` };
+  }
+
+  const methods = report.members
+    .filter(member => member.type === 'function' && member.name !== 'constructor')
+    .map(member => member.name);
+  const match = findClosestName(method, methods);
+  if (match) {
+    return { type: 'rename', replacement: match.name, explanation: `${target} has no method ${method}, but has ${match.name}` };
+  }
+
+  return { type: null, replacement: null, explanation: `${target} has no method ${method}` };
+}
+
+/**
+ * Whether `await` can be written at a position of a script: inside an async function, or at
+ * the top level of a module
+ * @param {string} source - Script content
+ * @param {number} offset - Position in the script
+ * @param {string} [sourceType] - 'script' or 'module'
+ * @returns {boolean} - False as well when the script does not parse
+ */
+function isAwaitAllowedAt(source, offset, sourceType = 'script') {
+  let node;
+  try {
+    node = acorn.parse(source, { ecmaVersion: 'latest', sourceType });
+  } catch (error) {
+    return false;
+  }
+
+  // Descend to the innermost function containing the position
+  let enclosing = null;
+  while (node) {
+    if (/Function/.test(node.type)) enclosing = node;
+    const children = Object.values(node).flat().filter(child =>
+      child && typeof child.type === 'string' && child.start <= offset && offset < child.end);
+    node = children[0];
+  }
+  return enclosing ? enclosing.async : sourceType === 'module';
+}
+
+module.exports = { parseNotAFunction, buildInspection, proposeMethodFix, isAwaitAllowedAt };
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { parseNotAFunction, buildInspection, proposeMethodFix, isAwaitAllowedAt } = require('./introspection');
+
+describe('parseNotAFunction', () => {
+  it('reads the object expression and the method', () => {
+    assert.deepEqual(parseNotAFunction('Uncaught TypeError: this.balls.psuh is not a function\n    at draw'), { expression: 'this.balls', method: 'psuh' });
+  });
+
+  it('refuses expressions that could have side effects when evaluated again', () => {
+    assert.equal(parseNotAFunction('TypeError: getBall().draw is not a function'), null);
+    assert.equal(parseNotAFunction('TypeError: x is not defined'), null);
+  });
+});
+
+describe('buildInspection', () => {
+  it('describes the object and its prototypes without running getters', () => {
+    const context = vm.createContext({});
+    vm.runInContext('class Ball { get speed() { throw new Error("ran"); } move() {} }\nvar ball = new Ball();\nball.size = 3;', context);
+    const report = vm.runInContext(buildInspection('ball', 'speed'), context);
+    assert.equal(report.kind, 'object');
+    assert.equal(report.constructorName, 'Ball');
+    assert.equal(report.property, 'accessor');
+    assert.deepEqual(Array.from(report.members, member => `${member.name}:${member.type}`), ['size:number', 'constructor:function', 'speed:accessor', 'move:function']);
+  });
+});
+
+describe('proposeMethodFix', () => {
+  const report = fields => ({ expression: 'obj', method: 'psuh', kind: 'object', constructorName: null, members: [], property: null, ...fields });
+
+  it('awaits a Promise', () => {
+    assert.equal(proposeMethodFix(report({ kind: 'promise' })).type, 'await');
+  });
+
+  it('points out a member that is not a function', () => {
+    assert.deepEqual(proposeMethodFix(report({ method: 'length', property: 'number' })),
+      { type: 'property', replacement: null, explanation: 'obj.length is a number, not a function' });
+  });
+
+  it('renames to the closest method', () => {
+    const members = [{ name: 'push', type: 'function' }, { name: 'length', type: 'number' }];
+    assert.deepEqual(proposeMethodFix(report({ kind: 'array', constructorName: 'Array', members })),
+      { type: 'rename', replacement: 'push', explanation: 'obj (Array) has no method psuh, but has push' });
+    assert.equal(proposeMethodFix(report({ members: [{ name: 'draw', type: 'function' }] })).type, null);
+  });
+});
+
+describe('isAwaitAllowedAt', () => {
+  it('is true inside async functions and at the top level of modules only', () => {
+    const source = 'async function a() { x(); }\nfunction b() { y(); }\nz();\n';
+    assert.equal(isAwaitAllowedAt(source, source.indexOf('x()')), true);
+    assert.equal(isAwaitAllowedAt(source, source.indexOf('y()')), false);
+    assert.equal(isAwaitAllowedAt(source, source.indexOf('z()')), false);
+    assert.equal(isAwaitAllowedAt(source, source.indexOf('z()'), 'module'), true);
+    assert.equal(isAwaitAllowedAt('let = ;', 0), false);
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * job-store.js — Storage backends for asynchronous repair jobs
+ *
+ * A job store is any object with async create(job), get(id) and update(id, changes)
+ * methods. Jobs are plain JSON-serializable objects with a unique `id`. Every write stamps
+ * `updatedAt` and `expiresAt`; a job is gone once it has not been updated for the store's TTL.
+ *
+ * Stores whose class has `shared` set keep jobs where every instance of the function can
+ * read them. Serverless deployments run each request on whichever instance is free, so
+ * they need one: the job created by one invocation is polled by others.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+// Job ids become file names and keys, so only allow safe characters
+const JOB_ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+
+// Seconds a job is kept after its last update
+const DEFAULT_TTL = 60 * 60;
+
+// How often the filesystem store looks for expired jobs to delete
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Whether a string can be a job id
+ * @param {*} id - Candidate id, e.g. from a query string
+ * @returns {boolean} - True for ids of letters, digits and dashes
+ */
+function isValidJobId(id) {
+  return typeof id === 'string' && JOB_ID_PATTERN.test(id);
+}
+
+function checkJobId(id) {
+  if (!isValidJobId(id)) {
+    throw new Error(`Invalid job id: ${id}`);
+  }
+  return id;
+}
+
+function stamp(job, ttl) {
+  const now = Date.now();
+  return { ...job, updatedAt: new Date(now).toISOString(), expiresAt: new Date(now + ttl * 1000).toISOString() };
+}
+
+/**
+ * Keeps jobs in process memory. Jobs are lost when the process exits.
+ */
+class MemoryJobStore {
+  constructor({ ttl = DEFAULT_TTL } = {}) {
+    this.ttl = ttl;
+    this.jobs = new Map();
+  }
+
+  async create(job) {
+    const stored = stamp(job, this.ttl);
+    // Expired jobs would otherwise only go when polled again
+    const now = Date.now();
+    for (const [id, entry] of this.jobs) {
+      if (entry.expiresAt <= now) this.jobs.delete(id);
+    }
+    this.jobs.set(job.id, { expiresAt: Date.parse(stored.expiresAt), json: JSON.stringify(stored) });
+    return stored;
+  }
+
+  async get(id) {
+    const entry = this.jobs.get(id);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.jobs.delete(id);
+      return null;
+    }
+    return JSON.parse(entry.json);
+  }
+
+  async update(id, changes) {
+    const job = await this.get(id);
+    if (!job) return null;
+    return this.create({ ...job, ...changes });
+  }
+}
+MemoryJobStore.shared = false;
+
+/**
+ * Keeps one JSON file per job in a directory, so jobs survive across processes
+ * (e.g. separate serverless invocations on the same machine during `vercel dev`)
+ */
+class FileJobStore {
+  constructor(directory = path.join(os.tmpdir(), 'p5-repair-jobs'), { ttl = DEFAULT_TTL } = {}) {
+    this.directory = directory;
+    this.ttl = ttl;
+    this.lastSweep = 0;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  jobPath(id) {
+    return path.join(this.directory, `${checkJobId(id)}.json`);
+  }
+
+  async create(job) {
+    const stored = stamp(job, this.ttl);
+    const filePath = this.jobPath(job.id);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    // Write then rename so readers never see a partially written job
+    await fs.promises.writeFile(tempPath, JSON.stringify(stored), 'utf8');
+    await fs.promises.rename(tempPath, filePath);
+
+    if (Date.now() - this.lastSweep > SWEEP_INTERVAL_MS) {
+      this.lastSweep = Date.now();
+      await this.removeExpired();
+    }
+    return stored;
+  }
+
+  async get(id) {
+    const filePath = this.jobPath(id);
+    try {
+      const job = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      if (Date.parse(job.expiresAt) <= Date.now()) {
+        await fs.promises.rm(filePath, { force: true });
+        return null;
+      }
+      return job;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async update(id, changes) {
+    const job = await this.get(id);
+    if (!job) return null;
+    return this.create({ ...job, ...changes });
+  }
+
+  /**
+   * Delete the files of jobs not updated within the TTL
+   */
+  async removeExpired() {
+    const cutoff = Date.now() - this.ttl * 1000;
+    const names = await fs.promises.readdir(this.directory);
+    await Promise.all(names.filter(name => name.endsWith('.json')).map(async (name) => {
+      const filePath = path.join(this.directory, name);
+      try {
+        if ((await fs.promises.stat(filePath)).mtimeMs <= cutoff) {
+          await fs.promises.rm(filePath, { force: true });
+        }
+      } catch (e) {
+        // Deleted by another process in the meantime
+      }
+    }));
+  }
+}
+FileJobStore.shared = false;
+
+/**
+ * Keeps jobs in Redis through an HTTP REST API (Upstash, Vercel KV), which every serverless
+ * instance can reach. Redis deletes each job once its TTL runs out.
+ */
+class RedisJobStore {
+  /**
+   * @param {Object} config - Store configuration
+   * @param {string} config.url - REST API URL
+   * @param {string} config.token - REST API token
+   * @param {number} [config.ttl] - Seconds a job is kept after its last update
+   */
+  constructor({ url, token, ttl = DEFAULT_TTL } = {}) {
+    if (!url || !token) {
+      throw new Error('The redis job store needs REPAIR_JOB_REDIS_URL and REPAIR_JOB_REDIS_TOKEN (or KV_REST_API_URL and KV_REST_API_TOKEN)');
+    }
+    this.url = url;
+    this.token = token;
+    this.ttl = ttl;
+  }
+
+  key(id) {
+    return `p5-repair:job:${checkJobId(id)}`;
+  }
+
+  async command(...args) {
+    const response = await axios.post(this.url, args, {
+      headers: { Authorization: `Bearer ${this.token}` },
+      timeout: 10000
+    });
+    return response.data.result;
+  }
+
+  async create(job) {
+    const stored = stamp(job, this.ttl);
+    await this.command('SET', this.key(job.id), JSON.stringify(stored), 'EX', String(this.ttl));
+    return stored;
+  }
+
+  async get(id) {
+    const value = await this.command('GET', this.key(id));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async update(id, changes) {
+    const job = await this.get(id);
+    if (!job) return null;
+    return this.create({ ...job, ...changes });
+  }
+}
+RedisJobStore.shared = true;
+
+const JOB_STORES = { memory: MemoryJobStore, filesystem: FileJobStore, redis: RedisJobStore };
+
+/**
+ * Create the job store selected by configuration
+ * @param {string} [type] - 'memory', 'filesystem' or 'redis', defaults to REPAIR_JOB_STORE, or
+ *   'redis' when KV_REST_API_URL is set, or 'memory'
+ * @param {Object} [options] - Store options
+ * @param {string} [options.directory] - Directory for the filesystem store, defaults to REPAIR_JOB_DIR
+ * @param {string} [options.url] - REST API URL for the redis store, defaults to REPAIR_JOB_REDIS_URL or KV_REST_API_URL
+ * @param {string} [options.token] - REST API token for the redis store, defaults to REPAIR_JOB_REDIS_TOKEN or KV_REST_API_TOKEN
+ * @param {number} [options.ttl] - Seconds a job is kept after its last update, defaults to REPAIR_JOB_TTL or an hour
+ * @param {boolean} [options.requireShared] - Refuse stores that only one instance can read,
+ *   defaults to true in a Vercel deployment (not `vercel dev`)
+ * @returns {Object} - Job store
+ */
+function createJobStore(type = process.env.REPAIR_JOB_STORE || (process.env.KV_REST_API_URL ? 'redis' : 'memory'), {
+  directory = process.env.REPAIR_JOB_DIR,
+  url = process.env.REPAIR_JOB_REDIS_URL || process.env.KV_REST_API_URL,
+  token = process.env.REPAIR_JOB_REDIS_TOKEN || process.env.KV_REST_API_TOKEN,
+  ttl = Number(process.env.REPAIR_JOB_TTL) || DEFAULT_TTL,
+  requireShared = Boolean(process.env.VERCEL) && process.env.VERCEL_ENV !== 'development'
+} = {}) {
+  const Store = JOB_STORES[type];
+  if (!Store) {
+    throw new Error(`Unknown job store: ${type}`);
+  }
+  if (requireShared && !Store.shared) {
+    throw new Error(`The ${type} job store is not shared between serverless instances, so jobs could not be polled; set REPAIR_JOB_STORE=redis`);
+  }
+  return Store === FileJobStore ? new FileJobStore(directory, { ttl }) : new Store({ url, token, ttl });
+}
+
+module.exports = { MemoryJobStore, FileJobStore, RedisJobStore, createJobStore, isValidJobId };
@@ -0,0 +1,126 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { MemoryJobStore, FileJobStore, RedisJobStore, createJobStore, isValidJobId } = require('./job-store');
+
+function behavesLikeAJobStore(createStore) {
+  it('creates, reads and updates jobs', async () => {
+    const store = createStore();
+    const created = await store.create({ id: 'job-1', status: 'queued' });
+    assert.equal(typeof created.updatedAt, 'string');
+    assert.deepEqual(await store.get('job-1'), created);
+
+    const updated = await store.update('job-1', { status: 'done', result: { html: '<p>' } });
+    assert.equal(updated.status, 'done');
+    assert.deepEqual((await store.get('job-1')).result, { html: '<p>' });
+  });
+
+  it('returns null for unknown jobs', async () => {
+    const store = createStore();
+    assert.equal(await store.get('missing'), null);
+    assert.equal(await store.update('missing', { status: 'done' }), null);
+  });
+
+  it('hands out copies, so changing one does not change the stored job', async () => {
+    const store = createStore();
+    const created = await store.create({ id: 'job-2', status: 'queued' });
+    created.status = 'changed';
+    assert.equal((await store.get('job-2')).status, 'queued');
+  });
+}
+
+describe('MemoryJobStore', () => {
+  behavesLikeAJobStore(() => new MemoryJobStore());
+
+  it('forgets jobs once their TTL has run out', async () => {
+    const store = new MemoryJobStore({ ttl: 0 });
+    await store.create({ id: 'old', status: 'completed' });
+    assert.equal(await store.get('old'), null);
+    assert.equal(store.jobs.size, 0);
+  });
+});
+
+describe('FileJobStore', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  behavesLikeAJobStore(() => new FileJobStore(directory));
+
+  it('shares jobs between instances on the same directory', async () => {
+    await new FileJobStore(directory).create({ id: 'shared', status: 'running' });
+    assert.equal((await new FileJobStore(directory).get('shared')).status, 'running');
+  });
+
+  it('rejects ids that are not safe file names', async () => {
+    await assert.rejects(new FileJobStore(directory).get('../etc/passwd'), /Invalid job id/);
+  });
+
+  it('deletes the files of expired jobs', async () => {
+    const store = new FileJobStore(directory, { ttl: 0 });
+    await store.create({ id: 'old', status: 'completed' });
+    assert.equal(await store.get('old'), null);
+    assert.equal(fs.existsSync(path.join(directory, 'old.json')), false);
+  });
+});
+
+describe('RedisJobStore', () => {
+  // Answers REST commands the way Upstash and Vercel KV do
+  function fakeRedis(t) {
+    const data = new Map();
+    const calls = [];
+    t.mock.method(axios, 'post', async (url, [command, key, value, ...rest]) => {
+      calls.push([command, key, ...rest]);
+      if (command === 'SET') data.set(key, value);
+      return { data: { result: command === 'GET' ? data.get(key) || null : 'OK' } };
+    });
+    return calls;
+  }
+
+  it('stores each job under its own key with the TTL as its expiry', async (t) => {
+    const calls = fakeRedis(t);
+    const store = new RedisJobStore({ url: 'https://kv.example.com', token: 'secret', ttl: 600 });
+    await store.create({ id: 'job-1', status: 'queued' });
+    await store.update('job-1', { status: 'running' });
+
+    assert.equal((await store.get('job-1')).status, 'running');
+    assert.equal(await store.get('missing'), null);
+    assert.deepEqual(calls.filter(([command]) => command === 'SET')[0], ['SET', 'p5-repair:job:job-1', 'EX', '600']);
+  });
+
+  it('needs a URL and a token', () => {
+    assert.throws(() => new RedisJobStore({ url: 'https://kv.example.com' }), /REPAIR_JOB_REDIS_TOKEN/);
+  });
+});
+
+describe('createJobStore', () => {
+  it('creates the configured store and rejects unknown types', () => {
+    assert.ok(createJobStore('memory', { requireShared: false }) instanceof MemoryJobStore);
+    assert.throws(() => createJobStore('mongodb'), /Unknown job store: mongodb/);
+  });
+
+  it('refuses a store only one instance can read where a shared one is required', () => {
+    assert.throws(() => createJobStore('memory', { requireShared: true }), /not shared between serverless instances/);
+    assert.throws(() => createJobStore('filesystem', { requireShared: true }), /not shared between serverless instances/);
+    const store = createJobStore('redis', { url: 'https://kv.example.com', token: 'secret', requireShared: true });
+    assert.ok(store instanceof RedisJobStore);
+  });
+});
+
+describe('isValidJobId', () => {
+  it('accepts UUIDs and nothing that could leave a directory or key prefix', () => {
+    assert.equal(isValidJobId('9b2f6d4e-1c3a-4f5b-8d7e-0a1b2c3d4e5f'), true);
+    for (const id of ['', '../x', 'a/b', 'a b', ['a'], undefined]) {
+      assert.equal(isValidJobId(id), false, String(id));
+    }
+  });
+});
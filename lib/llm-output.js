@@ -0,0 +1,224 @@
+/**
+ * llm-output.js — Taking a document out of the chat answer it came in
+ *
+ * Most pages arrive as a chatbot wrote them: inside a ```html fence, after "Here's your
+ * updated sketch:" and followed by an explanation of what changed, sometimes entity-encoded
+ * as a whole by a chat interface that showed the markup instead of rendering it.
+ * sanitizeLlmOutput undoes all of that, and leaves a document that is not wrapped alone.
+ *
+ * What it cannot undo is an answer that left code out and put `// ... rest of the code
+ * unchanged` in its place. findPlaceholders reports those, since no repair can bring back
+ * code that was never sent, and repairing around them only hides that it is missing.
+ */
+const { parseHtml, decodeEntities } = require('./html-parser');
+
+// A fence line: three or more backticks or tildes and an optional language
+const FENCE_LINE = /^[ \t]*(`{3,}|~{3,})[ \t]*([\w+#.-]*)[^\n`]*$/;
+const HTML_LANGUAGES = new Set(['html', 'htm', 'xhtml', 'xml', 'svg', 'vue']);
+const DOCUMENT_MARKUP = /(?:<|&lt;)(?:!doctype\b|html[\s>&]|head[\s>&]|body[\s>&])/i;
+
+// Where markup starts: the skeleton, or else the first line opening with a tag or comment
+const DOCUMENT_START = /<(?:!doctype\b|html[\s>]|head[\s>]|body[\s>])/i;
+const FIRST_TAG_LINE = /^[ \t]*<(?:[a-z]|!--)/im;
+const DOCUMENT_END = /<\/html\s*>/gi;
+
+// Markup that shows a document was encoded as a whole
+const ENCODED_TAG = /&(?:amp;)*lt;(?:!doctype\b|\/?[a-z][\w-]*(?:\s|&(?:amp;)*gt;|\/))/i;
+const REAL_TAG = /<(?:[a-z!]|\/[a-z])/i;
+const MAX_DECODINGS = 3;
+
+// Comments standing for code left out: an ellipsis, and nothing else but words saying what it
+// stands for, so that a comment merely mentioning "the rest of the sketch" is not one
+const SCRIPT_COMMENT = /\/\*([\s\S]*?)\*\/|(?<![:\\\w'"])\/\/([^\n]*)/g;
+const STYLE_COMMENT = /\/\*([\s\S]*?)\*\//g;
+const ELLIPSIS = /\.{3,}|…/;
+const ELLIPSES = new RegExp(ELLIPSIS.source, 'g');
+const ELISION = new RegExp('^(?:' + [
+  '(?:the\\s+)?(?:rest|remainder)\\s+of\\s+(?:the\\s+|your\\s+|my\\s+)?' +
+    '(?:code|file|sketch|script|html|css|styles?|functions?|methods?|class|page|implementation|program)',
+  '(?:existing|previous|other|remaining|same|original)\\s+' +
+    '(?:code|functions?|methods?|html|css|styles?|logic|setup|implementation|content)'
+].join('|') + ')' +
+  '(?:\\s+(?:is|are|remains?|stays?|goes))?' +
+  '(?:\\s+(?:unchanged|the\\s+same|as\\s+before|here|omitted|(?:omitted\\s+)?for\\s+brevity))?$', 'i');
+// `function draw() { ... }`, and a line that is nothing but an ellipsis
+const ELIDED_BLOCK = /\{[ \t]*(?:\.{3}|…)[ \t]*\}/g;
+const ELLIPSIS_LINE = /^[ \t]*(?:\.{3}|…)[ \t]*$/gm;
+
+/**
+ * Fenced code blocks of a markdown text
+ */
+function findFencedBlocks(text) {
+  const blocks = [];
+  let open = null;
+  let offset = 0;
+  for (const line of text.split('\n')) {
+    const fence = line.match(FENCE_LINE);
+    if (!open && fence) {
+      open = { marker: fence[1], language: fence[2].toLowerCase(), start: offset, contentStart: offset + line.length + 1 };
+    } else if (open && fence && !fence[2] && fence[1][0] === open.marker[0] && fence[1].length >= open.marker.length) {
+      blocks.push({ ...open, contentEnd: Math.max(offset - 1, open.contentStart), end: offset + line.length });
+      open = null;
+    }
+    offset += line.length + 1;
+  }
+  // The answer was cut off inside the block
+  if (open) blocks.push({ ...open, contentStart: Math.min(open.contentStart, text.length), contentEnd: text.length, end: text.length });
+  return blocks;
+}
+
+// Whether a text is prose: no line starts with markup and nothing in it belongs in a document,
+// though a sentence may mention a tag, in a `code span` or not
+const MARKUP_LINE = /^[ \t]*<(?:[a-z!]|\/[a-z])/im;
+const DOCUMENT_ELEMENT = /<(?:!doctype|html|head|body|script|style|link|meta)\b/i;
+
+function isProse(text) {
+  const sentences = text.replace(/`[^`\n]*`/g, '');
+  return !MARKUP_LINE.test(sentences) && !DOCUMENT_ELEMENT.test(sentences);
+}
+
+function quote(text) {
+  const line = text.trim().split('\n')[0].trim();
+  return line.length > 60 ? `"${line.slice(0, 57)}..."` : `"${line}"`;
+}
+
+/**
+ * Take a document out of a chat answer: the contents of its HTML code block, decoded when the
+ * whole document was entity-encoded, without the prose before and after it
+ * @param {string} text - The answer, or a document
+ * @returns {Object} - { html, changes }: the document, and what was removed or decoded as
+ *   { issue, message, index }: what was wrong, what was done about it, and where in the
+ *   answer it starts
+ */
+function sanitizeLlmOutput(text) {
+  const changes = [];
+  const change = (issue, message, index) => changes.push({ issue, message, index });
+  let html = text;
+  let offset = 0;
+
+  // A document that starts with its markup is not wrapped, whatever its scripts contain
+  if (!/^\s*(?:<|&lt;)/.test(text)) {
+    const blocks = findFencedBlocks(text);
+    const block = blocks.find(candidate => HTML_LANGUAGES.has(candidate.language)) ||
+      blocks.find(candidate => DOCUMENT_MARKUP.test(text.slice(candidate.contentStart, candidate.contentEnd)));
+    if (block) {
+      const fence = block.language ? `\`\`\`${block.language}` : 'code';
+      change(`Document inside a ${fence} fence`, `Removed the ${fence} fence around the document`, block.start);
+      const before = text.slice(0, block.start);
+      if (before.trim()) {
+        change(`Text before the document: ${quote(before)}`, `Removed the text before the document: ${quote(before)}`, before.search(/\S/));
+      }
+      blocks.filter(other => other !== block).forEach(other => {
+        const what = `a${other.language ? ` ${other.language}` : ''} code block`;
+        change(`${what[0].toUpperCase()}${what.slice(1)} outside the document`, `Left out ${what} outside the document`, other.start);
+      });
+      const after = blocks.reduce((prose, other) => other.start > block.end ? prose.replace(text.slice(other.start, other.end), '') : prose,
+        text.slice(block.end));
+      if (after.trim()) {
+        change(`Text after the document: ${quote(after)}`, `Removed the text after the document: ${quote(after)}`,
+          block.end + text.slice(block.end).search(/\S/));
+      }
+      html = text.slice(block.contentStart, block.contentEnd);
+      offset = block.contentStart;
+    }
+  }
+
+  // Encoded more than once when a chat interface escaped what it was shown escaped
+  let decodings = 0;
+  while (decodings < MAX_DECODINGS && !REAL_TAG.test(html) && ENCODED_TAG.test(html)) {
+    html = decodeEntities(html);
+    decodings++;
+  }
+  if (decodings > 0) {
+    const times = decodings > 1 ? ` (encoded ${decodings} times)` : '';
+    change(`Entity-encoded document${times}`, `Decoded the entity-encoded document${times}`, offset);
+  }
+
+  const startMatch = html.match(DOCUMENT_START) || html.match(FIRST_TAG_LINE);
+  if (startMatch) {
+    const start = startMatch.index + startMatch[0].search(/\S/);
+    const before = html.slice(0, start);
+    if (before.trim() && isProse(before)) {
+      change(`Text before the document: ${quote(before)}`, `Removed the text before the document: ${quote(before)}`,
+        offset + (decodings > 0 ? 0 : before.search(/\S/)));
+      html = html.slice(start);
+      offset += decodings > 0 ? 0 : start;
+    }
+  }
+
+  const ends = [...html.matchAll(DOCUMENT_END)];
+  if (ends.length > 0) {
+    const last = ends[ends.length - 1];
+    const end = last.index + last[0].length;
+    const after = html.slice(end);
+    if (after.trim() && isProse(after)) {
+      change(`Text after the document: ${quote(after)}`, `Removed the text after the document: ${quote(after)}`,
+        offset + (decodings > 0 ? 0 : end + after.search(/\S/)));
+      html = `${html.slice(0, end)}\n`;
+    }
+  }
+
+  if (changes.length > 0 && !html.endsWith('\n')) html += '\n';
+  return { html, changes: changes.sort((a, b) => a.index - b.index) };
+}
+
+// Whether a comment's body is a placeholder
+function isElision(body) {
+  if (!ELLIPSIS.test(body)) return false;
+  const words = body.replace(ELLIPSES, ' ').replace(/[\s*.,:;!()[\]-]+/g, ' ').trim();
+  return !words || ELISION.test(words);
+}
+
+// Comments, scripts and styles of a document, in tree order
+function collectCode(nodes, code = { comments: [], scripts: [], styles: [] }) {
+  for (const node of nodes) {
+    if (node.type === 'comment') code.comments.push(node);
+    if (node.type !== 'element') continue;
+    if (node.name === 'script') code.scripts.push(node);
+    if (node.name === 'style') code.styles.push(node);
+    collectCode(node.children, code);
+  }
+  return code;
+}
+
+/**
+ * Find the places where code was left out of a document: placeholder comments in scripts,
+ * styles and the markup, `{ ... }` bodies and lines of nothing but an ellipsis in scripts.
+ * Text is never searched, since `...` there is content.
+ * @param {string} html - HTML content
+ * @returns {Array<Object>} - { message, index, text } in document order
+ */
+function findPlaceholders(html) {
+  const found = [];
+  const add = (index, text) => {
+    if (found.some(other => index < other.index + other.text.length && other.index < index + text.length)) return;
+    found.push({ message: `Code left out, with a placeholder in its place: ${quote(text)}`, index, text });
+  };
+  const search = (element, pattern, isPlaceholder) => {
+    const content = html.slice(element.contentStart, element.contentEnd);
+    for (const match of content.matchAll(pattern)) {
+      const text = match[0].trim();
+      if (isPlaceholder(match)) add(element.contentStart + match.index + match[0].indexOf(text), text);
+    }
+  };
+  const commentBody = match => match.slice(1).find(group => group !== undefined);
+
+  const { comments, scripts, styles } = collectCode(parseHtml(html).children);
+  for (const comment of comments) {
+    const text = html.slice(comment.start, comment.end);
+    const body = text.replace(/^<!--|-->$/g, '');
+    if (text.startsWith('<!--') && isElision(body)) add(comment.start, text);
+  }
+  for (const script of scripts) {
+    search(script, SCRIPT_COMMENT, match => isElision(commentBody(match)));
+    search(script, ELIDED_BLOCK, () => true);
+    search(script, ELLIPSIS_LINE, () => true);
+  }
+  for (const style of styles) {
+    search(style, STYLE_COMMENT, match => isElision(commentBody(match)));
+  }
+
+  return found.sort((a, b) => a.index - b.index);
+}
+
+module.exports = { sanitizeLlmOutput, findPlaceholders };
@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeLlmOutput, findPlaceholders } = require('./llm-output');
+
+const DOCUMENT = '<!DOCTYPE html>\n<html>\n<body>\n<script>\nfunction draw() {}\n</script>\n</body>\n</html>\n';
+
+function inDraw(line) {
+  return `<!DOCTYPE html><html><body>\n<script>\nfunction draw() {\n  ${line}\n}\n</script>\n</body></html>`;
+}
+
+describe('sanitizeLlmOutput', () => {
+  it('leaves a bare document alone', () => {
+    assert.deepEqual(sanitizeLlmOutput(DOCUMENT), { html: DOCUMENT, changes: [] });
+  });
+
+  it('takes the document out of a fenced answer with prose around it', () => {
+    const answer = `Here's your updated sketch:\n\n\`\`\`html\n${DOCUMENT}\`\`\`\n\nThe ball now bounces off the walls.\n`;
+    const { html, changes } = sanitizeLlmOutput(answer);
+    assert.equal(html, DOCUMENT);
+    assert.deepEqual(changes.map(change => change.message), [
+      'Removed the text before the document: "Here\'s your updated sketch:"',
+      'Removed the ```html fence around the document',
+      'Removed the text after the document: "The ball now bounces off the walls."'
+    ]);
+  });
+
+  it('decodes a document that was entity-encoded, even twice', () => {
+    const encoded = DOCUMENT.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    assert.equal(sanitizeLlmOutput(encoded).html, DOCUMENT);
+    const twice = encoded.replace(/&/g, '&amp;');
+    const { html, changes } = sanitizeLlmOutput(twice);
+    assert.equal(html, DOCUMENT);
+    assert.equal(changes[0].message, 'Decoded the entity-encoded document (encoded 2 times)');
+  });
+
+  it('removes an explanation after </html> even when it mentions a tag', () => {
+    const { html, changes } = sanitizeLlmOutput(`${DOCUMENT}\nThis adds a <canvas> element and a \`<button>\`.`);
+    assert.equal(html, DOCUMENT);
+    assert.equal(changes.length, 1);
+  });
+
+  it('keeps markup after </html>, which the browser still renders', () => {
+    for (const trailing of ['<script src="extra.js"></script>\n', '<div>footer</div>\n']) {
+      assert.deepEqual(sanitizeLlmOutput(DOCUMENT + trailing).changes, []);
+    }
+  });
+});
+
+describe('findPlaceholders', () => {
+  it('finds comments that stand for code left out', () => {
+    const placeholders = [
+      '// ... rest of code unchanged',
+      '// ...',
+      '// ... existing code ...',
+      '/* ... rest of the sketch remains the same ... */',
+      '// (... same functions as before ...)',
+      '// … previous code here',
+      '// ... rest of the code omitted for brevity',
+      '{ ... }',
+      '...'
+    ];
+    for (const line of placeholders) {
+      assert.deepEqual(findPlaceholders(inDraw(line)).map(found => found.text), [line], line);
+    }
+  });
+
+  it('leaves ordinary comments and code alone', () => {
+    const ordinary = [
+      '// Update existing particles...',
+      '// The rest of the code is for drawing the UI',
+      '// Draw the rest of the sketch here',
+      '// Same as before, but faster...',
+      '// handle the rest of the code paths',
+      '// Loading...',
+      'let a = {...obj};'
+    ];
+    for (const line of ordinary) {
+      assert.deepEqual(findPlaceholders(inDraw(line)), [], line);
+    }
+  });
+
+  it('checks markup comments and styles but never text', () => {
+    const html = '<p>\n...\n</p><!-- ... --><style>/* ... other styles ... */ a {}</style>';
+    assert.deepEqual(findPlaceholders(html).map(found => found.text), ['<!-- ... -->', '/* ... other styles ... */']);
+  });
+
+  it('gives the offset of each placeholder', () => {
+    const html = inDraw('// ...');
+    const [found] = findPlaceholders(html);
+    assert.equal(html.slice(found.index, found.index + found.text.length), '// ...');
+    assert.match(found.message, /^Code left out, with a placeholder in its place/);
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * llm.js — Chat completion providers used for AI-assisted repairs
+ *
+ * Configuration comes from a JSON file named by LLM_CONFIG, overridden by environment
+ * variables (LLM_PROVIDER, LLM_API_URL, LLM_API_KEY, LLM_MODEL, LLM_TEMPERATURE,
+ * LLM_MAX_TOKENS), overridden in turn by options passed to createLlmClient.
+ */
+const fs = require('fs');
+const axios = require('axios');
+
+const DEFAULT_LLM_CONFIG = {
+  provider: 'openai',
+  apiUrl: 'https://quiddit.ai/api/deepseek/chat/completions',
+  apiKey: process.env.DEEPSEEK_API_KEY,
+  model: 'deepseek-chat',
+  // When set, override the per-request temperature and token limits chosen by each repair stage
+  temperature: null,
+  maxTokens: null,
+  timeout: 60000
+};
+
+// Temperature of requests that neither the stage nor the configuration sets one for
+const DEFAULT_TEMPERATURE = 0.1;
+
+/**
+ * Default endpoints for providers whose URL is rarely customised
+ */
+const DEFAULT_API_URLS = {
+  openai: DEFAULT_LLM_CONFIG.apiUrl,
+  ollama: 'http://localhost:11434/api/chat'
+};
+
+/**
+ * OpenAI-compatible /chat/completions endpoints (DeepSeek, OpenAI, vLLM, LM Studio, ...)
+ */
+class OpenAICompatibleProvider {
+  constructor(config) {
+    this.config = config;
+  }
+
+  async complete({ messages, maxTokens, temperature }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.apiKey) {
+      headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+    }
+
+    const response = await axios.post(this.config.apiUrl, {
+      model: this.config.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    }, { headers, timeout: this.config.timeout });
+
+    return response.data.choices[0].message.content;
+  }
+}
+
+/**
+ * Local Ollama-style servers exposing /api/chat
+ */
+class OllamaProvider {
+  constructor(config) {
+    this.config = config;
+  }
+
+  async complete({ messages, maxTokens, temperature }) {
+    const response = await axios.post(this.config.apiUrl, {
+      model: this.config.model,
+      messages,
+      stream: false,
+      options: { temperature, num_predict: maxTokens }
+    }, { timeout: this.config.timeout });
+
+    return response.data.message.content;
+  }
+}
+
+/**
+ * Deterministic provider for tests and demos. Returns the first configured response whose
+ * `match` string appears in the prompt, or `defaultResponse` when none do.
+ */
+class MockProvider {
+  constructor(config) {
+    this.responses = config.responses || [];
+    this.defaultResponse = config.defaultResponse || '';
+  }
+
+  async complete({ messages }) {
+    const prompt = messages.map(message => message.content).join('\n');
+    const rule = this.responses.find(response => prompt.includes(response.match));
+    return rule ? rule.response : this.defaultResponse;
+  }
+}
+
+const PROVIDERS = {
+  openai: OpenAICompatibleProvider,
+  ollama: OllamaProvider,
+  mock: MockProvider
+};
+
+/**
+ * Read a numeric setting from the environment. Unset and empty variables count as not set.
+ * @param {string} name - Environment variable name
+ * @param {Object} [options] - { integer }: whether only whole numbers are accepted
+ * @returns {number|undefined} - The value, or undefined when not set
+ * @throws {Error} - If the variable is set to something that is not such a number
+ */
+function numberFromEnv(name, { integer = false } = {}) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return undefined;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+    throw new Error(`${name} must be ${integer ? 'a whole number' : 'a number'}, got "${raw}"`);
+  }
+  return value;
+}
+
+/**
+ * Load the LLM configuration from the config file and environment
+ * @param {Object} [overrides] - Values that take precedence over file and environment
+ * @returns {Object} - Resolved configuration
+ */
+function loadLlmConfig(overrides = {}) {
+  let fileConfig = {};
+  const configPath = overrides.configPath || process.env.LLM_CONFIG;
+  if (configPath) {
+    fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  }
+
+  const envConfig = {
+    provider: process.env.LLM_PROVIDER,
+    apiUrl: process.env.LLM_API_URL,
+    apiKey: process.env.LLM_API_KEY,
+    model: process.env.LLM_MODEL,
+    temperature: numberFromEnv('LLM_TEMPERATURE'),
+    maxTokens: numberFromEnv('LLM_MAX_TOKENS', { integer: true })
+  };
+
+  const config = { ...DEFAULT_LLM_CONFIG };
+  for (const source of [fileConfig, envConfig, overrides]) {
+    for (const [key, value] of Object.entries(source)) {
+      if (value !== undefined && key !== 'configPath') config[key] = value;
+    }
+  }
+
+  // Switching provider without naming a URL should not keep pointing at the default vendor
+  const urlConfigured = [fileConfig, envConfig, overrides].some(source => source.apiUrl !== undefined);
+  if (!urlConfigured && DEFAULT_API_URLS[config.provider]) {
+    config.apiUrl = DEFAULT_API_URLS[config.provider];
+  }
+
+  return config;
+}
+
+/**
+ * Create an LLM client for the configured provider
+ * @param {Object} [overrides] - Configuration overrides (see loadLlmConfig)
+ * @returns {Object} - Client with complete({ system, prompt, maxTokens, temperature }) and its config
+ */
+function createLlmClient(overrides = {}) {
+  const config = loadLlmConfig(overrides);
+  const Provider = PROVIDERS[config.provider];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider: ${config.provider}`);
+  }
+  const provider = new Provider(config);
+
+  return {
+    config,
+    /**
+     * Request a chat completion
+     * @param {Object} request - Completion request
+     * @param {string} request.system - System prompt
+     * @param {string} request.prompt - User prompt
+     * @param {number} [request.maxTokens] - Stage-specific token limit, used unless config sets one
+     * @param {number} [request.temperature] - Stage-specific temperature, used unless config sets one
+     * @returns {Promise<string>} - The model's reply
+     */
+    complete({ system, prompt, maxTokens = 1024, temperature = DEFAULT_TEMPERATURE }) {
+      return provider.complete({
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ],
+        maxTokens: config.maxTokens || maxTokens,
+        temperature: config.temperature !== null && config.temperature !== undefined ? config.temperature : temperature
+      });
+    }
+  };
+}
+
+module.exports = { createLlmClient, loadLlmConfig, PROVIDERS, DEFAULT_LLM_CONFIG };
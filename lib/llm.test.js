@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLlmClient, loadLlmConfig, PROVIDERS } = require('./llm');
+
+const ENVIRONMENT = ['LLM_CONFIG', 'LLM_PROVIDER', 'LLM_API_URL', 'LLM_API_KEY', 'LLM_MODEL', 'LLM_TEMPERATURE', 'LLM_MAX_TOKENS'];
+
+// A client whose provider records the requests it is sent
+function recordingClient(overrides = {}) {
+  const requests = [];
+  PROVIDERS.recording = class {
+    async complete(request) {
+      requests.push(request);
+      return 'ok';
+    }
+  };
+  return { client: createLlmClient({ provider: 'recording', ...overrides }), requests };
+}
+
+describe('llm', () => {
+  let saved;
+  beforeEach(() => {
+    saved = Object.fromEntries(ENVIRONMENT.map(name => [name, process.env[name]]));
+    ENVIRONMENT.forEach(name => delete process.env[name]);
+  });
+  afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    delete PROVIDERS.recording;
+  });
+
+  describe('loadLlmConfig', () => {
+    it('lets options override the environment, and the environment the defaults', () => {
+      process.env.LLM_MODEL = 'env-model';
+      process.env.LLM_TEMPERATURE = '0.3';
+      const config = loadLlmConfig({ model: 'option-model' });
+      assert.equal(config.model, 'option-model');
+      assert.equal(config.temperature, 0.3);
+      assert.equal(config.provider, 'openai');
+    });
+
+    it('treats an empty numeric variable as unset and rejects one that is not a number', () => {
+      process.env.LLM_TEMPERATURE = '';
+      assert.equal(loadLlmConfig().temperature, null);
+
+      process.env.LLM_TEMPERATURE = 'warm';
+      assert.throws(() => loadLlmConfig(), /^Error: LLM_TEMPERATURE must be a number, got "warm"$/);
+      delete process.env.LLM_TEMPERATURE;
+      process.env.LLM_MAX_TOKENS = '1.5';
+      assert.throws(() => loadLlmConfig(), /^Error: LLM_MAX_TOKENS must be a whole number, got "1.5"$/);
+    });
+
+    it('points a provider switched without a URL at that provider\'s default endpoint', () => {
+      assert.equal(loadLlmConfig({ provider: 'ollama' }).apiUrl, 'http://localhost:11434/api/chat');
+      assert.equal(loadLlmConfig({ provider: 'ollama', apiUrl: 'http://gpu:11434/api/chat' }).apiUrl, 'http://gpu:11434/api/chat');
+    });
+  });
+
+  describe('createLlmClient', () => {
+    it('sends the system and user prompts as chat messages', async () => {
+      const { client, requests } = recordingClient();
+      assert.equal(await client.complete({ system: 'You fix sketches', prompt: 'Fix this' }), 'ok');
+      assert.deepEqual(requests[0].messages, [
+        { role: 'system', content: 'You fix sketches' },
+        { role: 'user', content: 'Fix this' }
+      ]);
+    });
+
+    it('uses the stage\'s temperature and token limit unless the configuration sets them', async () => {
+      const { client, requests } = recordingClient();
+      await client.complete({ system: '', prompt: '' });
+      await client.complete({ system: '', prompt: '', temperature: 0.5, maxTokens: 2048 });
+      assert.deepEqual(requests.map(({ temperature, maxTokens }) => ({ temperature, maxTokens })), [
+        { temperature: 0.1, maxTokens: 1024 },
+        { temperature: 0.5, maxTokens: 2048 }
+      ]);
+    });
+
+    it('lets a configured temperature of 0 override the stage\'s', async () => {
+      process.env.LLM_TEMPERATURE = '0';
+      const { client, requests } = recordingClient({ maxTokens: 256 });
+      await client.complete({ system: '', prompt: '', temperature: 0.5, maxTokens: 2048 });
+      assert.equal(requests[0].temperature, 0);
+      assert.equal(requests[0].maxTokens, 256);
+    });
+
+    it('answers from the mock provider\'s rules', async () => {
+      const client = createLlmClient({
+        provider: 'mock',
+        responses: [{ match: 'bracket', response: '[]' }],
+        defaultResponse: 'no idea'
+      });
+      assert.equal(await client.complete({ system: '', prompt: 'Fix 2 bracket issues' }), '[]');
+      assert.equal(await client.complete({ system: '', prompt: 'Something else' }), 'no idea');
+    });
+
+    it('rejects an unknown provider', () => {
+      assert.throws(() => createLlmClient({ provider: 'carrier-pigeon' }), /Unknown LLM provider: carrier-pigeon/);
+    });
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * p5-api.js — Catalog of the p5.js API by version
+ *
+ * In global mode p5 copies its functions, constants and state variables onto `window`
+ * once the library has loaded, so sketches use them without declaring them; in instance
+ * mode the same names are members of the sketch's `p` object. The event hooks are the
+ * other direction: p5 calls them if the sketch defines them.
+ *
+ * The lists below are the API of p5 1.0. Later additions and removals are recorded in
+ * P5_VERSION_CHANGES, so a sketch is checked against the version it actually loads.
+ */
+const { findClosestName } = require('./typos');
+
+// Version assumed when a page does not say which p5 it loads (the one the cdn-imports stage points at)
+const DEFAULT_P5_VERSION = '1.9.0';
+
+// Functions of p5 1.0, including the WebGL, DOM and IO modules bundled in p5.js
+const P5_FUNCTIONS = [
+  // Structure and environment
+  'remove', 'noLoop', 'loop', 'push', 'pop', 'redraw', 'frameRate', 'getFrameRate', 'setFrameRate',
+  'cursor', 'noCursor', 'fullscreen', 'pixelDensity', 'displayDensity', 'getURL', 'getURLPath',
+  'getURLParams', 'print',
+  // Rendering
+  'createCanvas', 'resizeCanvas', 'noCanvas', 'createGraphics', 'blendMode', 'setAttributes',
+  // Shapes
+  'arc', 'ellipse', 'circle', 'line', 'point', 'quad', 'rect', 'square', 'triangle', 'ellipseMode',
+  'rectMode', 'noSmooth', 'smooth', 'strokeCap', 'strokeJoin', 'strokeWeight', 'bezier',
+  'bezierDetail', 'bezierPoint', 'bezierTangent', 'curve', 'curveDetail', 'curveTightness',
+  'curvePoint', 'curveTangent', 'beginContour', 'beginShape', 'bezierVertex', 'curveVertex',
+  'endContour', 'endShape', 'quadraticVertex', 'vertex', 'loadModel', 'model',
+  'plane', 'box', 'sphere', 'cylinder', 'cone', 'ellipsoid', 'torus',
+  // Color
+  'alpha', 'blue', 'brightness', 'color', 'green', 'hue', 'lerpColor', 'lightness', 'red',
+  'saturation', 'background', 'clear', 'colorMode', 'fill', 'noFill', 'noStroke', 'stroke',
+  'erase', 'noErase',
+  // Transform
+  'applyMatrix', 'resetMatrix', 'rotate', 'rotateX', 'rotateY', 'rotateZ', 'scale', 'shearX',
+  'shearY', 'translate',
+  // Data
+  'storeItem', 'getItem', 'clearStorage', 'removeItem', 'createStringDict', 'createNumberDict',
+  'append', 'arrayCopy', 'concat', 'reverse', 'shorten', 'shuffle', 'sort', 'splice', 'subset',
+  'float', 'int', 'str', 'boolean', 'byte', 'char', 'unchar', 'hex', 'unhex', 'join', 'match',
+  'matchAll', 'nf', 'nfc', 'nfp', 'nfs', 'split', 'splitTokens', 'trim',
+  // Events
+  'setMoveThreshold', 'setShakeThreshold', 'keyIsDown', 'requestPointerLock', 'exitPointerLock',
+  // Image
+  'createImage', 'saveCanvas', 'saveFrames', 'loadImage', 'image', 'tint', 'noTint',
+  'imageMode', 'blend', 'copy', 'filter', 'get', 'loadPixels', 'set', 'updatePixels',
+  // IO
+  'loadJSON', 'loadStrings', 'loadTable', 'loadXML', 'loadBytes', 'httpGet', 'httpPost', 'httpDo',
+  'createWriter', 'save', 'saveJSON', 'saveStrings', 'saveTable', 'day', 'hour', 'minute',
+  'millis', 'month', 'second', 'year',
+  // Math
+  'abs', 'ceil', 'constrain', 'dist', 'exp', 'floor', 'lerp', 'log', 'mag', 'map', 'max', 'min',
+  'norm', 'pow', 'round', 'sq', 'sqrt', 'fract', 'createVector', 'noise', 'noiseDetail',
+  'noiseSeed', 'randomSeed', 'random', 'randomGaussian', 'acos', 'asin', 'atan', 'atan2', 'cos',
+  'sin', 'tan', 'degrees', 'radians', 'angleMode',
+  // Typography
+  'textAlign', 'textLeading', 'textSize', 'textStyle', 'textWidth', 'textAscent', 'textDescent',
+  'loadFont', 'text', 'textFont',
+  // WebGL
+  'orbitControl', 'debugMode', 'noDebugMode', 'ambientLight', 'specularColor', 'directionalLight',
+  'pointLight', 'lights', 'lightFalloff', 'spotLight', 'noLights', 'loadShader', 'createShader',
+  'shader', 'resetShader', 'texture', 'textureMode', 'textureWrap', 'normalMaterial',
+  'ambientMaterial', 'emissiveMaterial', 'specularMaterial', 'shininess', 'camera', 'perspective',
+  'ortho', 'frustum', 'createCamera', 'setCamera',
+  // DOM
+  'select', 'selectAll', 'removeElements', 'changed', 'input', 'createDiv', 'createP',
+  'createSpan', 'createImg', 'createA', 'createSlider', 'createButton', 'createCheckbox',
+  'createSelect', 'createRadio', 'createColorPicker', 'createInput', 'createFileInput',
+  'createVideo', 'createAudio', 'createCapture', 'createElement'
+];
+
+// Constants, as used in calls like angleMode(DEGREES) or beginShape(TRIANGLES)
+const P5_CONSTANTS = [
+  'P2D', 'WEBGL', 'ARROW', 'CROSS', 'HAND', 'MOVE', 'TEXT', 'WAIT', 'HALF_PI', 'PI',
+  'QUARTER_PI', 'TAU', 'TWO_PI', 'DEG_TO_RAD', 'RAD_TO_DEG', 'DEGREES', 'RADIANS', 'CORNER',
+  'CORNERS', 'RADIUS', 'RIGHT', 'LEFT', 'CENTER', 'TOP', 'BOTTOM', 'BASELINE', 'POINTS', 'LINES',
+  'LINE_STRIP', 'LINE_LOOP', 'TRIANGLES', 'TRIANGLE_FAN', 'TRIANGLE_STRIP', 'QUADS', 'QUAD_STRIP',
+  'TESS', 'CLOSE', 'OPEN', 'CHORD', 'PIE', 'PROJECT', 'SQUARE', 'ROUND', 'BEVEL', 'MITER', 'RGB',
+  'HSB', 'HSL', 'AUTO', 'ALT', 'BACKSPACE', 'CONTROL', 'DELETE', 'DOWN_ARROW', 'ENTER', 'ESCAPE',
+  'LEFT_ARROW', 'OPTION', 'RETURN', 'RIGHT_ARROW', 'SHIFT', 'TAB', 'UP_ARROW', 'BLEND', 'REMOVE',
+  'ADD', 'DARKEST', 'LIGHTEST', 'DIFFERENCE', 'SUBTRACT', 'EXCLUSION', 'MULTIPLY', 'SCREEN',
+  'REPLACE', 'OVERLAY', 'HARD_LIGHT', 'SOFT_LIGHT', 'DODGE', 'BURN', 'THRESHOLD', 'GRAY',
+  'OPAQUE', 'INVERT', 'POSTERIZE', 'DILATE', 'ERODE', 'BLUR', 'NORMAL', 'ITALIC', 'BOLD',
+  'BOLDITALIC', 'LINEAR', 'QUADRATIC', 'BEZIER', 'CURVE', 'STROKE', 'FILL', 'TEXTURE', 'IMMEDIATE',
+  'IMAGE', 'NEAREST', 'REPEAT', 'CLAMP', 'MIRROR', 'LANDSCAPE', 'PORTRAIT', 'GRID', 'AXES', 'RGBA',
+  'VIDEO', 'AUDIO'
+];
+
+// State variables p5 keeps up to date, e.g. mouseX or frameCount
+const P5_VARIABLES = [
+  'frameCount', 'deltaTime', 'focused', 'displayWidth', 'displayHeight', 'windowWidth',
+  'windowHeight', 'width', 'height', 'drawingContext', 'disableFriendlyErrors',
+  'deviceOrientation', 'accelerationX', 'accelerationY', 'accelerationZ', 'pAccelerationX',
+  'pAccelerationY', 'pAccelerationZ', 'rotationX', 'rotationY', 'rotationZ', 'pRotationX',
+  'pRotationY', 'pRotationZ', 'turnAxis', 'keyIsPressed', 'key', 'keyCode', 'movedX', 'movedY',
+  'mouseX', 'mouseY', 'pmouseX', 'pmouseY', 'winMouseX', 'winMouseY', 'pwinMouseX', 'pwinMouseY',
+  'mouseButton', 'mouseIsPressed', 'touches', 'pixels', 'p5'
+];
+
+// Functions p5 calls when the sketch defines them
+const P5_EVENT_HOOKS = [
+  'preload', 'setup', 'draw', 'windowResized', 'deviceMoved', 'deviceTurned', 'deviceShaken',
+  'keyPressed', 'keyReleased', 'keyTyped', 'mouseMoved', 'mouseDragged', 'mousePressed',
+  'mouseReleased', 'mouseClicked', 'doubleClicked', 'mouseWheel', 'touchStarted', 'touchMoved',
+  'touchEnded'
+];
+
+// Changes to the API since 1.0, oldest first
+const P5_VERSION_CHANGES = [
+  { version: '1.1.0', added: { functions: ['isLooping'] } },
+  {
+    version: '1.2.0',
+    added: { functions: ['describe', 'describeElement', 'textOutput', 'gridOutput'], constants: ['LABEL', 'FALLBACK'] }
+  },
+  { version: '1.4.0', added: { functions: ['normal', 'textWrap'], constants: ['CHAR', 'WORD'] } },
+  { version: '1.5.0', added: { functions: ['saveGif'], constants: ['CONTAIN', 'COVER'] } },
+  { version: '1.6.0', added: { functions: ['getTargetFrameRate'] } },
+  {
+    version: '1.7.0',
+    added: {
+      functions: ['createFramebuffer'],
+      constants: ['WEBGL2', 'UNSIGNED_BYTE', 'UNSIGNED_INT', 'FLOAT', 'HALF_FLOAT'],
+      variables: ['webglVersion']
+    }
+  },
+  {
+    version: '1.8.0',
+    added: {
+      functions: ['beginClip', 'endClip', 'clip', 'buildGeometry', 'beginGeometry', 'endGeometry',
+        'freeGeometry', 'createFilterShader']
+    }
+  },
+  { version: '1.9.0', added: { functions: ['imageLight'], constants: ['FLAT', 'SMOOTH'] } },
+  { version: '1.10.0', added: { functions: ['linePerspective', 'clearDepth', 'panorama', 'metalness'] } },
+  { version: '1.11.0', added: { functions: ['createModel'] } },
+  {
+    version: '2.0.0',
+    added: { functions: ['splineVertex', 'splineProperty', 'splineProperties', 'splinePoint', 'splineTangent', 'bezierOrder'] },
+    removed: {
+      functions: ['curveVertex', 'curveTightness', 'curvePoint', 'curveTangent', 'quadraticVertex',
+        'createStringDict', 'createNumberDict', 'append', 'arrayCopy', 'concat', 'reverse', 'shorten', 'sort',
+        'splice', 'subset'],
+      hooks: ['preload']
+    }
+  }
+];
+
+// Names p5.sound adds to global mode
+const P5_SOUND_FUNCTIONS = [
+  'getAudioContext', 'userStartAudio', 'getOutputVolume', 'outputVolume', 'soundOut',
+  'sampleRate', 'freqToMidi', 'midiToFreq', 'soundFormats', 'saveSound', 'loadSound',
+  'createConvolver', 'setBPM'
+];
+
+// Everything a global-mode sketch can use without declaring it, in any version
+const P5_GLOBALS = [...new Set([
+  ...P5_FUNCTIONS,
+  ...P5_CONSTANTS,
+  ...P5_VARIABLES,
+  ...P5_VERSION_CHANGES.flatMap(({ added = {} }) => [...(added.functions || []), ...(added.constants || []), ...(added.variables || [])])
+])];
+
+/**
+ * Compare two version strings numerically, part by part
+ * @returns {number} - Negative, zero or positive, like a sort comparator
+ */
+function compareVersions(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+/**
+ * Read the p5 version from a CDN URL, e.g. ".../npm/p5@1.9.0/lib/p5.min.js" or ".../libs/p5.js/1.9.0/p5.min.js"
+ * @param {string} src - Script URL
+ * @returns {string|null} - Version, or null if the URL does not name one
+ */
+function parseP5Version(src) {
+  const match = src.match(/\/p5(?:\.js)?(?:@|\/)(\d+\.\d+\.\d+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * The API of one p5 version
+ * @param {string} [version=DEFAULT_P5_VERSION] - p5 version
+ * @returns {Object} - { version, names }: names maps every name to its kind,
+ *   'function', 'constant', 'variable' or 'hook'
+ */
+function getP5Catalog(version = DEFAULT_P5_VERSION) {
+  const lists = {
+    functions: new Set(P5_FUNCTIONS),
+    constants: new Set(P5_CONSTANTS),
+    variables: new Set(P5_VARIABLES),
+    hooks: new Set(P5_EVENT_HOOKS)
+  };
+
+  for (const change of P5_VERSION_CHANGES) {
+    if (compareVersions(change.version, version) > 0) break;
+    for (const [list, names] of Object.entries(change.added || {})) {
+      names.forEach(name => lists[list].add(name));
+    }
+    for (const [list, names] of Object.entries(change.removed || {})) {
+      names.forEach(name => lists[list].delete(name));
+    }
+  }
+
+  const names = new Map();
+  const kinds = { functions: 'function', constants: 'constant', variables: 'variable', hooks: 'hook' };
+  for (const [list, kind] of Object.entries(kinds)) {
+    lists[list].forEach(name => names.set(name, kind));
+  }
+  return { version, names };
+}
+
+/**
+ * Suggest the p5 name a misspelled one was meant to be, if there is a confident match
+ * (see findClosestName in lib/typos.js)
+ * @param {string} name - Name that p5 does not define
+ * @param {Object} catalog - Catalog from getP5Catalog
+ * @param {Array<string>} [kinds] - Kinds of name that fit where it is used, e.g. ['function'] for a call
+ * @returns {Object|null} - { name, kind, distance }, or null when no single name is close enough
+ */
+function suggestP5Name(name, catalog, kinds = ['function', 'constant', 'variable', 'hook']) {
+  if (catalog.names.has(name)) return null;
+  const candidates = [...catalog.names].filter(([, kind]) => kinds.includes(kind)).map(([candidate]) => candidate);
+  const match = findClosestName(name, candidates);
+  return match ? { ...match, kind: catalog.names.get(match.name) } : null;
+}
+
+module.exports = {
+  DEFAULT_P5_VERSION,
+  P5_FUNCTIONS,
+  P5_CONSTANTS,
+  P5_VARIABLES,
+  P5_EVENT_HOOKS,
+  P5_SOUND_FUNCTIONS,
+  P5_VERSION_CHANGES,
+  P5_GLOBALS,
+  parseP5Version,
+  getP5Catalog,
+  suggestP5Name
+};
@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getP5Catalog, parseP5Version, suggestP5Name, DEFAULT_P5_VERSION } = require('./p5-api');
+
+describe('parseP5Version', () => {
+  it('reads the version from jsDelivr and cdnjs URLs', () => {
+    assert.equal(parseP5Version('https://cdn.jsdelivr.net/npm/p5@1.4.2/lib/p5.min.js'), '1.4.2');
+    assert.equal(parseP5Version('https://cdnjs.cloudflare.com/ajax/libs/p5.js/1.9.0/p5.min.js'), '1.9.0');
+    assert.equal(parseP5Version('p5.min.js'), null);
+  });
+});
+
+describe('getP5Catalog', () => {
+  it('includes the names a version added and not the ones it removed', () => {
+    assert.equal(getP5Catalog('1.4.0').names.has('saveGif'), false);
+    assert.equal(getP5Catalog('1.5.0').names.get('saveGif'), 'function');
+    assert.equal(getP5Catalog('1.9.0').names.get('preload'), 'hook');
+    assert.equal(getP5Catalog('2.0.0').names.has('preload'), false);
+    assert.equal(getP5Catalog('2.0.0').names.has('curveVertex'), false);
+    assert.equal(getP5Catalog().version, DEFAULT_P5_VERSION);
+  });
+
+  it('dates the accessibility, text wrapping and frame rate functions to the release that added them', () => {
+    assert.equal(getP5Catalog('1.1.9').names.has('describe'), false);
+    assert.equal(getP5Catalog('1.2.0').names.get('describe'), 'function');
+    assert.equal(getP5Catalog('1.3.1').names.has('textWrap'), false);
+    assert.equal(getP5Catalog('1.4.0').names.get('WORD'), 'constant');
+    assert.equal(getP5Catalog('1.5.0').names.has('getTargetFrameRate'), false);
+    assert.equal(getP5Catalog('1.6.0').names.get('getTargetFrameRate'), 'function');
+    assert.equal(getP5Catalog('2.0.0').names.get('curveDetail'), 'function');
+  });
+});
+
+describe('suggestP5Name', () => {
+  it('suggests the p5 name a misspelling was meant as, of a kind that fits', () => {
+    const catalog = getP5Catalog('1.9.0');
+    assert.deepEqual(suggestP5Name('elipse', catalog), { name: 'ellipse', distance: 1, kind: 'function' });
+    assert.equal(suggestP5Name('ellipse', catalog), null);
+    assert.equal(suggestP5Name('mousex', catalog, ['function']), null);
+    assert.equal(suggestP5Name('mousex', catalog, ['variable']).name, 'mouseX');
+  });
+});
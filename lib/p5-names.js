@@ -0,0 +1,183 @@
+/**
+ * p5-names.js — Misspelled p5.js names in sketch code
+ *
+ * `elipse()` fails at runtime with a ReferenceError and `p.backgroud()` with a TypeError,
+ * while a hook declared as `mousePresed` is silently never called. All three are found
+ * statically and without running the sketch:
+ * - global mode: free names (see lib/scope-analysis.js) that p5 does not define
+ * - instance mode: members of the sketch object, i.e. the first parameter of the function
+ *   passed to `new p5()`, that p5 does not define and the sketch never assigns
+ * - hooks: top-level functions that nothing calls, and sketch object members that are
+ *   assigned but never read
+ * A name is only corrected when the catalog suggests a single p5 name with confidence
+ * (see suggestP5Name in lib/p5-api.js). A free name is only a possible misspelling when the
+ * page also loads scripts whose globals are unknown, since any of them may define it.
+ */
+const { analyzeScripts } = require('./scope-analysis');
+const { applyEdits, replaceText } = require('./edits');
+const { suggestP5Name } = require('./p5-api');
+
+/**
+ * Visit every node of an AST
+ */
+function walk(node, visit) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node);
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'loc') continue;
+    if (Array.isArray(value)) {
+      value.forEach(child => walk(child, visit));
+    } else if (value && typeof value === 'object') {
+      walk(value, visit);
+    }
+  }
+}
+
+function isFunctionNode(node) {
+  return Boolean(node) && /^(FunctionExpression|ArrowFunctionExpression|FunctionDeclaration)$/.test(node.type);
+}
+
+/**
+ * Functions passed to `new p5(...)`, directly or through a variable or function declaration
+ * @param {Object} analysis - Result of analyzeScripts
+ * @returns {Set<Object>} - Sketch function nodes
+ */
+function findSketchFunctions({ programs, references }) {
+  const sketches = new Set();
+
+  programs.forEach((program, scriptIndex) => {
+    walk(program, node => {
+      if (node.type !== 'NewExpression' || node.callee.type !== 'Identifier' || node.callee.name !== 'p5') return;
+      const argument = node.arguments[0];
+      if (isFunctionNode(argument)) {
+        sketches.add(argument);
+      } else if (argument && argument.type === 'Identifier') {
+        const reference = references.find(candidate => candidate.scriptIndex === scriptIndex && candidate.start === argument.start);
+        const binding = reference && reference.binding;
+        if (!binding) return;
+        if (binding.kind === 'function') {
+          sketches.add(binding.node);
+        } else if (binding.node.type === 'VariableDeclarator' && isFunctionNode(binding.node.init)) {
+          sketches.add(binding.node.init);
+        }
+      }
+    });
+  });
+
+  return sketches;
+}
+
+/**
+ * Find misspelled p5 names in a page's scripts
+ * @param {Array<Object>} scripts - Scripts in document order, as { source, sourceType }
+ * @param {Object} config - What the page provides
+ * @param {Object} config.catalog - Catalog of the p5 version the page loads, from getP5Catalog
+ * @param {Function} [config.isKnownGlobal] - Whether a name is provided by the browser or another library
+ * @param {Array<string>} [config.unknownSources] - URLs of external scripts whose globals are unknown
+ * @returns {Array<Object>} - Edits { scriptIndex, start, end, line, column, original, replacement,
+ *   mode, object, possible, description }, in order of appearance. `mode` is 'global', 'instance'
+ *   or 'hook'; `object` is the sketch object's name for instance-mode members; `possible` marks
+ *   global-mode names one of the unknown sources may define, which are to be reported, not applied.
+ */
+function findP5Misspellings(scripts, { catalog, isKnownGlobal = () => false, unknownSources = [] }) {
+  const analysis = analyzeScripts(scripts);
+  const { programs, references } = analysis;
+  const sketches = findSketchFunctions(analysis);
+  const edits = [];
+  const addEdit = (reference, range, suggestion, mode, description) => edits.push({
+    scriptIndex: reference.scriptIndex,
+    start: range.start,
+    end: range.end,
+    line: reference.line,
+    column: reference.column,
+    original: range.name,
+    replacement: suggestion.name,
+    mode,
+    object: mode === 'instance' ? reference.name : null,
+    possible: mode === 'global' && unknownSources.length > 0,
+    description
+  });
+
+  if (sketches.size > 0) {
+    // Instance mode: p5 defines nothing globally, so only the sketch object is checked
+    const members = references.filter(reference => reference.member && reference.binding &&
+      reference.binding.kind === 'param' && reference.binding.index === 0 && sketches.has(reference.binding.node));
+    const assignedMembers = new Set(members.filter(reference => reference.member.assigned).map(reference => reference.member.name));
+    const readMembers = new Set(members.filter(reference => !reference.member.assigned).map(reference => reference.member.name));
+
+    for (const reference of members) {
+      const { member } = reference;
+      if (catalog.names.has(member.name)) continue;
+
+      if (member.assigned) {
+        // A hook p5 would call if it were spelled right; assigned members that are read are the sketch's own state
+        if (readMembers.has(member.name)) continue;
+        const suggestion = suggestP5Name(member.name, catalog, ['hook']);
+        if (suggestion && !assignedMembers.has(suggestion.name)) {
+          addEdit(reference, member, suggestion, 'instance',
+            `Renamed ${reference.name}.${member.name} to ${reference.name}.${suggestion.name}`);
+        }
+      } else if (!assignedMembers.has(member.name)) {
+        const suggestion = suggestP5Name(member.name, catalog,
+          member.called ? ['function'] : ['constant', 'variable', 'function']);
+        if (suggestion) {
+          addEdit(reference, member, suggestion, 'instance',
+            `Renamed ${reference.name}.${member.name} to ${reference.name}.${suggestion.name}`);
+        }
+      }
+    }
+
+    return edits;
+  }
+
+  // Global mode: names nothing declares that are not p5's either
+  const free = references.filter(reference => !reference.binding && !reference.implicitGlobal);
+  const guardedNames = new Set(free.filter(reference => reference.guarded).map(reference => reference.name));
+  for (const reference of free) {
+    if (guardedNames.has(reference.name) || catalog.names.has(reference.name) || isKnownGlobal(reference.name)) continue;
+    const suggestion = suggestP5Name(reference.name, catalog,
+      reference.called ? ['function'] : ['constant', 'variable']);
+    if (suggestion) {
+      addEdit(reference, reference, suggestion, 'global', `Renamed ${reference.name} to ${suggestion.name}`);
+    }
+  }
+
+  // Hooks: top-level functions of classic scripts that nothing refers to
+  const referencedNodes = new Set(references.filter(reference => reference.binding).map(reference => reference.binding.node));
+  const declaredNames = new Set();
+  const uncalled = [];
+  programs.forEach((program, scriptIndex) => {
+    if (!program || program.sourceType === 'module') return;
+    for (const statement of program.body) {
+      if (statement.type === 'FunctionDeclaration' && statement.id) {
+        declaredNames.add(statement.id.name);
+        if (!referencedNodes.has(statement)) uncalled.push({ scriptIndex, declaration: statement });
+      } else if (statement.type === 'VariableDeclaration') {
+        statement.declarations.forEach(declaration => declaration.id.type === 'Identifier' && declaredNames.add(declaration.id.name));
+      }
+    }
+  });
+  for (const { scriptIndex, declaration } of uncalled) {
+    const { id } = declaration;
+    if (catalog.names.has(id.name)) continue;
+    const suggestion = suggestP5Name(id.name, catalog, ['hook']);
+    if (suggestion && !declaredNames.has(suggestion.name)) {
+      const reference = { scriptIndex, line: id.loc.start.line, column: id.loc.start.column + 1, name: id.name };
+      addEdit(reference, id, suggestion, 'hook', `Renamed function ${id.name} to the p5 hook ${suggestion.name}`);
+    }
+  }
+
+  return edits.sort((a, b) => a.scriptIndex - b.scriptIndex || a.start - b.start);
+}
+
+/**
+ * Apply name edits to one script
+ * @param {string} source - Script content
+ * @param {Array<Object>} edits - Edits for this script, from findP5Misspellings
+ * @returns {string} - Corrected script
+ */
+function applyNameEdits(source, edits) {
+  return applyEdits(source, edits.map(edit => replaceText(edit.start, edit.end, edit.replacement, { description: edit.description })));
+}
+
+module.exports = { findP5Misspellings, applyNameEdits };
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { findP5Misspellings, applyNameEdits } = require('./p5-names');
+const { getP5Catalog } = require('./p5-api');
+
+const catalog = getP5Catalog('1.9.0');
+
+const GLOBAL_SKETCH = `function setup() {
+  createCanvas(400, 400);
+}
+function draw() {
+  elipse(mousex, 10, 10);
+}
+function mousePresed() {}
+`;
+
+describe('findP5Misspellings', () => {
+  it('finds misspelled free names and hooks in a global-mode sketch', () => {
+    const edits = findP5Misspellings([{ source: GLOBAL_SKETCH, sourceType: 'script' }], { catalog });
+    assert.deepEqual(edits.map(({ original, replacement, mode }) => [original, replacement, mode]), [
+      ['elipse', 'ellipse', 'global'],
+      ['mousex', 'mouseX', 'global'],
+      ['mousePresed', 'mousePressed', 'hook']
+    ]);
+    assert.deepEqual(edits.map(edit => edit.line), [5, 5, 7]);
+  });
+
+  it('finds misspelled members of the sketch object in instance mode', () => {
+    const source = 'new p5(function (p) {\n  p.setup = function () { p.createCanvas(100, 100); };\n  p.draw = function () { p.backgroud(0); };\n});\n';
+    const [edit] = findP5Misspellings([{ source, sourceType: 'script' }], { catalog });
+    assert.equal(edit.description, 'Renamed p.backgroud to p.background');
+    assert.equal(edit.mode, 'instance');
+    assert.equal(edit.object, 'p');
+  });
+
+  it('leaves names the browser or another library provides', () => {
+    const source = 'function draw() {\n  elipse(1, 2, 3);\n}\n';
+    const edits = findP5Misspellings([{ source, sourceType: 'script' }], { catalog, isKnownGlobal: name => name === 'elipse' });
+    assert.deepEqual(edits, []);
+  });
+
+  it('only marks free names as possible misspellings when a script with unknown globals may define them', () => {
+    const edits = findP5Misspellings([{ source: GLOBAL_SKETCH, sourceType: 'script' }], { catalog, unknownSources: ['helpers.js'] });
+    assert.deepEqual(edits.map(edit => [edit.original, edit.possible]), [['elipse', true], ['mousex', true], ['mousePresed', false]]);
+  });
+});
+
+describe('applyNameEdits', () => {
+  it('renames every misspelling in the script', () => {
+    const edits = findP5Misspellings([{ source: GLOBAL_SKETCH, sourceType: 'script' }], { catalog });
+    assert.equal(applyNameEdits(GLOBAL_SKETCH, edits),
+      GLOBAL_SKETCH.replace('elipse(mousex', 'ellipse(mouseX').replace('mousePresed', 'mousePressed'));
+  });
+});
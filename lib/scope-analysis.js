@@ -0,0 +1,436 @@
+/**
+ * scope-analysis.js — Identifiers a page's scripts use without declaring them
+ *
+ * All script blocks are analysed together, the way the browser runs them: classic scripts
+ * share one global scope, so a function declared in one block is visible in the others,
+ * and so is a name assigned without a declaration in sloppy code (`score = 0`) or set on
+ * `window`. Each module gets a scope of its own on top of the global one. References are
+ * resolved through the nested function and block scopes; whatever resolves nowhere is
+ * free. Unlike the browser, this sees code that never ran, such as a mousePressed handler.
+ *
+ * Resolved references carry their binding, i.e. where the name was declared, so callers can
+ * also ask what a name refers to, e.g. whether `p` is the parameter of a p5 sketch function.
+ */
+const acorn = require('acorn');
+const acornLoose = require('acorn-loose');
+
+// Name acorn-loose gives the identifiers it invents while recovering from syntax errors
+const DUMMY_NAME = '✖';
+
+// Objects whose properties are global variables, as in `window.score = 0`
+const GLOBAL_OBJECTS = new Set(['window', 'self', 'globalThis']);
+
+// Node keys that never hold child nodes
+const SKIPPED_KEYS = new Set(['type', 'start', 'end', 'loc', 'range']);
+
+class Scope {
+  /**
+   * @param {Scope|null} parent - Enclosing scope
+   * @param {boolean} isFunction - Whether `var` declarations stop here (functions, modules, the global scope)
+   */
+  constructor(parent, isFunction) {
+    this.parent = parent;
+    this.isFunction = isFunction;
+    // Bindings by name
+    this.names = new Map();
+  }
+
+  /**
+   * @param {string} name - Declared name
+   * @param {Object} binding - { kind, node, index }: the kind of declaration ('var', 'let',
+   *   'const', 'function', 'class', 'param', 'catch', 'import' or 'arguments'), the declaring
+   *   node (a VariableDeclarator, or the function a parameter belongs to) and a parameter's position
+   */
+  declare(name, binding) {
+    this.names.set(name, { name, ...binding });
+  }
+
+  functionScope() {
+    let scope = this;
+    while (!scope.isFunction) scope = scope.parent;
+    return scope;
+  }
+
+  lookup(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.names.has(name)) return scope.names.get(name);
+    }
+    return null;
+  }
+}
+
+/**
+ * Parse a script, recovering from syntax errors so the rest of it can still be analysed
+ */
+function parse(source, sourceType) {
+  const options = { ecmaVersion: 'latest', sourceType, allowHashBang: true, locations: true };
+  try {
+    return acorn.parse(source, options);
+  } catch (error) {
+    try {
+      return acornLoose.parse(source, options);
+    } catch (looseError) {
+      return null;
+    }
+  }
+}
+
+function hasUseStrict(body) {
+  return body.length > 0 && body[0].directive === 'use strict';
+}
+
+/**
+ * Walk one script, declaring names in their scopes and recording every reference
+ * @param {Object} ast - Program node
+ * @param {Scope} programScope - Scope of the script's top level
+ * @param {Object} context - { scriptIndex, strict, references, windowGlobals }
+ */
+function collect(ast, programScope, context) {
+  function addReference(node, scope, { guarded = false, assigned = false, called = false, member = null } = {}) {
+    if (node.name === DUMMY_NAME) return;
+    context.references.push({
+      name: node.name,
+      scriptIndex: context.scriptIndex,
+      start: node.start,
+      end: node.end,
+      line: node.loc.start.line,
+      column: node.loc.start.column + 1,
+      scope,
+      guarded,
+      assigned,
+      called,
+      member,
+      strict: context.strict
+    });
+  }
+
+  // Visit `object.property`, recording the property on the object's reference when the object is a plain name
+  function visitMember(node, scope, { called = false, assigned = false } = {}) {
+    if (node.object.type === 'Identifier' && !node.computed && node.property.type === 'Identifier') {
+      addReference(node.object, scope, {
+        member: { name: node.property.name, start: node.property.start, end: node.property.end, called, assigned }
+      });
+      return;
+    }
+    visit(node.object, scope);
+    if (node.computed) visit(node.property, scope);
+  }
+
+  function visitChildren(node, scope) {
+    for (const [key, value] of Object.entries(node)) {
+      if (SKIPPED_KEYS.has(key)) continue;
+      if (Array.isArray(value)) {
+        value.forEach(child => child && typeof child.type === 'string' && visit(child, scope));
+      } else if (value && typeof value.type === 'string') {
+        visit(value, scope);
+      }
+    }
+  }
+
+  function visitStatements(statements, scope) {
+    statements.forEach(statement => visit(statement, scope));
+  }
+
+  // Declare the names bound by a pattern; default values and computed keys are ordinary expressions
+  function declarePattern(pattern, target, scope, binding) {
+    switch (pattern.type) {
+      case 'Identifier':
+        target.declare(pattern.name, binding);
+        break;
+      case 'ObjectPattern':
+        pattern.properties.forEach(property => {
+          if (property.type === 'RestElement') {
+            declarePattern(property.argument, target, scope, binding);
+            return;
+          }
+          if (property.computed) visit(property.key, scope);
+          declarePattern(property.value, target, scope, binding);
+        });
+        break;
+      case 'ArrayPattern':
+        pattern.elements.forEach(element => element && declarePattern(element, target, scope, binding));
+        break;
+      case 'RestElement':
+        declarePattern(pattern.argument, target, scope, binding);
+        break;
+      case 'AssignmentPattern':
+        declarePattern(pattern.left, target, scope, binding);
+        visit(pattern.right, scope);
+        break;
+      default:
+        // Only reachable in code acorn-loose recovered
+        visit(pattern, scope);
+    }
+  }
+
+  // Visit the target of an assignment; `plain` is false for compound operators like `+=`
+  function visitAssignmentTarget(target, scope, plain) {
+    switch (target.type) {
+      case 'Identifier':
+        addReference(target, scope, { assigned: plain });
+        break;
+      case 'ObjectPattern':
+        target.properties.forEach(property => {
+          if (property.type === 'RestElement') {
+            visitAssignmentTarget(property.argument, scope, plain);
+            return;
+          }
+          if (property.computed) visit(property.key, scope);
+          visitAssignmentTarget(property.value, scope, plain);
+        });
+        break;
+      case 'ArrayPattern':
+        target.elements.forEach(element => element && visitAssignmentTarget(element, scope, plain));
+        break;
+      case 'RestElement':
+        visitAssignmentTarget(target.argument, scope, plain);
+        break;
+      case 'AssignmentPattern':
+        visitAssignmentTarget(target.left, scope, plain);
+        visit(target.right, scope);
+        break;
+      case 'MemberExpression':
+        if (plain && !target.computed && target.object.type === 'Identifier' &&
+            GLOBAL_OBJECTS.has(target.object.name) && target.property.type === 'Identifier') {
+          context.windowGlobals.add(target.property.name);
+        }
+        visitMember(target, scope, { assigned: plain });
+        break;
+      default:
+        visit(target, scope);
+    }
+  }
+
+  function visitFunction(node, scope) {
+    const functionScope = new Scope(scope, true);
+    if (node.type === 'FunctionExpression' && node.id) {
+      functionScope.declare(node.id.name, { kind: 'function', node });
+    }
+    if (node.type !== 'ArrowFunctionExpression') {
+      functionScope.declare('arguments', { kind: 'arguments', node });
+    }
+    node.params.forEach((param, index) => declarePattern(param, functionScope, functionScope, { kind: 'param', node, index }));
+    if (node.body.type === 'BlockStatement') {
+      visitStatements(node.body.body, functionScope);
+    } else {
+      visit(node.body, functionScope);
+    }
+  }
+
+  function visitClass(node, scope) {
+    if (node.superClass) visit(node.superClass, scope);
+    node.body.body.forEach(member => {
+      if (member.type === 'StaticBlock') {
+        visitStatements(member.body, new Scope(scope, true));
+        return;
+      }
+      if (member.computed) visit(member.key, scope);
+      if (member.value) visit(member.value, scope);
+    });
+  }
+
+  function visit(node, scope) {
+    switch (node.type) {
+      case 'Identifier':
+        addReference(node, scope);
+        break;
+      case 'VariableDeclaration': {
+        const target = node.kind === 'var' ? scope.functionScope() : scope;
+        node.declarations.forEach(declaration => {
+          declarePattern(declaration.id, target, scope, { kind: node.kind, node: declaration });
+          if (declaration.init) visit(declaration.init, scope);
+        });
+        break;
+      }
+      case 'FunctionDeclaration':
+        if (node.id) {
+          // Sloppy-mode functions declared in blocks are also visible in the enclosing function
+          scope.declare(node.id.name, { kind: 'function', node });
+          scope.functionScope().declare(node.id.name, { kind: 'function', node });
+        }
+        visitFunction(node, scope);
+        break;
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        visitFunction(node, scope);
+        break;
+      case 'ClassDeclaration':
+        if (node.id) scope.declare(node.id.name, { kind: 'class', node });
+        visitClass(node, scope);
+        break;
+      case 'ClassExpression': {
+        const classScope = new Scope(scope, false);
+        if (node.id) classScope.declare(node.id.name, { kind: 'class', node });
+        visitClass(node, classScope);
+        break;
+      }
+      case 'BlockStatement':
+        visitStatements(node.body, new Scope(scope, false));
+        break;
+      case 'ForStatement':
+        visitChildren(node, new Scope(scope, false));
+        break;
+      case 'ForInStatement':
+      case 'ForOfStatement': {
+        const loopScope = new Scope(scope, false);
+        if (node.left.type === 'VariableDeclaration') {
+          visit(node.left, loopScope);
+        } else {
+          visitAssignmentTarget(node.left, loopScope, true);
+        }
+        visit(node.right, loopScope);
+        visit(node.body, loopScope);
+        break;
+      }
+      case 'SwitchStatement': {
+        visit(node.discriminant, scope);
+        const casesScope = new Scope(scope, false);
+        node.cases.forEach(switchCase => visitChildren(switchCase, casesScope));
+        break;
+      }
+      case 'CatchClause': {
+        const catchScope = new Scope(scope, false);
+        if (node.param) declarePattern(node.param, catchScope, catchScope, { kind: 'catch', node });
+        visitStatements(node.body.body, catchScope);
+        break;
+      }
+      case 'WithStatement':
+        // Names inside `with` may be properties of its object, so they are not analysed
+        visit(node.object, scope);
+        break;
+      case 'MemberExpression':
+        visitMember(node, scope);
+        break;
+      case 'CallExpression':
+      case 'NewExpression':
+        if (node.callee.type === 'Identifier') {
+          addReference(node.callee, scope, { called: true });
+        } else if (node.callee.type === 'MemberExpression') {
+          visitMember(node.callee, scope, { called: true });
+        } else {
+          visit(node.callee, scope);
+        }
+        node.arguments.forEach(argument => visit(argument, scope));
+        break;
+      case 'Property':
+        if (node.computed) visit(node.key, scope);
+        visit(node.value, scope);
+        break;
+      case 'LabeledStatement':
+        visit(node.body, scope);
+        break;
+      case 'BreakStatement':
+      case 'ContinueStatement':
+      case 'MetaProperty':
+      case 'ExportAllDeclaration':
+        break;
+      case 'ImportDeclaration':
+        node.specifiers.forEach(specifier => scope.declare(specifier.local.name, { kind: 'import', node }));
+        break;
+      case 'ExportNamedDeclaration':
+        if (node.declaration) {
+          visit(node.declaration, scope);
+        } else if (!node.source) {
+          node.specifiers.forEach(specifier => visit(specifier.local, scope));
+        }
+        break;
+      case 'UnaryExpression':
+        // `typeof name` is the safe way to test for a global that may not exist
+        if (node.operator === 'typeof' && node.argument.type === 'Identifier') {
+          addReference(node.argument, scope, { guarded: true });
+        } else {
+          visit(node.argument, scope);
+        }
+        break;
+      case 'AssignmentExpression':
+        visitAssignmentTarget(node.left, scope, node.operator === '=');
+        visit(node.right, scope);
+        break;
+      default:
+        visitChildren(node, scope);
+    }
+  }
+
+  visitStatements(ast.body, programScope);
+}
+
+/**
+ * Resolve every reference in a page's scripts
+ * @param {Array<Object>} scripts - Scripts in document order, as { source, sourceType } with
+ *   sourceType 'script' or 'module'
+ * @returns {Object} - { programs, references }: each script's AST (null if it could not be parsed)
+ *   and every reference in order of appearance. A reference has the name, scriptIndex, start and
+ *   end offsets in its script, 1-based line and column, and:
+ *   - binding: the declaration it resolves to ({ name, kind, node, index }), or null when free
+ *   - implicitGlobal: whether a free name is a global created by assignment (`score = 0`, `window.score = 0`)
+ *   - guarded: whether it is the operand of `typeof`
+ *   - assigned: whether it is the target of a plain assignment
+ *   - called: whether it is called, as in `name()` or `new name()`
+ *   - member: for the object of `name.property`, the property's { name, start, end, called, assigned }
+ */
+function analyzeScripts(scripts) {
+  const globalScope = new Scope(null, true);
+  const collected = [];
+  const windowGlobals = new Set();
+
+  const programs = scripts.map(({ source, sourceType = 'script' }, scriptIndex) => {
+    const ast = parse(source, sourceType);
+    if (!ast) return null;
+    const isModule = sourceType === 'module';
+    const programScope = isModule ? new Scope(globalScope, true) : globalScope;
+    collect(ast, programScope, {
+      scriptIndex,
+      strict: isModule || hasUseStrict(ast.body),
+      references: collected,
+      windowGlobals
+    });
+    return ast;
+  });
+
+  // Bindings are looked up once every script is collected, since declarations are hoisted
+  const resolved = collected.map(({ scope, strict, ...reference }) => ({
+    ...reference,
+    binding: scope.lookup(reference.name),
+    strict
+  }));
+
+  // Assigning to an undeclared name in sloppy code creates a global
+  const implicitGlobals = new Set(windowGlobals);
+  resolved.forEach(reference => {
+    if (reference.assigned && !reference.strict && !reference.binding) {
+      implicitGlobals.add(reference.name);
+    }
+  });
+
+  const references = resolved.map(({ strict, ...reference }) => ({
+    ...reference,
+    implicitGlobal: !reference.binding && implicitGlobals.has(reference.name)
+  }));
+  return { programs, references };
+}
+
+/**
+ * Find the references in a page's scripts that no declaration in the scripts covers
+ * @param {Array<Object>} scripts - Scripts in document order, as { source, sourceType }
+ * @returns {Array<Object>} - Free references in order of appearance (see analyzeScripts)
+ */
+function findFreeReferences(scripts) {
+  return analyzeScripts(scripts).references.filter(reference => !reference.binding && !reference.implicitGlobal);
+}
+
+/**
+ * Find identifiers that are used but declared nowhere: not in the scripts, and not as a
+ * global of the browser or a loaded library
+ * @param {Array<Object>} scripts - Scripts in document order, as { source, sourceType }
+ * @param {Object} [options] - Analysis options
+ * @param {Function} [options.isKnownGlobal] - Whether a name is provided by the environment
+ * @returns {Array<Object>} - Free references to unknown names (see findFreeReferences)
+ */
+function findUndefinedIdentifiers(scripts, { isKnownGlobal = () => false } = {}) {
+  const references = findFreeReferences(scripts);
+  // A name the scripts test with `typeof` is expected to be missing sometimes
+  const guardedNames = new Set(references.filter(reference => reference.guarded).map(reference => reference.name));
+  return references.filter(reference => !guardedNames.has(reference.name) && !isKnownGlobal(reference.name));
+}
+
+module.exports = { analyzeScripts, findFreeReferences, findUndefinedIdentifiers };
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeScripts, findFreeReferences, findUndefinedIdentifiers } = require('./scope-analysis');
+
+const script = source => ({ source, sourceType: 'script' });
+const names = references => references.map(reference => reference.name);
+
+describe('analyzeScripts', () => {
+  it('resolves references to their bindings', () => {
+    const { programs, references } = analyzeScripts([script('let a = 1;\nfunction f(p) { return p + a + b; }\n')]);
+    assert.equal(programs.length, 1);
+    const [p, a, b] = references.filter(reference => ['p', 'a', 'b'].includes(reference.name));
+    assert.equal(p.binding.kind, 'param');
+    assert.equal(a.binding.kind, 'let');
+    assert.equal(b.binding, null);
+    assert.deepEqual([b.line, b.column], [2, 32]);
+  });
+});
+
+describe('findFreeReferences', () => {
+  it('shares the global scope between classic scripts but gives each module its own', () => {
+    const scripts = [
+      script('let a = 1;\nif (c) { var d = 1; }\n'),
+      script('f(a, d);\nfunction f() {}\n'),
+      { source: 'import m from "m";\nm(a, q);\n', sourceType: 'module' }
+    ];
+    assert.deepEqual(findFreeReferences(scripts).map(({ name, scriptIndex }) => [name, scriptIndex]), [['c', 0], ['q', 2]]);
+  });
+
+  it('treats a name assigned without a declaration in sloppy code as a global', () => {
+    assert.deepEqual(findFreeReferences([script('function setup() { score = 0; }'), script('function draw() { score++; }')]), []);
+    assert.deepEqual(names(findFreeReferences([script('window.speed = 2;\nmove(speed);\nfunction move() {}')])), ['window']);
+  });
+
+  it('understands classes, destructuring, catch clauses and labels', () => {
+    const source = 'class A { m() { return this.x + y; } }\nconst { q, r: [t] } = obj;\ntry {} catch (err) { err; }\n' +
+      'label: for (const k of ks) { break label; }\n';
+    assert.deepEqual(names(findFreeReferences([script(source)])), ['y', 'obj', 'ks']);
+  });
+
+  it('still analyses a script with syntax errors', () => {
+    assert.deepEqual(names(findFreeReferences([script('function draw() {\n  circle(x, 10, 10\n}\n')])), ['circle', 'x']);
+  });
+});
+
+describe('findUndefinedIdentifiers', () => {
+  it('leaves out names the environment provides and uses guarded by typeof', () => {
+    const scripts = [script('draw(e, f);\nif (typeof zz === "undefined") {}\n')];
+    assert.deepEqual(names(findUndefinedIdentifiers(scripts, { isKnownGlobal: name => name === 'draw' || name === 'e' })), ['f']);
+  });
+});
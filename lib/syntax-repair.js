@@ -0,0 +1,267 @@
+/**
+ * syntax-repair.js — Minimal edits that make a script parse
+ *
+ * The script is parsed strictly to find the exact error position. Candidate edits at that
+ * position (inserting a comma, semicolon, colon, closing bracket or `=>`, closing a string
+ * or comment, deleting a stray punctuator) are each re-parsed. acorn-loose's recovered AST
+ * ranks them by syntactic context, e.g. a gap between two recovered object properties wants
+ * a comma, and rules out edits that leave more of the script unrecoverable than before.
+ * The best edit is applied and the loop repeats until the script parses or no edit helps.
+ * Errors that no single token explains, such as redeclarations, are left alone.
+ */
+const acorn = require('acorn');
+const acornLoose = require('acorn-loose');
+
+// Upper bound on edits per script, so a hopeless script cannot loop for long
+const MAX_EDITS = 20;
+
+// Containers whose children are separated by commas
+const LIST_CHILDREN = {
+  ObjectExpression: 'properties',
+  ObjectPattern: 'properties',
+  ArrayExpression: 'elements',
+  ArrayPattern: 'elements',
+  CallExpression: 'arguments',
+  NewExpression: 'arguments',
+  SequenceExpression: 'expressions'
+};
+
+function parseOptions(sourceType) {
+  return { ecmaVersion: 'latest', sourceType, allowHashBang: true, locations: true };
+}
+
+/**
+ * Parse strictly and report the first syntax error
+ * @param {string} source - JavaScript source
+ * @param {string} [sourceType='script'] - 'script' or 'module'
+ * @returns {Object|null} - { message, pos, line, column } with a 1-based line and column, or null if it parses
+ */
+function findSyntaxError(source, sourceType = 'script') {
+  try {
+    acorn.parse(source, parseOptions(sourceType));
+    return null;
+  } catch (error) {
+    if (!(error instanceof SyntaxError) || error.pos === undefined) throw error;
+    return {
+      // acorn appends "(line:column)" to its messages
+      message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+      pos: error.pos,
+      line: error.loc.line,
+      column: error.loc.column + 1
+    };
+  }
+}
+
+/**
+ * Tokens of the source up to the point where the tokenizer gives up
+ */
+function readTokens(source, sourceType) {
+  const tokens = [];
+  try {
+    for (const token of acorn.tokenizer(source, parseOptions(sourceType))) {
+      tokens.push(token);
+    }
+  } catch (error) {
+    // Tokens before the error are all that is needed
+  }
+  return tokens;
+}
+
+function looseParse(source, sourceType) {
+  try {
+    return acornLoose.parse(source, parseOptions(sourceType));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Visit every node of an AST
+ */
+function walk(node, visit) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node);
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'loc') continue;
+    if (Array.isArray(value)) {
+      value.forEach(child => walk(child, visit));
+    } else if (value && typeof value === 'object') {
+      walk(value, visit);
+    }
+  }
+}
+
+function countDummies(ast) {
+  let count = 0;
+  walk(ast, node => {
+    if (acornLoose.isDummy(node)) count++;
+  });
+  return count;
+}
+
+/**
+ * What the recovered AST says about the error position
+ * @returns {Object} - { listGap, missingExpression }: whether the position falls between two
+ *   elements of a comma-separated list, and whether recovery had to invent an expression there
+ */
+function recoveredContext(ast, pos) {
+  const context = { listGap: false, missingExpression: false };
+  walk(ast, node => {
+    if (acornLoose.isDummy(node) && Math.abs(node.start - pos) <= 1) {
+      context.missingExpression = true;
+    }
+    const children = LIST_CHILDREN[node.type] && node[LIST_CHILDREN[node.type]];
+    if (children && node.start < pos && pos < node.end) {
+      for (let i = 1; i < children.length; i++) {
+        if (children[i - 1] && children[i] && children[i - 1].end <= pos && pos <= children[i].start) {
+          context.listGap = true;
+        }
+      }
+    }
+  });
+  return context;
+}
+
+/**
+ * Candidate edits for a syntax error, most plausible first
+ * @returns {Array} - Edits { index, remove, insert, description }
+ */
+function candidateEdits(source, error, tokens, context) {
+  const { message, pos } = error;
+  const lineEnd = source.indexOf('\n', pos) === -1 ? source.length : source.indexOf('\n', pos);
+  const codeEnd = pos + source.slice(pos, lineEnd).replace(/\s*(?:\/\/.*)?$/, '').length;
+  const insert = (index, text, description) => ({ index, remove: 0, insert: text, description });
+
+  if (/^Unterminated string constant/.test(message)) {
+    const quote = source[pos];
+    // Before trailing `)`, `]`, `,` or `;` first, as in `print("hi);`
+    const beforeClosers = pos + 1 + source.slice(pos + 1, codeEnd).replace(/[)\],;\s]*$/, '').length;
+    return [
+      insert(beforeClosers, quote, `Closed unterminated string with ${quote}`),
+      insert(codeEnd, quote, `Closed unterminated string with ${quote}`)
+    ];
+  }
+  if (/^Unterminated template/.test(message)) {
+    return [
+      insert(codeEnd, '`', 'Closed unterminated template literal'),
+      insert(source.trimEnd().length, '`', 'Closed unterminated template literal')
+    ];
+  }
+  if (/^Unterminated comment/.test(message)) {
+    return [insert(source.trimEnd().length, ' */', 'Closed unterminated comment')];
+  }
+  if (/^Unterminated regular expression/.test(message)) {
+    return [
+      insert(codeEnd, '/', 'Closed unterminated regular expression'),
+      { index: pos, remove: 1, insert: '', description: "Removed stray '/'" }
+    ];
+  }
+  if (/^Unexpected character/.test(message)) {
+    return [{ index: pos, remove: 1, insert: '', description: `Removed unexpected character '${source[pos]}'` }];
+  }
+  // Anything else (redeclarations, misplaced `return`, ...) is not a missing or stray token
+  if (!/^Unexpected (token|keyword)/.test(message)) {
+    return [];
+  }
+
+  const tokenAt = tokens.find(token => token.start >= pos);
+  const previous = [...tokens].reverse().find(token => token.end <= pos);
+  const at = previous ? previous.end : pos;
+  const text = token => source.slice(token.start, token.end);
+  // Only punctuation is ever deleted; keywords, names and literals are the user's code
+  const deletable = token => token && !token.type.keyword &&
+    !/^(name|num|string|regexp|template|privateId|eof)$/.test(token.type.label);
+
+  const edits = [];
+  if (context.listGap) {
+    edits.push(insert(at, ',', 'Inserted missing comma'));
+  }
+  if (tokenAt && text(tokenAt) === '{' && previous && text(previous) === ')') {
+    edits.push(insert(at, ' =>', "Inserted missing '=>'"));
+  }
+  if (context.missingExpression && deletable(previous)) {
+    edits.push({ index: previous.start, remove: previous.end - previous.start, insert: '', description: `Removed stray '${text(previous)}'` });
+  }
+  // `if (a) { ... }; else` needs the `;` gone rather than the `else`
+  if (deletable(previous) && text(previous) === ';') {
+    edits.push({ index: previous.start, remove: 1, insert: '', description: "Removed stray ';'" });
+  }
+  if (deletable(tokenAt)) {
+    edits.push({ index: tokenAt.start, remove: tokenAt.end - tokenAt.start, insert: '', description: `Removed stray '${text(tokenAt)}'` });
+  }
+  edits.push(
+    insert(at, ',', 'Inserted missing comma'),
+    insert(at, ';', 'Inserted missing semicolon'),
+    insert(at, ':', 'Inserted missing colon'),
+    insert(at, ')', "Inserted missing ')'"),
+    insert(at, ']', "Inserted missing ']'"),
+    insert(at, '}', "Inserted missing '}'")
+  );
+  return edits;
+}
+
+function applyEdit(source, edit) {
+  return source.slice(0, edit.index) + edit.insert + source.slice(edit.index + edit.remove);
+}
+
+/**
+ * Pick the edit that best repairs the error: one after which the script parses, otherwise
+ * the one after which strict parsing gets furthest. Edits that make no progress, or that
+ * leave acorn-loose with more invented nodes than before, are never picked.
+ */
+function chooseEdit(source, error, sourceType) {
+  const ast = looseParse(source, sourceType);
+  const dummiesBefore = ast ? countDummies(ast) : 0;
+  const context = ast ? recoveredContext(ast, error.pos) : { listGap: false, missingExpression: false };
+  const tokens = readTokens(source, sourceType);
+
+  let best = null;
+  const seen = new Set();
+  for (const edit of candidateEdits(source, error, tokens, context)) {
+    const key = `${edit.index}:${edit.remove}:${edit.insert}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const candidate = applyEdit(source, edit);
+    const nextError = findSyntaxError(candidate, sourceType);
+    const candidateAst = looseParse(candidate, sourceType);
+    if (candidateAst && countDummies(candidateAst) > dummiesBefore) continue;
+
+    if (!nextError) return edit;
+
+    // Map the new error position back into the unedited source
+    const shift = edit.insert.length - edit.remove;
+    const progress = nextError.pos >= edit.index + edit.insert.length ? nextError.pos - shift : nextError.pos;
+    if (progress > error.pos && (!best || progress > best.progress)) {
+      best = { edit, progress };
+    }
+  }
+  return best ? best.edit : null;
+}
+
+/**
+ * Repair syntax errors with the smallest edits that let the script parse
+ * @param {string} source - JavaScript source
+ * @param {Object} [options] - Repair options
+ * @param {string} [options.sourceType='script'] - 'script' or 'module'
+ * @returns {Object} - { fixed, edits, error }: the repaired source, the edits applied (each with
+ *   a description and the error it fixed) and the syntax error left over, or null if it parses
+ */
+function repairSyntax(source, { sourceType = 'script' } = {}) {
+  let fixed = source;
+  const edits = [];
+  let error = findSyntaxError(fixed, sourceType);
+
+  while (error && edits.length < MAX_EDITS) {
+    const edit = chooseEdit(fixed, error, sourceType);
+    if (!edit) break;
+
+    edits.push({ ...edit, error });
+    fixed = applyEdit(fixed, edit);
+    error = findSyntaxError(fixed, sourceType);
+  }
+
+  return { fixed, edits, error };
+}
+
+module.exports = { findSyntaxError, repairSyntax };
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { findSyntaxError, repairSyntax } = require('./syntax-repair');
+
+describe('findSyntaxError', () => {
+  it('reports the first error with a 1-based line and column', () => {
+    assert.deepEqual(findSyntaxError('let a = 1;\nlet b = a +;\n'), { message: 'Unexpected token', pos: 22, line: 2, column: 12 });
+    assert.equal(findSyntaxError('let a = 1;\n'), null);
+  });
+
+  it('parses modules as modules', () => {
+    assert.notEqual(findSyntaxError('import x from "y";\n'), null);
+    assert.equal(findSyntaxError('import x from "y";\n', 'module'), null);
+  });
+});
+
+describe('repairSyntax', () => {
+  it('inserts the comma missing between two object properties', () => {
+    const { fixed, edits, error } = repairSyntax('const o = { a: 1 b: 2 };\n');
+    assert.equal(fixed, 'const o = { a: 1, b: 2 };\n');
+    assert.equal(edits[0].description, 'Inserted missing comma');
+    assert.equal(error, null);
+  });
+
+  it('closes the parenthesis of a for loop header', () => {
+    assert.equal(repairSyntax('for (let i = 0; i < 3; i++ {\n}\n').fixed, 'for (let i = 0; i < 3; i++) {\n}\n');
+  });
+
+  it('removes a stray operator', () => {
+    const { fixed, edits } = repairSyntax('function f() {\n  return a +;\n}\n');
+    assert.equal(fixed, 'function f() {\n  return a ;\n}\n');
+    assert.equal(edits[0].description, "Removed stray '+'");
+  });
+
+  it('closes a block left open at the end of the script', () => {
+    assert.equal(repairSyntax('if (a) {\n  b();\n').error, null);
+  });
+
+  it('leaves errors no single token explains, such as redeclarations', () => {
+    const source = 'let x = 1;\nlet x = 2;\n';
+    const { fixed, edits, error } = repairSyntax(source);
+    assert.equal(fixed, source);
+    assert.deepEqual(edits, []);
+    assert.equal(error.message, "Identifier 'x' has already been declared");
+  });
+});
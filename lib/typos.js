@@ -0,0 +1,61 @@
+/**
+ * typos.js — Matching a misspelled name to the name that was meant
+ */
+
+/**
+ * Edit distance counting a swap of two adjacent characters as one edit, since that is
+ * the most common typo ("backgorund")
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Edit distance
+ */
+function typoDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Find the name a misspelled one was meant to be. Only confident matches count: exactly
+ * one candidate differs by case alone, or exactly one is closest and within one typo (two
+ * for names of eight characters or more).
+ * @param {string} name - Misspelled name
+ * @param {Iterable<string>} candidates - Names it may have been meant as
+ * @returns {Object|null} - { name, distance }, or null when no single candidate is close enough
+ */
+function findClosestName(name, candidates) {
+  const names = [...new Set(candidates)].filter(candidate => candidate !== name);
+  if (name.length < 3) return null;
+
+  const sameLetters = names.filter(candidate => candidate.toLowerCase() === name.toLowerCase());
+  if (sameLetters.length === 1) {
+    return { name: sameLetters[0], distance: 0 };
+  }
+
+  const maxDistance = name.length >= 8 ? 2 : 1;
+  let best = [];
+  let bestDistance = Infinity;
+  for (const candidate of names) {
+    if (Math.abs(candidate.length - name.length) > maxDistance) continue;
+    const distance = typoDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = [candidate];
+      bestDistance = distance;
+    } else if (distance === bestDistance) {
+      best.push(candidate);
+    }
+  }
+
+  return bestDistance <= maxDistance && best.length === 1 ? { name: best[0], distance: bestDistance } : null;
+}
+
+module.exports = { typoDistance, findClosestName };
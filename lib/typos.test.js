@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { typoDistance, findClosestName } = require('./typos');
+
+describe('typoDistance', () => {
+  it('counts a swap of adjacent characters as one edit', () => {
+    assert.equal(typoDistance('backgorund', 'background'), 1);
+    assert.equal(typoDistance('elipse', 'ellipse'), 1);
+    assert.equal(typoDistance('fill', 'fill'), 0);
+    assert.equal(typoDistance('', 'abc'), 3);
+  });
+});
+
+describe('findClosestName', () => {
+  it('prefers the single candidate that differs by case alone', () => {
+    assert.deepEqual(findClosestName('mousex', ['mouseX', 'mouseY']), { name: 'mouseX', distance: 0 });
+  });
+
+  it('only matches a single closest candidate within one typo, or two for long names', () => {
+    assert.deepEqual(findClosestName('elipse', ['ellipse', 'eclipse2']), { name: 'ellipse', distance: 1 });
+    assert.equal(findClosestName('fil', ['fill', 'film']), null);
+    assert.equal(findClosestName('rectt', ['circle']), null);
+    assert.deepEqual(findClosestName('bakgroud', ['background']), { name: 'background', distance: 2 });
+  });
+
+  it('does not guess for names shorter than three characters', () => {
+    assert.equal(findClosestName('ab', ['abc']), null);
+  });
+});
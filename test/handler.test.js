@@ -0,0 +1,226 @@
+/**
+ * handler.test.js — Offline tests of the HTTP handler, request to response
+ *
+ * The handler uses the default cassette, so REPAIR_CASSETTE_MODE and REPAIR_CASSETTE_DIR point
+ * it at test/fixtures/cassettes before the first request: page loads are replayed from there,
+ * and one that was not recorded fails with a CassetteMissError.
+ */
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+process.env.REPAIR_CASSETTE_MODE = 'replay';
+process.env.REPAIR_CASSETTE_DIR = path.join(FIXTURES, 'cassettes');
+
+const handler = require('../api/validate-html');
+const { REPAIR_STAGES } = handler;
+
+const MALFORMED = '<head>\n&lt;script src="p5.js"&gt;\n</head>';
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+// Collects what the handler sends, the way Vercel's response object takes it
+function fakeResponse() {
+  return {
+    statusCode: null,
+    headers: {},
+    body: null,
+    chunks: [],
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    write(chunk) {
+      this.chunks.push(chunk);
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+}
+
+async function request(method, { query = {}, body = {}, headers = {} } = {}) {
+  const res = fakeResponse();
+  await handler({ method, headers, query, body }, res);
+  return res;
+}
+
+before(() => {
+  // The pipeline narrates every step
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+after(() => mock.restoreAll());
+
+describe('full repair', () => {
+  it('runs every stage offline, without the AI', async () => {
+    const { statusCode, body } = await request('POST', { body: { html: readFixture('offline-repair.html'), validationType: 'full', offline: true } });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.html, readFixture('offline-repair-fixed.html'));
+    assert.deepEqual(Object.keys(body.stages), Object.keys(REPAIR_STAGES));
+    assert.deepEqual(Object.entries(body.stages).filter(([, stage]) => stage.fixCount > 0).map(([name, stage]) => [name, stage.fixCount]), [
+      ['llm-output', 2], ['missing-style-tags', 1], ['cdn-imports', 1], ['p5-names', 1], ['undefined-variables', 1], ['parentheses', 1]
+    ]);
+    assert.equal(body.fixCount, 7);
+    assert.deepEqual([body.unresolved, body.rollbacks, body.blocking], [[], [], []]);
+  });
+});
+
+describe('mode=diagnose', () => {
+  it('reports the issues of every stage without repairing the page', async () => {
+    const html = readFixture('not-a-function-rename.html');
+    const { statusCode, body } = await request('POST', { body: { html, validationType: 'full', mode: 'diagnose' } });
+
+    assert.equal(statusCode, 200);
+    assert.deepEqual(body.issues, [{
+      stage: 'not-a-function',
+      severity: 'error',
+      message: 'particles.psuh is not a function',
+      location: { line: 16, column: 17 }
+    }]);
+    assert.deepEqual(Object.keys(body.stages), Object.keys(REPAIR_STAGES));
+    assert.equal(body.html, undefined);
+  });
+
+  it('runs only the stage asked for', async () => {
+    const { body } = await request('POST', { body: { html: MALFORMED, validationType: 'malformed-tags', mode: 'diagnose' } });
+
+    assert.deepEqual(body.issues.map(issue => [issue.stage, issue.location.line]), [['malformed-tags', 2]]);
+    assert.deepEqual(Object.keys(body.stages), ['malformed-tags']);
+  });
+});
+
+describe('mode=apply-patch', () => {
+  it('reapplies the patch of a repair to the original document', async () => {
+    const repaired = await request('POST', { body: { html: MALFORMED, validationType: 'malformed-tags', fileName: 'index.html' } });
+    assert.equal(repaired.body.fixCount, 1);
+    assert.match(repaired.body.patch, /^--- a\/index\.html\n\+\+\+ b\/index\.html\n@@ /);
+
+    const { statusCode, body } = await request('POST', { body: { html: MALFORMED, mode: 'apply-patch', patch: repaired.body.patch } });
+    assert.equal(statusCode, 200);
+    assert.equal(body.html, repaired.body.html);
+  });
+
+  it('answers 409 for a patch that does not apply and 400 without one', async () => {
+    const { body: { patch } } = await request('POST', { body: { html: MALFORMED, validationType: 'malformed-tags' } });
+
+    const conflict = await request('POST', { body: { html: '<head>\n</head>', mode: 'apply-patch', patch } });
+    assert.equal(conflict.statusCode, 409);
+    assert.equal(conflict.body.error, 'Patch does not apply');
+    assert.equal((await request('POST', { body: { html: MALFORMED, mode: 'apply-patch' } })).statusCode, 400);
+  });
+});
+
+describe('streaming', () => {
+  it('sends progress as server-sent events when the client accepts them', async () => {
+    const res = await request('POST', { body: { html: MALFORMED, validationType: 'malformed-tags' }, headers: { accept: 'text/event-stream' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['content-type'], 'text/event-stream');
+
+    const events = res.chunks.map(chunk => {
+      const [, name, data] = chunk.match(/^event: (\S+)\ndata: (.*)\n\n$/);
+      const event = JSON.parse(data);
+      assert.equal(event.type, name);
+      return event;
+    });
+    assert.deepEqual(events.map(event => event.type), ['stage-started', 'issue-detected', 'fix-applied', 'stage-finished', 'result']);
+    assert.equal(events.at(-1).html, '<head>\n<script src="p5.js"></script>\n</head>');
+  });
+
+  it('sends a diagnosis as newline-delimited JSON', async () => {
+    const html = readFixture('not-a-function-rename.html');
+    const res = await request('POST', { body: { html, validationType: 'full', mode: 'diagnose', stream: 'ndjson' } });
+    assert.equal(res.headers['content-type'], 'application/x-ndjson');
+
+    const events = res.chunks.join('').trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(events.filter(event => event.type === 'stage-started').length, Object.keys(REPAIR_STAGES).length);
+    assert.deepEqual(events.filter(event => event.type === 'issue-detected').map(event => event.message), ['particles.psuh is not a function']);
+    assert.equal(events.at(-1).type, 'result');
+    assert.equal(events.at(-1).issueCount, 1);
+  });
+
+  it('answers 400 for an unknown stream format', async () => {
+    const { statusCode, body } = await request('POST', { body: { html: MALFORMED, validationType: 'malformed-tags', stream: 'xml' } });
+    assert.equal(statusCode, 400);
+    assert.deepEqual(body.validFormats, ['sse', 'ndjson']);
+  });
+});
+
+describe('repair jobs', () => {
+  it('runs a job in the background and serves its result when it is done', async () => {
+    const created = await request('POST', { query: { async: '1' }, body: { html: MALFORMED, validationType: 'malformed-tags', offline: true } });
+    assert.equal(created.statusCode, 202);
+    assert.equal(created.body.statusUrl, `/api/jobs/${created.body.jobId}`);
+
+    let result;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      result = await request('GET', { query: { jobId: created.body.jobId, view: 'result' } });
+      if (result.statusCode !== 202) break;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.equal(result.statusCode, 200);
+    assert.equal(result.body.html, '<head>\n<script src="p5.js"></script>\n</head>');
+
+    const { body: status } = await request('GET', { query: { jobId: created.body.jobId } });
+    assert.equal(status.status, 'completed');
+    assert.equal(status.fixCount, 1);
+    assert.deepEqual(Object.keys(status.stages), ['malformed-tags']);
+  });
+
+  it('answers 400 for a malformed job id and 404 for an unknown one', async () => {
+    assert.equal((await request('GET', { query: { jobId: '../../etc/passwd' } })).statusCode, 400);
+    assert.equal((await request('GET', { query: { jobId: 'no-such-job' } })).statusCode, 404);
+  });
+
+  it('reports a job that stopped updating as failed', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'repair-jobs-'));
+    const updatedAt = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    fs.writeFileSync(path.join(directory, 'job-1.json'), JSON.stringify({ id: 'job-1', status: 'running', updatedAt, expiresAt }));
+
+    // A fresh process, so it uses a store that can be seeded with a job from a killed invocation
+    const script = `
+      console.log = () => {};
+      const handler = require(${JSON.stringify(require.resolve('../api/validate-html'))});
+      const res = { setHeader() {}, status(code) { this.code = code; return this; }, json(body) { process.stdout.write(this.code + ' ' + body.status + ' ' + body.details); } };
+      handler({ method: 'GET', headers: {}, query: { jobId: 'job-1', view: 'result' } }, res);
+    `;
+    try {
+      const env = { ...process.env, REPAIR_JOB_STORE: 'filesystem', REPAIR_JOB_DIR: directory, REPAIR_JOB_MAX_DURATION: '300' };
+      assert.equal(execFileSync(process.execPath, ['-e', script], { env, encoding: 'utf8' }),
+        '500 failed Repair job stopped without finishing: no progress for over 300 seconds');
+      assert.equal(JSON.parse(fs.readFileSync(path.join(directory, 'job-1.json'), 'utf8')).status, 'failed');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('loads with a bad job store configuration and fails only job requests', () => {
+    // A fresh process, since the store is created once per process
+    const script = `
+      console.log = () => {};
+      console.error = () => {};
+      const handler = require(${JSON.stringify(require.resolve('../api/validate-html'))});
+      const res = { setHeader() {}, status(code) { this.code = code; return this; }, json(body) { process.stdout.write(this.code + ' ' + body.details); } };
+      handler({ method: 'GET', headers: {}, query: { jobId: 'job-1' } }, res);
+    `;
+    const run = env => execFileSync(process.execPath, ['-e', script], { env: { ...process.env, ...env }, encoding: 'utf8' });
+
+    assert.equal(run({ REPAIR_JOB_STORE: 'bogus' }), '500 Unknown job store: bogus');
+    assert.match(run({ VERCEL: '1', REPAIR_JOB_STORE: 'memory' }), /^500 The memory job store is not shared between serverless instances/);
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * validate-html.test.js — Offline regression tests for the AI-assisted fixers
+ *
+ * Every LLM reply and page load the fixers need is replayed from test/fixtures/cassettes,
+ * so these tests run without a browser or an API key and give the same result every time.
+ * A fixer asking for anything that was not recorded fails with a CassetteMissError.
+ */
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Cassette } = require('../lib/cassette');
+const { findBracketIssues } = require('../lib/brackets');
+const { fixUndefinedVariables, fixNotAFunctionErrors, getSmartFixFromAI, runRepairStage } = require('../api/validate-html');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const UNBALANCED_SCRIPT = `function setup() {
+  createCanvas(400, 400);
+}
+
+function draw() {
+  background(220);
+  ellipse(width / 2, height / 2, random(50, 100);
+}
+`;
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+// A browser session that reports the given failed requests for every document
+function failingRequests(...urls) {
+  return {
+    capture: async () => ({
+      pageErrors: [],
+      consoleMessages: [],
+      failedRequests: urls.map(url => ({ url, errorText: 'net::ERR_FILE_NOT_FOUND' })),
+      introspections: []
+    })
+  };
+}
+
+function replay() {
+  return { cassette: new Cassette({ mode: 'replay', directory: path.join(FIXTURES, 'cassettes') }) };
+}
+
+before(() => {
+  // The fixers narrate every step
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+after(() => mock.restoreAll());
+
+describe('AI-assisted fixers', () => {
+  describe('fixUndefinedVariables', () => {
+    it('applies the recorded AI fix once the page no longer reports the error', async () => {
+      const options = replay();
+      const result = await fixUndefinedVariables(readFixture('undefined-variable.html'), options);
+
+      assert.equal(result.fixCount, 1);
+      assert.deepEqual(result.rollbacks, []);
+      assert.match(result.fixedHtml, /<script>\n {4}let x = 0;\n {4}function setup\(\) \{/);
+      assert.equal(result.errors[0].message, 'x is not defined');
+      assert.equal(result.errors[0].lineNumber, 14);
+      assert.deepEqual(options.cassette.misses, []);
+    });
+
+    it('rolls back an AI fix that leaves the error in place', async () => {
+      const html = readFixture('undefined-variable-rollback.html');
+      const result = await fixUndefinedVariables(html, replay());
+
+      assert.equal(result.fixCount, 0);
+      assert.equal(result.fixedHtml, html);
+      assert.deepEqual(result.rollbacks, [{
+        description: "AI fix for undefined variable 'speed'",
+        reason: 'Did not reduce errors (1 before, 1 after)'
+      }]);
+    });
+
+    it('declares the variable where its uses need it when the AI reply has no fix', async () => {
+      const html = '<script>\nfunction draw() {\n  count++;\n  console.log(count);\n}\n</script>\n';
+      const llm = { provider: 'mock', defaultResponse: 'Declare count before draw() runs.' };
+      const result = await fixUndefinedVariables(html, { cassette: null, browserSession: failingRequests(), llm });
+
+      assert.equal(result.fixCount, 1);
+      assert.equal(result.fixedHtml, html.replace('function draw', 'let count = 0; // Auto-declared: used as a number\nfunction draw'));
+    });
+  });
+
+  describe('fixNotAFunctionErrors', () => {
+    it('renames a misspelled method to the one the browser found on the object', async () => {
+      const result = await fixNotAFunctionErrors(readFixture('not-a-function-rename.html'), replay());
+
+      assert.equal(result.fixCount, 1);
+      assert.match(result.fixedHtml, /particles\.push\(createVector\(mouseX, mouseY\)\);/);
+      assert.doesNotMatch(result.fixedHtml, /psuh/);
+    });
+
+    it('comments out calls to a method the object does not have, as the AI patched them', async () => {
+      const result = await fixNotAFunctionErrors(readFixture('not-a-function-patch.html'), replay());
+
+      assert.equal(result.fixCount, 1);
+      assert.deepEqual(result.rollbacks, []);
+      assert.match(result.fixedHtml,
+        / {6}\/\/ ERROR: Block commented out due to missing function synth\.playNote\n {6}\/\/ synth\.playNote\(60\);\n/);
+      assert.match(result.fixedHtml, /createCanvas\(400, 400\);/);
+    });
+  });
+
+  describe('getSmartFixFromAI', () => {
+    it('applies the recorded replacement to the line it names', async () => {
+      const script = UNBALANCED_SCRIPT;
+      const { fixed, fixCount } = await getSmartFixFromAI(script, findBracketIssues(script), replay());
+
+      assert.equal(fixCount, 1);
+      assert.equal(fixed, script.replace('random(50, 100);', 'random(50, 100));'));
+      assert.deepEqual(findBracketIssues(fixed), []);
+    });
+
+    it('falls back to the bracket balancer when the AI cannot be reached', async () => {
+      const script = UNBALANCED_SCRIPT;
+      const empty = fs.mkdtempSync(path.join(os.tmpdir(), 'p5-repair-cassette-'));
+      try {
+        const cassette = new Cassette({ mode: 'replay', directory: empty });
+        const { fixed, fixCount } = await getSmartFixFromAI(script, findBracketIssues(script), { cassette });
+
+        assert.equal(cassette.misses.length, 1);
+        assert.equal(fixCount, 1);
+        assert.deepEqual(findBracketIssues(fixed), []);
+      } finally {
+        fs.rmSync(empty, { recursive: true, force: true });
+      }
+    });
+  });
+});
+
+describe('cdn-imports stage', () => {
+  const html = '<!DOCTYPE html>\n<html>\n<head>\n<link rel="stylesheet" href="style.css">\n' +
+    '<script src="https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/p5.mn.js"></script>\n<script src="sketch.js"></script>\n</head>\n</html>\n';
+
+  it('reports local assets the page could not read instead of rewriting their tags', async () => {
+    const browserSession = failingRequests('http://p5-repair.local/style.css', 'http://p5-repair.local/sketch.js');
+    const { fixedHtml, totalFixes, unresolved } = await runRepairStage('cdn-imports', html,
+      { cassette: null, browserSession, offline: true, baseDirectory: '/sketches/ball' });
+
+    assert.equal(totalFixes, 0);
+    assert.equal(fixedHtml, html);
+    assert.deepEqual(unresolved.map(issue => issue.message), [
+      'Local asset style.css not found in /sketches/ball',
+      'Local asset sketch.js not found in /sketches/ball'
+    ]);
+  });
+
+  it('still fixes a CDN script that fails alongside them', async () => {
+    const browserSession = failingRequests('http://p5-repair.local/sketch.js', 'https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/p5.mn.js');
+    const { fixedHtml, totalFixes, unresolved } = await runRepairStage('cdn-imports', html, { cassette: null, browserSession, offline: true });
+
+    assert.equal(totalFixes, 1);
+    assert.equal(fixedHtml, html.replace('p5.mn.js', 'p5.min.js'));
+    assert.deepEqual(unresolved.map(issue => issue.message), ['Local asset sketch.js not found (no base directory to read local assets from)']);
+  });
+
+  it('never rewrites a local stylesheet link to a CDN file of the same name', async () => {
+    const page = '<!DOCTYPE html>\n<html>\n<head>\n<link rel="stylesheet" href="style.css">\n</head>\n</html>\n';
+    const browserSession = failingRequests('https://cdn.example.com/theme/style.css', 'https://cdn.example.com/photo.png');
+    const llm = { provider: 'mock', defaultResponse: '<link rel="stylesheet" href="https://cdn.example.com/theme/style.css">' };
+    const { fixedHtml, stages } = await runRepairStage('cdn-imports', page, { cassette: null, browserSession, llm });
+
+    assert.equal(fixedHtml, page);
+    assert.deepEqual(stages['cdn-imports'].errors.map(error => error.url), ['https://cdn.example.com/theme/style.css']);
+    assert.deepEqual(stages['cdn-imports'].rollbacks, [], 'no fix was asked for');
+  });
+
+  it('matches a failed stylesheet to its link by the resolved URL', async () => {
+    const page = '<!DOCTYPE html>\n<html>\n<head>\n<link rel="stylesheet" href="//cdn.jsdelivr.net/npm/bulma@1.0.2/css/bulmaa.min.css">\n</head>\n</html>\n';
+    const browserSession = failingRequests('http://cdn.jsdelivr.net/npm/bulma@1.0.2/css/bulmaa.min.css');
+    const { fixedHtml, totalFixes } = await runRepairStage('cdn-imports', page, { cassette: null, browserSession, offline: true });
+
+    assert.equal(totalFixes, 1);
+    assert.match(fixedHtml, /href="https:\/\/cdn\.jsdelivr\.net\/npm\/bulma@1\.0\.2\/css\/bulma\.min\.css"/);
+  });
+
+  it('recognises a library whose file name has two letters swapped', async () => {
+    const page = '<!DOCTYPE html>\n<html>\n<head>\n<script src="https://example.com/js/3d.min.js"></script>\n</head>\n</html>\n';
+    const browserSession = failingRequests('https://example.com/js/3d.min.js');
+    const { fixedHtml, totalFixes } = await runRepairStage('cdn-imports', page, { cassette: null, browserSession, offline: true });
+
+    assert.equal(totalFixes, 1);
+    assert.match(fixedHtml, /src="https:\/\/cdn\.jsdelivr\.net\/npm\/d3@7\.8\.5\/dist\/d3\.min\.js"/);
+  });
+
+  it('records a page load for each base directory', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'p5-repair-cassette-'));
+    try {
+      const cassette = new Cassette({ mode: 'record', directory });
+      const browserSession = failingRequests();
+      await runRepairStage('cdn-imports', html, { cassette, browserSession, baseDirectory: '/sketches/a' });
+      await runRepairStage('cdn-imports', html, { cassette, browserSession, baseDirectory: '/sketches/b' });
+
+      assert.equal(fs.readdirSync(directory).filter(name => name.startsWith('page-')).length, 2);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('malformed-tags stage', () => {
+  it('fixes each entity-encoded tag once, in place', async () => {
+    const html = '<head>\n&lt;script src="p5.js"&gt;\n&lt;meta charset="utf-8"&gt;\n</head>';
+    const { fixedHtml, totalFixes } = await runRepairStage('malformed-tags', html, { cassette: null });
+
+    assert.equal(fixedHtml, '<head>\n<script src="p5.js"></script>\n<meta charset="utf-8">\n</head>');
+    assert.equal(totalFixes, 2);
+  });
+});
+
+describe('missing-style-tags stage', () => {
+  it('wraps each block of CSS where it is, even when two blocks are the same', async () => {
+    const html = '<head>\n<script src="a.js"></script>\nbody { margin: 0; }\n<script src="b.js"></script>\nbody { margin: 0; }\n<title>t</title>\n</head>';
+    const { fixedHtml, totalFixes } = await runRepairStage('missing-style-tags', html, { cassette: null });
+
+    assert.equal(totalFixes, 2);
+    assert.equal(fixedHtml.match(/<style>/g).length, 2);
+    assert.match(fixedHtml, /<\/script>\n<style>\nbody \{ margin: 0; \}\n<\/style>\n<script src="b\.js">/);
+  });
+
+  it('ends the CSS before a closing tag', async () => {
+    const html = '<head>\n<script src="a.js"></script>\nbody { margin: 0; }\n</head>\n<body>\n</body>';
+    const { fixedHtml } = await runRepairStage('missing-style-tags', html, { cassette: null });
+
+    assert.equal(fixedHtml, '<head>\n<script src="a.js"></script>\n<style>\nbody { margin: 0; }\n</style>\n</head>\n<body>\n</body>');
+  });
+
+  it('moves standalone CSS to the end of the real <head>', async () => {
+    const html = '<html>\n<head>\n<!-- </head> goes below -->\n<title>t</title>\n</head>\n<body>\n#game { margin: 0; padding: 0; }\n<p>x</p>\n</body>\n</html>';
+    const { fixedHtml, totalFixes } = await runRepairStage('missing-style-tags', html, { cassette: null });
+
+    assert.equal(totalFixes, 1);
+    assert.equal(fixedHtml, '<html>\n<head>\n<!-- </head> goes below -->\n<title>t</title>\n<style>\n#game { margin: 0; padding: 0; }\n</style>\n' +
+      '</head>\n<body>\n\n<p>x</p>\n</body>\n</html>');
+  });
+});